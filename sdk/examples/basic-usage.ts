@@ -106,20 +106,23 @@ async function walletExample() {
     walletClient
   );
 
+  // Load the token's decimals for parseAmount / formatAmount
+  await client.init();
+
   // Stake 1000 tokens (with automatic approval if needed)
   const amount = client.parseAmount("1000"); // 1000 MAIT
   console.log(`Staking 1000 ${TOKEN_SYMBOL}...`);
 
-  const { approvalHash, stakeHash } = await client.stakeWithApproval(amount);
+  const { approvalHash, stakeTransaction } = await client.stakeWithApproval(amount);
 
   if (approvalHash) {
     console.log("Approval tx:", approvalHash);
   }
-  console.log("Stake tx:", stakeHash);
+  console.log("Stake tx:", stakeTransaction.hash);
 
   // Wait for confirmation
-  await publicClient.waitForTransactionReceipt({ hash: stakeHash });
-  console.log("Staking confirmed!");
+  const { stakeId } = await stakeTransaction.wait();
+  console.log(`Staking confirmed! New position #${stakeId}`);
 
   // Check updated stats
   const stats = await client.getUserStats(account.address);
@@ -130,6 +133,7 @@ async function walletExample() {
 
 async function claimRewardsExample(client: ProgressiveStakingClient, userAddress: Address) {
   console.log("\n=== Claim Rewards Example ===\n");
+  await client.init();
 
   // Check available rewards
   const rewards = await client.calculateTotalRewards(userAddress);
@@ -137,8 +141,11 @@ async function claimRewardsExample(client: ProgressiveStakingClient, userAddress
 
   if (rewards > 0n) {
     // Claim all rewards
-    const hash = await client.claimAllRewards();
-    console.log("Claim tx:", hash);
+    const tx = await client.claimAllRewards();
+    console.log("Claim tx:", tx.hash);
+
+    const { amount } = await tx.wait();
+    console.log("Claimed:", client.formatAmount(amount), TOKEN_SYMBOL);
   } else {
     console.log("No rewards to claim");
   }
@@ -148,6 +155,7 @@ async function claimRewardsExample(client: ProgressiveStakingClient, userAddress
 
 async function withdrawalExample(client: ProgressiveStakingClient, userAddress: Address) {
   console.log("\n=== Withdrawal Example ===\n");
+  await client.init();
 
   // Get user positions
   const positions = await client.getStakeInfo(userAddress);
@@ -163,19 +171,23 @@ async function withdrawalExample(client: ProgressiveStakingClient, userAddress:
   console.log(`Notice period: ${client.getNoticePeriodDays()} days`);
 
   // Step 1: Request withdrawal
-  const requestHash = await client.requestWithdraw(position.stakeId, withdrawAmount);
-  console.log("Request tx:", requestHash);
+  const requestTx = await client.requestWithdraw(position.stakeId, withdrawAmount);
+  console.log("Request tx:", requestTx.hash);
+
+  // A partial withdrawal moves the withdrawing amount to a new stakeId
+  const { stakeId: requestId, availableAt } = await requestTx.wait();
+  console.log(`Request #${requestId} available at ${availableAt.toLocaleString()}`);
 
   // Step 2: Wait for notice period (90 days)
   console.log("\n⏳ Wait 90 days for notice period...\n");
 
   // Step 3: Execute withdrawal (after notice period)
-  // const executeHash = await client.executeWithdraw(position.stakeId);
-  // console.log("Execute tx:", executeHash);
+  // const executeTx = await client.executeWithdraw(requestId);
+  // console.log("Execute tx:", executeTx.hash);
 
   // Or cancel if needed:
-  // const cancelHash = await client.cancelWithdrawRequest(position.stakeId);
-  // console.log("Cancel tx:", cancelHash);
+  // const cancelTx = await client.cancelWithdrawRequest(requestId);
+  // console.log("Cancel tx:", cancelTx.hash);
 }
 
 // Run examples
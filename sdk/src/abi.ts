@@ -179,6 +179,175 @@ export const PROGRESSIVE_STAKING_ABI = [
     stateMutability: "view",
     type: "function",
   },
+  {
+    inputs: [],
+    name: "nextStakeId",
+    outputs: [{ name: "", type: "uint256" }],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "treasuryBalance",
+    outputs: [{ name: "", type: "uint256" }],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      { name: "", type: "address" },
+      { name: "", type: "uint256" },
+    ],
+    name: "userStakes",
+    outputs: [
+      { name: "stakeId", type: "uint256" },
+      { name: "amount", type: "uint256" },
+      { name: "startTime", type: "uint256" },
+      { name: "lastClaimTime", type: "uint256" },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      { name: "", type: "address" },
+      { name: "", type: "uint256" },
+    ],
+    name: "userWithdrawRequests",
+    outputs: [
+      { name: "stakeId", type: "uint256" },
+      { name: "amount", type: "uint256" },
+      { name: "requestTime", type: "uint256" },
+      { name: "availableAt", type: "uint256" },
+      { name: "executed", type: "bool" },
+      { name: "cancelled", type: "bool" },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [{ name: "", type: "uint256" }],
+    name: "tiers",
+    outputs: [
+      { name: "startTime", type: "uint256" },
+      { name: "endTime", type: "uint256" },
+      { name: "rate", type: "uint256" },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  // Constants
+  {
+    inputs: [],
+    name: "ADMIN_ROLE",
+    outputs: [{ name: "", type: "bytes32" }],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "DEFAULT_ADMIN_ROLE",
+    outputs: [{ name: "", type: "bytes32" }],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "NOTICE_PERIOD",
+    outputs: [{ name: "", type: "uint256" }],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "YEAR_DURATION",
+    outputs: [{ name: "", type: "uint256" }],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "RATE_PRECISION",
+    outputs: [{ name: "", type: "uint256" }],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "MAX_TIERS",
+    outputs: [{ name: "", type: "uint8" }],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "MAX_PENDING_WITHDRAWALS",
+    outputs: [{ name: "", type: "uint256" }],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "MAX_STAKES_PER_ADDRESS",
+    outputs: [{ name: "", type: "uint256" }],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "MIN_STAKE_AMOUNT",
+    outputs: [{ name: "", type: "uint256" }],
+    stateMutability: "view",
+    type: "function",
+  },
+  // AccessControl
+  {
+    inputs: [
+      { name: "role", type: "bytes32" },
+      { name: "account", type: "address" },
+    ],
+    name: "hasRole",
+    outputs: [{ name: "", type: "bool" }],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [{ name: "role", type: "bytes32" }],
+    name: "getRoleAdmin",
+    outputs: [{ name: "", type: "bytes32" }],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      { name: "role", type: "bytes32" },
+      { name: "account", type: "address" },
+    ],
+    name: "grantRole",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      { name: "role", type: "bytes32" },
+      { name: "account", type: "address" },
+    ],
+    name: "revokeRole",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      { name: "role", type: "bytes32" },
+      { name: "callerConfirmation", type: "address" },
+    ],
+    name: "renounceRole",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
   // Write functions
   {
     inputs: [{ name: "amount", type: "uint256" }],
@@ -272,6 +441,13 @@ export const PROGRESSIVE_STAKING_ABI = [
     stateMutability: "nonpayable",
     type: "function",
   },
+  {
+    inputs: [{ name: "newRates", type: "uint256[6]" }],
+    name: "updateTierRates",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
   {
     inputs: [],
     name: "emergencyShutdown",
@@ -406,6 +582,115 @@ export const PROGRESSIVE_STAKING_ABI = [
     name: "ContractUnpaused",
     type: "event",
   },
+  {
+    anonymous: false,
+    inputs: [
+      { indexed: true, name: "admin", type: "address" },
+      { indexed: false, name: "timestamp", type: "uint256" },
+      { indexed: false, name: "totalStaked", type: "uint256" },
+      { indexed: false, name: "totalRewards", type: "uint256" },
+    ],
+    name: "EmergencyShutdown",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      { indexed: true, name: "admin", type: "address" },
+      { indexed: false, name: "newRates", type: "uint256[6]" },
+      { indexed: false, name: "timestamp", type: "uint256" },
+    ],
+    name: "TierRatesUpdated",
+    type: "event",
+  },
+  // AccessControl events
+  {
+    anonymous: false,
+    inputs: [
+      { indexed: true, name: "role", type: "bytes32" },
+      { indexed: true, name: "account", type: "address" },
+      { indexed: true, name: "sender", type: "address" },
+    ],
+    name: "RoleGranted",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      { indexed: true, name: "role", type: "bytes32" },
+      { indexed: true, name: "account", type: "address" },
+      { indexed: true, name: "sender", type: "address" },
+    ],
+    name: "RoleRevoked",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      { indexed: true, name: "role", type: "bytes32" },
+      { indexed: true, name: "previousAdminRole", type: "bytes32" },
+      { indexed: true, name: "newAdminRole", type: "bytes32" },
+    ],
+    name: "RoleAdminChanged",
+    type: "event",
+  },
+  // Errors
+  { inputs: [], name: "ZeroAmount", type: "error" },
+  { inputs: [], name: "InvalidStakeId", type: "error" },
+  { inputs: [], name: "NoRewardsToClaim", type: "error" },
+  { inputs: [], name: "InsufficientTreasury", type: "error" },
+  { inputs: [], name: "WithdrawNotReady", type: "error" },
+  { inputs: [], name: "WithdrawAlreadyExecuted", type: "error" },
+  { inputs: [], name: "NoWithdrawRequest", type: "error" },
+  { inputs: [], name: "EmergencyModeActive", type: "error" },
+  { inputs: [], name: "EmergencyModeNotActive", type: "error" },
+  { inputs: [], name: "InvalidTierRates", type: "error" },
+  { inputs: [], name: "PositionHasPendingWithdraw", type: "error" },
+  { inputs: [], name: "ZeroAddress", type: "error" },
+  { inputs: [], name: "InsufficientStakeBalance", type: "error" },
+  { inputs: [], name: "InvalidTier", type: "error" },
+  { inputs: [], name: "NoStakesToWithdraw", type: "error" },
+  { inputs: [], name: "TooManyPendingWithdrawals", type: "error" },
+  { inputs: [], name: "TooManyStakes", type: "error" },
+  { inputs: [], name: "StakeAmountTooLow", type: "error" },
+  { inputs: [], name: "TransferToSelf", type: "error" },
+  // Errors (inherited from OpenZeppelin)
+  {
+    inputs: [
+      { name: "account", type: "address" },
+      { name: "neededRole", type: "bytes32" },
+    ],
+    name: "AccessControlUnauthorizedAccount",
+    type: "error",
+  },
+  { inputs: [], name: "AccessControlBadConfirmation", type: "error" },
+  { inputs: [], name: "EnforcedPause", type: "error" },
+  { inputs: [], name: "ExpectedPause", type: "error" },
+  { inputs: [], name: "ReentrancyGuardReentrantCall", type: "error" },
+  {
+    inputs: [{ name: "token", type: "address" }],
+    name: "SafeERC20FailedOperation",
+    type: "error",
+  },
+  // Errors (bubbled up from OpenZeppelin ERC20 token transfers)
+  {
+    inputs: [
+      { name: "sender", type: "address" },
+      { name: "balance", type: "uint256" },
+      { name: "needed", type: "uint256" },
+    ],
+    name: "ERC20InsufficientBalance",
+    type: "error",
+  },
+  {
+    inputs: [
+      { name: "spender", type: "address" },
+      { name: "allowance", type: "uint256" },
+      { name: "needed", type: "uint256" },
+    ],
+    name: "ERC20InsufficientAllowance",
+    type: "error",
+  },
 ] as const;
 
 export const ERC20_ABI = [
@@ -450,4 +735,70 @@ export const ERC20_ABI = [
     stateMutability: "view",
     type: "function",
   },
+  {
+    inputs: [],
+    name: "name",
+    outputs: [{ name: "", type: "string" }],
+    stateMutability: "view",
+    type: "function",
+  },
+  // ERC-2612 permit
+  {
+    inputs: [
+      { name: "owner", type: "address" },
+      { name: "spender", type: "address" },
+      { name: "value", type: "uint256" },
+      { name: "deadline", type: "uint256" },
+      { name: "v", type: "uint8" },
+      { name: "r", type: "bytes32" },
+      { name: "s", type: "bytes32" },
+    ],
+    name: "permit",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [{ name: "owner", type: "address" }],
+    name: "nonces",
+    outputs: [{ name: "", type: "uint256" }],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "DOMAIN_SEPARATOR",
+    outputs: [{ name: "", type: "bytes32" }],
+    stateMutability: "view",
+    type: "function",
+  },
+  // ERC-5267, used to read the permit domain's name and version
+  {
+    inputs: [],
+    name: "eip712Domain",
+    outputs: [
+      { name: "fields", type: "bytes1" },
+      { name: "name", type: "string" },
+      { name: "version", type: "string" },
+      { name: "chainId", type: "uint256" },
+      { name: "verifyingContract", type: "address" },
+      { name: "salt", type: "bytes32" },
+      { name: "extensions", type: "uint256[]" },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [{ name: "deadline", type: "uint256" }],
+    name: "ERC2612ExpiredSignature",
+    type: "error",
+  },
+  {
+    inputs: [
+      { name: "signer", type: "address" },
+      { name: "owner", type: "address" },
+    ],
+    name: "ERC2612InvalidSigner",
+    type: "error",
+  },
 ] as const;
@@ -0,0 +1,192 @@
+import { formatUnits } from "viem";
+import type { StakerState, TierConfig } from "./types";
+import { calculatePositionRewards } from "./rewards";
+import { toCsv } from "./csv";
+import { TOKEN_DECIMALS } from "./config";
+
+/**
+ * Treasury solvency analytics.
+ *
+ * Projects the rewards owed to every staker forward in time using each
+ * position's tier schedule and compares them with the treasury balance.
+ * Projections assume no further claims, stakes or withdrawals: claims and
+ * executed withdrawals pay rewards out of the treasury, lowering balance and
+ * liability by the same amount.
+ */
+
+const DAY = 86_400n;
+/** Months are 30 days, matching the contract's 360-day reward year */
+const MONTH = 30n * DAY;
+
+export interface TreasuryReportInput {
+  stakers: readonly StakerState[];
+  tiers: readonly TierConfig[];
+  treasuryBalance: bigint;
+  totalStaked: bigint;
+  /** Block the state was read at */
+  blockNumber: bigint;
+  /** Timestamp of that block, in seconds */
+  timestamp: bigint;
+}
+
+export interface TreasuryReportOptions {
+  /** Projection points, in days from now (default: 30, 90, 180, 360) */
+  horizons?: readonly number[];
+  /** Months of rewards the suggested top-up should cover (default: 12) */
+  coverMonths?: number;
+  /** Furthest point searched for the insolvency date, in days (default: 3600) */
+  maxRunwayDays?: number;
+  /** Token decimals (default: TOKEN_DECIMALS) */
+  decimals?: number;
+}
+
+export interface LiabilityProjection {
+  date: Date;
+  daysFromNow: number;
+  /** Rewards owed to all stakers at `date` */
+  liability: bigint;
+  /** Amount by which `liability` exceeds the current treasury balance */
+  shortfall: bigint;
+}
+
+export interface TreasuryReport {
+  blockNumber: bigint;
+  generatedAt: Date;
+  /** Decimals of the token amounts below */
+  decimals: number;
+  treasuryBalance: bigint;
+  totalStaked: bigint;
+  stakerCount: number;
+  positionCount: number;
+  /** Rewards owed right now, including rewards frozen by withdrawal requests */
+  currentLiability: bigint;
+  /** Rewards accruing over the next day */
+  dailyAccrual: bigint;
+  /** Days until liabilities exceed the treasury; null if not within `maxRunwayDays` */
+  runwayDays: number | null;
+  /** First moment liabilities exceed the treasury; null if not within `maxRunwayDays` */
+  insolvencyDate: Date | null;
+  /** Deposit needed now to cover all rewards owed `months` from now */
+  topUp: { months: number; date: Date; liability: bigint; amount: bigint };
+  /** Day 0 first, then one entry per horizon */
+  projections: LiabilityProjection[];
+}
+
+function toDate(timestamp: bigint): Date {
+  return new Date(Number(timestamp) * 1000);
+}
+
+/**
+ * Build a function returning total liabilities at any timestamp from `now` on
+ */
+function liabilityCurve(
+  stakers: readonly StakerState[],
+  tiers: readonly TierConfig[],
+  now: bigint
+): (timestamp: bigint) => bigint {
+  const accruing = stakers
+    .filter((staker) => !staker.isFounder)
+    .flatMap((staker) => {
+      // Positions with a pending request stopped accruing at request time
+      const pending = new Set(staker.activeWithdrawals.map((r) => r.stakeId));
+      return staker.positions.filter((position) => !pending.has(position.stakeId));
+    })
+    .map((position) => ({
+      position,
+      accruedNow: calculatePositionRewards(position, tiers, now),
+    }));
+
+  const current = stakers
+    .filter((staker) => !staker.isFounder)
+    .reduce((sum, staker) => sum + staker.totalRewards, 0n);
+
+  return (timestamp) =>
+    accruing.reduce(
+      (sum, { position, accruedNow }) =>
+        sum + calculatePositionRewards(position, tiers, timestamp) - accruedNow,
+      current
+    );
+}
+
+/**
+ * Project reward liabilities against the treasury balance
+ */
+export function buildTreasuryReport(
+  input: TreasuryReportInput,
+  options: TreasuryReportOptions = {}
+): TreasuryReport {
+  const horizons = options.horizons ?? [30, 90, 180, 360];
+  const coverMonths = options.coverMonths ?? 12;
+  const maxRunway = BigInt(options.maxRunwayDays ?? 3600) * DAY;
+  const now = input.timestamp;
+  const balance = input.treasuryBalance;
+  const liabilityAt = liabilityCurve(input.stakers, input.tiers, now);
+
+  const project = (days: number): LiabilityProjection => {
+    const liability = liabilityAt(now + BigInt(days) * DAY);
+    return {
+      date: toDate(now + BigInt(days) * DAY),
+      daysFromNow: days,
+      liability,
+      shortfall: liability > balance ? liability - balance : 0n,
+    };
+  };
+
+  // Liabilities only grow, so binary search for the first insolvent second
+  const currentLiability = liabilityAt(now);
+  let insolventAt: bigint | null = null;
+  if (currentLiability > balance) {
+    insolventAt = now;
+  } else if (liabilityAt(now + maxRunway) > balance) {
+    let solvent = now;
+    let insolvent = now + maxRunway;
+    while (insolvent - solvent > 1n) {
+      const mid = (solvent + insolvent) / 2n;
+      if (liabilityAt(mid) > balance) insolvent = mid;
+      else solvent = mid;
+    }
+    insolventAt = insolvent;
+  }
+
+  const coverUntil = now + BigInt(coverMonths) * MONTH;
+  const coverLiability = liabilityAt(coverUntil);
+
+  return {
+    blockNumber: input.blockNumber,
+    generatedAt: toDate(now),
+    decimals: options.decimals ?? TOKEN_DECIMALS,
+    treasuryBalance: balance,
+    totalStaked: input.totalStaked,
+    stakerCount: input.stakers.filter((s) => s.positions.length > 0).length,
+    positionCount: input.stakers.reduce((sum, s) => sum + s.positions.length, 0),
+    currentLiability,
+    dailyAccrual: liabilityAt(now + DAY) - currentLiability,
+    runwayDays: insolventAt === null ? null : Number((insolventAt - now) / DAY),
+    insolvencyDate: insolventAt === null ? null : toDate(insolventAt),
+    topUp: {
+      months: coverMonths,
+      date: toDate(coverUntil),
+      liability: coverLiability,
+      amount: coverLiability > balance ? coverLiability - balance : 0n,
+    },
+    projections: [...new Set([0, ...horizons])].map(project),
+  };
+}
+
+/**
+ * Liability projections as CSV, one row per projection date, with token
+ * amounts in whole-token units
+ */
+export function treasuryReportToCsv(report: TreasuryReport): string {
+  const { decimals } = report;
+  return toCsv(
+    ["date", "days_from_now", "treasury_balance", "liability", "shortfall"],
+    report.projections.map((p) => [
+      p.date,
+      p.daysFromNow,
+      formatUnits(report.treasuryBalance, decimals),
+      formatUnits(p.liability, decimals),
+      formatUnits(p.shortfall, decimals),
+    ])
+  );
+}
@@ -0,0 +1,247 @@
+import type { Address } from "viem";
+import type { StakingEventLog } from "./events";
+import { calculatePositionRewards } from "./rewards";
+import type { StakePosition, TierConfig, WithdrawRequest } from "./types";
+import { eventUsers } from "./watch";
+
+/**
+ * Read-through cache for contract reads.
+ *
+ * Entries are keyed by method, arguments and block (`latest` for reads at
+ * the chain head). Reads at the head are scoped to the user they concern, or
+ * to the whole contract, so an event only drops the entries it can have
+ * changed. Reads at a pinned block never change and are only evicted by TTL.
+ */
+
+/**
+ * Key-value store behind the cache. Values are strings so the interface can
+ * be implemented over Redis, Memcached or similar.
+ */
+export interface StakingCacheStorage {
+  get(key: string): Promise<string | undefined>;
+  /** Store `value`, expiring after `ttl` ms if given */
+  set(key: string, value: string, ttl?: number): Promise<void>;
+  /** Delete every key starting with `prefix` */
+  deletePrefix(prefix: string): Promise<void>;
+}
+
+export interface StakingCacheConfig {
+  /** Where entries are stored (default: in memory) */
+  storage?: StakingCacheStorage;
+  /**
+   * Entry lifetime in ms (default: 60000). Bounds staleness when no event
+   * watcher is running, and catches changes no event reports, such as
+   * tokens sent straight to the contract.
+   */
+  ttl?: number;
+}
+
+/**
+ * State needed to derive a user's rewards at any later timestamp
+ */
+export interface RewardSnapshot {
+  /** Timestamp of the block the snapshot was read at */
+  timestamp: bigint;
+  positions: readonly StakePosition[];
+  /** `calculateRewards(user, stakeId)` at that block, in position order */
+  rewards: readonly bigint[];
+  /**
+   * Positions not accruing (frozen by a withdrawal request, or a founder's),
+   * in position order
+   */
+  frozen: readonly boolean[];
+}
+
+const DEFAULT_TTL = 60_000;
+const DEFAULT_MAX_ENTRIES = 10_000;
+
+/**
+ * In-memory storage. The oldest entries are evicted once `maxEntries`
+ * (default: 10000) is reached.
+ */
+export function createMemoryCacheStorage(
+  options: { maxEntries?: number } = {}
+): StakingCacheStorage {
+  const maxEntries = options.maxEntries ?? DEFAULT_MAX_ENTRIES;
+  const entries = new Map<string, { value: string; expiresAt: number }>();
+
+  return {
+    get: async (key) => {
+      const entry = entries.get(key);
+      if (!entry) return undefined;
+      if (entry.expiresAt <= Date.now()) {
+        entries.delete(key);
+        return undefined;
+      }
+      return entry.value;
+    },
+    set: async (key, value, ttl) => {
+      entries.delete(key);
+      if (entries.size >= maxEntries) {
+        entries.delete(entries.keys().next().value as string);
+      }
+      const expiresAt = ttl === undefined ? Infinity : Date.now() + ttl;
+      entries.set(key, { value, expiresAt });
+    },
+    deletePrefix: async (prefix) => {
+      for (const key of entries.keys()) {
+        if (key.startsWith(prefix)) entries.delete(key);
+      }
+    },
+  };
+}
+
+// Bigints are stored as { $bigint: "123" } so values round-trip through JSON
+function encode(value: unknown): string {
+  return JSON.stringify(value, (_key, v) =>
+    typeof v === "bigint" ? { $bigint: v.toString() } : v
+  );
+}
+
+function decode<T>(text: string): T {
+  return JSON.parse(text, (_key, v) =>
+    v !== null && typeof v === "object" && typeof v.$bigint === "string"
+      ? BigInt(v.$bigint)
+      : v
+  ) as T;
+}
+
+export interface CacheReadOptions {
+  /** User the value belongs to; omit for contract-wide values */
+  user?: Address;
+  /** Block the value is read at (default: the chain head) */
+  blockNumber?: bigint;
+}
+
+export class StakingCache {
+  private namespace: string;
+  private storage: StakingCacheStorage;
+  private ttl: number;
+  private inFlight = new Map<string, Promise<unknown>>();
+  /** Bumped by every invalidation, so a fetch racing one is not stored */
+  private generation = 0;
+
+  /**
+   * @param namespace Prefix separating contracts and chains sharing a storage
+   */
+  constructor(namespace: string, config: StakingCacheConfig = {}) {
+    this.namespace = namespace;
+    this.storage = config.storage ?? createMemoryCacheStorage();
+    this.ttl = config.ttl ?? DEFAULT_TTL;
+  }
+
+  private prefix(blockNumber?: bigint, user?: Address): string {
+    const block = blockNumber === undefined ? "latest" : blockNumber;
+    const scope = user === undefined ? "global" : user.toLowerCase();
+    return `${this.namespace}:${block}:${scope}:`;
+  }
+
+  /**
+   * Cached value of `method(args)`, fetched and stored on a miss. Concurrent
+   * reads of one key share a single lookup and fetch.
+   */
+  async read<T>(
+    method: string,
+    args: readonly unknown[],
+    options: CacheReadOptions,
+    fetch: () => Promise<T>
+  ): Promise<T> {
+    const prefix = this.prefix(options.blockNumber, options.user);
+    const key = `${prefix}${method}:${encode(args)}`;
+
+    const pending = this.inFlight.get(key);
+    if (pending) return pending as Promise<T>;
+
+    const generation = this.generation;
+    const promise = this.storage
+      .get(key)
+      .then(async (cached) => {
+        if (cached !== undefined) return decode<T>(cached);
+        const value = await fetch();
+        if (generation === this.generation) {
+          await this.storage.set(key, encode(value), this.ttl);
+        }
+        return value;
+      })
+      .finally(() => {
+        if (this.inFlight.get(key) === promise) this.inFlight.delete(key);
+      });
+    this.inFlight.set(key, promise);
+    return promise;
+  }
+
+  private async invalidatePrefix(prefix: string): Promise<void> {
+    this.generation++;
+    for (const key of this.inFlight.keys()) {
+      if (key.startsWith(prefix)) this.inFlight.delete(key);
+    }
+    await this.storage.deletePrefix(prefix);
+  }
+
+  /**
+   * Drop chain-head entries of `user`, or every entry if no user is given
+   */
+  async invalidate(user?: Address): Promise<void> {
+    if (user === undefined) {
+      await this.invalidatePrefix(`${this.namespace}:`);
+    } else {
+      await this.invalidatePrefix(this.prefix(undefined, user));
+    }
+  }
+
+  /**
+   * Drop the chain-head entries an event may have changed: those of every
+   * user it involves, and all contract-wide ones. New tier rates change
+   * every user's rewards, so `TierRatesUpdated` drops everything.
+   */
+  async invalidateEvent(event: StakingEventLog): Promise<void> {
+    if (event.eventName === "TierRatesUpdated") {
+      await this.invalidate();
+      return;
+    }
+    await this.invalidatePrefix(this.prefix());
+    for (const user of eventUsers(event)) {
+      await this.invalidatePrefix(this.prefix(undefined, user));
+    }
+  }
+}
+
+/**
+ * Whether a position's accrual is frozen by a withdrawal request. Executing
+ * or cancelling a request marks it `executed` and lifts the freeze, so only
+ * open requests count.
+ *
+ * @param requests Every withdrawal request of the user (`getPendingWithdrawals`)
+ */
+export function isRewardFrozen(
+  position: StakePosition,
+  requests: readonly WithdrawRequest[]
+): boolean {
+  return requests.some(
+    (request) =>
+      request.stakeId === position.stakeId &&
+      !request.executed
+  );
+}
+
+/**
+ * Rewards of each snapshot position at `timestamp`, in position order:
+ * the snapshot's on-chain value plus what accrued since, so frozen rewards
+ * the contract does not expose are carried over.
+ */
+export function deriveRewards(
+  snapshot: RewardSnapshot,
+  tiers: readonly TierConfig[],
+  timestamp: bigint
+): bigint[] {
+  return snapshot.positions.map((position, i) => {
+    if (snapshot.frozen[i] || timestamp <= snapshot.timestamp) {
+      return snapshot.rewards[i];
+    }
+    return (
+      snapshot.rewards[i] +
+      calculatePositionRewards(position, tiers, timestamp) -
+      calculatePositionRewards(position, tiers, snapshot.timestamp)
+    );
+  });
+}
@@ -0,0 +1,514 @@
+import { readFile } from "node:fs/promises";
+import { isAddress, type Address, type PublicClient } from "viem";
+import type { ProgressiveStakingClient } from "../client";
+import { createJsonLogger, StakingKeeper } from "../keeper";
+import { parseMigrationCsv } from "../migration";
+import type { StakingTransaction } from "../transaction";
+import type { StakingWriteCall, StakingWriteFunction } from "../types";
+import { fileJournal, fileKeeperStore } from "./journal";
+import { UsageError } from "./output";
+
+export interface CommandContext {
+  client: ProgressiveStakingClient;
+  publicClient: PublicClient;
+  /** Account that signs, or that `--dry-run` simulates as */
+  account?: Address;
+  /** Whether `account` can sign transactions */
+  canSign: boolean;
+  dryRun: boolean;
+  /** Build a Safe Transaction Builder batch for this Safe instead of sending */
+  safe?: Address;
+  confirmations: number;
+  /** `claim --all` */
+  all: boolean;
+  /** `migrate --journal` */
+  journal?: string;
+  /** `migrate --rate`, transfers per second */
+  rateLimit?: number;
+  /** `keeper` settings from the command line */
+  keeper: {
+    restake: boolean;
+    perPosition: boolean;
+    /** Seconds between checks */
+    interval?: number;
+    minRewards?: string;
+    /** Value of one native coin in staking tokens */
+    nativePrice?: string;
+    state?: string;
+  };
+  /** Progress messages; kept off stdout so JSON output stays parseable */
+  log: (message: string) => void;
+}
+
+type Command = (ctx: CommandContext, args: string[]) => Promise<unknown>;
+
+// Decoded result fields holding token amounts
+const AMOUNT_FIELDS = new Set(["amount", "rewards", "principal"]);
+
+// Calls `--safe` can batch
+const ADMIN_FUNCTIONS = new Set<StakingWriteFunction>([
+  "depositTreasury",
+  "withdrawTreasury",
+  "pause",
+  "unpause",
+  "adminTransferStake",
+]);
+
+function parseAmountArg(
+  ctx: CommandContext,
+  value: string | undefined,
+  name: string
+): bigint {
+  if (value === undefined) throw new UsageError(`Missing <${name}>`);
+  try {
+    return ctx.client.parseAmount(value);
+  } catch {
+    throw new UsageError(`Invalid ${name}: ${value}`);
+  }
+}
+
+function parseStakeIdArg(value: string | undefined): bigint {
+  if (value === undefined) throw new UsageError("Missing <stakeId>");
+  if (!/^\d+$/.test(value)) throw new UsageError(`Invalid stakeId: ${value}`);
+  return BigInt(value);
+}
+
+function parseAddressArg(value: string | undefined, name: string): Address {
+  if (value === undefined) throw new UsageError(`Missing <${name}>`);
+  if (!isAddress(value)) throw new UsageError(`Invalid ${name}: ${value}`);
+  return value;
+}
+
+function requireAccount(ctx: CommandContext): Address {
+  if (ctx.dryRun && ctx.account) return ctx.account;
+  if (!ctx.canSign || !ctx.account) {
+    throw new UsageError(
+      ctx.dryRun
+        ? "--dry-run needs a signer or --from <address> to simulate as"
+        : "No signer configured: use --keystore or set MAITME_PRIVATE_KEY"
+    );
+  }
+  return ctx.account;
+}
+
+/**
+ * With `--safe`, print the batch preview and return the Transaction Builder
+ * file. Otherwise simulate the call with `--dry-run`, or send it and wait
+ * for the decoded result.
+ */
+async function submit<F extends StakingWriteFunction>(
+  ctx: CommandContext,
+  call: StakingWriteCall<F>,
+  send: () => Promise<StakingTransaction<F>>
+): Promise<Record<string, unknown>> {
+  if (ctx.safe) {
+    if (!ADMIN_FUNCTIONS.has(call.functionName)) {
+      throw new UsageError("--safe only applies to admin commands");
+    }
+    const batch = await ctx.client.buildSafeBatch([call as StakingWriteCall], {
+      safeAddress: ctx.safe,
+    });
+    ctx.log(batch.preview);
+    return { ...batch.file };
+  }
+
+  const account = requireAccount(ctx);
+
+  if (ctx.dryRun) {
+    const { result, gas } = await ctx.client.simulate(
+      call as StakingWriteCall,
+      account
+    );
+    return {
+      dryRun: true,
+      from: account,
+      functionName: call.functionName,
+      args: call.args,
+      result,
+      gas,
+    };
+  }
+
+  const tx = await send();
+  const { receipt, ...rest } = await tx.wait({
+    confirmations: ctx.confirmations,
+    onStatus: (update) => {
+      if (update.status === "confirmed") {
+        const progress = `${update.confirmations}/${ctx.confirmations}`;
+        ctx.log(`confirmed (${progress}) ${update.hash}`);
+      } else if (update.status !== "failed") {
+        ctx.log(`${update.status} ${update.hash}`);
+      }
+    },
+  });
+
+  // Decoded events repeat the result fields
+  const result = Object.entries(rest).filter(([key]) => key !== "events");
+  return {
+    ...Object.fromEntries(
+      result.map(([key, value]) => [
+        key,
+        AMOUNT_FIELDS.has(key) && typeof value === "bigint"
+          ? ctx.client.formatAmount(value)
+          : value,
+      ])
+    ),
+    blockNumber: receipt.blockNumber,
+    gasUsed: receipt.gasUsed,
+  };
+}
+
+/**
+ * Approve the staking contract to pull `amount` tokens if needed. In a dry
+ * run, reports the missing allowance instead, since the call cannot be
+ * simulated before the approval is mined.
+ */
+async function ensureAllowance(
+  ctx: CommandContext,
+  amount: bigint
+): Promise<Record<string, unknown> | undefined> {
+  // A Safe batch includes the approval itself
+  if (ctx.safe) return undefined;
+  const account = requireAccount(ctx);
+
+  if (ctx.dryRun) {
+    const allowance = await ctx.client.getAllowance(account);
+    if (allowance >= amount) return undefined;
+    return {
+      dryRun: true,
+      from: account,
+      approvalRequired: true,
+      allowance: ctx.client.formatAmount(allowance),
+      required: ctx.client.formatAmount(amount),
+    };
+  }
+
+  const approvalHash = await ctx.client.approveIfNeeded(amount);
+  if (approvalHash) {
+    ctx.log(`approval submitted ${approvalHash}`);
+    await ctx.publicClient.waitForTransactionReceipt({ hash: approvalHash });
+    ctx.log(`approval mined ${approvalHash}`);
+  }
+  return undefined;
+}
+
+/**
+ * Execute every request of the signer whose notice period has ended
+ */
+async function executeReady(
+  ctx: CommandContext
+): Promise<Record<string, unknown>> {
+  if (ctx.dryRun || ctx.safe) {
+    throw new UsageError("--dry-run and --safe do not apply to execute --all");
+  }
+  const account = requireAccount(ctx);
+  const results = await ctx.client.executeAllReadyWithdrawals({
+    confirmations: ctx.confirmations,
+    onProgress: (r) =>
+      ctx.log(
+        `#${r.stakeId}: ${r.status}` +
+          (r.hash ? ` ${r.hash}` : "") +
+          (r.error ? ` (${r.error.code})` : "")
+      ),
+  });
+
+  return {
+    from: account,
+    executed: results.filter((r) => r.status === "executed").length,
+    failed: results.filter((r) => r.status === "failed").length,
+    withdrawals: results.map((r) => ({
+      stakeId: r.stakeId,
+      status: r.status,
+      amount: ctx.client.formatAmount(r.amount),
+      rewards:
+        r.rewards === undefined
+          ? undefined
+          : ctx.client.formatAmount(r.rewards),
+      hash: r.hash,
+      reason: r.error?.code,
+    })),
+  };
+}
+
+const withdraw: Record<string, Command> = {
+  request: (ctx, [stakeId, amount]) => {
+    const id = parseStakeIdArg(stakeId);
+    const value = parseAmountArg(ctx, amount, "amount");
+    return submit(ctx, { functionName: "requestWithdraw", args: [id, value] }, () =>
+      ctx.client.requestWithdraw(id, value)
+    );
+  },
+  execute: (ctx, [stakeId]) => {
+    if (ctx.all) {
+      if (stakeId !== undefined) throw new UsageError("Use either <stakeId> or --all");
+      return executeReady(ctx);
+    }
+    const id = parseStakeIdArg(stakeId);
+    return submit(ctx, { functionName: "executeWithdraw", args: [id] }, () =>
+      ctx.client.executeWithdraw(id)
+    );
+  },
+  cancel: (ctx, [stakeId]) => {
+    const id = parseStakeIdArg(stakeId);
+    return submit(ctx, { functionName: "cancelWithdrawRequest", args: [id] }, () =>
+      ctx.client.cancelWithdrawRequest(id)
+    );
+  },
+};
+
+const treasury: Record<string, Command> = {
+  report: async (ctx) => {
+    const report = await ctx.client.getTreasuryReport();
+    const format = (value: bigint) => ctx.client.formatAmount(value);
+    return {
+      ...report,
+      treasuryBalance: format(report.treasuryBalance),
+      totalStaked: format(report.totalStaked),
+      currentLiability: format(report.currentLiability),
+      dailyAccrual: format(report.dailyAccrual),
+      topUp: {
+        ...report.topUp,
+        liability: format(report.topUp.liability),
+        amount: format(report.topUp.amount),
+      },
+      projections: report.projections.map((p) => ({
+        ...p,
+        liability: format(p.liability),
+        shortfall: format(p.shortfall),
+      })),
+    };
+  },
+  deposit: async (ctx, [amount]) => {
+    const value = parseAmountArg(ctx, amount, "amount");
+    const blocked = await ensureAllowance(ctx, value);
+    if (blocked) return blocked;
+    return submit(ctx, { functionName: "depositTreasury", args: [value] }, () =>
+      ctx.client.depositTreasury(value)
+    );
+  },
+  withdraw: (ctx, [amount]) => {
+    const value = parseAmountArg(ctx, amount, "amount");
+    return submit(ctx, { functionName: "withdrawTreasury", args: [value] }, () =>
+      ctx.client.withdrawTreasury(value)
+    );
+  },
+};
+
+/**
+ * Run a CSV of `fromUser,stakeId,toUser` transfers, resumable through the
+ * journal file
+ */
+async function migrate(
+  ctx: CommandContext,
+  [csvPath]: string[]
+): Promise<Record<string, unknown>> {
+  if (csvPath === undefined) throw new UsageError("Missing <csv>");
+  if (!ctx.dryRun) requireAccount(ctx);
+
+  const { rows, errors } = parseMigrationCsv(await readFile(csvPath, "utf8"));
+  for (const error of errors) {
+    ctx.log(`line ${error.line}: ${error.reason}`);
+  }
+
+  const journalPath = ctx.journal ?? `${csvPath}.journal.jsonl`;
+  ctx.log(`journal ${journalPath}`);
+  const report = await ctx.client.migrateStakes(rows, {
+    journal: fileJournal(journalPath),
+    rateLimit: ctx.rateLimit,
+    confirmations: ctx.confirmations,
+    dryRun: ctx.dryRun,
+    onProgress: (row) =>
+      ctx.log(
+        `line ${row.line}: ${row.status}` +
+          (row.hash ? ` ${row.hash}` : "") +
+          (row.issues.length > 0
+            ? ` (${row.issues.map((i) => i.code).join(", ")})`
+            : "") +
+          (row.error ? ` (${row.error.code})` : "")
+      ),
+  });
+
+  const row = (r: (typeof report.rows)[number]) => ({
+    line: r.line,
+    fromUser: r.fromUser,
+    stakeId: r.stakeId,
+    toUser: r.toUser,
+    status: r.status,
+    hash: r.hash,
+    reason: r.error?.code ?? r.issues.map((i) => i.code).join(", "),
+  });
+  return {
+    rows: report.rows.length,
+    invalidLines: errors.length,
+    valid: report.rows.filter((r) => r.status === "valid").length,
+    transferred: report.transferred,
+    skipped: report.skipped,
+    failed: report.failed,
+    pending: report.pending,
+    errors: errors.map(({ line, reason }) => ({ line, reason })),
+    notTransferred: report.rows
+      .filter((r) => r.status === "skipped" || r.status === "failed")
+      .map(row),
+    discrepancies: report.discrepancies.map(row),
+  };
+}
+
+/**
+ * Run the auto-claim keeper for the signer until interrupted, logging JSON
+ * lines to stderr
+ */
+async function keeper(ctx: CommandContext): Promise<Record<string, unknown>> {
+  if (ctx.dryRun || ctx.safe) {
+    throw new UsageError(
+      "keeper sends transactions; --dry-run and --safe do not apply"
+    );
+  }
+  const account = requireAccount(ctx);
+  const { nativePrice, minRewards } = ctx.keeper;
+  if (nativePrice === undefined) {
+    throw new UsageError(
+      "Missing --native-price (value of one native coin in staking tokens)"
+    );
+  }
+  // Token wei per whole native coin (10^18 native wei)
+  const tokensPerCoin = parseAmountArg(ctx, nativePrice, "native-price");
+
+  const statePath = ctx.keeper.state ?? "maitme-keeper.state.json";
+  ctx.log(`state ${statePath}`);
+  const runner = new StakingKeeper({
+    wallets: [
+      {
+        client: ctx.client,
+        claimMode: ctx.keeper.perPosition ? "each" : "all",
+        restake: ctx.keeper.restake,
+        minRewards:
+          minRewards === undefined
+            ? undefined
+            : parseAmountArg(ctx, minRewards, "min-rewards"),
+      },
+    ],
+    gasCostInToken: (cost) => (cost * tokensPerCoin) / 10n ** 18n,
+    store: fileKeeperStore(statePath),
+    pollInterval:
+      ctx.keeper.interval === undefined
+        ? undefined
+        : ctx.keeper.interval * 1000,
+    confirmations: ctx.confirmations,
+    logger: createJsonLogger(ctx.log),
+  });
+  // Finish the current check and exit on Ctrl-C
+  const shutdown = new AbortController();
+  const stop = () => shutdown.abort();
+  process.once("SIGINT", stop);
+  process.once("SIGTERM", stop);
+  try {
+    await runner.run({ signal: shutdown.signal });
+  } finally {
+    process.off("SIGINT", stop);
+    process.off("SIGTERM", stop);
+  }
+
+  const state = await runner.getState();
+  const wallet = state.wallets[account.toLowerCase()];
+  return {
+    wallet: account,
+    totalClaimed: ctx.client.formatAmount(wallet?.totalClaimed ?? 0n),
+    totalRestaked: ctx.client.formatAmount(wallet?.totalRestaked ?? 0n),
+    restakeDue: ctx.client.formatAmount(wallet?.restakeDue ?? 0n),
+    lastClaimAt: wallet?.lastClaimAt ? new Date(wallet.lastClaimAt) : undefined,
+    lastError: wallet?.lastError?.code,
+  };
+}
+
+export const COMMANDS: Record<string, Command | Record<string, Command>> = {
+  status: async (ctx) => ({
+    contract: ctx.client.getContractAddress(),
+    ...(await ctx.client.getStakingStats()),
+  }),
+
+  user: async (ctx, [address]) => {
+    const user = address ? parseAddressArg(address, "address") : ctx.account;
+    if (!user) throw new UsageError("Missing <address>");
+    return ctx.client.getUserStats(user);
+  },
+
+  stake: async (ctx, [amount]) => {
+    const value = parseAmountArg(ctx, amount, "amount");
+    const blocked = await ensureAllowance(ctx, value);
+    if (blocked) return blocked;
+    return submit(ctx, { functionName: "stake", args: [value] }, () =>
+      ctx.client.stake(value)
+    );
+  },
+
+  claim: (ctx, [stakeId]) => {
+    if (ctx.all) {
+      if (stakeId !== undefined) throw new UsageError("Use either <stakeId> or --all");
+      return submit(ctx, { functionName: "claimAllRewards", args: [] }, () =>
+        ctx.client.claimAllRewards()
+      );
+    }
+    const id = parseStakeIdArg(stakeId);
+    return submit(ctx, { functionName: "claimRewards", args: [id] }, () =>
+      ctx.client.claimRewards(id)
+    );
+  },
+
+  withdraw,
+
+  pause: (ctx) =>
+    submit(ctx, { functionName: "pause", args: [] }, () => ctx.client.pause()),
+
+  unpause: (ctx) =>
+    submit(ctx, { functionName: "unpause", args: [] }, () => ctx.client.unpause()),
+
+  treasury,
+
+  "transfer-stake": (ctx, [from, stakeId, to]) => {
+    const fromUser = parseAddressArg(from, "from");
+    const id = parseStakeIdArg(stakeId);
+    const toUser = parseAddressArg(to, "to");
+    return submit(
+      ctx,
+      { functionName: "adminTransferStake", args: [fromUser, id, toUser] },
+      () => ctx.client.adminTransferStake(fromUser, id, toUser)
+    );
+  },
+
+  migrate,
+
+  keeper,
+};
+
+// Own entries only, so names like "constructor" are not found on the prototype
+function lookup<T>(
+  map: Record<string, T>,
+  key: string | undefined
+): T | undefined {
+  return key !== undefined && Object.prototype.hasOwnProperty.call(map, key)
+    ? map[key]
+    : undefined;
+}
+
+/**
+ * Resolve `positionals` to a command and run it
+ */
+export async function runCommand(
+  ctx: CommandContext,
+  positionals: string[]
+): Promise<unknown> {
+  const [name, ...rest] = positionals;
+  const entry = lookup(COMMANDS, name);
+  if (!entry) throw new UsageError(`Unknown command: ${name}`);
+
+  if (typeof entry === "function") return entry(ctx, rest);
+
+  const [subcommand, ...args] = rest;
+  const command = lookup(entry, subcommand);
+  if (!command) {
+    throw new UsageError(
+      `Usage: maitme-staking ${name} ${Object.keys(entry).join("|")} ...`
+    );
+  }
+  return command(ctx, args);
+}
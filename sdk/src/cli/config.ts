@@ -0,0 +1,147 @@
+import { existsSync, readFileSync } from "node:fs";
+import { resolve } from "node:path";
+import { isAddress, type Address, type Chain, type Hex } from "viem";
+import { privateKeyToAccount, type PrivateKeyAccount } from "viem/accounts";
+import { NETWORKS, type StakingNetworkName } from "../networks";
+import { decryptKeystore } from "./keystore";
+import { UsageError } from "./output";
+
+export const DEFAULT_CONFIG_FILE = "maitme-staking.config.json";
+
+export type CliNetwork = StakingNetworkName;
+
+/**
+ * Settings read from the config file; every field can be overridden by
+ * environment variables and command-line flags
+ */
+export interface CliConfigFile {
+  network?: CliNetwork;
+  rpcUrl?: string;
+  contractAddress?: Address;
+  tokenAddress?: Address;
+  /** Path to a v3 keystore file used for signing */
+  keystore?: string;
+  confirmations?: number;
+}
+
+export interface CliConfig {
+  network: CliNetwork;
+  chain: Chain;
+  rpcUrl: string;
+  contractAddress: Address;
+  tokenAddress?: Address;
+  deploymentBlock?: bigint;
+  confirmations: number;
+  keystore?: string;
+}
+
+export interface CliFlags {
+  config?: string;
+  network?: string;
+  "rpc-url"?: string;
+  contract?: string;
+  keystore?: string;
+  "password-file"?: string;
+  confirmations?: string;
+}
+
+function readConfigFile(path: string | undefined): CliConfigFile {
+  const file = resolve(path ?? DEFAULT_CONFIG_FILE);
+  if (!existsSync(file)) {
+    if (path) throw new UsageError(`Config file not found: ${file}`);
+    return {};
+  }
+  return JSON.parse(readFileSync(file, "utf8")) as CliConfigFile;
+}
+
+/**
+ * Resolve the CLI configuration: flags, then `MAITME_*` environment
+ * variables, then the config file, then the SDK's network registry
+ */
+export function loadCliConfig(
+  flags: CliFlags,
+  env: NodeJS.ProcessEnv = process.env
+): CliConfig {
+  const file = readConfigFile(flags.config ?? env.MAITME_CONFIG);
+
+  const network = (flags.network ??
+    env.MAITME_NETWORK ??
+    file.network ??
+    "sepolia") as CliNetwork;
+  if (!Object.prototype.hasOwnProperty.call(NETWORKS, network)) {
+    throw new UsageError(
+      `Unknown network "${network}" (expected ${Object.keys(NETWORKS).join(", ")})`
+    );
+  }
+  const defaults = NETWORKS[network];
+
+  const contractAddress =
+    flags.contract ??
+    env.MAITME_CONTRACT_ADDRESS ??
+    file.contractAddress ??
+    defaults.contractAddress;
+  if (!contractAddress || !isAddress(contractAddress)) {
+    throw new UsageError(
+      `No staking contract address configured for ${network}; ` +
+        "use --contract, MAITME_CONTRACT_ADDRESS or the config file"
+    );
+  }
+
+  const tokenAddress =
+    env.MAITME_TOKEN_ADDRESS ?? file.tokenAddress ?? defaults.tokenAddress;
+  const confirmations = Number(
+    flags.confirmations ?? env.MAITME_CONFIRMATIONS ?? file.confirmations ?? 1
+  );
+  if (!Number.isInteger(confirmations) || confirmations < 1) {
+    throw new UsageError("Confirmations must be a positive integer");
+  }
+
+  return {
+    network,
+    chain: defaults.chain,
+    rpcUrl:
+      flags["rpc-url"] ??
+      env.MAITME_RPC_URL ??
+      file.rpcUrl ??
+      defaults.chain.rpcUrls.default.http[0],
+    contractAddress,
+    tokenAddress: tokenAddress && isAddress(tokenAddress) ? tokenAddress : undefined,
+    // A different contract than the registry's has its own deployment block
+    deploymentBlock:
+      contractAddress.toLowerCase() === defaults.contractAddress?.toLowerCase()
+        ? defaults.deploymentBlock
+        : undefined,
+    confirmations,
+    keystore: flags.keystore ?? env.MAITME_KEYSTORE ?? file.keystore,
+  };
+}
+
+/**
+ * Signing account from a keystore (password from `--password-file` or
+ * `MAITME_KEYSTORE_PASSWORD`) or from `MAITME_PRIVATE_KEY`. Private keys are
+ * never accepted as flags, so they do not end up in shell history.
+ */
+export function loadSigner(
+  config: CliConfig,
+  flags: CliFlags,
+  env: NodeJS.ProcessEnv = process.env
+): PrivateKeyAccount | undefined {
+  if (config.keystore) {
+    const password = flags["password-file"]
+      ? readFileSync(resolve(flags["password-file"]), "utf8").replace(/\r?\n$/, "")
+      : env.MAITME_KEYSTORE_PASSWORD;
+    if (password === undefined) {
+      throw new UsageError(
+        "Keystore password required: use --password-file or MAITME_KEYSTORE_PASSWORD"
+      );
+    }
+    const json = readFileSync(resolve(config.keystore), "utf8");
+    return privateKeyToAccount(decryptKeystore(json, password));
+  }
+
+  if (env.MAITME_PRIVATE_KEY) {
+    return privateKeyToAccount(env.MAITME_PRIVATE_KEY as Hex);
+  }
+
+  return undefined;
+}
@@ -0,0 +1,192 @@
+#!/usr/bin/env node
+import { parseArgs } from "node:util";
+import {
+  createPublicClient,
+  createWalletClient,
+  http,
+  isAddress,
+  type PublicClient,
+} from "viem";
+import { ProgressiveStakingClient } from "../client";
+import { isStakingError } from "../errors";
+import { runCommand } from "./commands";
+import { DEFAULT_CONFIG_FILE, loadCliConfig, loadSigner } from "./config";
+import { render, UsageError, type OutputFormat } from "./output";
+
+const USAGE = `Usage: maitme-staking <command> [options]
+
+Commands:
+  status                                  Contract-wide staking stats
+  user [address]                          Positions, rewards and withdrawals of an address
+  stake <amount>                          Stake tokens, approving first if needed
+  claim <stakeId> | --all                 Claim rewards of one position or all positions
+  withdraw request <stakeId> <amount>     Start the notice period for (part of) a position
+  withdraw execute <stakeId> | --all      Withdraw after the notice period (--all: every ready request)
+  withdraw cancel <stakeId>               Cancel a pending withdrawal
+  pause | unpause                         Pause or unpause the contract (ADMIN_ROLE)
+  treasury deposit|withdraw <amount>      Fund or drain the reward treasury (DEFAULT_ADMIN)
+  treasury report                         Reward liabilities, runway and suggested top-up
+  transfer-stake <from> <stakeId> <to>    Move a position between users (ADMIN_ROLE)
+  migrate <csv>                           Transfer every fromUser,stakeId,toUser row (ADMIN_ROLE)
+  keeper                                  Claim rewards whenever they beat the gas cost, until
+                                          interrupted (JSON logs on stderr)
+
+Options:
+  --network <name>        sepolia (default), mainnet or anvil
+  --rpc-url <url>         RPC endpoint
+  --contract <address>    Staking contract address
+  --config <path>         Config file (default: ./${DEFAULT_CONFIG_FILE})
+  --keystore <path>       Sign with a v3 keystore file
+  --password-file <path>  File holding the keystore password
+  --from <address>        Account to simulate as with --dry-run (default: signer)
+  --dry-run               Simulate write commands without sending them
+  --safe <address>        Print a Safe Transaction Builder batch for an admin
+                          command instead of sending it (preview on stderr)
+  --confirmations <n>     Blocks to wait for after a transaction is mined (default: 1)
+  --all                   With claim or withdraw execute: every position or ready request
+  --journal <path>        With migrate: progress journal (default: <csv>.journal.jsonl)
+  --rate <n>              With migrate: transfers sent per second (default: 2)
+  --native-price <n>      With keeper: value of one native coin (ETH) in staking tokens
+  --restake               With keeper: stake claimed rewards again
+  --per-position          With keeper: claim each position separately
+  --interval <seconds>    With keeper: time between checks (default: 3600)
+  --min-rewards <amount>  With keeper: smallest claim worth sending
+  --state <path>          With keeper: state file (default: ./maitme-keeper.state.json)
+  --json                  Print JSON instead of tables
+  -h, --help              Show this help
+
+Environment:
+  MAITME_NETWORK, MAITME_RPC_URL, MAITME_CONTRACT_ADDRESS, MAITME_TOKEN_ADDRESS,
+  MAITME_CONFIG, MAITME_CONFIRMATIONS, MAITME_KEYSTORE, MAITME_KEYSTORE_PASSWORD,
+  MAITME_PRIVATE_KEY
+`;
+
+async function main(argv: string[]): Promise<void> {
+  const { values: flags, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      network: { type: "string" },
+      "rpc-url": { type: "string" },
+      contract: { type: "string" },
+      config: { type: "string" },
+      keystore: { type: "string" },
+      "password-file": { type: "string" },
+      from: { type: "string" },
+      "dry-run": { type: "boolean", default: false },
+      safe: { type: "string" },
+      confirmations: { type: "string" },
+      all: { type: "boolean", default: false },
+      journal: { type: "string" },
+      rate: { type: "string" },
+      "native-price": { type: "string" },
+      restake: { type: "boolean", default: false },
+      "per-position": { type: "boolean", default: false },
+      interval: { type: "string" },
+      "min-rewards": { type: "string" },
+      state: { type: "string" },
+      json: { type: "boolean", default: false },
+      help: { type: "boolean", short: "h", default: false },
+    },
+  });
+
+  if (flags.help || positionals.length === 0) {
+    process.stdout.write(USAGE);
+    return;
+  }
+
+  const config = loadCliConfig(flags);
+  const signer = loadSigner(config, flags);
+  if (flags.from !== undefined && !isAddress(flags.from)) {
+    throw new UsageError(`Invalid --from address: ${flags.from}`);
+  }
+  if (flags.safe !== undefined && !isAddress(flags.safe)) {
+    throw new UsageError(`Invalid --safe address: ${flags.safe}`);
+  }
+  const rateLimit = flags.rate === undefined ? undefined : Number(flags.rate);
+  if (rateLimit !== undefined && !(rateLimit > 0)) {
+    throw new UsageError(`Invalid --rate: ${flags.rate}`);
+  }
+  const interval =
+    flags.interval === undefined ? undefined : Number(flags.interval);
+  if (interval !== undefined && !(interval > 0)) {
+    throw new UsageError(`Invalid --interval: ${flags.interval}`);
+  }
+
+  const publicClient = createPublicClient({
+    chain: config.chain,
+    transport: http(config.rpcUrl),
+  }) as PublicClient;
+  const clientConfig = {
+    contractAddress: config.contractAddress,
+    tokenAddress: config.tokenAddress,
+    deploymentBlock: config.deploymentBlock,
+  };
+  const client = signer
+    ? ProgressiveStakingClient.createWithWallet(
+        clientConfig,
+        publicClient,
+        createWalletClient({
+          account: signer,
+          chain: config.chain,
+          transport: http(config.rpcUrl),
+        })
+      )
+    : new ProgressiveStakingClient(clientConfig, publicClient);
+
+  // Amounts on the command line and in output use the token's own decimals
+  await client.init();
+
+  const result = await runCommand(
+    {
+      client,
+      publicClient,
+      account: signer?.address ?? flags.from,
+      canSign: signer !== undefined,
+      dryRun: flags["dry-run"],
+      safe: flags.safe,
+      confirmations: config.confirmations,
+      all: flags.all,
+      journal: flags.journal,
+      rateLimit,
+      keeper: {
+        restake: flags.restake,
+        perPosition: flags["per-position"],
+        interval,
+        minRewards: flags["min-rewards"],
+        nativePrice: flags["native-price"],
+        state: flags.state,
+      },
+      log: (message) => process.stderr.write(`${message}\n`),
+    },
+    positionals
+  );
+
+  // Safe batches are files for the Transaction Builder, so always JSON
+  const format: OutputFormat = flags.json || flags.safe ? "json" : "table";
+  process.stdout.write(`${render(result, format)}\n`);
+}
+
+function isUsageError(error: unknown): error is Error {
+  // parseArgs rejects unknown flags with ERR_PARSE_ARGS_* codes
+  return (
+    error instanceof UsageError ||
+    String((error as { code?: unknown })?.code).startsWith("ERR_PARSE_ARGS")
+  );
+}
+
+main(process.argv.slice(2)).catch((error: unknown) => {
+  if (isUsageError(error)) {
+    process.stderr.write(
+      `error: ${error.message}\n\nRun maitme-staking --help for usage.\n`
+    );
+    process.exitCode = 2;
+  } else if (isStakingError(error)) {
+    process.stderr.write(`error [${error.code}]: ${error.message}\n`);
+    process.exitCode = 1;
+  } else {
+    const message = error instanceof Error ? error.message : String(error);
+    process.stderr.write(`error: ${message}\n`);
+    process.exitCode = 1;
+  }
+});
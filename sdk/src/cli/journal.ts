@@ -0,0 +1,82 @@
+import { appendFile, readFile, rename, writeFile } from "node:fs/promises";
+import type { KeeperState, KeeperStore } from "../keeper";
+import type { MigrationJournal, MigrationJournalEntry } from "../migration";
+
+/**
+ * Migration journal stored as JSON lines, one entry per line. Appends are
+ * line-sized, so an interrupted write can only damage the last line, which
+ * is ignored on load.
+ */
+export function fileJournal(path: string): MigrationJournal {
+  return {
+    async load() {
+      let text: string;
+      try {
+        text = await readFile(path, "utf8");
+      } catch (error) {
+        if ((error as { code?: string }).code === "ENOENT") return [];
+        throw error;
+      }
+
+      const lines = text.split("\n").filter((line) => line.trim() !== "");
+      const entries: MigrationJournalEntry[] = [];
+      for (const [i, line] of lines.entries()) {
+        try {
+          entries.push(
+            JSON.parse(line, (key, value) =>
+              key === "blockNumber" && typeof value === "string"
+                ? BigInt(value)
+                : value
+            )
+          );
+        } catch (error) {
+          if (i === lines.length - 1) break;
+          throw new Error(`Corrupt journal ${path} at line ${i + 1}`);
+        }
+      }
+      return entries;
+    },
+
+    async append(entry) {
+      const line = JSON.stringify(entry, (_key, value) =>
+        typeof value === "bigint" ? value.toString() : value
+      );
+      await appendFile(path, `${line}\n`);
+    },
+  };
+}
+
+/**
+ * Keeper state stored as one JSON file, with bigints as `{ "$bigint": "…" }`.
+ * Saves go to a temporary file renamed over the old one, so a crash never
+ * leaves a half-written state behind.
+ */
+export function fileKeeperStore(path: string): KeeperStore {
+  return {
+    async load() {
+      let text: string;
+      try {
+        text = await readFile(path, "utf8");
+      } catch (error) {
+        if ((error as { code?: string }).code === "ENOENT") return undefined;
+        throw error;
+      }
+      return JSON.parse(text, (_key, value) =>
+        value !== null && typeof value?.$bigint === "string"
+          ? BigInt(value.$bigint)
+          : value
+      ) as KeeperState;
+    },
+
+    async save(state) {
+      const json = JSON.stringify(
+        state,
+        (_key, value) =>
+          typeof value === "bigint" ? { $bigint: value.toString() } : value,
+        2
+      );
+      await writeFile(`${path}.tmp`, `${json}\n`);
+      await rename(`${path}.tmp`, path);
+    },
+  };
+}
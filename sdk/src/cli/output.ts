@@ -0,0 +1,91 @@
+export type OutputFormat = "table" | "json";
+
+/**
+ * Invalid command line; printed with the usage hint and exit code 2
+ */
+export class UsageError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = "UsageError";
+  }
+}
+
+function toPlain(value: unknown): unknown {
+  if (typeof value === "bigint") return value.toString();
+  if (value instanceof Date) return value.toISOString();
+  if (Array.isArray(value)) return value.map(toPlain);
+  if (value && typeof value === "object") {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, entry]) => [key, toPlain(entry)])
+    );
+  }
+  return value;
+}
+
+function cell(value: unknown): string {
+  const plain = toPlain(value);
+  if (plain === undefined || plain === null) return "-";
+  if (typeof plain === "object") return JSON.stringify(plain);
+  return String(plain);
+}
+
+function isRecord(value: unknown): value is Record<string, unknown> {
+  return (
+    typeof value === "object" &&
+    value !== null &&
+    !Array.isArray(value) &&
+    !(value instanceof Date)
+  );
+}
+
+function grid(rows: string[][]): string {
+  const widths = rows[0].map((_, column) =>
+    Math.max(...rows.map((row) => row[column].length))
+  );
+  return rows
+    .map((row) =>
+      row
+        .map((value, column) => value.padEnd(widths[column]))
+        .join("  ")
+        .trimEnd()
+    )
+    .join("\n");
+}
+
+function renderList(items: readonly unknown[]): string {
+  if (items.length === 0) return "(none)";
+  if (!items.every(isRecord)) return items.map(cell).join("\n");
+
+  const columns = [...new Set(items.flatMap((item) => Object.keys(item)))];
+  const header = columns;
+  const divider = columns.map((column) => "-".repeat(column.length));
+  const body = items.map((item) => columns.map((column) => cell(item[column])));
+  return grid([header, divider, ...body]);
+}
+
+function renderTable(value: unknown): string {
+  if (Array.isArray(value)) return renderList(value);
+  if (!isRecord(value)) return cell(value);
+
+  const scalars = Object.entries(value).filter(([, entry]) => !Array.isArray(entry));
+  const lists = Object.entries(value).filter(([, entry]) => Array.isArray(entry));
+
+  const sections: string[] = [];
+  if (scalars.length > 0) {
+    sections.push(grid(scalars.map(([key, entry]) => [key, cell(entry)])));
+  }
+  for (const [key, entry] of lists) {
+    sections.push(`${key}:\n${renderList(entry as unknown[])}`);
+  }
+  return sections.join("\n\n");
+}
+
+/**
+ * Render a command result. JSON output is stable for scripts: bigints are
+ * decimal strings and dates ISO 8601 strings.
+ */
+export function render(value: unknown, format: OutputFormat): string {
+  return format === "json"
+    ? JSON.stringify(toPlain(value), null, 2)
+    : renderTable(value);
+}
@@ -2,8 +2,15 @@ import {
   createPublicClient,
   createWalletClient,
   http,
-  formatUnits,
   parseUnits,
+  encodeFunctionData,
+  decodeFunctionResult,
+  getContractError,
+  domainSeparator,
+  parseSignature,
+  zeroAddress,
+  type BaseError,
+  type Hash,
   type Address,
   type PublicClient,
   type WalletClient,
@@ -21,15 +28,140 @@ import type {
   StakingStats,
   UserStats,
   StakingClientConfig,
+  MulticallConfig,
+  StakingConstants,
+  StakerState,
+  PermitDomain,
+  TokenMetadata,
+  AmountFormatOptions,
+  TierRates,
+  StakingWriteFunction,
+  StakingWriteCall,
+  SimulationResult,
+  TransactionCostEstimate,
+  WriteOptions,
 } from "./types";
-import { NOTICE_PERIOD_DAYS } from "./types";
+import {
+  NOTICE_PERIOD_DAYS,
+  MAX_TIERS,
+  ADMIN_ROLE,
+  DEFAULT_ADMIN_ROLE,
+  DEFAULT_MULTICALL_BATCH_SIZE,
+} from "./types";
+import {
+  ContractRevertError,
+  STAKING_ERROR_MESSAGES,
+  TransactionRevertedError,
+  UserRejectedError,
+  WalletNotConfiguredError,
+  parseStakingError,
+} from "./errors";
+import { StakingEventIndexer } from "./events";
+import type {
+  EventIndexerOptions,
+  EventQueryOptions,
+  StakingEvent,
+} from "./events";
+import { watchStakingEvents } from "./watch";
+import type { WatchOptions, WatchHandler } from "./watch";
+import * as validators from "./validation";
+import type { ValidationResult } from "./validation";
+import { StakingTransaction } from "./transaction";
+import { buildTreasuryReport } from "./analytics";
+import type { TreasuryReport, TreasuryReportOptions } from "./analytics";
+import { balanceMerkleTree, SNAPSHOT_SCHEMA_VERSION } from "./snapshot";
+import type { SnapshotAccount, StakingSnapshot } from "./snapshot";
+import {
+  describeStakingCall,
+  encodeSafeApproval,
+  previewSafeTransactions,
+  toSafeBatchFile,
+} from "./safe";
+import type { SafeBatch, SafeBatchOptions, SafeTransaction } from "./safe";
+import {
+  createMemoryJournal,
+  latestJournalEntries,
+  migrationRowKey,
+  reconcileMigration,
+  validateMigrationRows,
+} from "./migration";
+import type {
+  MigrationJournalEntry,
+  MigrationOptions,
+  MigrationReport,
+  MigrationRow,
+  MigrationRowResult,
+} from "./migration";
+import { planWithdrawal } from "./planner";
+import type { WithdrawalPlan, WithdrawalPlanOptions } from "./planner";
+import type {
+  ExecuteWithdrawalsOptions,
+  ReadyWithdrawalResult,
+} from "./scheduler";
+import { compareClaimStrategies } from "./strategy";
+import type {
+  ClaimStrategy,
+  StrategySimulationOptions,
+  StrategySimulationResult,
+} from "./strategy";
+import { TOKEN_DECIMALS, TOKEN_SYMBOL } from "./config";
+import { buildPositionTimeline, timelineToIcs } from "./timeline";
+import type { CalendarOptions, PositionTimeline } from "./timeline";
+import { buildIncomeLedger, LEDGER_EVENTS } from "./ledger";
+import type { IncomeLedger, LedgerOptions } from "./ledger";
+import { formatTokenAmount } from "./format";
+import { StakingCache, deriveRewards, isRewardFrozen } from "./cache";
+import type { RewardSnapshot } from "./cache";
+import { resolveNetwork, verifyDeployment } from "./networks";
+import type {
+  NetworkClientOptions,
+  StakingNetwork,
+  StakingNetworkName,
+} from "./networks";
+
+type StakingConstantFunction =
+  | "ADMIN_ROLE"
+  | "DEFAULT_ADMIN_ROLE"
+  | "NOTICE_PERIOD"
+  | "YEAR_DURATION"
+  | "RATE_PRECISION"
+  | "MAX_TIERS"
+  | "MAX_PENDING_WITHDRAWALS"
+  | "MAX_STAKES_PER_ADDRESS"
+  | "MIN_STAKE_AMOUNT";
+
+interface NonceSequence {
+  /**
+   * Call `send` with the next nonce. After a failed send the next nonce is
+   * read from the node again.
+   */
+  send<T>(
+    send: (nonce: number) => Promise<T>
+  ): Promise<{ result: T; nonce: number }>;
+}
+
+const PERMIT_TYPES = {
+  Permit: [
+    { name: "owner", type: "address" },
+    { name: "spender", type: "address" },
+    { name: "value", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" },
+  ],
+} as const;
 
 export class ProgressiveStakingClient {
   private publicClient: PublicClient;
   private walletClient?: WalletClient<Transport, Chain, Account>;
   private contractAddress: Address;
   private tokenAddress?: Address;
-  private decimals: number = 18;
+  private deploymentBlock?: bigint;
+  private permitDomain?: Promise<PermitDomain | null>;
+  private token?: TokenMetadata;
+  private tokenMetadata?: Promise<TokenMetadata>;
+  private amountFormat: AmountFormatOptions;
+  private multicallConfig: MulticallConfig;
+  private cache?: StakingCache;
 
   constructor(
     config: StakingClientConfig,
@@ -38,8 +170,18 @@ export class ProgressiveStakingClient {
   ) {
     this.contractAddress = config.contractAddress;
     this.tokenAddress = config.tokenAddress;
+    this.deploymentBlock = config.deploymentBlock;
+    this.multicallConfig = config.multicall ?? {};
+    this.amountFormat = config.amountFormat ?? {};
     this.publicClient = publicClient;
     this.walletClient = walletClient;
+    if (config.cache) {
+      const chainId = publicClient.chain?.id ?? "unknown";
+      this.cache = new StakingCache(
+        `${chainId}:${config.contractAddress.toLowerCase()}`,
+        config.cache
+      );
+    }
   }
 
   // ============ Static Factory Methods ============
@@ -64,6 +206,58 @@ export class ProgressiveStakingClient {
     return new ProgressiveStakingClient(config, publicClient, walletClient);
   }
 
+  /**
+   * Connect to a registered network, e.g. `forNetwork("sepolia", { rpcUrl })`,
+   * or to a custom `StakingNetwork`. Unless `skipVerification` is set, checks
+   * that the RPC endpoint is on the network's chain, that the contract
+   * implements the staking ABI and that it stakes the recorded token.
+   *
+   * @throws NetworkMismatchError if a check fails
+   */
+  static async forNetwork(
+    network: StakingNetworkName | StakingNetwork,
+    options: NetworkClientOptions = {}
+  ): Promise<ProgressiveStakingClient> {
+    const registered = resolveNetwork(network);
+    const chain = registered.chain;
+    const contractAddress =
+      options.contractAddress ?? registered.contractAddress;
+    if (!contractAddress) {
+      throw new Error(
+        `No staking contract recorded for ${chain.name}; pass contractAddress`
+      );
+    }
+    const deployment = {
+      chain,
+      contractAddress,
+      tokenAddress: options.tokenAddress ?? registered.tokenAddress,
+      deploymentBlock: options.deploymentBlock ?? registered.deploymentBlock,
+    };
+
+    const transport = http(options.rpcUrl);
+    const publicClient = createPublicClient({ chain, transport });
+    const tokenAddress = options.skipVerification
+      ? deployment.tokenAddress
+      : await verifyDeployment(publicClient, deployment);
+
+    const config: StakingClientConfig = {
+      contractAddress,
+      tokenAddress,
+      deploymentBlock: deployment.deploymentBlock,
+      multicall: options.multicall,
+      cache: options.cache,
+      amountFormat: options.amountFormat,
+    };
+    if (!options.account) {
+      return new ProgressiveStakingClient(config, publicClient);
+    }
+    return new ProgressiveStakingClient(
+      config,
+      publicClient,
+      createWalletClient({ account: options.account, chain, transport })
+    );
+  }
+
   // ============ Read Methods ============
 
   async getStakingToken(): Promise<Address> {
@@ -78,12 +272,14 @@ export class ProgressiveStakingClient {
   }
 
   async getStakeInfo(user: Address): Promise<readonly StakePosition[]> {
-    return this.publicClient.readContract({
-      address: this.contractAddress,
-      abi: PROGRESSIVE_STAKING_ABI,
-      functionName: "getStakeInfo",
-      args: [user],
-    });
+    return this.cached("getStakeInfo", [user], user, () =>
+      this.publicClient.readContract({
+        address: this.contractAddress,
+        abi: PROGRESSIVE_STAKING_ABI,
+        functionName: "getStakeInfo",
+        args: [user],
+      })
+    );
   }
 
   async getStakeByStakeId(
@@ -98,7 +294,15 @@ export class ProgressiveStakingClient {
     });
   }
 
+  /**
+   * With a cache configured, derived from cached positions at the current
+   * time instead of read on every call
+   */
   async calculateTotalRewards(user: Address): Promise<bigint> {
+    if (this.cache) {
+      const { rewards } = await this.getCachedRewards(user);
+      return rewards.reduce((sum, value) => sum + value, 0n);
+    }
     return this.publicClient.readContract({
       address: this.contractAddress,
       abi: PROGRESSIVE_STAKING_ABI,
@@ -107,7 +311,16 @@ export class ProgressiveStakingClient {
     });
   }
 
+  /**
+   * Derived locally like `calculateTotalRewards` when a cache is configured
+   */
   async calculateRewards(user: Address, stakeId: bigint): Promise<bigint> {
+    if (this.cache) {
+      const { snapshot, rewards } = await this.getCachedRewards(user);
+      const index = snapshot.positions.findIndex((p) => p.stakeId === stakeId);
+      // Unknown positions fall through so the contract reverts as usual
+      if (index !== -1) return rewards[index];
+    }
     return this.publicClient.readContract({
       address: this.contractAddress,
       abi: PROGRESSIVE_STAKING_ABI,
@@ -126,84 +339,223 @@ export class ProgressiveStakingClient {
   }
 
   async getUserStakeCount(user: Address): Promise<bigint> {
-    return this.publicClient.readContract({
-      address: this.contractAddress,
-      abi: PROGRESSIVE_STAKING_ABI,
-      functionName: "getUserStakeCount",
-      args: [user],
-    });
+    return this.cached("getUserStakeCount", [user], user, () =>
+      this.publicClient.readContract({
+        address: this.contractAddress,
+        abi: PROGRESSIVE_STAKING_ABI,
+        functionName: "getUserStakeCount",
+        args: [user],
+      })
+    );
   }
 
   async getPendingWithdrawals(user: Address): Promise<readonly WithdrawRequest[]> {
-    return this.publicClient.readContract({
-      address: this.contractAddress,
-      abi: PROGRESSIVE_STAKING_ABI,
-      functionName: "getPendingWithdrawals",
-      args: [user],
-    });
+    return this.cached("getPendingWithdrawals", [user], user, () =>
+      this.publicClient.readContract({
+        address: this.contractAddress,
+        abi: PROGRESSIVE_STAKING_ABI,
+        functionName: "getPendingWithdrawals",
+        args: [user],
+      })
+    );
   }
 
   async getActivePendingWithdrawals(
     user: Address
   ): Promise<readonly WithdrawRequest[]> {
-    return this.publicClient.readContract({
-      address: this.contractAddress,
-      abi: PROGRESSIVE_STAKING_ABI,
-      functionName: "getActivePendingWithdrawals",
-      args: [user],
-    });
+    return this.cached("getActivePendingWithdrawals", [user], user, () =>
+      this.publicClient.readContract({
+        address: this.contractAddress,
+        abi: PROGRESSIVE_STAKING_ABI,
+        functionName: "getActivePendingWithdrawals",
+        args: [user],
+      })
+    );
   }
 
   async getTierConfig(tierIndex: number): Promise<TierConfig> {
-    return this.publicClient.readContract({
-      address: this.contractAddress,
-      abi: PROGRESSIVE_STAKING_ABI,
-      functionName: "getTierConfig",
-      args: [tierIndex],
-    });
+    return this.cached("getTierConfig", [tierIndex], undefined, () =>
+      this.publicClient.readContract({
+        address: this.contractAddress,
+        abi: PROGRESSIVE_STAKING_ABI,
+        functionName: "getTierConfig",
+        args: [tierIndex],
+      })
+    );
+  }
+
+  /**
+   * Fetch the full tier table (all MAX_TIERS entries), e.g. for the offline
+   * reward engine in `rewards.ts`
+   */
+  async getTierConfigs(): Promise<TierConfig[]> {
+    return Promise.all(
+      Array.from({ length: MAX_TIERS }, (_, i) => this.getTierConfig(i))
+    );
   }
 
   async getTotalStaked(): Promise<bigint> {
-    return this.publicClient.readContract({
-      address: this.contractAddress,
-      abi: PROGRESSIVE_STAKING_ABI,
-      functionName: "totalStaked",
-    });
+    return this.cached("totalStaked", [], undefined, () =>
+      this.publicClient.readContract({
+        address: this.contractAddress,
+        abi: PROGRESSIVE_STAKING_ABI,
+        functionName: "totalStaked",
+      })
+    );
   }
 
   async getTreasuryBalance(): Promise<bigint> {
-    return this.publicClient.readContract({
-      address: this.contractAddress,
-      abi: PROGRESSIVE_STAKING_ABI,
-      functionName: "getTreasuryBalance",
-    });
+    return this.cached("getTreasuryBalance", [], undefined, () =>
+      this.publicClient.readContract({
+        address: this.contractAddress,
+        abi: PROGRESSIVE_STAKING_ABI,
+        functionName: "getTreasuryBalance",
+      })
+    );
   }
 
   async isPaused(): Promise<boolean> {
+    return this.cached("paused", [], undefined, () =>
+      this.publicClient.readContract({
+        address: this.contractAddress,
+        abi: PROGRESSIVE_STAKING_ABI,
+        functionName: "paused",
+      })
+    );
+  }
+
+  async isEmergencyMode(): Promise<boolean> {
+    return this.cached("emergencyMode", [], undefined, () =>
+      this.publicClient.readContract({
+        address: this.contractAddress,
+        abi: PROGRESSIVE_STAKING_ABI,
+        functionName: "emergencyMode",
+      })
+    );
+  }
+
+  async isFounder(user: Address): Promise<boolean> {
+    return this.cached("isFounder", [user], user, () =>
+      this.publicClient.readContract({
+        address: this.contractAddress,
+        abi: PROGRESSIVE_STAKING_ABI,
+        functionName: "isFounder",
+        args: [user],
+      })
+    );
+  }
+
+  async getNextStakeId(): Promise<bigint> {
     return this.publicClient.readContract({
       address: this.contractAddress,
       abi: PROGRESSIVE_STAKING_ABI,
-      functionName: "paused",
+      functionName: "nextStakeId",
     });
   }
 
-  async isEmergencyMode(): Promise<boolean> {
+  /**
+   * Raw `userStakes(user, index)` getter - position at an array index
+   */
+  async getUserStakeAt(user: Address, index: bigint): Promise<StakePosition> {
+    const [stakeId, amount, startTime, lastClaimTime] =
+      await this.publicClient.readContract({
+        address: this.contractAddress,
+        abi: PROGRESSIVE_STAKING_ABI,
+        functionName: "userStakes",
+        args: [user, index],
+      });
+    return { stakeId, amount, startTime, lastClaimTime };
+  }
+
+  /**
+   * Raw `userWithdrawRequests(user, index)` getter - request at an array index
+   */
+  async getUserWithdrawRequestAt(
+    user: Address,
+    index: bigint
+  ): Promise<WithdrawRequest> {
+    const [stakeId, amount, requestTime, availableAt, executed, cancelled] =
+      await this.publicClient.readContract({
+        address: this.contractAddress,
+        abi: PROGRESSIVE_STAKING_ABI,
+        functionName: "userWithdrawRequests",
+        args: [user, index],
+      });
+    return { stakeId, amount, requestTime, availableAt, executed, cancelled };
+  }
+
+  async hasRole(role: `0x${string}`, account: Address): Promise<boolean> {
     return this.publicClient.readContract({
       address: this.contractAddress,
       abi: PROGRESSIVE_STAKING_ABI,
-      functionName: "emergencyMode",
+      functionName: "hasRole",
+      args: [role, account],
     });
   }
 
-  async isFounder(user: Address): Promise<boolean> {
+  async getRoleAdmin(role: `0x${string}`): Promise<`0x${string}`> {
     return this.publicClient.readContract({
       address: this.contractAddress,
       abi: PROGRESSIVE_STAKING_ABI,
-      functionName: "isFounder",
-      args: [user],
+      functionName: "getRoleAdmin",
+      args: [role],
     });
   }
 
+  async isAdmin(account: Address): Promise<boolean> {
+    return this.hasRole(ADMIN_ROLE, account);
+  }
+
+  async isDefaultAdmin(account: Address): Promise<boolean> {
+    return this.hasRole(DEFAULT_ADMIN_ROLE, account);
+  }
+
+  /**
+   * Read all public contract constants
+   */
+  async getConstants(): Promise<StakingConstants> {
+    const read = <F extends StakingConstantFunction>(functionName: F) =>
+      this.publicClient.readContract({
+        address: this.contractAddress,
+        abi: PROGRESSIVE_STAKING_ABI,
+        functionName,
+      });
+
+    const [
+      adminRole,
+      defaultAdminRole,
+      noticePeriod,
+      yearDuration,
+      ratePrecision,
+      maxTiers,
+      maxPendingWithdrawals,
+      maxStakesPerAddress,
+      minStakeAmount,
+    ] = await Promise.all([
+      read("ADMIN_ROLE"),
+      read("DEFAULT_ADMIN_ROLE"),
+      read("NOTICE_PERIOD"),
+      read("YEAR_DURATION"),
+      read("RATE_PRECISION"),
+      read("MAX_TIERS"),
+      read("MAX_PENDING_WITHDRAWALS"),
+      read("MAX_STAKES_PER_ADDRESS"),
+      read("MIN_STAKE_AMOUNT"),
+    ]);
+
+    return {
+      adminRole,
+      defaultAdminRole,
+      noticePeriod,
+      yearDuration,
+      ratePrecision,
+      maxTiers,
+      maxPendingWithdrawals,
+      maxStakesPerAddress,
+      minStakeAmount,
+    };
+  }
+
   async getTokenBalance(user: Address): Promise<bigint> {
     const tokenAddress = await this.getStakingToken();
     return this.publicClient.readContract({
@@ -224,21 +576,205 @@ export class ProgressiveStakingClient {
     });
   }
 
+  /**
+   * EIP-712 domain of the staking token's ERC-2612 `permit`, or null if the
+   * token does not support permits. The domain is read from ERC-5267
+   * `eip712Domain()`, else built from `name()` with version "1", and only
+   * accepted if it hashes to the token's `DOMAIN_SEPARATOR()`. Cached after
+   * the first successful lookup.
+   */
+  async getPermitDomain(): Promise<PermitDomain | null> {
+    this.permitDomain ??= this.detectPermitDomain().catch((error) => {
+      this.permitDomain = undefined;
+      throw error;
+    });
+    return this.permitDomain;
+  }
+
+  async supportsPermit(): Promise<boolean> {
+    return (await this.getPermitDomain()) !== null;
+  }
+
+  private async detectPermitDomain(): Promise<PermitDomain | null> {
+    const tokenAddress = await this.getStakingToken();
+    const token = { address: tokenAddress, abi: ERC20_ABI } as const;
+    const [nonces, separator, eip712Domain, name] =
+      await this.publicClient.multicall({
+        contracts: [
+          { ...token, functionName: "nonces", args: [zeroAddress] },
+          { ...token, functionName: "DOMAIN_SEPARATOR" },
+          { ...token, functionName: "eip712Domain" },
+          { ...token, functionName: "name" },
+        ],
+        ...this.multicallOptions(),
+      });
+    if (nonces.status === "failure" || separator.status === "failure") {
+      return null;
+    }
+
+    let domain: PermitDomain;
+    if (eip712Domain.status === "success") {
+      const [, name, version, chainId, verifyingContract] = eip712Domain.result;
+      domain = { name, version, chainId: Number(chainId), verifyingContract };
+    } else if (name.status === "success") {
+      domain = {
+        name: name.result,
+        version: "1",
+        chainId: await this.publicClient.getChainId(),
+        verifyingContract: tokenAddress,
+      };
+    } else {
+      return null;
+    }
+
+    return domainSeparator({ domain }) === separator.result ? domain : null;
+  }
+
+  /**
+   * Address, decimals and symbol of the staking token, read once and cached.
+   * A token without `decimals()` or `symbol()` gets TOKEN_DECIMALS or
+   * TOKEN_SYMBOL.
+   */
+  async getTokenMetadata(): Promise<TokenMetadata> {
+    this.tokenMetadata ??= this.detectTokenMetadata().catch((error) => {
+      this.tokenMetadata = undefined;
+      throw error;
+    });
+    return this.tokenMetadata;
+  }
+
+  /**
+   * Load the token metadata. `parseAmount` and `formatAmount` are synchronous
+   * and throw until it is loaded, by this call or by any formatted read such
+   * as `getStakingStats`.
+   */
+  async init(): Promise<TokenMetadata> {
+    return this.getTokenMetadata();
+  }
+
+  private async detectTokenMetadata(): Promise<TokenMetadata> {
+    const address = await this.getStakingToken();
+    const token = { address, abi: ERC20_ABI } as const;
+    const [decimals, symbol] = await this.publicClient.multicall({
+      contracts: [
+        { ...token, functionName: "decimals" },
+        { ...token, functionName: "symbol" },
+      ],
+      ...this.multicallOptions(),
+    });
+
+    this.token = {
+      address,
+      decimals: decimals.status === "success" ? decimals.result : TOKEN_DECIMALS,
+      symbol: symbol.status === "success" ? symbol.result : TOKEN_SYMBOL,
+    };
+    return this.token;
+  }
+
+  /**
+   * Decimals and symbol of the loaded token metadata. Throws before it is
+   * loaded rather than guess the decimals, which would scale parsed amounts
+   * by orders of magnitude on a token without 18 of them.
+   */
+  private tokenFormat(): Pick<TokenMetadata, "decimals" | "symbol"> {
+    if (!this.token) {
+      throw new Error(
+        "Token metadata not loaded; await client.init() before parsing or formatting amounts"
+      );
+    }
+    return this.token;
+  }
+
   // ============ Formatted Read Methods ============
 
+  /**
+   * Options passed to every `multicall`: no byte-size splitting inside viem
+   * (calls are chunked by `batchSize` here instead), and deployless mode when
+   * the chain has no known Multicall3 address
+   */
+  private multicallOptions(): {
+    batchSize: number;
+    multicallAddress?: Address;
+    deployless?: boolean;
+  } {
+    const multicallAddress = this.multicallConfig.multicallAddress;
+    const deployless =
+      this.multicallConfig.deployless ??
+      (!multicallAddress && !this.publicClient.chain?.contracts?.multicall3);
+    return { batchSize: 0, multicallAddress, deployless };
+  }
+
+  /**
+   * Run `read` over `items` in chunks of `multicall.batchSize`, one chunk at a
+   * time, to keep the number of concurrent RPC requests bounded
+   */
+  private async inBatches<T, R>(
+    items: readonly T[],
+    read: (chunk: readonly T[]) => Promise<readonly R[]>
+  ): Promise<R[]> {
+    const batchSize = this.multicallConfig.batchSize ?? DEFAULT_MULTICALL_BATCH_SIZE;
+    const results: R[] = [];
+    for (let i = 0; i < items.length; i += batchSize) {
+      results.push(...(await read(items.slice(i, i + batchSize))));
+    }
+    return results;
+  }
+
+  /**
+   * Send transactions from `account` with consecutive, locally counted
+   * nonces, starting at its pending transaction count
+   */
+  private nonceSequence(account: Address): NonceSequence {
+    let next: number | undefined;
+    return {
+      send: async (send) => {
+        const nonce = (next ??= await this.publicClient.getTransactionCount({
+          address: account,
+          blockTag: "pending",
+        }));
+        try {
+          const result = await send(nonce);
+          next = nonce + 1;
+          return { result, nonce };
+        } catch (error) {
+          // The nonce may or may not have been used; resync before the next send
+          next = undefined;
+          throw error;
+        }
+      },
+    };
+  }
+
   async getStakingStats(): Promise<StakingStats> {
-    const [totalStaked, treasuryBalance, isPaused, isEmergencyMode] =
+    return this.cached("getStakingStats", [], undefined, () =>
+      this.readStakingStats()
+    );
+  }
+
+  private async readStakingStats(): Promise<StakingStats> {
+    const contract = {
+      address: this.contractAddress,
+      abi: PROGRESSIVE_STAKING_ABI,
+    } as const;
+    const [[totalStaked, treasuryBalance, isPaused, isEmergencyMode]] =
       await Promise.all([
-        this.getTotalStaked(),
-        this.getTreasuryBalance(),
-        this.isPaused(),
-        this.isEmergencyMode(),
+        this.publicClient.multicall({
+          contracts: [
+            { ...contract, functionName: "totalStaked" },
+            { ...contract, functionName: "getTreasuryBalance" },
+            { ...contract, functionName: "paused" },
+            { ...contract, functionName: "emergencyMode" },
+          ],
+          allowFailure: false,
+          ...this.multicallOptions(),
+        }),
+        this.getTokenMetadata(),
       ]);
 
     return {
-      totalStaked: formatUnits(totalStaked, this.decimals),
+      totalStaked: this.formatAmount(totalStaked),
       totalStakedRaw: totalStaked,
-      treasuryBalance: formatUnits(treasuryBalance, this.decimals),
+      treasuryBalance: this.formatAmount(treasuryBalance),
       treasuryBalanceRaw: treasuryBalance,
       isPaused,
       isEmergencyMode,
@@ -246,18 +782,154 @@ export class ProgressiveStakingClient {
   }
 
   async getUserStats(user: Address): Promise<UserStats> {
-    const [positions, totalRewards, pendingWithdrawals, isFounder] =
+    const [stats] = await this.getUsersStats([user]);
+    return stats;
+  }
+
+  /**
+   * Raw state of many users at once, read through batched multicalls, all
+   * at the same block. Results are in the same order as `users`.
+   *
+   * @param blockNumber Read at this block instead of the latest one
+   */
+  async getStakerStates(
+    users: readonly Address[],
+    blockNumber?: bigint
+  ): Promise<StakerState[]> {
+    const contract = {
+      address: this.contractAddress,
+      abi: PROGRESSIVE_STAKING_ABI,
+    } as const;
+    const options = {
+      allowFailure: false,
+      blockNumber:
+        blockNumber ??
+        (await this.publicClient.getBlockNumber({ cacheTime: 0 })),
+      ...this.multicallOptions(),
+    } as const;
+
+    const [positions, totalRewards, activeWithdrawals, founders] =
       await Promise.all([
-        this.getStakeInfo(user),
-        this.calculateTotalRewards(user),
-        this.getActivePendingWithdrawals(user),
-        this.isFounder(user),
+        this.inBatches(users, (chunk) =>
+          this.publicClient.multicall({
+            contracts: chunk.map(
+              (user) =>
+                ({ ...contract, functionName: "getStakeInfo", args: [user] }) as const
+            ),
+            ...options,
+          })
+        ),
+        this.inBatches(users, (chunk) =>
+          this.publicClient.multicall({
+            contracts: chunk.map(
+              (user) =>
+                ({
+                  ...contract,
+                  functionName: "calculateTotalRewards",
+                  args: [user],
+                }) as const
+            ),
+            ...options,
+          })
+        ),
+        this.inBatches(users, (chunk) =>
+          this.publicClient.multicall({
+            contracts: chunk.map(
+              (user) =>
+                ({
+                  ...contract,
+                  functionName: "getActivePendingWithdrawals",
+                  args: [user],
+                }) as const
+            ),
+            ...options,
+          })
+        ),
+        this.inBatches(users, (chunk) =>
+          this.publicClient.multicall({
+            contracts: chunk.map(
+              (user) =>
+                ({ ...contract, functionName: "isFounder", args: [user] }) as const
+            ),
+            ...options,
+          })
+        ),
       ]);
 
+    return users.map((user, i) => ({
+      user,
+      positions: positions[i],
+      activeWithdrawals: activeWithdrawals[i],
+      totalRewards: totalRewards[i],
+      isFounder: founders[i],
+    }));
+  }
+
+  /**
+   * Stats for many users at once, read through batched multicalls.
+   * Results are in the same order as `users`.
+   */
+  async getUsersStats(users: readonly Address[]): Promise<UserStats[]> {
+    const contract = {
+      address: this.contractAddress,
+      abi: PROGRESSIVE_STAKING_ABI,
+    } as const;
+    // Tiers are read for the positions found, so both reads must see the
+    // same positions: a position removed in between would revert the batch
+    const blockNumber = await this.publicClient.getBlockNumber({ cacheTime: 0 });
+    const options = {
+      allowFailure: false,
+      blockNumber,
+      ...this.multicallOptions(),
+    } as const;
+
+    const [states] = await Promise.all([
+      this.getStakerStates(users, blockNumber),
+      this.getTokenMetadata(),
+    ]);
+    const positions = states.map((state) => state.positions);
+
+    const tierQueries = users.flatMap((user, i) =>
+      positions[i].map((pos) => ({ user, stakeId: pos.stakeId }))
+    );
+    const tiers = await this.inBatches(tierQueries, (chunk) =>
+      this.publicClient.multicall({
+        contracts: chunk.map(
+          ({ user, stakeId }) =>
+            ({
+              ...contract,
+              functionName: "getCurrentTier",
+              args: [user, stakeId],
+            }) as const
+        ),
+        ...options,
+      })
+    );
+
+    let tierIndex = 0;
+    return users.map((_, i) => {
+      const userTiers = tiers.slice(tierIndex, tierIndex + positions[i].length);
+      tierIndex += positions[i].length;
+      return this.formatUserStats(
+        positions[i],
+        userTiers,
+        states[i].totalRewards,
+        states[i].activeWithdrawals,
+        states[i].isFounder
+      );
+    });
+  }
+
+  private formatUserStats(
+    positions: readonly StakePosition[],
+    tiers: readonly number[],
+    totalRewards: bigint,
+    pendingWithdrawals: readonly WithdrawRequest[],
+    isFounder: boolean
+  ): UserStats {
     const now = Date.now();
-    const formattedPositions: FormattedStakePosition[] = await Promise.all(
-      positions.map(async (pos) => {
-        const tier = await this.getCurrentTier(user, pos.stakeId);
+    const formattedPositions: FormattedStakePosition[] = positions.map(
+      (pos, i) => {
         const startDate = new Date(Number(pos.startTime) * 1000);
         const stakingDays = Math.floor(
           (now - startDate.getTime()) / (1000 * 60 * 60 * 24)
@@ -265,14 +937,14 @@ export class ProgressiveStakingClient {
 
         return {
           stakeId: Number(pos.stakeId),
-          amount: formatUnits(pos.amount, this.decimals),
+          amount: this.formatAmount(pos.amount),
           amountRaw: pos.amount,
           startTime: startDate,
           lastClaimTime: new Date(Number(pos.lastClaimTime) * 1000),
           stakingDays,
-          currentTier: tier,
+          currentTier: tiers[i],
         };
-      })
+      }
     );
 
     const formattedWithdrawals: FormattedWithdrawRequest[] =
@@ -285,7 +957,7 @@ export class ProgressiveStakingClient {
 
         return {
           stakeId: Number(req.stakeId),
-          amount: formatUnits(req.amount, this.decimals),
+          amount: this.formatAmount(req.amount),
           amountRaw: req.amount,
           requestTime: new Date(Number(req.requestTime) * 1000),
           availableAt,
@@ -300,140 +972,890 @@ export class ProgressiveStakingClient {
 
     return {
       positions: formattedPositions,
-      totalStaked: formatUnits(totalStaked, this.decimals),
+      totalStaked: this.formatAmount(totalStaked),
       totalStakedRaw: totalStaked,
-      totalRewards: formatUnits(totalRewards, this.decimals),
+      totalRewards: this.formatAmount(totalRewards),
       totalRewardsRaw: totalRewards,
       pendingWithdrawals: formattedWithdrawals,
       isFounder,
     };
   }
 
-  // ============ Write Methods ============
+  // ============ Event History ============
 
-  private ensureWalletClient(): WalletClient<Transport, Chain, Account> {
-    if (!this.walletClient) {
-      throw new Error("Wallet client not configured. Use createWithWallet().");
-    }
-    return this.walletClient;
+  /**
+   * Create a paginated reader for this contract's events
+   */
+  createEventIndexer(options?: EventIndexerOptions): StakingEventIndexer {
+    return new StakingEventIndexer(this.publicClient, this.contractAddress, {
+      deploymentBlock: this.deploymentBlock,
+      ...options,
+    });
   }
 
-  async approve(amount: bigint): Promise<`0x${string}`> {
-    const walletClient = this.ensureWalletClient();
-    const tokenAddress = await this.getStakingToken();
+  /**
+   * All staking events involving `user`, oldest first, with block timestamps
+   */
+  async getUserActivity(
+    user: Address,
+    options?: Omit<EventQueryOptions, "user">
+  ): Promise<StakingEvent[]> {
+    return this.createEventIndexer().getUserActivity(user, options);
+  }
 
-    const hash = await walletClient.writeContract({
-      address: tokenAddress,
-      abi: ERC20_ABI,
-      functionName: "approve",
-      args: [this.contractAddress, amount],
+  /**
+   * Every address that ever received a position, from `Staked` and
+   * `StakeTransferred` events, in order of first appearance. Includes users
+   * who have since withdrawn everything.
+   */
+  async getStakers(
+    options: Pick<EventQueryOptions, "fromBlock" | "toBlock"> = {}
+  ): Promise<Address[]> {
+    const { events } = await this.createEventIndexer().getEvents({
+      ...options,
+      events: ["Staked", "StakeTransferred"],
     });
 
-    return hash;
-  }
-
-  async approveIfNeeded(amount: bigint): Promise<`0x${string}` | null> {
-    const walletClient = this.ensureWalletClient();
-    const allowance = await this.getAllowance(walletClient.account.address);
+    const stakers = new Map<string, Address>();
+    for (const event of events) {
+      let user: Address | undefined;
+      if (event.eventName === "Staked") user = event.args.user;
+      else if (event.eventName === "StakeTransferred") user = event.args.toUser;
 
-    if (allowance < amount) {
-      return this.approve(amount);
+      if (user && !stakers.has(user.toLowerCase())) {
+        stakers.set(user.toLowerCase(), user);
+      }
     }
-    return null;
+    return [...stakers.values()];
   }
 
-  async stake(amount: bigint): Promise<`0x${string}`> {
-    const walletClient = this.ensureWalletClient();
+  /**
+   * Watch staking events as they are mined, filtered by user, stake or event
+   * name. Reorged events are reported with `type: "removed"`, and pending
+   * withdrawals of `options.user` emit `withdrawReady` once executable.
+   *
+   * @returns Unsubscribe function
+   */
+  watch(options: WatchOptions, handler: WatchHandler): () => void {
+    return watchStakingEvents(
+      this.publicClient,
+      this.contractAddress,
+      options,
+      handler,
+      (user) => this.getActivePendingWithdrawals(user)
+    );
+  }
 
-    const hash = await walletClient.writeContract({
-      address: this.contractAddress,
-      abi: PROGRESSIVE_STAKING_ABI,
-      functionName: "stake",
-      args: [amount],
-    });
+  // ============ Read Cache ============
 
-    return hash;
+  /**
+   * Read through the cache when one is configured
+   */
+  private cached<T>(
+    method: string,
+    args: readonly unknown[],
+    user: Address | undefined,
+    fetch: () => Promise<T>
+  ): Promise<T> {
+    if (!this.cache) return fetch();
+    return this.cache.read(method, args, { user }, fetch);
   }
 
-  async stakeWithApproval(amount: bigint): Promise<{
-    approvalHash?: `0x${string}`;
-    stakeHash: `0x${string}`;
-  }> {
-    const approvalHash = await this.approveIfNeeded(amount);
-    if (approvalHash) {
-      await this.publicClient.waitForTransactionReceipt({ hash: approvalHash });
-    }
-    const stakeHash = await this.stake(amount);
-    return { approvalHash: approvalHash ?? undefined, stakeHash };
+  /**
+   * Positions, their rewards and which of them accrue, all read at one block
+   */
+  private getRewardSnapshot(user: Address): Promise<RewardSnapshot> {
+    return this.cached("rewardSnapshot", [user], user, async () => {
+      const contract = {
+        address: this.contractAddress,
+        abi: PROGRESSIVE_STAKING_ABI,
+      } as const;
+      const block = await this.publicClient.getBlock();
+      const options = {
+        allowFailure: false,
+        blockNumber: block.number,
+        ...this.multicallOptions(),
+      } as const;
+
+      const [positions, requests, isFounder] =
+        await this.publicClient.multicall({
+          contracts: [
+            { ...contract, functionName: "getStakeInfo", args: [user] },
+            { ...contract, functionName: "getPendingWithdrawals", args: [user] },
+            { ...contract, functionName: "isFounder", args: [user] },
+          ],
+          ...options,
+        });
+      const rewards = await this.inBatches(positions, (chunk) =>
+        this.publicClient.multicall({
+          contracts: chunk.map(
+            (position) =>
+              ({
+                ...contract,
+                functionName: "calculateRewards",
+                args: [user, position.stakeId],
+              }) as const
+          ),
+          ...options,
+        })
+      );
+
+      return {
+        timestamp: block.timestamp,
+        positions,
+        rewards,
+        frozen: positions.map(
+          (position) => isFounder || isRewardFrozen(position, requests)
+        ),
+      };
+    });
   }
 
-  async claimRewards(stakeId: bigint): Promise<`0x${string}`> {
-    const walletClient = this.ensureWalletClient();
-
-    return walletClient.writeContract({
-      address: this.contractAddress,
-      abi: PROGRESSIVE_STAKING_ABI,
-      functionName: "claimRewards",
-      args: [stakeId],
-    });
+  private async getCachedRewards(
+    user: Address
+  ): Promise<{ snapshot: RewardSnapshot; rewards: bigint[] }> {
+    const [snapshot, tiers] = await Promise.all([
+      this.getRewardSnapshot(user),
+      this.getTierConfigs(),
+    ]);
+    const now = BigInt(Math.floor(Date.now() / 1000));
+    return { snapshot, rewards: deriveRewards(snapshot, tiers, now) };
   }
 
-  async claimAllRewards(): Promise<`0x${string}`> {
-    const walletClient = this.ensureWalletClient();
+  /**
+   * Keep the cache fresh while running: entries are dropped as events
+   * touching them are mined or reorged out. Without it, cached values can be
+   * as old as the configured `ttl`.
+   *
+   * @returns Unsubscribe function
+   * @throws Error if the client was created without `cache`
+   */
+  watchCacheInvalidation(
+    options: Pick<WatchOptions, "poll" | "pollingInterval" | "onError"> = {}
+  ): () => void {
+    const cache = this.cache;
+    if (!cache) {
+      throw new Error("No cache configured; set `cache` in the client config");
+    }
 
-    return walletClient.writeContract({
-      address: this.contractAddress,
-      abi: PROGRESSIVE_STAKING_ABI,
-      functionName: "claimAllRewards",
+    return this.watch(options, (update) => {
+      if (update.type === "withdrawReady") return;
+      cache
+        .invalidateEvent(update.event)
+        .catch((error: Error) => options.onError?.(error));
     });
   }
 
-  async requestWithdraw(
+  /**
+   * Drop cached chain-head values of `user`, or everything if no user is
+   * given. No-op without a cache.
+   */
+  async invalidateCache(user?: Address): Promise<void> {
+    await this.cache?.invalidate(user);
+  }
+
+  // ============ Validation Methods ============
+
+  /**
+   * Address to act for: the given user, or the wallet account
+   */
+  private resolveUser(user?: Address): Address {
+    return user ?? this.ensureWalletClient().account.address;
+  }
+
+  async validateStake(amount: bigint, user?: Address): Promise<ValidationResult> {
+    const account = this.resolveUser(user);
+    const [stakeCount, tokenBalance, isPaused, isEmergencyMode] =
+      await Promise.all([
+        this.getUserStakeCount(account),
+        this.getTokenBalance(account),
+        this.isPaused(),
+        this.isEmergencyMode(),
+      ]);
+
+    return validators.validateStake(amount, {
+      stakeCount: Number(stakeCount),
+      tokenBalance,
+      isPaused,
+      isEmergencyMode,
+    });
+  }
+
+  async validateClaimRewards(
     stakeId: bigint,
-    amount: bigint
-  ): Promise<`0x${string}`> {
-    const walletClient = this.ensureWalletClient();
+    user?: Address
+  ): Promise<ValidationResult> {
+    const account = this.resolveUser(user);
+    const [positions, treasuryBalance, isPaused, isEmergencyMode] =
+      await Promise.all([
+        this.getStakeInfo(account),
+        this.getTreasuryBalance(),
+        this.isPaused(),
+        this.isEmergencyMode(),
+      ]);
+    const position = positions.find((p) => p.stakeId === stakeId);
+    const rewards = position
+      ? await this.calculateRewards(account, stakeId)
+      : 0n;
+
+    return validators.validateClaimRewards({
+      position,
+      rewards,
+      treasuryBalance,
+      isPaused,
+      isEmergencyMode,
+    });
+  }
 
-    return walletClient.writeContract({
-      address: this.contractAddress,
-      abi: PROGRESSIVE_STAKING_ABI,
-      functionName: "requestWithdraw",
-      args: [stakeId, amount],
+  async validateClaimAllRewards(user?: Address): Promise<ValidationResult> {
+    const account = this.resolveUser(user);
+    const [totalRewards, treasuryBalance, isPaused, isEmergencyMode] =
+      await Promise.all([
+        this.calculateTotalRewards(account),
+        this.getTreasuryBalance(),
+        this.isPaused(),
+        this.isEmergencyMode(),
+      ]);
+
+    return validators.validateClaimAllRewards({
+      totalRewards,
+      treasuryBalance,
+      isPaused,
+      isEmergencyMode,
     });
   }
 
-  async executeWithdraw(stakeId: bigint): Promise<`0x${string}`> {
-    const walletClient = this.ensureWalletClient();
+  async validateRequestWithdraw(
+    stakeId: bigint,
+    amount: bigint,
+    user?: Address
+  ): Promise<ValidationResult> {
+    const account = this.resolveUser(user);
+    const [positions, activeWithdrawals, isPaused, isEmergencyMode] =
+      await Promise.all([
+        this.getStakeInfo(account),
+        this.getActivePendingWithdrawals(account),
+        this.isPaused(),
+        this.isEmergencyMode(),
+      ]);
+
+    return validators.validateRequestWithdraw(stakeId, amount, {
+      positions,
+      activeWithdrawals,
+      isPaused,
+      isEmergencyMode,
+    });
+  }
+
+  async validateExecuteWithdraw(
+    stakeId: bigint,
+    user?: Address
+  ): Promise<ValidationResult> {
+    const account = this.resolveUser(user);
+    const [positions, activeWithdrawals] = await Promise.all([
+      this.getStakeInfo(account),
+      this.getActivePendingWithdrawals(account),
+    ]);
+
+    return validators.validateExecuteWithdraw(stakeId, {
+      positions,
+      activeWithdrawals,
+      now: BigInt(Math.floor(Date.now() / 1000)),
+    });
+  }
+
+  async validateCancelWithdrawRequest(
+    stakeId: bigint,
+    user?: Address
+  ): Promise<ValidationResult> {
+    const account = this.resolveUser(user);
+    const [positions, activeWithdrawals] = await Promise.all([
+      this.getStakeInfo(account),
+      this.getActivePendingWithdrawals(account),
+    ]);
+
+    return validators.validateCancelWithdrawRequest(stakeId, {
+      positions,
+      activeWithdrawals,
+    });
+  }
+
+  async validateEmergencyWithdraw(user?: Address): Promise<ValidationResult> {
+    const account = this.resolveUser(user);
+    const [isEmergencyMode, stakeCount] = await Promise.all([
+      this.isEmergencyMode(),
+      this.getUserStakeCount(account),
+    ]);
+
+    return validators.validateEmergencyWithdraw({
+      isEmergencyMode,
+      stakeCount: Number(stakeCount),
+    });
+  }
+
+  async validateAdminTransferStake(
+    fromUser: Address,
+    stakeId: bigint,
+    toUser: Address
+  ): Promise<ValidationResult> {
+    const [positions, activeWithdrawals, toStakeCount] = await Promise.all([
+      this.getStakeInfo(fromUser),
+      this.getActivePendingWithdrawals(fromUser),
+      this.getUserStakeCount(toUser),
+    ]);
+
+    return validators.validateAdminTransferStake(fromUser, stakeId, toUser, {
+      positions,
+      activeWithdrawals,
+      toStakeCount: Number(toStakeCount),
+    });
+  }
+
+  // ============ Treasury Analytics ============
 
-    return walletClient.writeContract({
+  /**
+   * Project reward liabilities of all stakers against the treasury balance:
+   * current liabilities, runway, and the top-up needed to cover N months.
+   * All state is read at the same block.
+   *
+   * @param options.fromBlock First block to scan for stakers (e.g. the deployment block)
+   */
+  async getTreasuryReport(
+    options: Omit<TreasuryReportOptions, "decimals"> & { fromBlock?: bigint } = {}
+  ): Promise<TreasuryReport> {
+    const { fromBlock, ...reportOptions } = options;
+    const block = await this.publicClient.getBlock();
+    const contract = {
       address: this.contractAddress,
       abi: PROGRESSIVE_STAKING_ABI,
-      functionName: "executeWithdraw",
-      args: [stakeId],
-    });
+    } as const;
+
+    const users = await this.getStakers({ fromBlock, toBlock: block.number });
+    const multicallOptions = {
+      allowFailure: false,
+      blockNumber: block.number,
+      ...this.multicallOptions(),
+    } as const;
+    const [stakers, [treasuryBalance, totalStaked], tiers, { decimals }] =
+      await Promise.all([
+        this.getStakerStates(users, block.number),
+        this.publicClient.multicall({
+          contracts: [
+            { ...contract, functionName: "getTreasuryBalance" },
+            { ...contract, functionName: "totalStaked" },
+          ],
+          ...multicallOptions,
+        }),
+        this.publicClient.multicall({
+          contracts: Array.from(
+            { length: MAX_TIERS },
+            (_, i) =>
+              ({ ...contract, functionName: "getTierConfig", args: [i] }) as const
+          ),
+          ...multicallOptions,
+        }),
+        this.getTokenMetadata(),
+      ]);
+
+    return buildTreasuryReport(
+      {
+        stakers,
+        tiers,
+        treasuryBalance,
+        totalStaked,
+        blockNumber: block.number,
+        timestamp: block.timestamp,
+      },
+      { ...reportOptions, decimals }
+    );
   }
 
-  async cancelWithdrawRequest(stakeId: bigint): Promise<`0x${string}`> {
-    const walletClient = this.ensureWalletClient();
+  // ============ Snapshots ============
 
-    return walletClient.writeContract({
+  /**
+   * Reconstruct every staker's positions, pending withdrawals, rewards and
+   * founder flag at `blockNumber`. Stakers are found from event history up to
+   * that block; all state is read pinned to it.
+   *
+   * @param options.fromBlock First block to scan for stakers (e.g. the deployment block)
+   */
+  async snapshot(
+    blockNumber: bigint,
+    options: { fromBlock?: bigint } = {}
+  ): Promise<StakingSnapshot> {
+    const contract = {
       address: this.contractAddress,
       abi: PROGRESSIVE_STAKING_ABI,
-      functionName: "cancelWithdrawRequest",
-      args: [stakeId],
+    } as const;
+    const multicallOptions = {
+      allowFailure: false,
+      blockNumber,
+      ...this.multicallOptions(),
+    } as const;
+
+    const [block, chainId, users, [totalStaked, treasuryBalance]] =
+      await Promise.all([
+        this.publicClient.getBlock({ blockNumber }),
+        this.publicClient.getChainId(),
+        this.getStakers({ fromBlock: options.fromBlock, toBlock: blockNumber }),
+        this.publicClient.multicall({
+          contracts: [
+            { ...contract, functionName: "totalStaked" },
+            { ...contract, functionName: "getTreasuryBalance" },
+          ],
+          ...multicallOptions,
+        }),
+      ]);
+
+    const stakers = (await this.getStakerStates(users, blockNumber))
+      .filter((staker) => staker.positions.length > 0)
+      .sort((a, b) => (a.user.toLowerCase() < b.user.toLowerCase() ? -1 : 1));
+
+    const rewardQueries = stakers.flatMap((staker) =>
+      staker.positions.map((position) => ({
+        user: staker.user,
+        stakeId: position.stakeId,
+      }))
+    );
+    const rewards = await this.inBatches(rewardQueries, (chunk) =>
+      this.publicClient.multicall({
+        contracts: chunk.map(
+          ({ user, stakeId }) =>
+            ({
+              ...contract,
+              functionName: "calculateRewards",
+              args: [user, stakeId],
+            }) as const
+        ),
+        ...multicallOptions,
+      })
+    );
+
+    const byStakeId = <T extends { stakeId: bigint }>(a: T, b: T) =>
+      a.stakeId < b.stakeId ? -1 : a.stakeId > b.stakeId ? 1 : 0;
+
+    let rewardIndex = 0;
+    const accounts: SnapshotAccount[] = stakers.map((staker) => ({
+      user: staker.user,
+      isFounder: staker.isFounder,
+      balance: staker.positions.reduce((sum, p) => sum + p.amount, 0n),
+      rewards: staker.totalRewards,
+      positions: staker.positions
+        .map((position) => ({ ...position, rewards: rewards[rewardIndex++] }))
+        .sort(byStakeId),
+      pendingWithdrawals: [...staker.activeWithdrawals].sort(byStakeId),
+    }));
+
+    return {
+      schemaVersion: SNAPSHOT_SCHEMA_VERSION,
+      chainId,
+      contractAddress: this.contractAddress,
+      blockNumber,
+      blockHash: block.hash,
+      timestamp: block.timestamp,
+      totalStaked,
+      treasuryBalance,
+      accounts,
+      merkleRoot: balanceMerkleTree(accounts).root,
+    };
+  }
+
+  // ============ Withdrawal Planning ============
+
+  /**
+   * Propose the `requestWithdraw` calls that free up `target` tokens
+   * across the user's positions. Send each `call` with `requestWithdraw`.
+   */
+  async planWithdrawal(
+    target: bigint,
+    options: WithdrawalPlanOptions = {},
+    user?: Address
+  ): Promise<WithdrawalPlan> {
+    const account = this.resolveUser(user);
+    const [positions, activeWithdrawals, tiers, isFounder] = await Promise.all([
+      this.getStakeInfo(account),
+      this.getActivePendingWithdrawals(account),
+      this.getTierConfigs(),
+      this.isFounder(account),
+    ]);
+
+    return planWithdrawal(
+      target,
+      {
+        positions,
+        activeWithdrawals,
+        tiers,
+        isFounder,
+        timestamp: BigInt(Math.floor(Date.now() / 1000)),
+      },
+      options
+    );
+  }
+
+  // ============ Claim Strategies ============
+
+  /**
+   * Compare claim strategies on the user's positions under the current tier
+   * rates, best final value first. Positions frozen by a withdrawal request
+   * are left out. With `options.amount`, a new stake of that amount is
+   * simulated instead.
+   */
+  async simulateClaimStrategies(
+    strategies: readonly ClaimStrategy[],
+    options: StrategySimulationOptions & { amount?: bigint } = {},
+    user?: Address
+  ): Promise<StrategySimulationResult[]> {
+    const { amount, ...simulationOptions } = options;
+    const timestamp = BigInt(Math.floor(Date.now() / 1000));
+
+    if (amount !== undefined) {
+      const position = {
+        stakeId: 1n,
+        amount,
+        startTime: timestamp,
+        lastClaimTime: timestamp,
+      };
+      return compareClaimStrategies(
+        strategies,
+        { positions: [position], tiers: await this.getTierConfigs(), timestamp },
+        simulationOptions
+      );
+    }
+
+    const account = this.resolveUser(user);
+    const [positions, requests, tiers, isFounder] = await Promise.all([
+      this.getStakeInfo(account),
+      this.getPendingWithdrawals(account),
+      this.getTierConfigs(),
+      this.isFounder(account),
+    ]);
+    return compareClaimStrategies(
+      strategies,
+      {
+        positions: positions.filter(
+          (position) => !isRewardFrozen(position, requests)
+        ),
+        tiers,
+        timestamp,
+        isFounder,
+      },
+      simulationOptions
+    );
+  }
+
+  // ============ Tier Timeline ============
+
+  /**
+   * Tier timeline of every position of `user` (default: the connected
+   * wallet): tier start dates and rates from the live tier table, unclaimed
+   * rewards per tier and the next upgrade
+   */
+  async getTierTimeline(user?: Address): Promise<PositionTimeline[]> {
+    const account = this.resolveUser(user);
+    const [positions, requests, tiers, isFounder] = await Promise.all([
+      this.getStakeInfo(account),
+      this.getPendingWithdrawals(account),
+      this.getTierConfigs(),
+      this.isFounder(account),
+    ]);
+
+    const timestamp = BigInt(Math.floor(Date.now() / 1000));
+    return positions.map((position) =>
+      buildPositionTimeline(position, tiers, timestamp, {
+        isFounder,
+        withdrawal: requests.find(
+          (r) => r.stakeId === position.stakeId && !r.executed && !r.cancelled
+        ),
+        frozen: isRewardFrozen(position, requests),
+      })
+    );
+  }
+
+  /**
+   * iCalendar (.ics) feed of the upcoming tier upgrades and withdrawal
+   * `availableAt` dates of `user` (default: the connected wallet)
+   */
+  async exportTierCalendar(
+    user?: Address,
+    options: Pick<CalendarOptions, "name" | "createdAt"> = {}
+  ): Promise<string> {
+    const account = this.resolveUser(user);
+    const [timelines, { decimals, symbol }] = await Promise.all([
+      this.getTierTimeline(account),
+      this.getTokenMetadata(),
+    ]);
+    return timelineToIcs(timelines, {
+      ...options,
+      user: account,
+      decimals,
+      symbol,
+    });
+  }
+
+  // ============ Income Ledger ============
+
+  /**
+   * Income ledger of `user` (default: the connected wallet) from its claim
+   * and withdrawal events: reward income and returned principal per entry,
+   * summed per fiscal year, and valued if a price source is given
+   */
+  async getIncomeLedger(
+    user?: Address,
+    options: Omit<LedgerOptions, "decimals" | "symbol"> &
+      Pick<EventQueryOptions, "fromBlock" | "toBlock"> = {}
+  ): Promise<IncomeLedger> {
+    const account = this.resolveUser(user);
+    const { fromBlock, toBlock, ...ledgerOptions } = options;
+    const [events, { decimals, symbol }] = await Promise.all([
+      this.getUserActivity(account, {
+        fromBlock,
+        toBlock,
+        events: LEDGER_EVENTS,
+      }),
+      this.getTokenMetadata(),
+    ]);
+    return buildIncomeLedger(account, events, {
+      ...ledgerOptions,
+      decimals,
+      symbol,
     });
   }
 
-  async emergencyWithdraw(): Promise<`0x${string}`> {
+  // ============ Write Methods ============
+
+  private ensureWalletClient(): WalletClient<Transport, Chain, Account> {
+    if (!this.walletClient) {
+      throw new WalletNotConfiguredError();
+    }
+    return this.walletClient;
+  }
+
+  /**
+   * Submit a transaction, rethrowing any failure as a typed StakingError
+   */
+  private async send(write: () => Promise<`0x${string}`>): Promise<`0x${string}`> {
+    try {
+      return await write();
+    } catch (error) {
+      throw parseStakingError(error);
+    }
+  }
+
+  /**
+   * Simulate a staking contract call, then submit it. Reverts surface as a
+   * StakingError before the wallet is asked to sign.
+   */
+  private async execute<F extends StakingWriteFunction>(
+    call: StakingWriteCall<F>,
+    options: WriteOptions = {}
+  ): Promise<StakingTransaction<F>> {
     const walletClient = this.ensureWalletClient();
+    const untyped = call as StakingWriteCall;
+    await this.simulate(untyped);
+
+    const hash = await this.send(() =>
+      walletClient.sendTransaction({
+        to: this.contractAddress,
+        data: encodeFunctionData({ abi: PROGRESSIVE_STAKING_ABI, ...untyped }),
+        nonce: options.nonce,
+      })
+    );
+    return new StakingTransaction(
+      this.publicClient,
+      this.contractAddress,
+      call,
+      hash
+    );
+  }
 
-    return walletClient.writeContract({
-      address: this.contractAddress,
-      abi: PROGRESSIVE_STAKING_ABI,
-      functionName: "emergencyWithdraw",
+  /**
+   * Follow a transaction sent earlier, e.g. by a process that has since
+   * restarted, with the same `wait()` as a freshly sent one
+   */
+  resumeTransaction<F extends StakingWriteFunction>(
+    call: StakingWriteCall<F>,
+    hash: Hash
+  ): StakingTransaction<F> {
+    return new StakingTransaction(
+      this.publicClient,
+      this.contractAddress,
+      call,
+      hash
+    );
+  }
+
+  async approve(amount: bigint): Promise<`0x${string}`> {
+    const walletClient = this.ensureWalletClient();
+    const tokenAddress = await this.getStakingToken();
+
+    return this.send(() =>
+      walletClient.writeContract({
+        address: tokenAddress,
+        abi: ERC20_ABI,
+        functionName: "approve",
+        args: [this.contractAddress, amount],
+      })
+    );
+  }
+
+  async approveIfNeeded(amount: bigint): Promise<`0x${string}` | null> {
+    const walletClient = this.ensureWalletClient();
+    const allowance = await this.getAllowance(walletClient.account.address);
+
+    if (allowance < amount) {
+      return this.approve(amount);
+    }
+    return null;
+  }
+
+  async stake(amount: bigint): Promise<StakingTransaction<"stake">> {
+    return this.execute({ functionName: "stake", args: [amount] });
+  }
+
+  async stakeWithApproval(amount: bigint): Promise<{
+    approvalHash?: `0x${string}`;
+    stakeTransaction: StakingTransaction<"stake">;
+  }> {
+    const approvalHash = await this.approveIfNeeded(amount);
+    if (approvalHash) {
+      await this.publicClient.waitForTransactionReceipt({ hash: approvalHash });
+    }
+    const stakeTransaction = await this.stake(amount);
+    return { approvalHash: approvalHash ?? undefined, stakeTransaction };
+  }
+
+  /**
+   * Stake using an ERC-2612 permit instead of an `approve` transaction. The
+   * wallet signs the allowance off-chain, then `permit` is submitted and
+   * `stake` follows once it is mined. Skips the permit when the allowance
+   * already covers `amount`, and falls back to `stakeWithApproval` when the
+   * token does not support permits.
+   *
+   * @param deadline Unix timestamp in seconds after which the permit expires
+   * @throws TransactionRevertedError if the `permit` transaction reverts
+   */
+  async stakeWithPermit(
+    amount: bigint,
+    deadline: bigint
+  ): Promise<{
+    permitHash?: `0x${string}`;
+    approvalHash?: `0x${string}`;
+    stakeTransaction: StakingTransaction<"stake">;
+  }> {
+    const walletClient = this.ensureWalletClient();
+    const owner = walletClient.account.address;
+    const [domain, allowance] = await Promise.all([
+      this.getPermitDomain(),
+      this.getAllowance(owner),
+    ]);
+
+    if (allowance >= amount) {
+      return { stakeTransaction: await this.stake(amount) };
+    }
+    if (!domain) {
+      return this.stakeWithApproval(amount);
+    }
+
+    const tokenAddress = await this.getStakingToken();
+    const nonce = await this.publicClient.readContract({
+      address: tokenAddress,
+      abi: ERC20_ABI,
+      functionName: "nonces",
+      args: [owner],
+    });
+    const signature = await this.send(() =>
+      walletClient.signTypedData({
+        domain,
+        types: PERMIT_TYPES,
+        primaryType: "Permit",
+        message: {
+          owner,
+          spender: this.contractAddress,
+          value: amount,
+          nonce,
+          deadline,
+        },
+      })
+    );
+    const { r, s, v, yParity } = parseSignature(signature);
+
+    const permit = {
+      address: tokenAddress,
+      abi: ERC20_ABI,
+      functionName: "permit",
+      args: [
+        owner,
+        this.contractAddress,
+        amount,
+        deadline,
+        v !== undefined ? Number(v) : yParity + 27,
+        r,
+        s,
+      ],
+    } as const;
+    const permitHash = await this.send(async () => {
+      // Surfaces an expired deadline or bad signature before sending
+      await this.publicClient.simulateContract({
+        ...permit,
+        account: walletClient.account,
+      });
+      return walletClient.writeContract(permit);
+    });
+    const permitReceipt = await this.publicClient.waitForTransactionReceipt({
+      hash: permitHash,
+    });
+    // e.g. the permit nonce was used by another transaction in the meantime
+    if (permitReceipt.status === "reverted") {
+      throw new TransactionRevertedError(permitReceipt);
+    }
+
+    const stakeTransaction = await this.stake(amount);
+    return { permitHash, stakeTransaction };
+  }
+
+  async claimRewards(
+    stakeId: bigint
+  ): Promise<StakingTransaction<"claimRewards">> {
+    return this.execute({ functionName: "claimRewards", args: [stakeId] });
+  }
+
+  async claimAllRewards(): Promise<StakingTransaction<"claimAllRewards">> {
+    return this.execute({ functionName: "claimAllRewards", args: [] });
+  }
+
+  async requestWithdraw(
+    stakeId: bigint,
+    amount: bigint
+  ): Promise<StakingTransaction<"requestWithdraw">> {
+    return this.execute({
+      functionName: "requestWithdraw",
+      args: [stakeId, amount],
     });
   }
 
+  async executeWithdraw(
+    stakeId: bigint,
+    options?: WriteOptions
+  ): Promise<StakingTransaction<"executeWithdraw">> {
+    return this.execute(
+      { functionName: "executeWithdraw", args: [stakeId] },
+      options
+    );
+  }
+
+  async cancelWithdrawRequest(
+    stakeId: bigint
+  ): Promise<StakingTransaction<"cancelWithdrawRequest">> {
+    return this.execute({
+      functionName: "cancelWithdrawRequest",
+      args: [stakeId],
+    });
+  }
+
+  async emergencyWithdraw(): Promise<StakingTransaction<"emergencyWithdraw">> {
+    return this.execute({ functionName: "emergencyWithdraw", args: [] });
+  }
+
   // ============ Admin Methods ============
 
   /**
@@ -443,93 +1865,747 @@ export class ProgressiveStakingClient {
   async adminTransferStake(
     fromUser: Address,
     stakeId: bigint,
-    toUser: Address
-  ): Promise<`0x${string}`> {
-    const walletClient = this.ensureWalletClient();
-
-    return walletClient.writeContract({
-      address: this.contractAddress,
-      abi: PROGRESSIVE_STAKING_ABI,
-      functionName: "adminTransferStake",
-      args: [fromUser, stakeId, toUser],
-    });
+    toUser: Address,
+    options?: WriteOptions
+  ): Promise<StakingTransaction<"adminTransferStake">> {
+    return this.execute(
+      {
+        functionName: "adminTransferStake",
+        args: [fromUser, stakeId, toUser],
+      },
+      options
+    );
   }
 
   /**
    * Deposit tokens to treasury for reward payments (admin only)
    */
-  async depositTreasury(amount: bigint): Promise<`0x${string}`> {
-    const walletClient = this.ensureWalletClient();
-
-    return walletClient.writeContract({
-      address: this.contractAddress,
-      abi: PROGRESSIVE_STAKING_ABI,
-      functionName: "depositTreasury",
-      args: [amount],
-    });
+  async depositTreasury(
+    amount: bigint
+  ): Promise<StakingTransaction<"depositTreasury">> {
+    return this.execute({ functionName: "depositTreasury", args: [amount] });
   }
 
   /**
    * Withdraw tokens from treasury (admin only)
    */
-  async withdrawTreasury(amount: bigint): Promise<`0x${string}`> {
-    const walletClient = this.ensureWalletClient();
-
-    return walletClient.writeContract({
-      address: this.contractAddress,
-      abi: PROGRESSIVE_STAKING_ABI,
-      functionName: "withdrawTreasury",
-      args: [amount],
-    });
+  async withdrawTreasury(
+    amount: bigint
+  ): Promise<StakingTransaction<"withdrawTreasury">> {
+    return this.execute({ functionName: "withdrawTreasury", args: [amount] });
   }
 
   /**
    * Pause the contract (admin only)
    */
-  async pause(): Promise<`0x${string}`> {
-    const walletClient = this.ensureWalletClient();
-
-    return walletClient.writeContract({
-      address: this.contractAddress,
-      abi: PROGRESSIVE_STAKING_ABI,
-      functionName: "pause",
-    });
+  async pause(): Promise<StakingTransaction<"pause">> {
+    return this.execute({ functionName: "pause", args: [] });
   }
 
   /**
    * Unpause the contract (admin only)
    */
-  async unpause(): Promise<`0x${string}`> {
-    const walletClient = this.ensureWalletClient();
-
-    return walletClient.writeContract({
-      address: this.contractAddress,
-      abi: PROGRESSIVE_STAKING_ABI,
-      functionName: "unpause",
-    });
+  async unpause(): Promise<StakingTransaction<"unpause">> {
+    return this.execute({ functionName: "unpause", args: [] });
   }
 
   /**
    * Activate emergency mode - IRREVERSIBLE (admin only)
    */
-  async emergencyShutdown(): Promise<`0x${string}`> {
+  async emergencyShutdown(): Promise<StakingTransaction<"emergencyShutdown">> {
+    return this.execute({ functionName: "emergencyShutdown", args: [] });
+  }
+
+  /**
+   * Update APY rates for all tiers, in basis points (admin only)
+   * Affects all existing stakes immediately
+   */
+  async updateTierRates(
+    rates: TierRates
+  ): Promise<StakingTransaction<"updateTierRates">> {
+    return this.execute({ functionName: "updateTierRates", args: [rates] });
+  }
+
+  /**
+   * Grant a role to an account (role admin only)
+   */
+  async grantRole(
+    role: `0x${string}`,
+    account: Address
+  ): Promise<StakingTransaction<"grantRole">> {
+    return this.execute({ functionName: "grantRole", args: [role, account] });
+  }
+
+  /**
+   * Revoke a role from an account (role admin only)
+   */
+  async revokeRole(
+    role: `0x${string}`,
+    account: Address
+  ): Promise<StakingTransaction<"revokeRole">> {
+    return this.execute({ functionName: "revokeRole", args: [role, account] });
+  }
+
+  /**
+   * Give up a role held by the connected wallet
+   */
+  async renounceRole(
+    role: `0x${string}`
+  ): Promise<StakingTransaction<"renounceRole">> {
     const walletClient = this.ensureWalletClient();
 
-    return walletClient.writeContract({
-      address: this.contractAddress,
-      abi: PROGRESSIVE_STAKING_ABI,
-      functionName: "emergencyShutdown",
+    return this.execute({
+      functionName: "renounceRole",
+      args: [role, walletClient.account.address],
     });
   }
 
+  /**
+   * Grant ADMIN_ROLE (pause/unpause, stake transfers) to an account
+   */
+  async grantAdmin(account: Address): Promise<StakingTransaction<"grantRole">> {
+    return this.grantRole(ADMIN_ROLE, account);
+  }
+
+  /**
+   * Revoke ADMIN_ROLE from an account
+   */
+  async revokeAdmin(
+    account: Address
+  ): Promise<StakingTransaction<"revokeRole">> {
+    return this.revokeRole(ADMIN_ROLE, account);
+  }
+
+  // ============ Stake Migration ============
+
+  /**
+   * Move positions between users with `adminTransferStake`, e.g. from web2
+   * custodial addresses to user wallets. Rows are validated in order against
+   * current state, sent with locally managed nonces at most `rateLimit` per
+   * second, journaled, and finally reconciled against `StakeTransferred`
+   * events.
+   *
+   * Rerunning with the same journal resumes the migration: confirmed rows are
+   * not sent again, and transfers submitted by an interrupted run are looked
+   * up by hash before their rows are reconsidered.
+   */
+  async migrateStakes(
+    rows: readonly MigrationRow[],
+    options: MigrationOptions = {}
+  ): Promise<MigrationReport> {
+    const journal = options.journal ?? createMemoryJournal();
+    const interval = 1000 / (options.rateLimit ?? 2);
+    const maxPending = options.maxPending ?? 10;
+    const dryRun = options.dryRun ?? false;
+
+    const admin = dryRun
+      ? this.walletClient?.account.address
+      : this.ensureWalletClient().account.address;
+    if (!dryRun && admin && !(await this.isAdmin(admin))) {
+      throw new ContractRevertError("AccessControlUnauthorizedAccount", [
+        admin,
+        ADMIN_ROLE,
+      ]);
+    }
+
+    const latest = latestJournalEntries(await journal.load());
+    const record = async (entry: MigrationJournalEntry) => {
+      await journal.append(entry);
+      latest.set(entry.key, entry);
+    };
+    await this.settleSubmittedTransfers(latest, record);
+
+    // One result per distinct row; duplicates share it
+    const results = new Map<string, MigrationRowResult>();
+    for (const row of rows) {
+      const key = migrationRowKey(row);
+      if (results.has(key)) continue;
+      const entry = latest.get(key);
+      const confirmed = entry?.status === "confirmed" ? entry : undefined;
+      results.set(key, {
+        ...row,
+        status: confirmed ? "transferred" : "pending",
+        hash: confirmed?.hash,
+        blockNumber: confirmed?.blockNumber,
+        issues: [],
+        reconciled: false,
+      });
+    }
+
+    const update = (result: MigrationRowResult) => {
+      results.set(migrationRowKey(result), result);
+      options.onProgress?.(result);
+    };
+    const fail = async (
+      row: MigrationRowResult,
+      cause: unknown,
+      hash?: Hash
+    ) => {
+      const { code, message } = parseStakingError(cause);
+      const error = { code, message };
+      const key = migrationRowKey(row);
+      await record({ key, at: Date.now(), status: "failed", hash, error });
+      update({ ...row, status: "failed", hash, error });
+    };
+
+    const todo = [...results.values()].filter((r) => r.status === "pending");
+    const users = new Map(
+      todo
+        .flatMap((row) => [row.fromUser, row.toUser])
+        .map((user) => [user.toLowerCase(), user])
+    );
+    const states = await this.getStakerStates([...users.values()]);
+    const issues = validateMigrationRows(todo, states);
+
+    const inFlight = new Set<Promise<void>>();
+    // Recipients of in-flight transfers. Sends are simulated against mined
+    // state, so a row moving a stake on from one of them has to wait.
+    const recipients = new Map<string, number>();
+    const nonces = this.nonceSequence(admin as Address);
+    let lastSent = 0;
+    let runStartBlock: bigint | undefined;
+
+    for (const [i, row] of todo.entries()) {
+      const key = migrationRowKey(row);
+      if (issues[i].length > 0) {
+        const at = Date.now();
+        await record({ key, at, status: "skipped", issues: issues[i] });
+        update({ ...row, status: "skipped", issues: issues[i] });
+        continue;
+      }
+      if (dryRun) {
+        update({ ...row, status: "valid" });
+        continue;
+      }
+
+      if (recipients.has(row.fromUser.toLowerCase())) {
+        await Promise.all(inFlight);
+      }
+      while (inFlight.size >= maxPending) await Promise.race(inFlight);
+      const delay = lastSent + interval - Date.now();
+      if (delay > 0) await new Promise((resolve) => setTimeout(resolve, delay));
+
+      runStartBlock ??= await this.publicClient.getBlockNumber();
+      lastSent = Date.now();
+
+      let transaction: StakingTransaction<"adminTransferStake">;
+      let nonce: number;
+      try {
+        ({ result: transaction, nonce } = await nonces.send((nonce) =>
+          this.adminTransferStake(row.fromUser, row.stakeId, row.toUser, {
+            nonce,
+          })
+        ));
+      } catch (error) {
+        await fail(row, error);
+        if (error instanceof UserRejectedError) break;
+        continue;
+      }
+
+      const { hash } = transaction;
+      await record({ key, at: Date.now(), status: "submitted", hash, nonce });
+      update({ ...row, status: "pending", hash });
+
+      const recipient = row.toUser.toLowerCase();
+      recipients.set(recipient, (recipients.get(recipient) ?? 0) + 1);
+      const settled: Promise<void> = transaction
+        .wait({ confirmations: options.confirmations })
+        .then(
+          async ({ hash, receipt: { blockNumber } }) => {
+            await record({
+              key,
+              at: Date.now(),
+              status: "confirmed",
+              hash,
+              blockNumber,
+            });
+            update({ ...row, status: "transferred", hash, blockNumber });
+          },
+          (error: unknown) => fail(row, error, hash)
+        )
+        .finally(() => {
+          inFlight.delete(settled);
+          const count = (recipients.get(recipient) ?? 1) - 1;
+          if (count === 0) recipients.delete(recipient);
+          else recipients.set(recipient, count);
+        });
+      inFlight.add(settled);
+    }
+    await Promise.all(inFlight);
+
+    // Reconcile from the first transfer this migration is known to have made
+    let fromBlock = options.fromBlock ?? runStartBlock;
+    if (options.fromBlock === undefined) {
+      for (const entry of latest.values()) {
+        if (entry.status !== "confirmed" || entry.blockNumber === undefined) {
+          continue;
+        }
+        if (fromBlock === undefined || entry.blockNumber < fromBlock) {
+          fromBlock = entry.blockNumber;
+        }
+      }
+    }
+    const events =
+      fromBlock === undefined
+        ? []
+        : (
+            await this.createEventIndexer().getEvents({
+              fromBlock,
+              events: ["StakeTransferred"],
+            })
+          ).events.filter(
+            (event): event is StakingEvent<"StakeTransferred"> =>
+              event.eventName === "StakeTransferred"
+          );
+
+    const report = reconcileMigration([...results.values()], events);
+    const byKey = new Map(report.rows.map((r) => [migrationRowKey(r), r]));
+    return {
+      ...report,
+      rows: rows.map((row) => ({
+        ...(byKey.get(migrationRowKey(row)) as MigrationRowResult),
+        line: row.line,
+      })),
+    };
+  }
+
+  /**
+   * Record the outcome of transfers an interrupted run submitted. Transfers
+   * still in the mempool are awaited; dropped ones stay `submitted`, so their
+   * rows are validated and sent again.
+   */
+  private async settleSubmittedTransfers(
+    latest: ReadonlyMap<string, MigrationJournalEntry>,
+    record: (entry: MigrationJournalEntry) => Promise<void>
+  ): Promise<void> {
+    for (const entry of latest.values()) {
+      if (entry.status !== "submitted") continue;
+      const { key, hash } = entry;
+
+      const known = await this.publicClient
+        .getTransaction({ hash })
+        .catch(() => undefined);
+      if (!known) continue;
+
+      const receipt = await this.publicClient.waitForTransactionReceipt({
+        hash,
+      });
+      if (receipt.status === "success") {
+        await record({
+          key,
+          at: Date.now(),
+          status: "confirmed",
+          hash,
+          blockNumber: receipt.blockNumber,
+        });
+      } else {
+        await record({
+          key,
+          at: Date.now(),
+          status: "failed",
+          hash,
+          error: {
+            code: "TRANSACTION_REVERTED",
+            message: STAKING_ERROR_MESSAGES.TRANSACTION_REVERTED,
+          },
+        });
+      }
+    }
+  }
+
+  // ============ Withdrawal Execution ============
+
+  /**
+   * Execute every active withdrawal request of the wallet whose notice period
+   * has ended. Requests are sent one after another with locally managed
+   * nonces, then awaited together. A failed request does not stop the
+   * others, but a rejection in the wallet stops sending.
+   *
+   * @returns One result per request attempted, oldest `availableAt` first
+   */
+  async executeAllReadyWithdrawals(
+    options: ExecuteWithdrawalsOptions = {}
+  ): Promise<ReadyWithdrawalResult[]> {
+    const account = this.ensureWalletClient().account.address;
+    // Read past the cache: a request executed or cancelled elsewhere must not
+    // be sent again. The contract compares against block time, which can
+    // trail the clock.
+    const [requests, block] = await Promise.all([
+      this.publicClient.readContract({
+        address: this.contractAddress,
+        abi: PROGRESSIVE_STAKING_ABI,
+        functionName: "getActivePendingWithdrawals",
+        args: [account],
+      }),
+      this.publicClient.getBlock(),
+    ]);
+    const ready = requests
+      .filter((request) => request.availableAt <= block.timestamp)
+      .sort((a, b) =>
+        a.availableAt === b.availableAt
+          ? 0
+          : a.availableAt < b.availableAt
+            ? -1
+            : 1
+      );
+
+    const results: ReadyWithdrawalResult[] = [];
+    const update = (i: number, result: ReadyWithdrawalResult) => {
+      results[i] = result;
+      options.onProgress?.(result);
+    };
+    const fail = (i: number, cause: unknown, hash?: Hash) => {
+      const { code, message } = parseStakingError(cause);
+      const error = { code, message };
+      update(i, { ...results[i], status: "failed", hash, error });
+    };
+
+    const settling: Promise<void>[] = [];
+    const nonces = this.nonceSequence(account);
+    for (const [i, { stakeId, amount, availableAt }] of ready.entries()) {
+      results[i] = { stakeId, amount, availableAt, status: "pending" };
+
+      let transaction: StakingTransaction<"executeWithdraw">;
+      try {
+        ({ result: transaction } = await nonces.send((nonce) =>
+          this.executeWithdraw(stakeId, { nonce })
+        ));
+      } catch (error) {
+        fail(i, error);
+        if (error instanceof UserRejectedError) break;
+        continue;
+      }
+
+      const { hash } = transaction;
+      update(i, { ...results[i], hash });
+      settling.push(
+        transaction.wait({ confirmations: options.confirmations }).then(
+          ({ hash, receipt, amount, rewards }) =>
+            update(i, {
+              ...results[i],
+              status: "executed",
+              hash,
+              blockNumber: receipt.blockNumber,
+              amount,
+              rewards,
+            }),
+          (error: unknown) => fail(i, error, hash)
+        )
+      );
+    }
+    await Promise.all(settling);
+    return results;
+  }
+
+  // ============ Simulation Methods ============
+
+  /**
+   * Dry-run a staking contract call against current chain state and estimate
+   * its gas. `account` defaults to the wallet account, so read-only clients
+   * can pre-flight on behalf of a connected user. Reverts throw a StakingError.
+   */
+  async simulate<F extends StakingWriteFunction>(
+    call: StakingWriteCall<F>,
+    account?: Address
+  ): Promise<SimulationResult<F>>;
+  async simulate(
+    call: StakingWriteCall,
+    account?: Address
+  ): Promise<SimulationResult> {
+    const from = account ?? this.ensureWalletClient().account;
+    const data = encodeFunctionData({ abi: PROGRESSIVE_STAKING_ABI, ...call });
+
+    try {
+      const [{ data: returnData }, gas] = await Promise.all([
+        this.publicClient.call({ account: from, to: this.contractAddress, data }),
+        this.publicClient.estimateGas({
+          account: from,
+          to: this.contractAddress,
+          data,
+        }),
+      ]);
+
+      const result = returnData
+        ? decodeFunctionResult({
+            abi: PROGRESSIVE_STAKING_ABI,
+            functionName: call.functionName,
+            data: returnData,
+          })
+        : undefined;
+
+      return { ...call, result, gas };
+    } catch (error) {
+      throw parseStakingError(
+        getContractError(error as BaseError, {
+          abi: PROGRESSIVE_STAKING_ABI,
+          address: this.contractAddress,
+          functionName: call.functionName,
+          args: call.args,
+          sender: typeof from === "string" ? from : from.address,
+        })
+      );
+    }
+  }
+
+  /**
+   * Estimate the fee of a staking contract call at the current gas price.
+   * Reverts throw a StakingError, as with `simulate`.
+   */
+  async estimateTransactionCost(
+    call: StakingWriteCall,
+    account?: Address
+  ): Promise<TransactionCostEstimate> {
+    const [{ gas }, gasPrice] = await Promise.all([
+      this.simulate(call, account),
+      this.getGasPrice(),
+    ]);
+    return { gas, gasPrice, cost: gas * gasPrice };
+  }
+
+  async simulateStake(
+    amount: bigint,
+    account?: Address
+  ): Promise<SimulationResult<"stake">> {
+    return this.simulate({ functionName: "stake", args: [amount] }, account);
+  }
+
+  async simulateClaimRewards(
+    stakeId: bigint,
+    account?: Address
+  ): Promise<SimulationResult<"claimRewards">> {
+    return this.simulate(
+      { functionName: "claimRewards", args: [stakeId] },
+      account
+    );
+  }
+
+  async simulateClaimAllRewards(
+    account?: Address
+  ): Promise<SimulationResult<"claimAllRewards">> {
+    return this.simulate({ functionName: "claimAllRewards", args: [] }, account);
+  }
+
+  async simulateRequestWithdraw(
+    stakeId: bigint,
+    amount: bigint,
+    account?: Address
+  ): Promise<SimulationResult<"requestWithdraw">> {
+    return this.simulate(
+      { functionName: "requestWithdraw", args: [stakeId, amount] },
+      account
+    );
+  }
+
+  async simulateExecuteWithdraw(
+    stakeId: bigint,
+    account?: Address
+  ): Promise<SimulationResult<"executeWithdraw">> {
+    return this.simulate(
+      { functionName: "executeWithdraw", args: [stakeId] },
+      account
+    );
+  }
+
+  async simulateCancelWithdrawRequest(
+    stakeId: bigint,
+    account?: Address
+  ): Promise<SimulationResult<"cancelWithdrawRequest">> {
+    return this.simulate(
+      { functionName: "cancelWithdrawRequest", args: [stakeId] },
+      account
+    );
+  }
+
+  async simulateEmergencyWithdraw(
+    account?: Address
+  ): Promise<SimulationResult<"emergencyWithdraw">> {
+    return this.simulate(
+      { functionName: "emergencyWithdraw", args: [] },
+      account
+    );
+  }
+
+  async simulateAdminTransferStake(
+    fromUser: Address,
+    stakeId: bigint,
+    toUser: Address,
+    account?: Address
+  ): Promise<SimulationResult<"adminTransferStake">> {
+    return this.simulate(
+      { functionName: "adminTransferStake", args: [fromUser, stakeId, toUser] },
+      account
+    );
+  }
+
+  async simulateDepositTreasury(
+    amount: bigint,
+    account?: Address
+  ): Promise<SimulationResult<"depositTreasury">> {
+    return this.simulate(
+      { functionName: "depositTreasury", args: [amount] },
+      account
+    );
+  }
+
+  async simulateWithdrawTreasury(
+    amount: bigint,
+    account?: Address
+  ): Promise<SimulationResult<"withdrawTreasury">> {
+    return this.simulate(
+      { functionName: "withdrawTreasury", args: [amount] },
+      account
+    );
+  }
+
+  async simulatePause(account?: Address): Promise<SimulationResult<"pause">> {
+    return this.simulate({ functionName: "pause", args: [] }, account);
+  }
+
+  async simulateUnpause(
+    account?: Address
+  ): Promise<SimulationResult<"unpause">> {
+    return this.simulate({ functionName: "unpause", args: [] }, account);
+  }
+
+  async simulateUpdateTierRates(
+    rates: TierRates,
+    account?: Address
+  ): Promise<SimulationResult<"updateTierRates">> {
+    return this.simulate(
+      { functionName: "updateTierRates", args: [rates] },
+      account
+    );
+  }
+
+  async simulateGrantRole(
+    role: `0x${string}`,
+    grantee: Address,
+    account?: Address
+  ): Promise<SimulationResult<"grantRole">> {
+    return this.simulate(
+      { functionName: "grantRole", args: [role, grantee] },
+      account
+    );
+  }
+
+  async simulateRevokeRole(
+    role: `0x${string}`,
+    revokee: Address,
+    account?: Address
+  ): Promise<SimulationResult<"revokeRole">> {
+    return this.simulate(
+      { functionName: "revokeRole", args: [role, revokee] },
+      account
+    );
+  }
+
+  async simulateRenounceRole(
+    role: `0x${string}`,
+    account?: Address
+  ): Promise<SimulationResult<"renounceRole">> {
+    const caller = this.resolveUser(account);
+    return this.simulate(
+      { functionName: "renounceRole", args: [role, caller] },
+      caller
+    );
+  }
+
+  async simulateEmergencyShutdown(
+    account?: Address
+  ): Promise<SimulationResult<"emergencyShutdown">> {
+    return this.simulate(
+      { functionName: "emergencyShutdown", args: [] },
+      account
+    );
+  }
+
+  // ============ Multisig Transactions ============
+
+  /**
+   * Encode a staking contract call for a multisig to execute, instead of
+   * sending it from the connected wallet
+   */
+  encodeSafeTransaction(call: StakingWriteCall): SafeTransaction {
+    const { decimals, symbol } = this.tokenFormat();
+    return {
+      to: this.contractAddress,
+      value: 0n,
+      data: encodeFunctionData({ abi: PROGRESSIVE_STAKING_ABI, ...call }),
+      description: describeStakingCall(call, decimals, symbol),
+    };
+  }
+
+  /**
+   * Build a Safe Transaction Builder batch of calls executed by
+   * `options.safeAddress`. Treasury deposits pull tokens from the Safe, so an
+   * `approve` for their total is prepended when the Safe's allowance is short.
+   */
+  async buildSafeBatch(
+    calls: readonly StakingWriteCall[],
+    options: SafeBatchOptions
+  ): Promise<SafeBatch> {
+    const { address: tokenAddress, decimals, symbol } =
+      await this.getTokenMetadata();
+    const deposits = calls.reduce(
+      (sum, call) =>
+        call.functionName === "depositTreasury" ? sum + call.args[0] : sum,
+      0n
+    );
+    const [chainId, allowance] = await Promise.all([
+      this.publicClient.getChainId(),
+      deposits > 0n ? this.getAllowance(options.safeAddress) : 0n,
+    ]);
+
+    const transactions = calls.map((call) => this.encodeSafeTransaction(call));
+    if (allowance < deposits) {
+      transactions.unshift(
+        encodeSafeApproval(
+          tokenAddress,
+          this.contractAddress,
+          deposits,
+          decimals,
+          symbol
+        )
+      );
+    }
+
+    const targets = {
+      contractAddress: this.contractAddress,
+      tokenAddress,
+      decimals,
+      symbol,
+    };
+    return {
+      transactions,
+      file: toSafeBatchFile(transactions, chainId, targets, options),
+      preview: previewSafeTransactions(transactions, targets),
+    };
+  }
+
   // ============ Utility Methods ============
 
+  /**
+   * Parse with the token decimals. Throws until `init()` or a formatted read
+   * has loaded them.
+   */
   parseAmount(amount: string): bigint {
-    return parseUnits(amount, this.decimals);
+    return parseUnits(amount, this.tokenFormat().decimals);
   }
 
-  formatAmount(amount: bigint): string {
-    return formatUnits(amount, this.decimals);
+  /**
+   * Format with the token decimals, using `amountFormat` from the config
+   * unless `options` are given. Throws until the decimals are loaded, as
+   * `parseAmount` does.
+   */
+  formatAmount(
+    amount: bigint,
+    options: AmountFormatOptions = this.amountFormat
+  ): string {
+    return formatTokenAmount(amount, this.tokenFormat(), options);
+  }
+
+  async getGasPrice(): Promise<bigint> {
+    return this.publicClient.getGasPrice();
   }
 
   getNoticePeriodDays(): number {
@@ -539,4 +2615,11 @@ export class ProgressiveStakingClient {
   getContractAddress(): Address {
     return this.contractAddress;
   }
+
+  /**
+   * Address of the connected wallet, or undefined for a read-only client
+   */
+  getWalletAddress(): Address | undefined {
+    return this.walletClient?.account.address;
+  }
 }
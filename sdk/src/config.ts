@@ -2,6 +2,8 @@ import type { Address } from "viem";
 
 /**
  * Contract addresses for different networks
+ *
+ * @deprecated Placeholders; use `NETWORKS` from the network registry
  */
 export const CONTRACTS = {
   /** Sepolia testnet staking contract */
@@ -12,6 +14,8 @@ export const CONTRACTS = {
 
 /**
  * RPC endpoints (replace YOUR_API_KEY with actual keys)
+ *
+ * @deprecated Pass `rpcUrl` to `ProgressiveStakingClient.forNetwork`
  */
 export const RPC_URLS = {
   SEPOLIA: "https://eth-sepolia.g.alchemy.com/v2/YOUR_API_KEY",
@@ -0,0 +1,21 @@
+export type CsvValue = string | number | bigint | boolean | Date | null | undefined;
+
+function escapeCell(value: CsvValue): string {
+  if (value === null || value === undefined) return "";
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Serialize rows as RFC 4180 CSV with a header line. Dates are written as
+ * ISO 8601, bigints in full precision.
+ */
+export function toCsv(
+  headers: readonly string[],
+  rows: readonly (readonly CsvValue[])[]
+): string {
+  return [headers, ...rows]
+    .map((row) => row.map(escapeCell).join(","))
+    .join("\r\n")
+    .concat("\r\n");
+}
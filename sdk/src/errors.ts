@@ -0,0 +1,236 @@
+import {
+  BaseError,
+  ContractFunctionRevertedError,
+  UserRejectedRequestError,
+  type Hash,
+  type TransactionReceipt,
+} from "viem";
+import type { ERC20_ABI, PROGRESSIVE_STAKING_ABI } from "./abi";
+
+/**
+ * Name of every custom error the staking contract (or the token it calls) can revert with
+ */
+export type ContractErrorName = Extract<
+  (typeof PROGRESSIVE_STAKING_ABI | typeof ERC20_ABI)[number],
+  { type: "error" }
+>["name"];
+
+export type StakingErrorCode =
+  | ContractErrorName
+  | "WALLET_NOT_CONFIGURED"
+  | "USER_REJECTED"
+  | "TRANSACTION_REPLACED"
+  | "TRANSACTION_CANCELLED"
+  | "TRANSACTION_REVERTED"
+  | "NETWORK_MISMATCH"
+  | "UNKNOWN";
+
+/**
+ * Default English messages, keyed by error code
+ */
+export const STAKING_ERROR_MESSAGES: Record<StakingErrorCode, string> = {
+  ZeroAmount: "Amount must be greater than zero.",
+  InvalidStakeId: "Stake position does not exist for this address.",
+  NoRewardsToClaim: "There are no rewards to claim.",
+  InsufficientTreasury: "The reward treasury cannot cover this payout right now.",
+  WithdrawNotReady: "The withdrawal notice period has not ended yet.",
+  WithdrawAlreadyExecuted: "This withdrawal request was already executed or cancelled.",
+  NoWithdrawRequest: "There is no pending withdrawal request for this position.",
+  EmergencyModeActive: "The contract is in emergency mode.",
+  EmergencyModeNotActive: "Emergency withdrawals are only available in emergency mode.",
+  InvalidTierRates: "Tier rates must not exceed 100%.",
+  PositionHasPendingWithdraw: "This position already has a pending withdrawal request.",
+  ZeroAddress: "Address must not be the zero address.",
+  InsufficientStakeBalance: "Amount exceeds the staked balance of this position.",
+  InvalidTier: "Tier index is out of range.",
+  NoStakesToWithdraw: "There are no stake positions to withdraw.",
+  TooManyPendingWithdrawals: "Too many pending withdrawal requests.",
+  TooManyStakes: "Maximum number of stake positions reached.",
+  StakeAmountTooLow: "Amount is below the minimum stake amount.",
+  TransferToSelf: "Cannot transfer a stake to the same address.",
+  AccessControlUnauthorizedAccount: "The connected account lacks the required role.",
+  AccessControlBadConfirmation: "Role renouncement must be confirmed by the account itself.",
+  EnforcedPause: "The contract is paused.",
+  ExpectedPause: "The contract is not paused.",
+  ReentrancyGuardReentrantCall: "Reentrant call rejected.",
+  SafeERC20FailedOperation: "Token transfer failed.",
+  ERC20InsufficientBalance: "Insufficient token balance.",
+  ERC20InsufficientAllowance: "Insufficient token allowance for the staking contract.",
+  ERC2612ExpiredSignature: "The permit signature has expired.",
+  ERC2612InvalidSigner: "The permit was not signed by the token owner.",
+  WALLET_NOT_CONFIGURED: "Wallet client not configured. Use createWithWallet().",
+  USER_REJECTED: "The transaction was rejected in the wallet.",
+  TRANSACTION_REPLACED: "The transaction was replaced by a different transaction.",
+  TRANSACTION_CANCELLED: "The transaction was cancelled in the wallet.",
+  TRANSACTION_REVERTED: "The transaction was mined but reverted.",
+  NETWORK_MISMATCH: "The contract does not match the configured network deployment.",
+  UNKNOWN: "The transaction failed for an unknown reason.",
+};
+
+/**
+ * Base class of every error thrown by the client's write methods.
+ * Switch on `code` to map errors to localized text.
+ */
+export class StakingError extends Error {
+  readonly code: StakingErrorCode;
+  readonly cause?: unknown;
+
+  constructor(code: StakingErrorCode, options: { cause?: unknown; message?: string } = {}) {
+    super(options.message ?? STAKING_ERROR_MESSAGES[code]);
+    this.name = "StakingError";
+    this.code = code;
+    this.cause = options.cause;
+  }
+}
+
+/**
+ * The contract reverted with a known custom error
+ */
+export class ContractRevertError extends StakingError {
+  declare readonly code: ContractErrorName;
+  /** Decoded error arguments, if the error has any */
+  readonly args: readonly unknown[];
+
+  constructor(code: ContractErrorName, args: readonly unknown[] = [], cause?: unknown) {
+    super(code, { cause });
+    this.name = "ContractRevertError";
+    this.args = args;
+  }
+}
+
+export class WalletNotConfiguredError extends StakingError {
+  declare readonly code: "WALLET_NOT_CONFIGURED";
+
+  constructor() {
+    super("WALLET_NOT_CONFIGURED");
+    this.name = "WalletNotConfiguredError";
+  }
+}
+
+export class UserRejectedError extends StakingError {
+  declare readonly code: "USER_REJECTED";
+
+  constructor(cause?: unknown) {
+    super("USER_REJECTED", { cause });
+    this.name = "UserRejectedError";
+  }
+}
+
+/**
+ * A submitted transaction was dropped in favour of another one with the same
+ * nonce. Speed-ups (same call, higher fee) are followed and do not throw.
+ */
+export class TransactionReplacedError extends StakingError {
+  declare readonly code: "TRANSACTION_REPLACED" | "TRANSACTION_CANCELLED";
+  readonly hash: Hash;
+  readonly replacementHash: Hash;
+
+  constructor(reason: "replaced" | "cancelled", hash: Hash, replacementHash: Hash) {
+    super(reason === "cancelled" ? "TRANSACTION_CANCELLED" : "TRANSACTION_REPLACED");
+    this.name = "TransactionReplacedError";
+    this.hash = hash;
+    this.replacementHash = replacementHash;
+  }
+}
+
+/**
+ * The transaction was mined with a failed status and the revert reason
+ * could not be recovered
+ */
+export class TransactionRevertedError extends StakingError {
+  declare readonly code: "TRANSACTION_REVERTED";
+  readonly receipt: TransactionReceipt;
+
+  constructor(receipt: TransactionReceipt, cause?: unknown) {
+    super("TRANSACTION_REVERTED", { cause });
+    this.name = "TransactionRevertedError";
+    this.receipt = receipt;
+  }
+}
+
+/**
+ * The RPC endpoint or the contract behind it is not the configured
+ * deployment. Thrown by `ProgressiveStakingClient.forNetwork`.
+ */
+export class NetworkMismatchError extends StakingError {
+  declare readonly code: "NETWORK_MISMATCH";
+  /** Which check failed */
+  readonly reason: "chain" | "code" | "abi" | "token";
+
+  constructor(reason: NetworkMismatchError["reason"], message: string) {
+    super("NETWORK_MISMATCH", { message });
+    this.name = "NetworkMismatchError";
+    this.reason = reason;
+  }
+}
+
+export class UnknownStakingError extends StakingError {
+  declare readonly code: "UNKNOWN";
+
+  constructor(cause?: unknown) {
+    const detail = cause instanceof BaseError ? cause.shortMessage : undefined;
+    super("UNKNOWN", { cause, message: detail });
+    this.name = "UnknownStakingError";
+  }
+}
+
+const STAKING_ERROR_NAMES: ReadonlySet<string> = new Set([
+  "StakingError",
+  "ContractRevertError",
+  "WalletNotConfiguredError",
+  "UserRejectedError",
+  "TransactionReplacedError",
+  "TransactionRevertedError",
+  "NetworkMismatchError",
+  "UnknownStakingError",
+]);
+
+function isStakingErrorCode(code: unknown): code is StakingErrorCode {
+  return (
+    typeof code === "string" &&
+    Object.prototype.hasOwnProperty.call(STAKING_ERROR_MESSAGES, code)
+  );
+}
+
+/**
+ * Whether `error` is a StakingError. Also recognizes one thrown by another
+ * copy of the SDK (e.g. the CommonJS and ES module builds side by side),
+ * which `instanceof` does not, by its `name` and `code`.
+ */
+export function isStakingError(error: unknown): error is StakingError {
+  if (error instanceof StakingError) return true;
+  return (
+    error instanceof Error &&
+    STAKING_ERROR_NAMES.has(error.name) &&
+    isStakingErrorCode((error as { code?: unknown }).code)
+  );
+}
+
+/**
+ * Convert any error raised by viem into a typed StakingError
+ */
+export function parseStakingError(error: unknown): StakingError {
+  if (isStakingError(error)) return error;
+
+  if (error instanceof BaseError) {
+    const revert = error.walk(
+      (e) => e instanceof ContractFunctionRevertedError
+    );
+    if (revert instanceof ContractFunctionRevertedError) {
+      const errorName = revert.data?.errorName;
+      if (isStakingErrorCode(errorName)) {
+        return new ContractRevertError(
+          errorName as ContractErrorName,
+          revert.data?.args ?? [],
+          error
+        );
+      }
+    }
+
+    if (error.walk((e) => e instanceof UserRejectedRequestError)) {
+      return new UserRejectedError(error);
+    }
+  }
+
+  return new UnknownStakingError(error);
+}
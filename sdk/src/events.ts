@@ -0,0 +1,274 @@
+import {
+  formatLog,
+  pad,
+  parseEventLogs,
+  toEventSelector,
+  toHex,
+  type Address,
+  type ContractEventArgsFromTopics,
+  type ContractEventName,
+  type Hash,
+  type Hex,
+  type PublicClient,
+} from "viem";
+import { PROGRESSIVE_STAKING_ABI } from "./abi";
+
+type StakingAbi = typeof PROGRESSIVE_STAKING_ABI;
+
+export type StakingEventName = ContractEventName<StakingAbi>;
+
+/**
+ * A decoded staking contract event with its position in the chain
+ */
+export type StakingEventLog<N extends StakingEventName = StakingEventName> = {
+  [K in N]: {
+    eventName: K;
+    args: ContractEventArgsFromTopics<StakingAbi, K>;
+    blockNumber: bigint;
+    blockHash: Hash;
+    transactionHash: Hash;
+    logIndex: number;
+  };
+}[N];
+
+/**
+ * A decoded staking contract event with its block timestamp
+ */
+export type StakingEvent<N extends StakingEventName = StakingEventName> =
+  StakingEventLog<N> & {
+    timestamp: Date;
+  };
+
+/**
+ * Resume point for an event scan: every block up to and including
+ * `lastBlock` has been processed
+ */
+export interface EventCheckpoint {
+  lastBlock: bigint;
+}
+
+export interface EventQueryOptions {
+  /**
+   * First block to scan (default: the deployment block, or the block after
+   * `checkpoint`)
+   */
+  fromBlock?: bigint;
+  /** Last block to scan (default: latest block at call time) */
+  toBlock?: bigint;
+  /** Only events involving this address (as `user`, `fromUser`/`toUser` or `admin`) */
+  user?: Address;
+  /** Only these events (default: all staking events) */
+  events?: readonly StakingEventName[];
+  /** Resume a previous scan */
+  checkpoint?: EventCheckpoint;
+}
+
+export interface EventPage {
+  events: StakingEvent[];
+  fromBlock: bigint;
+  toBlock: bigint;
+  checkpoint: EventCheckpoint;
+}
+
+export interface EventIndexerOptions {
+  /** Blocks per `eth_getLogs` request (default: 10,000) */
+  chunkSize?: bigint;
+  /** Block the contract was deployed in (default: 0) */
+  deploymentBlock?: bigint;
+  /** Concurrent `eth_getBlockByNumber` requests for timestamps (default: 20) */
+  blockBatchSize?: number;
+}
+
+const DEFAULT_CHUNK_SIZE = 10_000n;
+const DEFAULT_BLOCK_BATCH_SIZE = 20;
+
+type StakingEventAbiItem = Extract<StakingAbi[number], { type: "event" }>;
+
+const EVENT_ITEMS = PROGRESSIVE_STAKING_ABI.filter(
+  (item): item is StakingEventAbiItem => item.type === "event"
+);
+
+const EVENT_SELECTORS = new Map<StakingEventName, Hex>(
+  EVENT_ITEMS.map((item) => [item.name, toEventSelector(item)])
+);
+
+/**
+ * Paginated reader for staking contract events.
+ *
+ * Walks block ranges in chunks, decodes logs into typed `StakingEvent`s with
+ * block timestamps, and reports a checkpoint after each chunk so long scans
+ * can be resumed.
+ */
+export class StakingEventIndexer {
+  private publicClient: PublicClient;
+  private contractAddress: Address;
+  private chunkSize: bigint;
+  private deploymentBlock: bigint;
+  private blockBatchSize: number;
+  private blockTimestamps = new Map<bigint, Date>();
+
+  constructor(
+    publicClient: PublicClient,
+    contractAddress: Address,
+    options: EventIndexerOptions = {}
+  ) {
+    this.publicClient = publicClient;
+    this.contractAddress = contractAddress;
+    this.chunkSize = options.chunkSize ?? DEFAULT_CHUNK_SIZE;
+    this.deploymentBlock = options.deploymentBlock ?? 0n;
+    this.blockBatchSize = options.blockBatchSize ?? DEFAULT_BLOCK_BATCH_SIZE;
+  }
+
+  /**
+   * Iterate over events one block chunk at a time
+   */
+  async *pages(options: EventQueryOptions = {}): AsyncGenerator<EventPage> {
+    // Past the client's cache, which can trail a block just mined
+    const toBlock =
+      options.toBlock ??
+      (await this.publicClient.getBlockNumber({ cacheTime: 0 }));
+    let fromBlock = options.checkpoint
+      ? options.checkpoint.lastBlock + 1n
+      : options.fromBlock ?? this.deploymentBlock;
+
+    while (fromBlock <= toBlock) {
+      const chunkEnd =
+        fromBlock + this.chunkSize - 1n < toBlock
+          ? fromBlock + this.chunkSize - 1n
+          : toBlock;
+
+      const events = await this.fetchRange(fromBlock, chunkEnd, options);
+      yield {
+        events,
+        fromBlock,
+        toBlock: chunkEnd,
+        checkpoint: { lastBlock: chunkEnd },
+      };
+
+      fromBlock = chunkEnd + 1n;
+    }
+  }
+
+  /**
+   * Collect all matching events in the range
+   */
+  async getEvents(
+    options: EventQueryOptions = {}
+  ): Promise<{ events: StakingEvent[]; checkpoint?: EventCheckpoint }> {
+    const events: StakingEvent[] = [];
+    let checkpoint = options.checkpoint;
+
+    for await (const page of this.pages(options)) {
+      events.push(...page.events);
+      checkpoint = page.checkpoint;
+    }
+
+    return { events, checkpoint };
+  }
+
+  /**
+   * Activity history of a single address, oldest first
+   */
+  async getUserActivity(
+    user: Address,
+    options: Omit<EventQueryOptions, "user"> = {}
+  ): Promise<StakingEvent[]> {
+    const { events } = await this.getEvents({ ...options, user });
+    return events;
+  }
+
+  private async fetchRange(
+    fromBlock: bigint,
+    toBlock: bigint,
+    options: EventQueryOptions
+  ): Promise<StakingEvent[]> {
+    const names = options.events ?? [...EVENT_SELECTORS.keys()];
+    const selectors = names.map((name) => EVENT_SELECTORS.get(name)!);
+
+    const topicFilters: (Hex | Hex[] | null)[][] = [];
+    if (options.user) {
+      const userTopic = pad(options.user);
+      topicFilters.push([selectors, userTopic]);
+      if (names.includes("StakeTransferred")) {
+        topicFilters.push([
+          EVENT_SELECTORS.get("StakeTransferred")!,
+          null,
+          userTopic,
+        ]);
+      }
+    } else {
+      topicFilters.push([selectors]);
+    }
+
+    const results = await Promise.all(
+      topicFilters.map((topics) =>
+        this.publicClient.request({
+          method: "eth_getLogs",
+          params: [
+            {
+              address: this.contractAddress,
+              fromBlock: toHex(fromBlock),
+              toBlock: toHex(toBlock),
+              topics,
+            },
+          ],
+        })
+      )
+    );
+
+    const seen = new Set<string>();
+    const rawLogs = results.flat().filter((log) => {
+      const key = `${log.transactionHash}:${log.logIndex}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+
+    const logs = parseEventLogs({
+      abi: PROGRESSIVE_STAKING_ABI,
+      logs: rawLogs.map((log) => formatLog(log)),
+    }).sort((a, b) =>
+      a.blockNumber === b.blockNumber
+        ? a.logIndex - b.logIndex
+        : a.blockNumber < b.blockNumber
+          ? -1
+          : 1
+    );
+
+    await this.loadTimestamps(logs.map((log) => log.blockNumber));
+
+    return logs.map(
+      (log) =>
+        ({
+          eventName: log.eventName,
+          args: log.args,
+          blockNumber: log.blockNumber,
+          blockHash: log.blockHash,
+          transactionHash: log.transactionHash,
+          logIndex: log.logIndex,
+          timestamp: this.blockTimestamps.get(log.blockNumber)!,
+        }) as StakingEvent
+    );
+  }
+
+  // One batch of blocks at a time, so long histories do not flood the RPC
+  private async loadTimestamps(blockNumbers: bigint[]): Promise<void> {
+    const missing = [...new Set(blockNumbers)].filter(
+      (blockNumber) => !this.blockTimestamps.has(blockNumber)
+    );
+
+    for (let i = 0; i < missing.length; i += this.blockBatchSize) {
+      const blocks = await Promise.all(
+        missing
+          .slice(i, i + this.blockBatchSize)
+          .map((blockNumber) => this.publicClient.getBlock({ blockNumber }))
+      );
+      for (const block of blocks) {
+        this.blockTimestamps.set(
+          block.number,
+          new Date(Number(block.timestamp) * 1000)
+        );
+      }
+    }
+  }
+}
@@ -0,0 +1,48 @@
+import { formatUnits } from "viem";
+import type { AmountFormatOptions, TokenMetadata } from "./types";
+
+/**
+ * Format a token amount. Without options this is `formatUnits`, so the
+ * output parses back with `parseUnits`. All rounding is done on bigints, so
+ * large amounts never lose precision through `Number`.
+ */
+export function formatTokenAmount(
+  amount: bigint,
+  token: Pick<TokenMetadata, "decimals" | "symbol">,
+  options: AmountFormatOptions = {}
+): string {
+  const { locale, minimumFractionDigits = 0, withSymbol } = options;
+  const maximumFractionDigits = Math.max(
+    options.maximumFractionDigits ?? token.decimals,
+    minimumFractionDigits
+  );
+
+  // Round half away from zero to `maximumFractionDigits`
+  const negative = amount < 0n;
+  let value = negative ? -amount : amount;
+  if (maximumFractionDigits < token.decimals) {
+    const unit = 10n ** BigInt(token.decimals - maximumFractionDigits);
+    value = ((value + unit / 2n) / unit) * unit;
+  }
+
+  const [integer, fraction = ""] = formatUnits(value, token.decimals).split(".");
+  const digits = fraction.padEnd(minimumFractionDigits, "0");
+
+  let text: string;
+  if (locale === undefined) {
+    text = digits ? `${integer}.${digits}` : integer;
+  } else {
+    const grouped = new Intl.NumberFormat(locale).format(BigInt(integer));
+    const separator =
+      new Intl.NumberFormat(locale)
+        .formatToParts(1.5)
+        .find((part) => part.type === "decimal")?.value ?? ".";
+    // Digit by digit, for locales with their own numerals
+    const localDigits = new Intl.NumberFormat(locale, { useGrouping: false });
+    const localized = [...digits].map((d) => localDigits.format(Number(d)));
+    text = digits ? `${grouped}${separator}${localized.join("")}` : grouped;
+  }
+
+  if (negative && value > 0n) text = `-${text}`;
+  return withSymbol ? `${text} ${token.symbol}` : text;
+}
@@ -9,6 +9,245 @@ export type {
   StakingStats,
   UserStats,
   StakingClientConfig,
+  MulticallConfig,
+  StakingConstants,
+  StakerState,
+  PermitDomain,
+  TokenMetadata,
+  AmountFormatOptions,
+  TierRates,
+  StakingWriteFunction,
+  StakingWriteCall,
+  SimulationResult,
+  TransactionCostEstimate,
+  WriteOptions,
 } from "./types";
-export { TIER_INFO, NOTICE_PERIOD_DAYS, YEAR_DAYS } from "./types";
+export {
+  TIER_INFO,
+  NOTICE_PERIOD_DAYS,
+  YEAR_DAYS,
+  DEFAULT_MULTICALL_BATCH_SIZE,
+  YEAR_DURATION,
+  RATE_PRECISION,
+  MAX_TIERS,
+  MIN_STAKE_AMOUNT,
+  MAX_STAKES_PER_ADDRESS,
+  MAX_PENDING_WITHDRAWALS,
+  ADMIN_ROLE,
+  DEFAULT_ADMIN_ROLE,
+} from "./types";
+export {
+  calculatePositionRewards,
+  calculateTierRewards,
+  projectPositionRewards,
+  getTierForDuration,
+} from "./rewards";
+export type {
+  RewardCalculationOptions,
+  RewardProjection,
+  TierRewardBreakdown,
+} from "./rewards";
+export {
+  StakingError,
+  ContractRevertError,
+  WalletNotConfiguredError,
+  UserRejectedError,
+  TransactionReplacedError,
+  TransactionRevertedError,
+  NetworkMismatchError,
+  UnknownStakingError,
+  STAKING_ERROR_MESSAGES,
+  isStakingError,
+  parseStakingError,
+} from "./errors";
+export type { ContractErrorName, StakingErrorCode } from "./errors";
+export {
+  validateStake,
+  validateClaimRewards,
+  validateClaimAllRewards,
+  validateRequestWithdraw,
+  validateExecuteWithdraw,
+  validateCancelWithdrawRequest,
+  validateEmergencyWithdraw,
+  validateAdminTransferStake,
+} from "./validation";
+export type {
+  ValidationIssue,
+  ValidationResult,
+  ContractStatus,
+  StakeValidationContext,
+  ClaimValidationContext,
+  ClaimAllValidationContext,
+  RequestWithdrawValidationContext,
+  WithdrawRequestValidationContext,
+  EmergencyWithdrawValidationContext,
+  AdminTransferValidationContext,
+} from "./validation";
+export { StakingTransaction } from "./transaction";
+export type {
+  StakingTransactionResults,
+  StakingTransactionResult,
+  TransactionStatus,
+  TransactionWaitOptions,
+} from "./transaction";
+export { buildTreasuryReport, treasuryReportToCsv } from "./analytics";
+export type {
+  TreasuryReportInput,
+  TreasuryReportOptions,
+  LiabilityProjection,
+  TreasuryReport,
+} from "./analytics";
+export { formatTokenAmount } from "./format";
+export { toCsv } from "./csv";
+export type { CsvValue } from "./csv";
+export {
+  SNAPSHOT_SCHEMA_VERSION,
+  balanceMerkleTree,
+  snapshotToJson,
+  snapshotToCsv,
+} from "./snapshot";
+export type {
+  SnapshotPosition,
+  SnapshotAccount,
+  StakingSnapshot,
+  BalanceLeaf,
+  BalanceMerkleTree,
+} from "./snapshot";
+export {
+  describeStakingCall,
+  encodeSafeApproval,
+  decodeSafeTransaction,
+  previewSafeTransactions,
+  toSafeBatchFile,
+} from "./safe";
+export type {
+  SafeTransaction,
+  SafeBatchTargets,
+  DecodedSafeCall,
+  SafeBatchOptions,
+  SafeBatchFile,
+  SafeBatch,
+} from "./safe";
+export {
+  parseMigrationCsv,
+  migrationRowKey,
+  createMemoryJournal,
+  latestJournalEntries,
+  validateMigrationRows,
+  reconcileMigration,
+} from "./migration";
+export type {
+  MigrationRow,
+  MigrationCsvError,
+  MigrationJournalEntry,
+  MigrationJournal,
+  MigrationOptions,
+  MigrationRowStatus,
+  MigrationRowResult,
+  MigrationReport,
+} from "./migration";
+export {
+  StakingCache,
+  createMemoryCacheStorage,
+  isRewardFrozen,
+  deriveRewards,
+} from "./cache";
+export type {
+  StakingCacheStorage,
+  StakingCacheConfig,
+  CacheReadOptions,
+  RewardSnapshot,
+} from "./cache";
+export { simulateClaimStrategy, compareClaimStrategies } from "./strategy";
+export type {
+  ClaimStrategy,
+  SimulatedTransaction,
+  GasCostModel,
+  StrategySimulationContext,
+  StrategySimulationOptions,
+  StrategySimulationResult,
+} from "./strategy";
+export { buildPositionTimeline, timelineToIcs } from "./timeline";
+export type {
+  TierPeriod,
+  TierUpgrade,
+  PositionTimeline,
+  TimelineOptions,
+  CalendarOptions,
+} from "./timeline";
+export {
+  LEDGER_EVENTS,
+  createFixedPriceSource,
+  createDailyPriceSource,
+  buildIncomeLedger,
+  ledgerToCsv,
+  ledgerToKoinlyCsv,
+} from "./ledger";
+export type {
+  LedgerEventName,
+  LedgerCategory,
+  LedgerEntry,
+  PriceSource,
+  FiscalYearStart,
+  LedgerOptions,
+  FiscalYearSummary,
+  IncomeLedger,
+  LedgerCsvOptions,
+} from "./ledger";
+export { planWithdrawal } from "./planner";
+export type {
+  WithdrawalStrategy,
+  WithdrawalPlanContext,
+  WithdrawalPlanOptions,
+  PlannedWithdrawal,
+  WithdrawalPlan,
+} from "./planner";
+export {
+  StakingKeeper,
+  createMemoryKeeperStore,
+  createJsonLogger,
+} from "./keeper";
+export type {
+  KeeperWallet,
+  KeeperWalletState,
+  KeeperState,
+  KeeperStore,
+  KeeperLogLevel,
+  KeeperLogEntry,
+  KeeperLogger,
+  KeeperOptions,
+  KeeperWalletOutcome,
+  KeeperWalletResult,
+} from "./keeper";
+export { WithdrawalScheduler } from "./scheduler";
+export type {
+  ReadyWithdrawalStatus,
+  ReadyWithdrawalResult,
+  ExecuteWithdrawalsOptions,
+  WithdrawalSchedulerOptions,
+  WithdrawalSchedulerResult,
+} from "./scheduler";
+export { StakingEventIndexer } from "./events";
+export type {
+  StakingEventName,
+  StakingEventLog,
+  StakingEvent,
+  EventCheckpoint,
+  EventQueryOptions,
+  EventPage,
+  EventIndexerOptions,
+} from "./events";
+export { watchStakingEvents, eventUsers } from "./watch";
+export type { WatchOptions, WatchUpdate, WatchHandler } from "./watch";
+export {
+  NETWORKS,
+  resolveNetwork,
+  missingFunctions,
+  verifyDeployment,
+} from "./networks";
+export type {
+  StakingNetwork,
+  StakingNetworkName,
+  NetworkClientOptions,
+} from "./networks";
 export { CONTRACTS, RPC_URLS, TOKEN_SYMBOL, TOKEN_DECIMALS } from "./config";
@@ -0,0 +1,647 @@
+import type { Address, Hash } from "viem";
+import type { ProgressiveStakingClient } from "./client";
+import {
+  ContractRevertError,
+  TransactionReplacedError,
+  TransactionRevertedError,
+  parseStakingError,
+  type StakingErrorCode,
+} from "./errors";
+import type { StakingTransaction } from "./transaction";
+import type { StakingWriteCall } from "./types";
+import { MIN_STAKE_AMOUNT } from "./types";
+import { MAX_TIMEOUT } from "./watch";
+
+/**
+ * Auto-claim keeper.
+ *
+ * Checks a set of wallets on an interval and claims their rewards once they
+ * are worth more than the gas, optionally staking them again. Progress is
+ * kept in a state store, so a restarted keeper follows the transaction it
+ * was waiting for and finishes a restake it had claimed for.
+ */
+
+type KeeperFunction = "claimRewards" | "claimAllRewards" | "stake";
+
+export interface KeeperWallet {
+  /** Client with the wallet that owns the positions (`createWithWallet`) */
+  client: ProgressiveStakingClient;
+  /**
+   * Claim with one `claimAllRewards` ("all", default), or with
+   * `claimRewards` for each position whose rewards beat its own gas ("each")
+   */
+  claimMode?: "all" | "each";
+  /** Stake claimed rewards again as a new position (default: false) */
+  restake?: boolean;
+  /** Smallest claim worth a transaction, on top of the gas check */
+  minRewards?: bigint;
+}
+
+export interface KeeperWalletState {
+  address: Address;
+  /** Last check that completed, in ms */
+  lastCheckAt?: number;
+  lastClaimAt?: number;
+  /** Rewards claimed by the keeper so far */
+  totalClaimed: bigint;
+  /** Rewards restaked by the keeper so far */
+  totalRestaked: bigint;
+  /** Claimed rewards still to be restaked */
+  restakeDue: bigint;
+  /** Transaction sent but not yet seen mined */
+  pending?: { hash: Hash; call: StakingWriteCall<KeeperFunction>; at: number };
+  /** Consecutive failed checks; reset by a successful one */
+  failures: number;
+  /** No check before this time, in ms */
+  retryAt?: number;
+  lastError?: { code: StakingErrorCode; message: string };
+}
+
+export interface KeeperState {
+  version: 1;
+  /** Backoff while the contract is paused */
+  contract: { failures: number; retryAt?: number };
+  /** Keyed by lowercase wallet address */
+  wallets: Record<string, KeeperWalletState>;
+}
+
+/**
+ * Where the keeper keeps its state between runs. Implement it over a file,
+ * database or key-value store to survive restarts.
+ */
+export interface KeeperStore {
+  load(): Promise<KeeperState | undefined>;
+  save(state: KeeperState): Promise<void>;
+}
+
+export type KeeperLogLevel = "debug" | "info" | "warn" | "error";
+
+export interface KeeperLogEntry {
+  /** ISO 8601 */
+  time: string;
+  level: KeeperLogLevel;
+  /** Machine-readable event name, e.g. `claim.confirmed` */
+  event: string;
+  wallet?: Address;
+  [field: string]: unknown;
+}
+
+export type KeeperLogger = (entry: KeeperLogEntry) => void;
+
+export interface KeeperOptions {
+  wallets: readonly KeeperWallet[];
+  /**
+   * Convert a gas fee in native coin wei to staking token wei, e.g. from a
+   * price feed. Claims are sent only when the rewards beat the converted fee.
+   */
+  gasCostInToken: (cost: bigint) => bigint | Promise<bigint>;
+  /** Rewards must exceed the gas cost this many times over (default: 1) */
+  gasMultiplier?: number;
+  /**
+   * Gas assumed for a restake when deciding whether it pays, since `stake`
+   * cannot be estimated before the allowance is granted (default: 200000)
+   */
+  restakeGas?: bigint;
+  /** State store (default: in memory) */
+  store?: KeeperStore;
+  /** Ms between checks (default: one hour) */
+  pollInterval?: number;
+  /**
+   * Delay after a failed check, doubling with each consecutive failure, in
+   * ms (default: one minute up to six hours)
+   */
+  backoff?: { initial?: number; max?: number };
+  /** Blocks to wait for per transaction (default: 1) */
+  confirmations?: number;
+  /**
+   * Ms to wait for a receipt before leaving it to the next check
+   * (default: 10 minutes)
+   */
+  receiptTimeout?: number;
+  /** Log sink (default: JSON lines on the console) */
+  logger?: KeeperLogger;
+}
+
+export type KeeperWalletOutcome =
+  /** Claimed (and possibly restaked) rewards */
+  | "claimed"
+  /** Nothing worth claiming */
+  | "idle"
+  /** Backing off after an earlier failure or a paused contract */
+  | "waiting"
+  | "paused"
+  | "failed";
+
+export interface KeeperWalletResult {
+  wallet: Address;
+  outcome: KeeperWalletOutcome;
+  claimed: bigint;
+  restaked: bigint;
+  error?: { code: StakingErrorCode; message: string };
+}
+
+const DEFAULT_POLL_INTERVAL = 3_600_000;
+const DEFAULT_BACKOFF_INITIAL = 60_000;
+const DEFAULT_BACKOFF_MAX = 21_600_000;
+const DEFAULT_RESTAKE_GAS = 200_000n;
+const DEFAULT_RECEIPT_TIMEOUT = 600_000;
+/** A transaction unseen for this long is assumed dropped */
+const PENDING_EXPIRY = 3_600_000;
+
+export function createMemoryKeeperStore(): KeeperStore {
+  let saved: KeeperState | undefined;
+  return {
+    load: async () => saved && structuredClone(saved),
+    save: async (state) => {
+      saved = structuredClone(state);
+    },
+  };
+}
+
+/**
+ * Logger writing one JSON object per line, with bigints as decimal strings
+ */
+export function createJsonLogger(
+  write: (line: string) => void = (line) => console.log(line)
+): KeeperLogger {
+  return (entry) =>
+    write(
+      JSON.stringify(entry, (_key, value) =>
+        typeof value === "bigint" ? value.toString() : value
+      )
+    );
+}
+
+/**
+ * Resolve after `ms`, or as soon as `signal` aborts. Delays past the
+ * setTimeout limit are cut short; callers check again and sleep once more
+ */
+export function sleep(ms: number, signal?: AbortSignal): Promise<void> {
+  return new Promise((resolve) => {
+    if (signal?.aborted) return resolve();
+    const done = () => {
+      clearTimeout(timer);
+      signal?.removeEventListener("abort", done);
+      resolve();
+    };
+    const timer = setTimeout(done, Math.min(ms, MAX_TIMEOUT));
+    signal?.addEventListener("abort", done, { once: true });
+  });
+}
+
+// The transaction is settled one way or the other; anything else (timeouts,
+// RPC errors) leaves it pending for the next check
+function isFinal(error: unknown): boolean {
+  return (
+    error instanceof ContractRevertError ||
+    error instanceof TransactionRevertedError ||
+    error instanceof TransactionReplacedError
+  );
+}
+
+export class StakingKeeper {
+  private wallets: readonly KeeperWallet[];
+  private gasCostInToken: KeeperOptions["gasCostInToken"];
+  /** Gas multiplier in hundredths, for bigint math */
+  private gasMultiplier: bigint;
+  private restakeGas: bigint;
+  private store: KeeperStore;
+  private pollInterval: number;
+  private backoffInitial: number;
+  private backoffMax: number;
+  private confirmations: number;
+  private receiptTimeout: number;
+  private logger: KeeperLogger;
+  private state?: KeeperState;
+
+  /**
+   * @throws Error if a wallet's client has no wallet
+   */
+  constructor(options: KeeperOptions) {
+    for (const { client } of options.wallets) {
+      if (!client.getWalletAddress()) {
+        throw new Error("Keeper wallets need a client with a wallet");
+      }
+    }
+    this.wallets = options.wallets;
+    this.gasCostInToken = options.gasCostInToken;
+    this.gasMultiplier = BigInt(
+      Math.round((options.gasMultiplier ?? 1) * 100)
+    );
+    this.restakeGas = options.restakeGas ?? DEFAULT_RESTAKE_GAS;
+    this.store = options.store ?? createMemoryKeeperStore();
+    this.pollInterval = options.pollInterval ?? DEFAULT_POLL_INTERVAL;
+    this.backoffInitial = options.backoff?.initial ?? DEFAULT_BACKOFF_INITIAL;
+    this.backoffMax = options.backoff?.max ?? DEFAULT_BACKOFF_MAX;
+    this.confirmations = options.confirmations ?? 1;
+    this.receiptTimeout = options.receiptTimeout ?? DEFAULT_RECEIPT_TIMEOUT;
+    this.logger = options.logger ?? createJsonLogger();
+  }
+
+  private log(
+    level: KeeperLogLevel,
+    event: string,
+    fields: Omit<KeeperLogEntry, "time" | "level" | "event"> = {}
+  ): void {
+    this.logger({ time: new Date().toISOString(), level, event, ...fields });
+  }
+
+  private async loadState(): Promise<KeeperState> {
+    this.state ??= (await this.store.load()) ?? {
+      version: 1,
+      contract: { failures: 0 },
+      wallets: {},
+    };
+    return this.state;
+  }
+
+  private async save(): Promise<void> {
+    if (this.state) await this.store.save(this.state);
+  }
+
+  private walletState(
+    state: KeeperState,
+    address: Address
+  ): KeeperWalletState {
+    const key = address.toLowerCase();
+    state.wallets[key] ??= {
+      address,
+      totalClaimed: 0n,
+      totalRestaked: 0n,
+      restakeDue: 0n,
+      failures: 0,
+    };
+    return state.wallets[key];
+  }
+
+  private backoffDelay(failures: number): number {
+    return Math.min(
+      this.backoffInitial * 2 ** Math.max(failures - 1, 0),
+      this.backoffMax
+    );
+  }
+
+  /**
+   * Current state, as last saved
+   */
+  async getState(): Promise<KeeperState> {
+    return structuredClone(await this.loadState());
+  }
+
+  /**
+   * Check every wallet once, one after another
+   */
+  async runOnce(): Promise<KeeperWalletResult[]> {
+    const state = await this.loadState();
+    const addresses = this.wallets.map((w) => w.client.getWalletAddress()!);
+    const idle = (outcome: KeeperWalletOutcome) =>
+      addresses.map((wallet) => ({
+        wallet,
+        outcome,
+        claimed: 0n,
+        restaked: 0n,
+      }));
+
+    const { contract } = state;
+    if (contract.retryAt !== undefined && Date.now() < contract.retryAt) {
+      return idle("waiting");
+    }
+    if (await this.wallets[0]?.client.isPaused()) {
+      await this.backoffContract(state);
+      return idle("paused");
+    }
+    if (contract.failures > 0) {
+      this.log("info", "contract.unpaused");
+      state.contract = { failures: 0 };
+      await this.save();
+    }
+
+    const results: KeeperWalletResult[] = [];
+    for (const wallet of this.wallets) {
+      results.push(await this.checkWallet(state, wallet));
+      // A revert with EnforcedPause backs off the remaining wallets too
+      if (state.contract.retryAt !== undefined) break;
+    }
+    return [...results, ...idle("paused").slice(results.length)];
+  }
+
+  /**
+   * Check the wallets every `pollInterval` until `signal` aborts. A check
+   * that throws (e.g. the RPC endpoint is down) is logged and retried on
+   * the next round.
+   */
+  async run(options: { signal?: AbortSignal } = {}): Promise<void> {
+    const { signal } = options;
+    this.log("info", "keeper.started", {
+      wallets: this.wallets.map((w) => w.client.getWalletAddress()),
+    });
+
+    while (!signal?.aborted) {
+      try {
+        await this.runOnce();
+      } catch (error) {
+        const { code, message } = parseStakingError(error);
+        this.log("error", "keeper.error", { code, message });
+      }
+      if (signal?.aborted) break;
+      await sleep(await this.nextCheckDelay(), signal);
+    }
+
+    this.log("info", "keeper.stopped");
+  }
+
+  // Wake up early for a backoff that ends before the next regular check
+  private async nextCheckDelay(): Promise<number> {
+    const state = await this.loadState();
+    const now = Date.now();
+    const retries = [
+      state.contract.retryAt,
+      ...Object.values(state.wallets).map((w) => w.retryAt),
+    ].filter((at): at is number => at !== undefined && at > now);
+    const delay = Math.min(this.pollInterval, ...retries.map((at) => at - now));
+    return Math.max(delay, 1000);
+  }
+
+  private async backoffContract(state: KeeperState): Promise<void> {
+    const failures = state.contract.failures + 1;
+    const delay = this.backoffDelay(failures);
+    state.contract = { failures, retryAt: Date.now() + delay };
+    this.log("warn", "contract.paused", { failures, retryInMs: delay });
+    await this.save();
+  }
+
+  private async checkWallet(
+    state: KeeperState,
+    wallet: KeeperWallet
+  ): Promise<KeeperWalletResult> {
+    const address = wallet.client.getWalletAddress()!;
+    const walletState = this.walletState(state, address);
+    if (walletState.retryAt !== undefined && Date.now() < walletState.retryAt) {
+      return { wallet: address, outcome: "waiting", claimed: 0n, restaked: 0n };
+    }
+
+    try {
+      let claimed = 0n;
+      let restaked = 0n;
+      if (walletState.pending) {
+        const { functionName } = walletState.pending.call;
+        const amount = await this.settlePending(wallet, walletState);
+        if (functionName === "stake") restaked += amount;
+        else claimed += amount;
+      }
+      claimed += await this.claim(wallet, walletState);
+      if (wallet.restake) {
+        restaked += await this.restake(wallet, walletState);
+      }
+
+      walletState.failures = 0;
+      walletState.retryAt = undefined;
+      walletState.lastError = undefined;
+      walletState.lastCheckAt = Date.now();
+      await this.save();
+      return {
+        wallet: address,
+        outcome: claimed > 0n || restaked > 0n ? "claimed" : "idle",
+        claimed,
+        restaked,
+      };
+    } catch (cause) {
+      const error = parseStakingError(cause);
+      const { code, message } = error;
+      if (code === "EnforcedPause") {
+        await this.backoffContract(state);
+        return {
+          wallet: address,
+          outcome: "paused",
+          claimed: 0n,
+          restaked: 0n,
+        };
+      }
+
+      walletState.failures++;
+      const delay = this.backoffDelay(walletState.failures);
+      walletState.retryAt = Date.now() + delay;
+      walletState.lastError = { code, message };
+      walletState.lastCheckAt = Date.now();
+      // An empty treasury is expected to be topped up; anything else is not
+      const level = code === "InsufficientTreasury" ? "warn" : "error";
+      this.log(level, "wallet.failed", {
+        wallet: address,
+        code,
+        message,
+        failures: walletState.failures,
+        retryInMs: delay,
+      });
+      await this.save();
+      return {
+        wallet: address,
+        outcome: "failed",
+        claimed: 0n,
+        restaked: 0n,
+        error: { code, message },
+      };
+    }
+  }
+
+  // Follow a transaction sent before a restart or a receipt timeout
+  private async settlePending(
+    wallet: KeeperWallet,
+    walletState: KeeperWalletState
+  ): Promise<bigint> {
+    const pending = walletState.pending!;
+    const transaction = wallet.client.resumeTransaction(
+      pending.call,
+      pending.hash
+    );
+    try {
+      return await this.settle(wallet, walletState, transaction);
+    } catch (error) {
+      if (isFinal(error) || Date.now() - pending.at < PENDING_EXPIRY) {
+        throw error;
+      }
+      this.log("warn", "transaction.dropped", {
+        wallet: walletState.address,
+        hash: pending.hash,
+        functionName: pending.call.functionName,
+      });
+      walletState.pending = undefined;
+      await this.save();
+      return 0n;
+    }
+  }
+
+  /**
+   * Wait for a keeper transaction and record its outcome
+   *
+   * @returns The amount claimed or staked
+   */
+  private async settle(
+    wallet: KeeperWallet,
+    walletState: KeeperWalletState,
+    transaction: StakingTransaction<KeeperFunction>
+  ): Promise<bigint> {
+    const { functionName } = transaction.call;
+    let result;
+    try {
+      result = await transaction.wait({
+        confirmations: this.confirmations,
+        timeout: this.receiptTimeout,
+      });
+    } catch (error) {
+      if (isFinal(error)) {
+        walletState.pending = undefined;
+        await this.save();
+      }
+      throw error;
+    }
+
+    const { amount } = result as { amount: bigint };
+    walletState.pending = undefined;
+    if (functionName === "stake") {
+      walletState.totalRestaked += amount;
+      const due = walletState.restakeDue;
+      walletState.restakeDue = amount < due ? due - amount : 0n;
+    } else {
+      walletState.totalClaimed += amount;
+      walletState.lastClaimAt = Date.now();
+      if (wallet.restake) walletState.restakeDue += amount;
+    }
+    await this.save();
+
+    const event =
+      functionName === "stake" ? "restake.confirmed" : "claim.confirmed";
+    this.log("info", event, {
+      wallet: walletState.address,
+      hash: result.hash,
+      functionName,
+      amount,
+      blockNumber: result.receipt.blockNumber,
+    });
+    return amount;
+  }
+
+  private async send(
+    wallet: KeeperWallet,
+    walletState: KeeperWalletState,
+    call: StakingWriteCall<KeeperFunction>,
+    submit: () => Promise<StakingTransaction<KeeperFunction>>
+  ): Promise<bigint> {
+    const transaction = await submit();
+    walletState.pending = { hash: transaction.hash, call, at: Date.now() };
+    await this.save();
+    this.log("info", "transaction.submitted", {
+      wallet: walletState.address,
+      hash: transaction.hash,
+      functionName: call.functionName,
+    });
+    return this.settle(wallet, walletState, transaction);
+  }
+
+  // Whether `amount` beats `cost` (native wei) converted to the token
+  private async beatsGas(
+    walletState: KeeperWalletState,
+    event: string,
+    amount: bigint,
+    cost: bigint
+  ): Promise<boolean> {
+    const gasCost = await this.gasCostInToken(cost);
+    if (amount * 100n > gasCost * this.gasMultiplier) return true;
+    this.log("debug", event, {
+      wallet: walletState.address,
+      reason: "gas",
+      amount,
+      gasCost,
+    });
+    return false;
+  }
+
+  private async claim(
+    wallet: KeeperWallet,
+    walletState: KeeperWalletState
+  ): Promise<bigint> {
+    const { client } = wallet;
+    const address = walletState.address;
+    const minRewards = wallet.minRewards ?? 1n;
+
+    if (wallet.claimMode === "each") {
+      const positions = await client.getStakeInfo(address);
+      const rewards = await Promise.all(
+        positions.map((p) => client.calculateRewards(address, p.stakeId))
+      );
+
+      let claimed = 0n;
+      for (const [i, { stakeId }] of positions.entries()) {
+        if (rewards[i] < minRewards) continue;
+        const call = {
+          functionName: "claimRewards",
+          args: [stakeId],
+        } as const satisfies StakingWriteCall<"claimRewards">;
+        const { cost } = await client.estimateTransactionCost(call);
+        const pays = await this.beatsGas(
+          walletState,
+          "claim.skipped",
+          rewards[i],
+          cost
+        );
+        if (!pays) continue;
+        claimed += await this.send(wallet, walletState, call, () =>
+          client.claimRewards(stakeId)
+        );
+      }
+      return claimed;
+    }
+
+    const rewards = await client.calculateTotalRewards(address);
+    if (rewards < minRewards) {
+      this.log("debug", "claim.skipped", {
+        wallet: address,
+        reason: "minRewards",
+        amount: rewards,
+      });
+      return 0n;
+    }
+    const call = {
+      functionName: "claimAllRewards",
+      args: [],
+    } as const satisfies StakingWriteCall<"claimAllRewards">;
+    const { cost } = await client.estimateTransactionCost(call);
+    if (!(await this.beatsGas(walletState, "claim.skipped", rewards, cost))) {
+      return 0n;
+    }
+    return this.send(wallet, walletState, call, () => client.claimAllRewards());
+  }
+
+  private async restake(
+    wallet: KeeperWallet,
+    walletState: KeeperWalletState
+  ): Promise<bigint> {
+    const { client } = wallet;
+    if (walletState.restakeDue < MIN_STAKE_AMOUNT) return 0n;
+
+    // Tokens moved out of the wallet since the claim cannot be restaked
+    const balance = await client.getTokenBalance(walletState.address);
+    if (balance < walletState.restakeDue) {
+      this.log("warn", "restake.reduced", {
+        wallet: walletState.address,
+        due: walletState.restakeDue,
+        balance,
+      });
+      walletState.restakeDue = balance;
+      await this.save();
+      if (balance < MIN_STAKE_AMOUNT) return 0n;
+    }
+
+    const amount = walletState.restakeDue;
+    const gasPrice = await client.getGasPrice();
+    const cost = gasPrice * this.restakeGas;
+    if (!(await this.beatsGas(walletState, "restake.skipped", amount, cost))) {
+      return 0n;
+    }
+    return this.send(
+      wallet,
+      walletState,
+      { functionName: "stake", args: [amount] },
+      async () => (await client.stakeWithApproval(amount)).stakeTransaction
+    );
+  }
+}
@@ -0,0 +1,419 @@
+import { formatUnits, isAddressEqual, type Address, type Hash } from "viem";
+import { TOKEN_DECIMALS, TOKEN_SYMBOL } from "./config";
+import { toCsv } from "./csv";
+import type { StakingEvent } from "./events";
+
+/**
+ * Income ledger of an address, for tax and accounting statements.
+ *
+ * Every token transfer the contract makes to a user is an entry: rewards are
+ * income, withdrawn stake is principal coming back. An emergency withdrawal
+ * pays both in one event and becomes two entries.
+ */
+
+export const LEDGER_EVENTS = [
+  "RewardsClaimed",
+  "AllRewardsClaimed",
+  "EmergencyWithdrawn",
+  "WithdrawExecuted",
+] as const;
+
+export type LedgerEventName = (typeof LEDGER_EVENTS)[number];
+
+export type LedgerCategory = "income" | "principal";
+
+export interface LedgerEntry {
+  timestamp: Date;
+  blockNumber: bigint;
+  transactionHash: Hash;
+  logIndex: number;
+  event: LedgerEventName;
+  category: LedgerCategory;
+  /** Null for events covering every position of the user */
+  stakeId: bigint | null;
+  amount: bigint;
+  /** Price of one whole token at `timestamp`; null if not priced */
+  price: number | null;
+  /** `amount` valued at `price`; null if not priced */
+  value: number | null;
+}
+
+/**
+ * Historical token prices, e.g. backed by an exchange or price API
+ */
+export interface PriceSource {
+  /** Currency prices are quoted in, such as "USD" or "EUR" */
+  currency: string;
+  /** Price of one whole token at `timestamp`, or undefined if unknown */
+  getPrice(timestamp: Date): Promise<number | undefined>;
+}
+
+export interface FiscalYearStart {
+  /** 1 to 12 */
+  month: number;
+  day: number;
+}
+
+export interface LedgerOptions {
+  /** Value entries at the price of their block time */
+  priceSource?: PriceSource;
+  /**
+   * First day of the fiscal year, in UTC (default: January 1). For example
+   * `{ month: 4, day: 6 }` for the UK tax year.
+   */
+  fiscalYearStart?: FiscalYearStart;
+  /** Token decimals (default: TOKEN_DECIMALS) */
+  decimals?: number;
+  /** Token symbol (default: TOKEN_SYMBOL) */
+  symbol?: string;
+}
+
+export interface FiscalYearSummary {
+  /** "2024" for calendar years, "2024/25" for years spanning two */
+  label: string;
+  /** Calendar year the fiscal year starts in */
+  year: number;
+  startsAt: Date;
+  /** Start of the next fiscal year */
+  endsAt: Date;
+  income: bigint;
+  principal: bigint;
+  /** Value of the priced income entries; null without a price source */
+  incomeValue: number | null;
+  /** Income entries the price source had no price for */
+  unpricedIncome: number;
+  entryCount: number;
+}
+
+export interface IncomeLedger {
+  user: Address;
+  decimals: number;
+  symbol: string;
+  /** Currency of prices and values; null without a price source */
+  currency: string | null;
+  fiscalYearStart: FiscalYearStart;
+  /** Oldest first */
+  entries: LedgerEntry[];
+  /** Years with at least one entry, oldest first */
+  years: FiscalYearSummary[];
+}
+
+const CALENDAR_YEAR: FiscalYearStart = { month: 1, day: 1 };
+const DAY_MS = 86_400_000;
+
+/**
+ * Price source with one price for all time, for stablecoin-pegged tokens or
+ * a valuation set by the user
+ */
+export function createFixedPriceSource(
+  currency: string,
+  price: number
+): PriceSource {
+  return { currency, getPrice: async () => price };
+}
+
+/**
+ * Price source over a table of daily prices keyed by UTC date
+ * (`YYYY-MM-DD`), such as a closing price export. A day missing from the
+ * table takes the latest earlier price, up to `maxAgeDays` (default: 0).
+ */
+export function createDailyPriceSource(
+  currency: string,
+  prices: Readonly<Record<string, number>>,
+  options: { maxAgeDays?: number } = {}
+): PriceSource {
+  const maxAgeDays = options.maxAgeDays ?? 0;
+  return {
+    currency,
+    getPrice: async (timestamp) => {
+      for (let age = 0; age <= maxAgeDays; age++) {
+        const day = new Date(timestamp.getTime() - age * DAY_MS);
+        const price = prices[day.toISOString().slice(0, 10)];
+        if (price !== undefined) return price;
+      }
+      return undefined;
+    },
+  };
+}
+
+function fiscalYearOf(
+  date: Date,
+  start: FiscalYearStart
+): { year: number; startsAt: Date; endsAt: Date } {
+  const startOf = (year: number) =>
+    new Date(Date.UTC(year, start.month - 1, start.day));
+  let year = date.getUTCFullYear();
+  if (date < startOf(year)) year--;
+  return { year, startsAt: startOf(year), endsAt: startOf(year + 1) };
+}
+
+function fiscalYearLabel(year: number, start: FiscalYearStart): string {
+  if (start.month === 1 && start.day === 1) return `${year}`;
+  return `${year}/${String((year + 1) % 100).padStart(2, "0")}`;
+}
+
+function ledgerEntries(
+  event: StakingEvent<LedgerEventName>
+): Omit<LedgerEntry, "price" | "value">[] {
+  const base = {
+    timestamp: event.timestamp,
+    blockNumber: event.blockNumber,
+    transactionHash: event.transactionHash,
+    logIndex: event.logIndex,
+    event: event.eventName,
+  };
+
+  switch (event.eventName) {
+    case "RewardsClaimed":
+      return [
+        {
+          ...base,
+          category: "income",
+          stakeId: event.args.stakeId,
+          amount: event.args.amount,
+        },
+      ];
+    case "AllRewardsClaimed":
+      return [
+        {
+          ...base,
+          category: "income",
+          stakeId: null,
+          amount: event.args.totalAmount,
+        },
+      ];
+    case "WithdrawExecuted":
+      return [
+        {
+          ...base,
+          category: "principal",
+          stakeId: event.args.stakeId,
+          amount: event.args.amount,
+        },
+      ];
+    case "EmergencyWithdrawn":
+      return [
+        {
+          ...base,
+          category: "principal" as const,
+          stakeId: null,
+          amount: event.args.principal,
+        },
+        {
+          ...base,
+          category: "income" as const,
+          stakeId: null,
+          amount: event.args.rewards,
+        },
+      ].filter((entry) => entry.amount > 0n);
+  }
+}
+
+/**
+ * Build the ledger of `user` from its staking events (`getUserActivity`).
+ * Events other than the ledger events, or paying another user, are ignored.
+ *
+ * Prices are looked up once per block time, one at a time, so rate-limited
+ * price APIs are not flooded.
+ */
+export async function buildIncomeLedger(
+  user: Address,
+  events: readonly StakingEvent[],
+  options: LedgerOptions = {}
+): Promise<IncomeLedger> {
+  const decimals = options.decimals ?? TOKEN_DECIMALS;
+  const fiscalYearStart = options.fiscalYearStart ?? CALENDAR_YEAR;
+  const { priceSource } = options;
+
+  const unpriced = events
+    .filter(
+      (event): event is StakingEvent<LedgerEventName> =>
+        (LEDGER_EVENTS as readonly string[]).includes(event.eventName) &&
+        isAddressEqual((event.args as { user: Address }).user, user)
+    )
+    .flatMap(ledgerEntries);
+
+  const prices = new Map<number, number | undefined>();
+  if (priceSource) {
+    for (const { timestamp } of unpriced) {
+      if (prices.has(timestamp.getTime())) continue;
+      prices.set(timestamp.getTime(), await priceSource.getPrice(timestamp));
+    }
+  }
+
+  const entries = unpriced.map((entry): LedgerEntry => {
+    const price = prices.get(entry.timestamp.getTime()) ?? null;
+    return {
+      ...entry,
+      price,
+      value:
+        price === null
+          ? null
+          : Number(formatUnits(entry.amount, decimals)) * price,
+    };
+  });
+
+  const years = new Map<number, FiscalYearSummary>();
+  for (const entry of entries) {
+    const { year, startsAt, endsAt } = fiscalYearOf(
+      entry.timestamp,
+      fiscalYearStart
+    );
+    let summary = years.get(year);
+    if (!summary) {
+      summary = {
+        label: fiscalYearLabel(year, fiscalYearStart),
+        year,
+        startsAt,
+        endsAt,
+        income: 0n,
+        principal: 0n,
+        incomeValue: priceSource ? 0 : null,
+        unpricedIncome: 0,
+        entryCount: 0,
+      };
+      years.set(year, summary);
+    }
+
+    summary.entryCount++;
+    if (entry.category === "principal") {
+      summary.principal += entry.amount;
+    } else {
+      summary.income += entry.amount;
+      if (entry.value !== null) {
+        summary.incomeValue = (summary.incomeValue ?? 0) + entry.value;
+      } else if (priceSource) {
+        summary.unpricedIncome++;
+      }
+    }
+  }
+
+  return {
+    user,
+    decimals,
+    symbol: options.symbol ?? TOKEN_SYMBOL,
+    currency: priceSource?.currency ?? null,
+    fiscalYearStart,
+    entries,
+    years: [...years.values()].sort((a, b) => a.year - b.year),
+  };
+}
+
+// ============ CSV Export ============
+
+export interface LedgerCsvOptions {
+  /** Only entries of the fiscal year starting in this calendar year */
+  year?: number;
+}
+
+function selectEntries(
+  ledger: IncomeLedger,
+  options: LedgerCsvOptions
+): LedgerEntry[] {
+  if (options.year === undefined) return ledger.entries;
+  return ledger.entries.filter(
+    (entry) =>
+      fiscalYearOf(entry.timestamp, ledger.fiscalYearStart).year ===
+      options.year
+  );
+}
+
+// Fiat values are rounded to cents; prices keep their full precision
+function fiat(value: number | null): string | null {
+  return value === null ? null : value.toFixed(2);
+}
+
+/**
+ * Every ledger entry as CSV, with token amounts in whole-token units
+ */
+export function ledgerToCsv(
+  ledger: IncomeLedger,
+  options: LedgerCsvOptions = {}
+): string {
+  return toCsv(
+    [
+      "date",
+      "fiscal_year",
+      "event",
+      "category",
+      "stake_id",
+      "amount",
+      "symbol",
+      "price",
+      "value",
+      "currency",
+      "block_number",
+      "transaction_hash",
+      "log_index",
+    ],
+    selectEntries(ledger, options).map((entry) => [
+      entry.timestamp,
+      fiscalYearLabel(
+        fiscalYearOf(entry.timestamp, ledger.fiscalYearStart).year,
+        ledger.fiscalYearStart
+      ),
+      entry.event,
+      entry.category,
+      entry.stakeId,
+      formatUnits(entry.amount, ledger.decimals),
+      ledger.symbol,
+      entry.price,
+      fiat(entry.value),
+      entry.price === null ? null : ledger.currency,
+      entry.blockNumber,
+      entry.transactionHash,
+      entry.logIndex,
+    ])
+  );
+}
+
+function koinlyDate(date: Date): string {
+  return `${date.toISOString().slice(0, 19).replace("T", " ")} UTC`;
+}
+
+/**
+ * Income entries in Koinly's universal import format, labelled `reward`.
+ *
+ * Principal returns are left out: they are the user's own tokens coming
+ * back, and importing them as deposits would count them as new holdings
+ * with no cost basis.
+ */
+export function ledgerToKoinlyCsv(
+  ledger: IncomeLedger,
+  options: LedgerCsvOptions = {}
+): string {
+  return toCsv(
+    [
+      "Date",
+      "Sent Amount",
+      "Sent Currency",
+      "Received Amount",
+      "Received Currency",
+      "Fee Amount",
+      "Fee Currency",
+      "Net Worth Amount",
+      "Net Worth Currency",
+      "Label",
+      "Description",
+      "TxHash",
+    ],
+    selectEntries(ledger, options)
+      .filter((entry) => entry.category === "income")
+      .map((entry) => [
+        koinlyDate(entry.timestamp),
+        null,
+        null,
+        formatUnits(entry.amount, ledger.decimals),
+        ledger.symbol,
+        null,
+        null,
+        fiat(entry.value),
+        entry.value === null ? null : ledger.currency,
+        "reward",
+        entry.stakeId === null
+          ? `Staking rewards (${entry.event})`
+          : `Staking rewards, stake #${entry.stakeId}`,
+        entry.transactionHash,
+      ])
+  );
+}
@@ -0,0 +1,272 @@
+import { isAddress, type Address, type Hash } from "viem";
+import type { StakingErrorCode } from "./errors";
+import type { StakingEventLog } from "./events";
+import type { StakerState } from "./types";
+import {
+  validateAdminTransferStake,
+  type ValidationIssue,
+} from "./validation";
+
+/**
+ * Bulk `adminTransferStake`, for moving web2 custodial positions to user
+ * wallets.
+ *
+ * Every outcome is appended to a journal, so an interrupted migration can be
+ * rerun with the same CSV and journal: confirmed rows are not sent again and
+ * transfers submitted before the interruption are looked up by hash.
+ */
+
+export interface MigrationRow {
+  /** Line in the CSV, starting at 1 */
+  line: number;
+  fromUser: Address;
+  stakeId: bigint;
+  toUser: Address;
+}
+
+export interface MigrationCsvError {
+  line: number;
+  content: string;
+  reason: string;
+}
+
+export type MigrationJournalEntry = { key: string; at: number } & (
+  | { status: "submitted"; hash: Hash; nonce: number }
+  | { status: "confirmed"; hash?: Hash; blockNumber?: bigint }
+  | { status: "skipped"; issues: ValidationIssue[] }
+  | {
+      status: "failed";
+      hash?: Hash;
+      error: { code: StakingErrorCode; message: string };
+    }
+);
+
+/**
+ * Append-only record of migration progress. Implement it over a file,
+ * database or key-value store to make migrations resumable across processes.
+ */
+export interface MigrationJournal {
+  /** Every entry appended so far, oldest first */
+  load(): Promise<MigrationJournalEntry[]>;
+  append(entry: MigrationJournalEntry): Promise<void>;
+}
+
+export interface MigrationOptions {
+  /** Progress record to resume from and append to (default: in memory) */
+  journal?: MigrationJournal;
+  /** Transfers sent per second at most (default: 2) */
+  rateLimit?: number;
+  /** Transfers awaiting their receipt at once (default: 10) */
+  maxPending?: number;
+  /** Blocks to wait for per transfer (default: 1) */
+  confirmations?: number;
+  /** Validate every row and journal skipped ones, but send nothing */
+  dryRun?: boolean;
+  /**
+   * First block to search for `StakeTransferred` events when reconciling
+   * (default: earliest block of a confirmed transfer in the journal)
+   */
+  fromBlock?: bigint;
+  /** Called whenever a row reaches a new status */
+  onProgress?: (result: MigrationRowResult) => void;
+}
+
+export type MigrationRowStatus =
+  /** Passed validation in a dry run */
+  | "valid"
+  | "transferred"
+  | "skipped"
+  | "failed"
+  /** Submitted, but no receipt yet */
+  | "pending";
+
+export interface MigrationRowResult extends MigrationRow {
+  status: MigrationRowStatus;
+  hash?: Hash;
+  blockNumber?: bigint;
+  /** Why a `skipped` row would revert */
+  issues: ValidationIssue[];
+  error?: { code: StakingErrorCode; message: string };
+  /** A `StakeTransferred` event matches this row */
+  reconciled: boolean;
+}
+
+export interface MigrationReport {
+  rows: MigrationRowResult[];
+  transferred: number;
+  skipped: number;
+  failed: number;
+  pending: number;
+  /**
+   * Rows whose journal and chain disagree: recorded as transferred without
+   * a matching event
+   */
+  discrepancies: MigrationRowResult[];
+}
+
+const HEADER = ["fromuser", "stakeid", "touser"];
+
+function cells(line: string): string[] {
+  return line.split(",").map((cell) => cell.trim().replace(/^"(.*)"$/, "$1"));
+}
+
+/**
+ * Parse `fromUser,stakeId,toUser` lines. A header line, blank lines and
+ * lines starting with `#` are ignored; malformed lines are returned as
+ * errors rather than thrown, so one bad row does not block the rest.
+ */
+export function parseMigrationCsv(text: string): {
+  rows: MigrationRow[];
+  errors: MigrationCsvError[];
+} {
+  const rows: MigrationRow[] = [];
+  const errors: MigrationCsvError[] = [];
+
+  text.split(/\r?\n/).forEach((content, i) => {
+    const line = i + 1;
+    if (content.trim() === "" || content.trimStart().startsWith("#")) return;
+
+    const values = cells(content);
+    if (values.map((v) => v.toLowerCase()).join() === HEADER.join()) return;
+
+    const [fromUser, stakeId, toUser] = values;
+    let reason: string | undefined;
+    if (values.length !== 3) {
+      reason = `Expected 3 columns, found ${values.length}`;
+    } else if (!isAddress(fromUser)) {
+      reason = `Invalid fromUser: ${fromUser}`;
+    } else if (!/^\d+$/.test(stakeId)) {
+      reason = `Invalid stakeId: ${stakeId}`;
+    } else if (!isAddress(toUser)) {
+      reason = `Invalid toUser: ${toUser}`;
+    }
+
+    if (reason) {
+      errors.push({ line, content, reason });
+    } else {
+      rows.push({
+        line,
+        fromUser: fromUser as Address,
+        stakeId: BigInt(stakeId),
+        toUser: toUser as Address,
+      });
+    }
+  });
+
+  return { rows, errors };
+}
+
+/**
+ * Journal key of a row; identical rows share a key and are migrated once
+ */
+export function migrationRowKey(row: MigrationRow): string {
+  const from = row.fromUser.toLowerCase();
+  return `${from}:${row.stakeId}:${row.toUser.toLowerCase()}`;
+}
+
+export function createMemoryJournal(
+  entries: MigrationJournalEntry[] = []
+): MigrationJournal {
+  return {
+    load: async () => [...entries],
+    append: async (entry) => {
+      entries.push(entry);
+    },
+  };
+}
+
+/**
+ * Latest journal entry per row key
+ */
+export function latestJournalEntries(
+  entries: readonly MigrationJournalEntry[]
+): Map<string, MigrationJournalEntry> {
+  return new Map(entries.map((entry) => [entry.key, entry]));
+}
+
+/**
+ * Validate rows in order against `states`, applying each valid transfer to
+ * a working copy so later rows see it: a stake moved A to B can then move
+ * B to C, and destinations fill up as rows are accepted.
+ *
+ * @param states State of every `fromUser` and `toUser`
+ */
+export function validateMigrationRows(
+  rows: readonly MigrationRow[],
+  states: readonly StakerState[]
+): ValidationIssue[][] {
+  const working = new Map(
+    states.map((state) => [
+      state.user.toLowerCase(),
+      {
+        positions: [...state.positions],
+        activeWithdrawals: state.activeWithdrawals,
+      },
+    ])
+  );
+  const stateOf = (user: Address) =>
+    working.get(user.toLowerCase()) ?? { positions: [], activeWithdrawals: [] };
+
+  return rows.map((row) => {
+    const from = stateOf(row.fromUser);
+    const to = stateOf(row.toUser);
+    const { issues } = validateAdminTransferStake(
+      row.fromUser,
+      row.stakeId,
+      row.toUser,
+      { ...from, toStakeCount: to.positions.length }
+    );
+
+    if (issues.length === 0) {
+      const index = from.positions.findIndex((p) => p.stakeId === row.stakeId);
+      to.positions.push(from.positions[index]);
+      from.positions.splice(index, 1);
+      working.set(row.toUser.toLowerCase(), to);
+    }
+    return issues;
+  });
+}
+
+/**
+ * Match results against `StakeTransferred` events. A row with a matching
+ * event counts as transferred even if the journal missed it (e.g. the
+ * process stopped between sending and journaling).
+ */
+export function reconcileMigration(
+  results: readonly MigrationRowResult[],
+  events: readonly StakingEventLog<"StakeTransferred">[]
+): MigrationReport {
+  const byKey = new Map(
+    events.map((event) => [
+      migrationRowKey({ line: 0, ...event.args } as MigrationRow),
+      event,
+    ])
+  );
+
+  const rows = results.map((result): MigrationRowResult => {
+    const event = byKey.get(migrationRowKey(result));
+    if (!event) return { ...result, reconciled: false };
+    return {
+      ...result,
+      status: "transferred",
+      hash: event.transactionHash,
+      blockNumber: event.blockNumber,
+      issues: [],
+      error: undefined,
+      reconciled: true,
+    };
+  });
+
+  const count = (status: MigrationRowStatus) =>
+    rows.filter((row) => row.status === status).length;
+  return {
+    rows,
+    transferred: count("transferred"),
+    skipped: count("skipped"),
+    failed: count("failed"),
+    pending: count("pending"),
+    discrepancies: rows.filter(
+      (row) => row.status === "transferred" && !row.reconciled
+    ),
+  };
+}
@@ -0,0 +1,154 @@
+import {
+  isAddressEqual,
+  toFunctionSelector,
+  type Account,
+  type Address,
+  type Chain,
+  type Hex,
+  type PublicClient,
+} from "viem";
+import { foundry, mainnet, sepolia } from "viem/chains";
+import { PROGRESSIVE_STAKING_ABI } from "./abi";
+import { NetworkMismatchError } from "./errors";
+import type { StakingClientConfig } from "./types";
+
+/**
+ * Where the staking contract is deployed on each supported network.
+ *
+ * Addresses left undefined are not deployed yet and must be passed when
+ * connecting; any other network can be described with a custom
+ * `StakingNetwork`.
+ */
+
+export interface StakingNetwork {
+  chain: Chain;
+  contractAddress?: Address;
+  tokenAddress?: Address;
+  /** Block the staking contract was deployed in, where event scans start */
+  deploymentBlock?: bigint;
+}
+
+export type StakingNetworkName = "mainnet" | "sepolia" | "anvil";
+
+export interface NetworkClientOptions
+  extends Pick<StakingClientConfig, "multicall" | "cache" | "amountFormat"> {
+  /** RPC endpoint (default: the chain's public endpoint) */
+  rpcUrl?: string;
+  /** Sign transactions with this account */
+  account?: Account;
+  /** Override the registry's contract address */
+  contractAddress?: Address;
+  /** Override the registry's token address */
+  tokenAddress?: Address;
+  /** Override the registry's deployment block */
+  deploymentBlock?: bigint;
+  /** Skip the checks run on connect (default: false) */
+  skipVerification?: boolean;
+}
+
+export const NETWORKS: Record<StakingNetworkName, StakingNetwork> = {
+  mainnet: { chain: mainnet },
+  sepolia: { chain: sepolia },
+  /**
+   * `script/DeployTestnet.s.sol` run against a fresh anvil node with its
+   * first default account: token at nonce 0, staking contract at nonce 2
+   */
+  anvil: {
+    chain: foundry,
+    contractAddress: "0x9fE46736679d2D9a65F0992F2272dE9f3c7fa6e0",
+    tokenAddress: "0x5FbDB2315678afecb367f032d93F642f64180aa3",
+    deploymentBlock: 0n,
+  },
+};
+
+/**
+ * Registry entry for `network`, or `network` itself if it is a custom one
+ *
+ * @throws Error if the name is not in the registry
+ */
+export function resolveNetwork(
+  network: StakingNetworkName | StakingNetwork
+): StakingNetwork {
+  if (typeof network !== "string") return network;
+  if (!Object.prototype.hasOwnProperty.call(NETWORKS, network)) {
+    throw new Error(
+      `Unknown network "${network}" (expected ${Object.keys(NETWORKS).join(", ")})`
+    );
+  }
+  return NETWORKS[network];
+}
+
+const FUNCTION_SELECTORS = PROGRESSIVE_STAKING_ABI.filter(
+  (item) => item.type === "function"
+).map((item) => ({ name: item.name, selector: toFunctionSelector(item) }));
+
+// Solidity dispatchers compare the calldata selector against PUSH4 constants;
+// the optimizer may use a shorter push when the selector starts with zeros
+function pushesSelector(code: string, selector: Hex): boolean {
+  const bytes = selector.slice(2).replace(/^(00)+/, "");
+  const push = (0x5f + bytes.length / 2).toString(16);
+  return code.includes(`63${selector.slice(2)}`) || code.includes(push + bytes);
+}
+
+/**
+ * Staking ABI functions whose selector does not appear in `code`'s dispatcher
+ */
+export function missingFunctions(code: Hex): string[] {
+  const normalized = code.toLowerCase();
+  return FUNCTION_SELECTORS.filter(
+    ({ selector }) => !pushesSelector(normalized, selector)
+  ).map(({ name }) => name);
+}
+
+/**
+ * Check that `publicClient` is connected to the network's chain, that the
+ * contract there implements the staking ABI and, if the network records a
+ * token, that it is the contract's `stakingToken()`.
+ *
+ * @returns The contract's staking token
+ * @throws NetworkMismatchError on the first check that fails
+ */
+export async function verifyDeployment(
+  publicClient: PublicClient,
+  network: StakingNetwork & { contractAddress: Address }
+): Promise<Address> {
+  const { chain, contractAddress, tokenAddress } = network;
+
+  const chainId = await publicClient.getChainId();
+  if (chainId !== chain.id) {
+    throw new NetworkMismatchError(
+      "chain",
+      `The RPC endpoint is on chain ${chainId}, expected ${chain.name} (${chain.id})`
+    );
+  }
+
+  const code = await publicClient.getCode({ address: contractAddress });
+  if (!code || code === "0x") {
+    throw new NetworkMismatchError(
+      "code",
+      `No contract is deployed at ${contractAddress} on ${chain.name}`
+    );
+  }
+
+  const missing = missingFunctions(code);
+  if (missing.length > 0) {
+    throw new NetworkMismatchError(
+      "abi",
+      `The contract at ${contractAddress} is not a staking contract ` +
+        `(missing ${missing.join(", ")})`
+    );
+  }
+
+  const stakingToken = await publicClient.readContract({
+    address: contractAddress,
+    abi: PROGRESSIVE_STAKING_ABI,
+    functionName: "stakingToken",
+  });
+  if (tokenAddress && !isAddressEqual(stakingToken, tokenAddress)) {
+    throw new NetworkMismatchError(
+      "token",
+      `The contract stakes ${stakingToken}, expected ${tokenAddress}`
+    );
+  }
+  return stakingToken;
+}
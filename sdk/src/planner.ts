@@ -0,0 +1,199 @@
+import type {
+  StakePosition,
+  StakingWriteCall,
+  TierConfig,
+  WithdrawRequest,
+} from "./types";
+import {
+  MAX_PENDING_WITHDRAWALS,
+  MAX_STAKES_PER_ADDRESS,
+  MIN_STAKE_AMOUNT,
+  YEAR_DURATION,
+} from "./types";
+import { calculatePositionRewards, getTierForDuration } from "./rewards";
+
+/**
+ * Withdrawal planner.
+ *
+ * Splits a target amount across a user's positions and returns the
+ * `requestWithdraw` calls that reach it. Partial requests follow the
+ * contract's rules: the remainder keeps the original stakeId and must stay
+ * at or above `MIN_STAKE_AMOUNT`, and the withdrawn part becomes a new
+ * position that carries its share of the rewards accrued so far.
+ */
+
+export type WithdrawalStrategy =
+  /** Take the most recently opened positions first, keeping older positions in their higher tiers */
+  | "youngest-first"
+  /** Take the positions with the lowest reward rate over `horizon` first */
+  | "minimize-forfeited-yield"
+  /** Take the largest positions first, using as few pending withdrawal slots as possible */
+  | "fewest-requests";
+
+export interface WithdrawalPlanContext {
+  positions: readonly StakePosition[];
+  activeWithdrawals: readonly WithdrawRequest[];
+  tiers: readonly TierConfig[];
+  /** Unix timestamp in seconds at which the requests are expected to be mined */
+  timestamp: bigint;
+  /** Founders never earn rewards, so nothing is frozen or forfeited */
+  isFounder?: boolean;
+}
+
+export interface WithdrawalPlanOptions {
+  /** Default: "youngest-first" */
+  strategy?: WithdrawalStrategy;
+  /** Seconds of future yield to weigh when ranking and reporting (default: one reward year) */
+  horizon?: bigint;
+}
+
+export interface PlannedWithdrawal {
+  /** Call to pass to `simulate` or to send as `requestWithdraw(stakeId, amount)` */
+  call: StakingWriteCall<"requestWithdraw">;
+  stakeId: bigint;
+  amount: bigint;
+  /** True if part of the position stays staked under the same stakeId */
+  partial: boolean;
+  /** Current 1-indexed tier of the position */
+  tier: number;
+  /**
+   * Rewards frozen with the withdrawn amount at request time and paid out by
+   * `executeWithdraw`. Rewards already frozen on the position by earlier
+   * requests are not readable on-chain and are not included.
+   */
+  frozenRewards: bigint;
+  /** Rewards the withdrawn amount would have earned over the horizon had it stayed staked */
+  forfeitedYield: bigint;
+}
+
+export interface WithdrawalPlan {
+  strategy: WithdrawalStrategy;
+  target: bigint;
+  /** Sum of all planned amounts; may exceed `target` by less than `MIN_STAKE_AMOUNT` per position */
+  total: bigint;
+  /** Amount that could not be planned, because positions or pending withdrawal slots ran out */
+  shortfall: bigint;
+  frozenRewards: bigint;
+  forfeitedYield: bigint;
+  withdrawals: PlannedWithdrawal[];
+}
+
+interface Candidate {
+  position: StakePosition;
+  tier: number;
+  accrued: bigint;
+  /** Yield of the whole position over the horizon */
+  futureYield: bigint;
+}
+
+function futureYield(
+  position: StakePosition,
+  amount: bigint,
+  context: WithdrawalPlanContext,
+  horizon: bigint
+): bigint {
+  return calculatePositionRewards(
+    { ...position, amount, lastClaimTime: context.timestamp },
+    context.tiers,
+    context.timestamp + horizon,
+    { isFounder: context.isFounder }
+  );
+}
+
+function byYoungest(a: Candidate, b: Candidate): number {
+  if (a.position.startTime !== b.position.startTime) {
+    return a.position.startTime > b.position.startTime ? -1 : 1;
+  }
+  return a.position.stakeId > b.position.stakeId ? -1 : 1;
+}
+
+const COMPARATORS: Record<WithdrawalStrategy, (a: Candidate, b: Candidate) => number> = {
+  "youngest-first": byYoungest,
+  "minimize-forfeited-yield": (a, b) => {
+    // Compare yield per token without rounding: a.yield / a.amount vs b.yield / b.amount
+    const left = a.futureYield * b.position.amount;
+    const right = b.futureYield * a.position.amount;
+    if (left !== right) return left < right ? -1 : 1;
+    return byYoungest(a, b);
+  },
+  "fewest-requests": (a, b) => {
+    if (a.position.amount !== b.position.amount) {
+      return a.position.amount > b.position.amount ? -1 : 1;
+    }
+    return byYoungest(a, b);
+  },
+};
+
+/**
+ * Propose the `requestWithdraw` calls that free up `target` tokens.
+ *
+ * Positions with a pending request are skipped, and at most the number of
+ * free pending withdrawal slots is used. A partial request that would leave
+ * less than `MIN_STAKE_AMOUNT` staked withdraws the whole position instead.
+ */
+export function planWithdrawal(
+  target: bigint,
+  context: WithdrawalPlanContext,
+  options: WithdrawalPlanOptions = {}
+): WithdrawalPlan {
+  const strategy = options.strategy ?? "youngest-first";
+  const horizon = options.horizon ?? YEAR_DURATION;
+
+  const pending = new Set(context.activeWithdrawals.map((r) => r.stakeId));
+  const candidates: Candidate[] = context.positions
+    .filter((position) => position.amount > 0n && !pending.has(position.stakeId))
+    .map((position) => ({
+      position,
+      tier: getTierForDuration(context.timestamp - position.startTime, context.tiers),
+      accrued: calculatePositionRewards(position, context.tiers, context.timestamp, {
+        isFounder: context.isFounder,
+      }),
+      futureYield: futureYield(position, position.amount, context, horizon),
+    }))
+    .sort(COMPARATORS[strategy]);
+
+  const withdrawals: PlannedWithdrawal[] = [];
+  let slots = MAX_PENDING_WITHDRAWALS - context.activeWithdrawals.length;
+  let stakeCount = context.positions.length;
+  let remaining = target;
+
+  for (const { position, tier, accrued } of candidates) {
+    if (remaining <= 0n || slots <= 0) break;
+
+    let amount = remaining < position.amount ? remaining : position.amount;
+    if (amount < position.amount) {
+      if (position.amount - amount < MIN_STAKE_AMOUNT) {
+        amount = position.amount;
+      } else if (stakeCount >= MAX_STAKES_PER_ADDRESS) {
+        // Splitting adds a position; only whole-position requests fit
+        continue;
+      } else {
+        stakeCount++;
+      }
+    }
+
+    const partial = amount < position.amount;
+    withdrawals.push({
+      call: { functionName: "requestWithdraw", args: [position.stakeId, amount] },
+      stakeId: position.stakeId,
+      amount,
+      partial,
+      tier,
+      frozenRewards: partial ? (accrued * amount) / position.amount : accrued,
+      forfeitedYield: futureYield(position, amount, context, horizon),
+    });
+    slots--;
+    remaining -= amount;
+  }
+
+  const total = withdrawals.reduce((sum, w) => sum + w.amount, 0n);
+  return {
+    strategy,
+    target,
+    total,
+    shortfall: remaining > 0n ? remaining : 0n,
+    frozenRewards: withdrawals.reduce((sum, w) => sum + w.frozenRewards, 0n),
+    forfeitedYield: withdrawals.reduce((sum, w) => sum + w.forfeitedYield, 0n),
+    withdrawals,
+  };
+}
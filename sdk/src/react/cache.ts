@@ -0,0 +1,178 @@
+import { parseStakingError, type StakingError } from "../errors";
+
+export interface QueryState<T> {
+  data: T | undefined;
+  /** Error of the last fetch, cleared by the next successful one */
+  error: StakingError | null;
+  /** No data yet and a fetch is running */
+  isLoading: boolean;
+  /** A fetch is running (initial load or refetch) */
+  isFetching: boolean;
+  /** When `data` was last written, in ms since epoch (0 if never) */
+  updatedAt: number;
+}
+
+interface Entry {
+  state: QueryState<unknown>;
+  listeners: Set<() => void>;
+  promise?: Promise<void>;
+  /** Last fetcher used for the key, reused by `invalidate` */
+  fetcher?: () => Promise<unknown>;
+  /** Bumped by every write, so a stale fetch cannot overwrite newer data */
+  version: number;
+  /** Set by `invalidate`; forces the next fetch regardless of `staleTime` */
+  stale: boolean;
+  watcher?: { count: number; stop: () => void };
+}
+
+const EMPTY_STATE: QueryState<never> = {
+  data: undefined,
+  error: null,
+  isLoading: false,
+  isFetching: false,
+  updatedAt: 0,
+};
+
+/**
+ * Shared query cache behind the hooks: one entry per key, deduplicated
+ * fetches, and reference-counted event watchers. State objects are replaced
+ * on every change so they can back `useSyncExternalStore` directly.
+ */
+export class StakingQueryCache {
+  private entries = new Map<string, Entry>();
+
+  private entry(key: string): Entry {
+    let entry = this.entries.get(key);
+    if (!entry) {
+      entry = {
+        state: EMPTY_STATE,
+        listeners: new Set(),
+        version: 0,
+        stale: false,
+      };
+      this.entries.set(key, entry);
+    }
+    return entry;
+  }
+
+  private update(key: string, patch: Partial<QueryState<unknown>>): void {
+    const entry = this.entry(key);
+    entry.state = { ...entry.state, ...patch };
+    for (const listener of entry.listeners) listener();
+  }
+
+  getState<T>(key: string): QueryState<T> {
+    return this.entry(key).state as QueryState<T>;
+  }
+
+  subscribe(key: string, listener: () => void): () => void {
+    const entry = this.entry(key);
+    entry.listeners.add(listener);
+    return () => entry.listeners.delete(listener);
+  }
+
+  /**
+   * Run `fetcher` unless a fetch for `key` is already in flight or the data
+   * is younger than `staleTime` ms
+   */
+  fetch<T>(
+    key: string,
+    fetcher: () => Promise<T>,
+    staleTime = 0
+  ): Promise<void> {
+    const entry = this.entry(key);
+    entry.fetcher = fetcher;
+    if (entry.promise) return entry.promise;
+    const age = Date.now() - entry.state.updatedAt;
+    if (!entry.stale && entry.state.updatedAt > 0 && age < staleTime) {
+      return Promise.resolve();
+    }
+
+    const version = ++entry.version;
+    this.update(key, {
+      isFetching: true,
+      isLoading: entry.state.data === undefined,
+    });
+
+    const promise = fetcher()
+      .then(
+        (data) => {
+          if (entry.version !== version) return;
+          entry.stale = false;
+          this.update(key, {
+            data,
+            error: null,
+            updatedAt: Date.now(),
+          });
+        },
+        (error: unknown) => {
+          if (entry.version !== version) return;
+          this.update(key, { error: parseStakingError(error) });
+        }
+      )
+      .finally(() => {
+        // A newer fetch owns the flags once it has started
+        if (entry.promise !== promise && entry.promise !== undefined) return;
+        entry.promise = undefined;
+        this.update(key, { isFetching: false, isLoading: false });
+      });
+    entry.promise = promise;
+    return promise;
+  }
+
+  /**
+   * Overwrite cached data, e.g. for an optimistic update. Returns a function
+   * restoring the previous data.
+   */
+  setData<T>(
+    key: string,
+    updater: (data: T | undefined) => T | undefined
+  ): () => void {
+    const entry = this.entry(key);
+    const previous = entry.state.data as T | undefined;
+    entry.version++;
+    entry.promise = undefined;
+    this.update(key, { data: updater(previous) });
+
+    return () => {
+      entry.version++;
+      this.update(key, { data: previous });
+    };
+  }
+
+  /**
+   * Mark entries stale so the next fetch always runs, and refetch the ones
+   * that currently have subscribers
+   */
+  invalidate(predicate: (key: string) => boolean): Promise<void> {
+    const refetches: Promise<void>[] = [];
+    for (const [key, entry] of this.entries) {
+      if (!predicate(key)) continue;
+      entry.version++;
+      entry.promise = undefined;
+      entry.stale = true;
+      if (entry.listeners.size > 0 && entry.fetcher) {
+        refetches.push(this.fetch(key, entry.fetcher));
+      }
+    }
+    return Promise.all(refetches).then(() => undefined);
+  }
+
+  /**
+   * Keep one event watcher per key alive while any component needs it
+   */
+  retainWatcher(key: string, start: () => () => void): () => void {
+    const entry = this.entry(key);
+    if (entry.watcher) entry.watcher.count++;
+    else entry.watcher = { count: 1, stop: start() };
+
+    return () => {
+      const watcher = entry.watcher;
+      if (!watcher) return;
+      if (--watcher.count === 0) {
+        watcher.stop();
+        entry.watcher = undefined;
+      }
+    };
+  }
+}
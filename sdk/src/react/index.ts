@@ -0,0 +1,500 @@
+import {
+  createContext,
+  createElement,
+  useCallback,
+  useContext,
+  useEffect,
+  useRef,
+  useState,
+  useSyncExternalStore,
+  type ReactNode,
+} from "react";
+import type { Address, Hash } from "viem";
+import type { ProgressiveStakingClient } from "../client";
+import { parseStakingError, type StakingError } from "../errors";
+import type {
+  StakingTransaction,
+  StakingTransactionResult,
+  TransactionStatus,
+} from "../transaction";
+import type { StakingEventName } from "../events";
+import {
+  NOTICE_PERIOD_DAYS,
+  type StakingStats,
+  type StakingWriteFunction,
+  type UserStats,
+} from "../types";
+import { StakingQueryCache, type QueryState } from "./cache";
+
+/**
+ * React bindings for the staking client.
+ *
+ * Queries share one cache per client: components reading the same data share
+ * a single request, and contract events touching the data trigger a refetch.
+ * Mutations apply optimistic updates to the cache, roll them back if the
+ * transaction fails and refetch once it is mined.
+ */
+
+export { StakingQueryCache, type QueryState } from "./cache";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/** Events that change `getStakingStats` */
+const STAKING_STATS_EVENTS: readonly StakingEventName[] = [
+  "Staked",
+  "WithdrawExecuted",
+  "EmergencyWithdrawn",
+  "TreasuryDeposited",
+  "TreasuryWithdrawn",
+  "RewardsClaimed",
+  "AllRewardsClaimed",
+  "ContractPaused",
+  "ContractUnpaused",
+  "EmergencyShutdown",
+];
+
+const STAKING_STATS_KEY = "stakingStats";
+
+function userStatsKey(user: Address): string {
+  return `userStats:${user.toLowerCase()}`;
+}
+
+// ============ Provider ============
+
+const StakingClientContext = createContext<ProgressiveStakingClient | null>(
+  null
+);
+
+const caches = new WeakMap<ProgressiveStakingClient, StakingQueryCache>();
+
+function getCache(client: ProgressiveStakingClient): StakingQueryCache {
+  let cache = caches.get(client);
+  if (!cache) {
+    cache = new StakingQueryCache();
+    caches.set(client, cache);
+  }
+  return cache;
+}
+
+export interface StakingProviderProps {
+  client: ProgressiveStakingClient;
+  children?: ReactNode;
+}
+
+/**
+ * Make `client` available to the hooks below this component
+ */
+export function StakingProvider({ client, children }: StakingProviderProps) {
+  return createElement(
+    StakingClientContext.Provider,
+    { value: client },
+    children
+  );
+}
+
+export function useStakingClient(): ProgressiveStakingClient {
+  const client = useContext(StakingClientContext);
+  if (!client) {
+    throw new Error("Staking hooks must be used inside <StakingProvider>");
+  }
+  return client;
+}
+
+// ============ Queries ============
+
+export interface QueryOptions {
+  /** Set to false to skip fetching (default: true) */
+  enabled?: boolean;
+  /** Milliseconds cached data is served without refetching (default: 30000) */
+  staleTime?: number;
+  /** Refetch when a relevant contract event is mined (default: true) */
+  watch?: boolean;
+  /** Event polling interval in milliseconds */
+  pollingInterval?: number;
+}
+
+export interface QueryResult<T> extends QueryState<T> {
+  /** Refetch now, ignoring `staleTime` */
+  refetch: () => Promise<void>;
+}
+
+const IDLE_STATE: QueryState<never> = {
+  data: undefined,
+  error: null,
+  isLoading: false,
+  isFetching: false,
+  updatedAt: 0,
+};
+
+function useQuery<T>(
+  key: string | undefined,
+  fetcher: () => Promise<T>,
+  startWatcher: (invalidate: () => void) => () => void,
+  options: QueryOptions
+): QueryResult<T> {
+  const client = useStakingClient();
+  const cache = getCache(client);
+  const enabled = key !== undefined && options.enabled !== false;
+  const watch = enabled && options.watch !== false;
+  const staleTime = options.staleTime ?? 30_000;
+
+  // Latest closures, so callers need not memoize them
+  const fetcherRef = useRef(fetcher);
+  fetcherRef.current = fetcher;
+  const startWatcherRef = useRef(startWatcher);
+  startWatcherRef.current = startWatcher;
+
+  const subscribe = useCallback(
+    (listener: () => void) =>
+      key === undefined ? () => undefined : cache.subscribe(key, listener),
+    [cache, key]
+  );
+  const getSnapshot = () =>
+    key === undefined ? IDLE_STATE : cache.getState<T>(key);
+  const state = useSyncExternalStore(subscribe, getSnapshot, getSnapshot);
+
+  useEffect(() => {
+    if (!enabled || key === undefined) return;
+    cache
+      .fetch(key, () => fetcherRef.current(), staleTime)
+      .catch(() => undefined);
+  }, [cache, key, enabled, staleTime]);
+
+  useEffect(() => {
+    if (!watch || key === undefined) return;
+    return cache.retainWatcher(key, () =>
+      startWatcherRef.current(() => {
+        cache.invalidate((k) => k === key).catch(() => undefined);
+      })
+    );
+  }, [cache, key, watch]);
+
+  const refetch = useCallback(async () => {
+    if (key === undefined) return;
+    await cache.invalidate((k) => k === key);
+    // Not subscribed yet, so `invalidate` did not refetch
+    await cache.fetch(key, () => fetcherRef.current());
+  }, [cache, key]);
+
+  return { ...state, refetch };
+}
+
+/**
+ * Protocol-wide totals, refetched on stakes, withdrawals, claims, treasury
+ * movements and pause changes
+ */
+export function useStakingStats(
+  options: QueryOptions = {}
+): QueryResult<StakingStats> {
+  const client = useStakingClient();
+  return useQuery(
+    STAKING_STATS_KEY,
+    () => client.getStakingStats(),
+    (invalidate) =>
+      client.watch(
+        {
+          events: STAKING_STATS_EVENTS,
+          pollingInterval: options.pollingInterval,
+        },
+        invalidate
+      ),
+    options
+  );
+}
+
+/**
+ * Positions, rewards and pending withdrawals of `user`, refetched on every
+ * event involving the user and when a pending withdrawal becomes executable.
+ * Defaults to the connected wallet; idle while no address is known.
+ */
+export function useUserStats(
+  user?: Address,
+  options: QueryOptions = {}
+): QueryResult<UserStats> {
+  const client = useStakingClient();
+  const address = user ?? client.getWalletAddress();
+  return useQuery(
+    address === undefined ? undefined : userStatsKey(address),
+    () => client.getUserStats(address as Address),
+    (invalidate) =>
+      client.watch(
+        { user: address, pollingInterval: options.pollingInterval },
+        invalidate
+      ),
+    options
+  );
+}
+
+// ============ Mutations ============
+
+export type MutationStatus = "idle" | "pending" | "success" | "error";
+
+export interface MutationOptions {
+  /** Blocks to wait for before reporting success (default: 1) */
+  confirmations?: number;
+  /** Skip optimistic cache updates (default: false) */
+  disableOptimisticUpdates?: boolean;
+}
+
+export interface MutationState<F extends StakingWriteFunction> {
+  status: MutationStatus;
+  /** Latest transaction status while `pending` */
+  transactionStatus?: TransactionStatus["status"];
+  /** Hash of the submitted transaction */
+  hash?: Hash;
+  /** Decoded result once mined */
+  data?: StakingTransactionResult<F>;
+  error: StakingError | null;
+}
+
+const IDLE_MUTATION: MutationState<never> = { status: "idle", error: null };
+
+type Rollback = () => void;
+
+function useMutation<A extends unknown[], F extends StakingWriteFunction>(
+  send: (
+    client: ProgressiveStakingClient,
+    ...args: A
+  ) => Promise<StakingTransaction<F>>,
+  optimistic: (
+    cache: StakingQueryCache,
+    client: ProgressiveStakingClient,
+    user: Address,
+    ...args: A
+  ) => Rollback[],
+  options: MutationOptions
+) {
+  const client = useStakingClient();
+  const cache = getCache(client);
+  const [state, setState] = useState<MutationState<F>>(IDLE_MUTATION);
+
+  const sendRef = useRef(send);
+  sendRef.current = send;
+  const optimisticRef = useRef(optimistic);
+  optimisticRef.current = optimistic;
+  const optionsRef = useRef(options);
+  optionsRef.current = options;
+
+  // Ignore results of a mutation superseded by `reset` or a newer call
+  const runId = useRef(0);
+
+  const mutate = useCallback(
+    async (...args: A): Promise<StakingTransactionResult<F> | undefined> => {
+      const id = ++runId.current;
+      const update: typeof setState = (next) => {
+        if (runId.current === id) setState(next);
+      };
+      update({ status: "pending", error: null });
+
+      const user = client.getWalletAddress();
+      const rollbacks =
+        user && !optionsRef.current.disableOptimisticUpdates
+          ? optimisticRef.current(cache, client, user, ...args)
+          : [];
+
+      try {
+        const transaction = await sendRef.current(client, ...args);
+        update((s) => ({ ...s, hash: transaction.hash }));
+        const result = await transaction.wait({
+          confirmations: optionsRef.current.confirmations,
+          onStatus: ({ status }) =>
+            update((s) => ({ ...s, transactionStatus: status })),
+        });
+        update({
+          status: "success",
+          hash: result.hash,
+          data: result,
+          error: null,
+        });
+        return result;
+      } catch (error) {
+        for (const rollback of rollbacks.reverse()) rollback();
+        const stakingError = parseStakingError(error);
+        update((s) => ({ ...s, status: "error", error: stakingError }));
+        return undefined;
+      } finally {
+        const keys = [STAKING_STATS_KEY, user && userStatsKey(user)];
+        cache.invalidate((key) => keys.includes(key)).catch(() => undefined);
+      }
+    },
+    [cache, client]
+  );
+
+  const reset = useCallback(() => {
+    runId.current++;
+    setState(IDLE_MUTATION);
+  }, []);
+
+  return { ...state, mutate, reset };
+}
+
+function adjustTotalStaked(
+  cache: StakingQueryCache,
+  client: ProgressiveStakingClient,
+  user: Address,
+  delta: bigint
+): Rollback[] {
+  return [
+    cache.setData<StakingStats>(STAKING_STATS_KEY, (stats) =>
+      stats && {
+        ...stats,
+        totalStakedRaw: stats.totalStakedRaw + delta,
+        totalStaked: client.formatAmount(stats.totalStakedRaw + delta),
+      }
+    ),
+    cache.setData<UserStats>(userStatsKey(user), (stats) =>
+      stats && {
+        ...stats,
+        totalStakedRaw: stats.totalStakedRaw + delta,
+        totalStaked: client.formatAmount(stats.totalStakedRaw + delta),
+      }
+    ),
+  ];
+}
+
+/**
+ * Stake from the connected wallet, approving the token first if needed.
+ * `stake` resolves to the decoded result, or undefined on failure with the
+ * error in `error`.
+ */
+export function useStake(options: MutationOptions = {}) {
+  const { mutate, ...state } = useMutation(
+    async (client, amount: bigint) =>
+      (await client.stakeWithApproval(amount)).stakeTransaction,
+    (cache, client, user, amount) =>
+      adjustTotalStaked(cache, client, user, amount),
+    options
+  );
+  return { ...state, stake: mutate };
+}
+
+/**
+ * Claim rewards of one position or all positions. Claiming everything
+ * optimistically zeroes the user's unclaimed rewards.
+ */
+export function useClaim(options: MutationOptions = {}) {
+  const { mutate, ...state } = useMutation(
+    (client, stakeId?: bigint) =>
+      stakeId === undefined
+        ? client.claimAllRewards()
+        : client.claimRewards(stakeId),
+    (cache, client, user, stakeId) =>
+      stakeId === undefined
+        ? [
+            cache.setData<UserStats>(userStatsKey(user), (stats) =>
+              stats && {
+                ...stats,
+                totalRewardsRaw: 0n,
+                totalRewards: client.formatAmount(0n),
+              }
+            ),
+          ]
+        : [],
+    options
+  );
+  const claim = useCallback((stakeId: bigint) => mutate(stakeId), [mutate]);
+  const claimAll = useCallback(() => mutate(undefined), [mutate]);
+  return { ...state, claim, claimAll };
+}
+
+/**
+ * Request a withdrawal. The request optimistically appears in the user's
+ * pending withdrawals; a partial withdrawal's new stakeId is only known once
+ * the transaction is mined and the stats are refetched.
+ */
+export function useWithdrawRequest(options: MutationOptions = {}) {
+  const { mutate, ...state } = useMutation(
+    (client, stakeId: bigint, amount: bigint) =>
+      client.requestWithdraw(stakeId, amount),
+    (cache, client, user, stakeId, amount) => [
+      cache.setData<UserStats>(userStatsKey(user), (stats) => {
+        if (!stats) return stats;
+        const now = Date.now();
+        return {
+          ...stats,
+          pendingWithdrawals: [
+            ...stats.pendingWithdrawals,
+            {
+              stakeId: Number(stakeId),
+              amount: client.formatAmount(amount),
+              amountRaw: amount,
+              requestTime: new Date(now),
+              availableAt: new Date(now + NOTICE_PERIOD_DAYS * DAY_MS),
+              executed: false,
+              cancelled: false,
+              isReady: false,
+              daysUntilReady: NOTICE_PERIOD_DAYS,
+            },
+          ],
+        };
+      }),
+    ],
+    options
+  );
+  return { ...state, requestWithdraw: mutate };
+}
+
+// ============ Countdown ============
+
+export interface WithdrawCountdown {
+  remainingMs: number;
+  days: number;
+  hours: number;
+  minutes: number;
+  seconds: number;
+  /** The notice period is over and `executeWithdraw` can be called */
+  isReady: boolean;
+}
+
+function countdown(availableAt: number): WithdrawCountdown {
+  const remainingMs = Math.max(0, availableAt - Date.now());
+  const totalSeconds = Math.ceil(remainingMs / 1000);
+  return {
+    remainingMs,
+    days: Math.floor(totalSeconds / 86_400),
+    hours: Math.floor((totalSeconds % 86_400) / 3600),
+    minutes: Math.floor((totalSeconds % 3600) / 60),
+    seconds: totalSeconds % 60,
+    isReady: remainingMs === 0,
+  };
+}
+
+/**
+ * Time left until a pending withdrawal can be executed, updated every
+ * `intervalMs` (default: 1000) until it is ready
+ *
+ * @param availableAt Date, or Unix timestamp in seconds as returned on-chain
+ */
+export function useWithdrawCountdown(
+  availableAt: Date | bigint | undefined,
+  intervalMs = 1000
+): WithdrawCountdown | undefined {
+  const target =
+    availableAt === undefined
+      ? undefined
+      : availableAt instanceof Date
+        ? availableAt.getTime()
+        : Number(availableAt) * 1000;
+  const [value, setValue] = useState(() =>
+    target === undefined ? undefined : countdown(target)
+  );
+
+  useEffect(() => {
+    if (target === undefined) {
+      setValue(undefined);
+      return;
+    }
+    const next = countdown(target);
+    setValue(next);
+    if (next.isReady) return;
+
+    const timer = setInterval(() => {
+      const current = countdown(target);
+      setValue(current);
+      if (current.isReady) clearInterval(timer);
+    }, intervalMs);
+    return () => clearInterval(timer);
+  }, [target, intervalMs]);
+
+  return value;
+}
@@ -0,0 +1,133 @@
+import type { StakePosition, TierConfig } from "./types";
+import { YEAR_DURATION, RATE_PRECISION, MAX_TIERS } from "./types";
+
+/**
+ * Offline reward engine.
+ *
+ * Mirrors `ProgressiveStaking._calculatePositionRewards` so rewards can be
+ * projected for any timestamp without an RPC call. All arithmetic is bigint
+ * with the same integer division order as the contract, so results match
+ * `calculateRewards` to the wei.
+ */
+
+export interface RewardCalculationOptions {
+  /** Founders never earn rewards */
+  isFounder?: boolean;
+  /** Rewards frozen on the position by a withdrawal request (added on top) */
+  frozenRewards?: bigint;
+  /** Timestamp at which accrual stopped (withdrawal request time), if any */
+  freezeTime?: bigint;
+}
+
+export interface RewardProjection {
+  timestamp: bigint;
+  /** Claimable rewards at `timestamp` */
+  rewards: bigint;
+  /** Principal plus claimable rewards at `timestamp` */
+  value: bigint;
+}
+
+export interface TierRewardBreakdown {
+  /** 1-indexed tier number */
+  tier: number;
+  rate: bigint;
+  /** Seconds of position age accrued in this tier */
+  duration: bigint;
+  rewards: bigint;
+}
+
+function max(a: bigint, b: bigint): bigint {
+  return a > b ? a : b;
+}
+
+function min(a: bigint, b: bigint): bigint {
+  return a < b ? a : b;
+}
+
+/**
+ * Per-tier breakdown of the rewards accrued since `lastClaimTime`.
+ * Frozen rewards are not included.
+ */
+export function calculateTierRewards(
+  position: StakePosition,
+  tiers: readonly TierConfig[],
+  timestamp: bigint,
+  options: RewardCalculationOptions = {}
+): TierRewardBreakdown[] {
+  if (options.isFounder) return [];
+
+  const effectiveNow = options.freezeTime ? options.freezeTime : timestamp;
+  if (effectiveNow <= position.lastClaimTime) return [];
+
+  const totalAge = effectiveNow - position.startTime;
+  const ageAtLastClaim = position.lastClaimTime - position.startTime;
+  const breakdown: TierRewardBreakdown[] = [];
+  let currentAmount = position.amount;
+
+  for (let tier = 0; tier < Math.min(tiers.length, MAX_TIERS); tier++) {
+    const { startTime: tierStart, endTime: tierEnd, rate } = tiers[tier];
+
+    if (totalAge < tierStart) break;
+
+    const processStart = max(ageAtLastClaim, tierStart);
+    const processEnd = min(totalAge, tierEnd);
+
+    if (processEnd <= ageAtLastClaim) continue;
+    if (processStart >= totalAge) break;
+
+    const timeInTier = processEnd - processStart;
+    if (timeInTier > 0n) {
+      const rewards =
+        (currentAmount * rate * timeInTier) / (YEAR_DURATION * RATE_PRECISION);
+      breakdown.push({ tier: tier + 1, rate, duration: timeInTier, rewards });
+      currentAmount += rewards; // Compound for next tier
+    }
+  }
+
+  return breakdown;
+}
+
+/**
+ * Rewards claimable for a position at `timestamp`, equal to the contract's
+ * `calculateRewards(user, stakeId)` evaluated in a block with that timestamp.
+ */
+export function calculatePositionRewards(
+  position: StakePosition,
+  tiers: readonly TierConfig[],
+  timestamp: bigint,
+  options: RewardCalculationOptions = {}
+): bigint {
+  const accrued = calculateTierRewards(position, tiers, timestamp, options)
+    .reduce((sum, entry) => sum + entry.rewards, 0n);
+  return (options.frozenRewards ?? 0n) + accrued;
+}
+
+/**
+ * Project a position's rewards and value at several future timestamps.
+ */
+export function projectPositionRewards(
+  position: StakePosition,
+  tiers: readonly TierConfig[],
+  timestamps: readonly bigint[],
+  options: RewardCalculationOptions = {}
+): RewardProjection[] {
+  return timestamps.map((timestamp) => {
+    const rewards = calculatePositionRewards(position, tiers, timestamp, options);
+    return { timestamp, rewards, value: position.amount + rewards };
+  });
+}
+
+/**
+ * 1-indexed tier for a position age in seconds, mirroring `_getTierForDuration`.
+ */
+export function getTierForDuration(
+  duration: bigint,
+  tiers: readonly TierConfig[]
+): number {
+  for (let i = 0; i < Math.min(tiers.length, MAX_TIERS); i++) {
+    if (duration >= tiers[i].startTime && duration < tiers[i].endTime) {
+      return i + 1;
+    }
+  }
+  return MAX_TIERS;
+}
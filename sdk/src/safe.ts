@@ -0,0 +1,308 @@
+import {
+  decodeFunctionData,
+  encodeFunctionData,
+  formatUnits,
+  getAbiItem,
+  isAddressEqual,
+  type Abi,
+  type AbiFunction,
+  type Address,
+  type Hex,
+} from "viem";
+import { ERC20_ABI, PROGRESSIVE_STAKING_ABI } from "./abi";
+import { TOKEN_DECIMALS, TOKEN_SYMBOL } from "./config";
+import { ADMIN_ROLE, DEFAULT_ADMIN_ROLE, RATE_PRECISION } from "./types";
+import type { StakingWriteCall } from "./types";
+
+/**
+ * Admin transactions for a multisig such as a Safe: encoded calldata with a
+ * plain-English description, exportable as a Safe Transaction Builder batch.
+ *
+ * Previews are decoded from the calldata itself, not from the descriptions,
+ * so signers can check a batch file they did not build.
+ */
+
+export interface SafeTransaction {
+  to: Address;
+  value: bigint;
+  data: Hex;
+  /** What the transaction does, e.g. "Unpause the staking contract" */
+  description: string;
+}
+
+/** Contracts a batch may call */
+export interface SafeBatchTargets {
+  contractAddress: Address;
+  tokenAddress: Address;
+  /** Token decimals used in previews (default: TOKEN_DECIMALS) */
+  decimals?: number;
+  /** Token symbol used in previews (default: TOKEN_SYMBOL) */
+  symbol?: string;
+}
+
+export interface DecodedSafeCall {
+  target: "staking" | "token";
+  functionName: string;
+  args: { name: string; type: string; value: unknown }[];
+}
+
+export interface SafeBatchOptions {
+  /** Safe that will execute the batch */
+  safeAddress: Address;
+  /** Batch name in the Transaction Builder (default: "MAIT staking admin") */
+  name?: string;
+  /** Creation time in ms since epoch (default: now) */
+  createdAt?: number;
+}
+
+/** Transaction Builder batch file, importable in the Safe{Wallet} app */
+export interface SafeBatchFile {
+  version: "1.0";
+  chainId: string;
+  createdAt: number;
+  meta: {
+    name: string;
+    description: string;
+    txBuilderVersion: string;
+    createdFromSafeAddress: Address;
+    createdFromOwnerAddress: string;
+  };
+  transactions: {
+    to: Address;
+    value: string;
+    data: Hex;
+    contractMethod: {
+      inputs: { internalType: string; name: string; type: string }[];
+      name: string;
+      payable: boolean;
+    };
+    contractInputsValues: Record<string, string>;
+  }[];
+}
+
+export interface SafeBatch {
+  transactions: SafeTransaction[];
+  /** Transaction Builder JSON; serialize with `JSON.stringify` */
+  file: SafeBatchFile;
+  /** Output of `previewSafeTransactions` */
+  preview: string;
+}
+
+const TX_BUILDER_VERSION = "1.16.5";
+
+function roleName(role: Hex): string {
+  if (role === ADMIN_ROLE) return "ADMIN_ROLE";
+  if (role === DEFAULT_ADMIN_ROLE) return "DEFAULT_ADMIN_ROLE";
+  return role;
+}
+
+/**
+ * Plain-English description of a staking contract call
+ */
+export function describeStakingCall(
+  call: StakingWriteCall,
+  decimals = TOKEN_DECIMALS,
+  symbol = TOKEN_SYMBOL
+): string {
+  const amount = (value: bigint) => `${formatUnits(value, decimals)} ${symbol}`;
+
+  switch (call.functionName) {
+    case "depositTreasury":
+      return `Deposit ${amount(call.args[0])} from the Safe into the treasury`;
+    case "withdrawTreasury":
+      return `Withdraw ${amount(call.args[0])} from the treasury to the Safe`;
+    case "pause":
+      return "Pause staking, claiming and withdrawal requests";
+    case "unpause":
+      return "Unpause the staking contract";
+    case "emergencyShutdown":
+      return (
+        "IRREVERSIBLE: activate emergency mode and pause the contract; " +
+        "stakers can then only emergency-withdraw"
+      );
+    case "adminTransferStake": {
+      const [fromUser, stakeId, toUser] = call.args;
+      return `Transfer stake #${stakeId} from ${fromUser} to ${toUser}`;
+    }
+    case "updateTierRates": {
+      const rates = call.args[0].map(
+        (rate) => `${(Number(rate) * 100) / Number(RATE_PRECISION)}%`
+      );
+      return `Set tier rates to ${rates.join(", ")}`;
+    }
+    case "grantRole":
+      return `Grant ${roleName(call.args[0])} to ${call.args[1]}`;
+    case "revokeRole":
+      return `Revoke ${roleName(call.args[0])} from ${call.args[1]}`;
+    case "renounceRole":
+      return `Renounce ${roleName(call.args[0])} for ${call.args[1]}`;
+    default:
+      return `Call ${call.functionName}(${call.args.join(", ")})`;
+  }
+}
+
+/**
+ * Token approval letting the staking contract pull `amount` from the Safe,
+ * needed before `depositTreasury`
+ */
+export function encodeSafeApproval(
+  tokenAddress: Address,
+  contractAddress: Address,
+  amount: bigint,
+  decimals = TOKEN_DECIMALS,
+  symbol = TOKEN_SYMBOL
+): SafeTransaction {
+  return {
+    to: tokenAddress,
+    value: 0n,
+    data: encodeFunctionData({
+      abi: ERC20_ABI,
+      functionName: "approve",
+      args: [contractAddress, amount],
+    }),
+    description: `Allow the staking contract to pull ${formatUnits(
+      amount,
+      decimals
+    )} ${symbol} from the Safe`,
+  };
+}
+
+/**
+ * Decode a batch transaction's calldata against the staking contract or
+ * token ABI, depending on its target
+ *
+ * @throws Error if the target is neither contract or the calldata is invalid
+ */
+export function decodeSafeTransaction(
+  transaction: { to: Address; data: Hex },
+  targets: SafeBatchTargets
+): DecodedSafeCall {
+  let target: DecodedSafeCall["target"];
+  let abi: Abi;
+  if (isAddressEqual(transaction.to, targets.contractAddress)) {
+    target = "staking";
+    abi = PROGRESSIVE_STAKING_ABI;
+  } else if (isAddressEqual(transaction.to, targets.tokenAddress)) {
+    target = "token";
+    abi = ERC20_ABI;
+  } else {
+    throw new Error(`Unexpected transaction target ${transaction.to}`);
+  }
+
+  const { functionName, args = [] } = decodeFunctionData({
+    abi,
+    data: transaction.data,
+  });
+  const item = getAbiItem({ abi, name: functionName }) as AbiFunction;
+  return {
+    target,
+    functionName,
+    args: item.inputs.map((input, i) => ({
+      name: input.name || `arg${i}`,
+      type: input.type,
+      value: args[i],
+    })),
+  };
+}
+
+function formatArg(
+  arg: DecodedSafeCall["args"][number],
+  decimals: number,
+  symbol: string
+): string {
+  if (typeof arg.value === "bigint" && /^(amount|value)$/.test(arg.name)) {
+    const amount = formatUnits(arg.value, decimals);
+    return `${arg.value} (${amount} ${symbol})`;
+  }
+  if (arg.type === "bytes32" && typeof arg.value === "string") {
+    return roleName(arg.value as Hex);
+  }
+  if (Array.isArray(arg.value)) return `[${arg.value.join(", ")}]`;
+  return String(arg.value);
+}
+
+/**
+ * Human-readable preview of a batch for signers: each description followed
+ * by the target and the call decoded from the calldata
+ */
+export function previewSafeTransactions(
+  transactions: readonly {
+    to: Address;
+    data: Hex;
+    value: bigint | string;
+    description?: string;
+  }[],
+  targets: SafeBatchTargets
+): string {
+  const decimals = targets.decimals ?? TOKEN_DECIMALS;
+  const symbol = targets.symbol ?? TOKEN_SYMBOL;
+  return transactions
+    .map((transaction, i) => {
+      const call = decodeSafeTransaction(transaction, targets);
+      const args = call.args
+        .map((arg) => `${arg.name}: ${formatArg(arg, decimals, symbol)}`)
+        .join(", ");
+      const target =
+        call.target === "staking"
+          ? "staking contract"
+          : `${symbol} token`;
+      return [
+        `${i + 1}. ${transaction.description ?? call.functionName}`,
+        `   to:    ${transaction.to} (${target})`,
+        `   value: ${transaction.value}`,
+        `   call:  ${call.functionName}(${args})`,
+      ].join("\n");
+    })
+    .join("\n");
+}
+
+function inputValue(value: unknown): string {
+  if (Array.isArray(value)) return `[${value.map(String).join(",")}]`;
+  return String(value);
+}
+
+/**
+ * Build a Transaction Builder batch file. Each transaction carries both its
+ * calldata and its decoded method, so the app shows the decoded call.
+ */
+export function toSafeBatchFile(
+  transactions: readonly SafeTransaction[],
+  chainId: number,
+  targets: SafeBatchTargets,
+  options: SafeBatchOptions
+): SafeBatchFile {
+  return {
+    version: "1.0",
+    chainId: String(chainId),
+    createdAt: options.createdAt ?? Date.now(),
+    meta: {
+      name: options.name ?? "MAIT staking admin",
+      description: transactions
+        .map((transaction, i) => `${i + 1}. ${transaction.description}`)
+        .join("\n"),
+      txBuilderVersion: TX_BUILDER_VERSION,
+      createdFromSafeAddress: options.safeAddress,
+      createdFromOwnerAddress: "",
+    },
+    transactions: transactions.map((transaction) => {
+      const call = decodeSafeTransaction(transaction, targets);
+      return {
+        to: transaction.to,
+        value: transaction.value.toString(),
+        data: transaction.data,
+        contractMethod: {
+          inputs: call.args.map(({ name, type }) => ({
+            internalType: type,
+            name,
+            type,
+          })),
+          name: call.functionName,
+          payable: false,
+        },
+        contractInputsValues: Object.fromEntries(
+          call.args.map(({ name, value }) => [name, inputValue(value)])
+        ),
+      };
+    }),
+  };
+}
@@ -0,0 +1,216 @@
+import type { Address, Hash } from "viem";
+import type { ProgressiveStakingClient } from "./client";
+import { parseStakingError, type StakingErrorCode } from "./errors";
+import {
+  createJsonLogger,
+  sleep,
+  type KeeperLogEntry,
+  type KeeperLogger,
+  type KeeperLogLevel,
+} from "./keeper";
+
+/**
+ * Withdrawal scheduler.
+ *
+ * Withdrawal requests sit in the contract until someone calls
+ * `executeWithdraw` after the notice period. The scheduler watches a set of
+ * wallets, sleeps until the earliest `availableAt` among their requests and
+ * executes every request that has come due.
+ */
+
+export type ReadyWithdrawalStatus =
+  /** Sent, waiting for its receipt */
+  | "pending"
+  | "executed"
+  | "failed";
+
+export interface ReadyWithdrawalResult {
+  stakeId: bigint;
+  /** Principal requested */
+  amount: bigint;
+  availableAt: bigint;
+  status: ReadyWithdrawalStatus;
+  hash?: Hash;
+  blockNumber?: bigint;
+  /** Frozen rewards paid out with the principal */
+  rewards?: bigint;
+  error?: { code: StakingErrorCode; message: string };
+}
+
+export interface ExecuteWithdrawalsOptions {
+  /** Blocks to wait for per withdrawal (default: 1) */
+  confirmations?: number;
+  /** Called whenever a request reaches a new status */
+  onProgress?: (result: ReadyWithdrawalResult) => void;
+}
+
+export interface WithdrawalSchedulerOptions {
+  /** Clients with the wallets that made the requests (`createWithWallet`) */
+  wallets: readonly ProgressiveStakingClient[];
+  /** Blocks to wait for per withdrawal (default: 1) */
+  confirmations?: number;
+  /**
+   * Longest sleep in ms, so requests made in the meantime are noticed
+   * (default: one hour)
+   */
+  pollInterval?: number;
+  /**
+   * Ms before trying a due request again after it failed, or when the chain
+   * has not yet reached its `availableAt` (default: five minutes)
+   */
+  retryDelay?: number;
+  /** Log sink (default: JSON lines on the console) */
+  logger?: KeeperLogger;
+}
+
+export interface WithdrawalSchedulerResult {
+  wallet: Address;
+  /** Requests that were due, with their outcome */
+  withdrawals: ReadyWithdrawalResult[];
+  /** Earliest `availableAt` of the requests still waiting */
+  nextAvailableAt?: bigint;
+  /** Set if the wallet could not be checked */
+  error?: { code: StakingErrorCode; message: string };
+}
+
+const DEFAULT_POLL_INTERVAL = 3_600_000;
+const DEFAULT_RETRY_DELAY = 300_000;
+
+export class WithdrawalScheduler {
+  private wallets: readonly ProgressiveStakingClient[];
+  private confirmations: number;
+  private pollInterval: number;
+  private retryDelay: number;
+  private logger: KeeperLogger;
+  /** When the next round is due, in ms */
+  private wakeAt?: number;
+
+  /**
+   * @throws Error if a client has no wallet
+   */
+  constructor(options: WithdrawalSchedulerOptions) {
+    for (const client of options.wallets) {
+      if (!client.getWalletAddress()) {
+        throw new Error("Scheduler wallets need a client with a wallet");
+      }
+    }
+    this.wallets = options.wallets;
+    this.confirmations = options.confirmations ?? 1;
+    this.pollInterval = options.pollInterval ?? DEFAULT_POLL_INTERVAL;
+    this.retryDelay = options.retryDelay ?? DEFAULT_RETRY_DELAY;
+    this.logger = options.logger ?? createJsonLogger();
+  }
+
+  private log(
+    level: KeeperLogLevel,
+    event: string,
+    fields: Omit<KeeperLogEntry, "time" | "level" | "event"> = {}
+  ): void {
+    this.logger({ time: new Date().toISOString(), level, event, ...fields });
+  }
+
+  /**
+   * Execute the due requests of every wallet, one wallet after another, and
+   * work out when the next round is due
+   */
+  async runOnce(): Promise<WithdrawalSchedulerResult[]> {
+    const results: WithdrawalSchedulerResult[] = [];
+    let wakeAt = Date.now() + this.pollInterval;
+
+    for (const client of this.wallets) {
+      const wallet = client.getWalletAddress()!;
+      try {
+        const withdrawals = await client.executeAllReadyWithdrawals({
+          confirmations: this.confirmations,
+          onProgress: (result) => this.logWithdrawal(wallet, result),
+        });
+        // Pick up requests made, executed or cancelled since the last round
+        await client.invalidateCache(wallet);
+
+        const waiting = await client.getActivePendingWithdrawals(wallet);
+        let nextAvailableAt: bigint | undefined;
+        for (const { availableAt } of waiting) {
+          if (nextAvailableAt === undefined || availableAt < nextAvailableAt) {
+            nextAvailableAt = availableAt;
+          }
+        }
+        // A request still waiting past its `availableAt` failed or is ahead
+        // of the chain's clock
+        if (nextAvailableAt !== undefined) {
+          const at = Number(nextAvailableAt) * 1000;
+          wakeAt = Math.min(
+            wakeAt,
+            at > Date.now() ? at : Date.now() + this.retryDelay
+          );
+        }
+        results.push({ wallet, withdrawals, nextAvailableAt });
+      } catch (cause) {
+        const { code, message } = parseStakingError(cause);
+        this.log("error", "wallet.failed", { wallet, code, message });
+        wakeAt = Math.min(wakeAt, Date.now() + this.retryDelay);
+        results.push({ wallet, withdrawals: [], error: { code, message } });
+      }
+    }
+
+    this.wakeAt = wakeAt;
+    return results;
+  }
+
+  /**
+   * Run rounds until `signal` aborts, sleeping until the earliest
+   * `availableAt` across the wallets, or `pollInterval` at most
+   */
+  async run(options: { signal?: AbortSignal } = {}): Promise<void> {
+    const { signal } = options;
+    this.log("info", "scheduler.started", {
+      wallets: this.wallets.map((client) => client.getWalletAddress()),
+    });
+
+    while (!signal?.aborted) {
+      try {
+        await this.runOnce();
+      } catch (error) {
+        const { code, message } = parseStakingError(error);
+        this.log("error", "scheduler.error", { code, message });
+        this.wakeAt = Date.now() + this.retryDelay;
+      }
+      if (signal?.aborted) break;
+
+      const wakeAt = this.wakeAt ?? Date.now() + this.pollInterval;
+      this.log("debug", "scheduler.sleeping", {
+        until: new Date(wakeAt).toISOString(),
+      });
+      await sleep(Math.max(wakeAt - Date.now(), 1000), signal);
+    }
+
+    this.log("info", "scheduler.stopped");
+  }
+
+  private logWithdrawal(wallet: Address, result: ReadyWithdrawalResult): void {
+    const { stakeId, amount, hash } = result;
+    if (result.status === "pending") {
+      this.log("info", "withdrawal.submitted", {
+        wallet,
+        stakeId,
+        amount,
+        hash,
+      });
+    } else if (result.status === "executed") {
+      this.log("info", "withdrawal.executed", {
+        wallet,
+        stakeId,
+        amount,
+        rewards: result.rewards,
+        hash,
+        blockNumber: result.blockNumber,
+      });
+    } else {
+      this.log("error", "withdrawal.failed", {
+        wallet,
+        stakeId,
+        hash,
+        ...result.error,
+      });
+    }
+  }
+}
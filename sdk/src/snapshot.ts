@@ -0,0 +1,166 @@
+import {
+  concat,
+  encodeAbiParameters,
+  keccak256,
+  type Address,
+  type Hash,
+  type Hex,
+} from "viem";
+import type { StakePosition, WithdrawRequest } from "./types";
+import { toCsv } from "./csv";
+
+/**
+ * Protocol-wide state at one block, for audits, governance weight and
+ * airdrops.
+ *
+ * The schema is versioned: fields are only ever added, and any change to the
+ * meaning of an existing field bumps `SNAPSHOT_SCHEMA_VERSION`.
+ */
+
+export const SNAPSHOT_SCHEMA_VERSION = 1;
+
+export interface SnapshotPosition extends StakePosition {
+  /** `calculateRewards(user, stakeId)` at the snapshot block */
+  rewards: bigint;
+}
+
+export interface SnapshotAccount {
+  user: Address;
+  isFounder: boolean;
+  /** Sum of position amounts, including amounts with a pending withdrawal */
+  balance: bigint;
+  /** `calculateTotalRewards(user)`, including rewards frozen by withdrawal requests */
+  rewards: bigint;
+  positions: SnapshotPosition[];
+  pendingWithdrawals: WithdrawRequest[];
+}
+
+export interface StakingSnapshot {
+  schemaVersion: typeof SNAPSHOT_SCHEMA_VERSION;
+  chainId: number;
+  contractAddress: Address;
+  blockNumber: bigint;
+  blockHash: Hash;
+  /** Block timestamp in seconds */
+  timestamp: bigint;
+  totalStaked: bigint;
+  treasuryBalance: bigint;
+  /** Accounts holding at least one position, sorted by address */
+  accounts: SnapshotAccount[];
+  /** Root of `balanceMerkleTree` over `(user, balance)` of every account */
+  merkleRoot: Hash;
+}
+
+export interface BalanceLeaf {
+  user: Address;
+  balance: bigint;
+}
+
+export interface BalanceMerkleTree {
+  root: Hash;
+  /** Proof for `user`'s leaf, or undefined if the user is not in the tree */
+  getProof(user: Address): Hash[] | undefined;
+}
+
+function hashLeaf({ user, balance }: BalanceLeaf): Hash {
+  return keccak256(
+    keccak256(
+      encodeAbiParameters([{ type: "address" }, { type: "uint256" }], [user, balance])
+    )
+  );
+}
+
+function hashPair(a: Hex, b: Hex): Hash {
+  return keccak256(a.toLowerCase() < b.toLowerCase() ? concat([a, b]) : concat([b, a]));
+}
+
+/**
+ * Merkle tree over `(address user, uint256 balance)` leaves, laid out like
+ * OpenZeppelin's `StandardMerkleTree`: double-hashed ABI-encoded leaves,
+ * sorted pairs. Proofs verify with `MerkleProof.verify` on-chain. An empty
+ * tree has the root `keccak256("")`.
+ */
+export function balanceMerkleTree(leaves: readonly BalanceLeaf[]): BalanceMerkleTree {
+  if (leaves.length === 0) {
+    return { root: keccak256("0x"), getProof: () => undefined };
+  }
+
+  const hashed = leaves
+    .map((leaf) => ({ user: leaf.user.toLowerCase(), hash: hashLeaf(leaf) }))
+    .sort((a, b) => (a.hash < b.hash ? -1 : a.hash > b.hash ? 1 : 0));
+
+  // Complete binary tree in array form: leaves at the end, root at index 0
+  const tree: Hash[] = new Array(2 * hashed.length - 1);
+  hashed.forEach((leaf, i) => {
+    tree[tree.length - 1 - i] = leaf.hash;
+  });
+  for (let i = tree.length - 1 - hashed.length; i >= 0; i--) {
+    tree[i] = hashPair(tree[2 * i + 1], tree[2 * i + 2]);
+  }
+
+  return {
+    root: tree[0],
+    getProof(user) {
+      const leafIndex = hashed.findIndex((leaf) => leaf.user === user.toLowerCase());
+      if (leafIndex === -1) return undefined;
+
+      const proof: Hash[] = [];
+      for (let i = tree.length - 1 - leafIndex; i > 0; i = Math.floor((i - 1) / 2)) {
+        proof.push(tree[i % 2 === 1 ? i + 1 : i - 1]);
+      }
+      return proof;
+    },
+  };
+}
+
+/**
+ * Serialize a snapshot as JSON. Bigints are decimal strings, so the output
+ * is lossless and byte-for-byte stable for the same chain state.
+ */
+export function snapshotToJson(snapshot: StakingSnapshot): string {
+  return JSON.stringify(
+    snapshot,
+    (_key, value) => (typeof value === "bigint" ? value.toString() : value),
+    2
+  );
+}
+
+/**
+ * One row per position, ordered by account then stakeId. Amounts are in wei
+ * and times in Unix seconds.
+ */
+export function snapshotToCsv(snapshot: StakingSnapshot): string {
+  return toCsv(
+    [
+      "block_number",
+      "user",
+      "is_founder",
+      "stake_id",
+      "amount",
+      "start_time",
+      "last_claim_time",
+      "rewards",
+      "withdraw_amount",
+      "withdraw_available_at",
+    ],
+    snapshot.accounts.flatMap((account) =>
+      account.positions.map((position) => {
+        const request = account.pendingWithdrawals.find(
+          (r) => r.stakeId === position.stakeId
+        );
+        return [
+          snapshot.blockNumber,
+          account.user,
+          account.isFounder,
+          position.stakeId,
+          position.amount,
+          position.startTime,
+          position.lastClaimTime,
+          position.rewards,
+          request?.amount,
+          request?.availableAt,
+        ];
+      })
+    )
+  );
+}
@@ -0,0 +1,264 @@
+import type { StakePosition, TierConfig } from "./types";
+import {
+  MAX_PENDING_WITHDRAWALS,
+  MAX_STAKES_PER_ADDRESS,
+  MIN_STAKE_AMOUNT,
+  YEAR_DAYS,
+  YEAR_DURATION,
+} from "./types";
+import { calculatePositionRewards } from "./rewards";
+
+/**
+ * Claim-and-restake strategy simulator.
+ *
+ * Rewards only compound inside a position while they stay unclaimed: each
+ * claim resets the base to the principal. Restaking claimed rewards with
+ * `stake` puts them to work again, but in a new position that starts at
+ * tier 1. The simulator runs each strategy through the reward engine, so
+ * the trade-off is priced with the contract's own math and tier table.
+ */
+
+const DAY = 86_400n;
+
+export interface ClaimStrategy {
+  /** Label in the results (default: derived from the settings) */
+  name?: string;
+  /**
+   * What is done with rewards: never claimed, claimed with
+   * `claimAllRewards` and held, or claimed and staked as a new position
+   */
+  claim: "never" | "hold" | "restake";
+  /** Claim once this many seconds have passed since the last claim */
+  interval?: bigint;
+  /** Claim once claimable rewards reach this amount */
+  threshold?: bigint;
+}
+
+export type SimulatedTransaction = "claim" | "stake";
+
+/**
+ * Cost of one transaction, in staking token wei. Convert gas price times
+ * gas used to the staking token at the rate you expect. `positionCount` is
+ * the number of positions before the transaction; `claimAllRewards` loops
+ * over all of them, so its gas grows with it.
+ */
+export type GasCostModel = (
+  transaction: SimulatedTransaction,
+  context: { timestamp: bigint; positionCount: number }
+) => bigint;
+
+export interface StrategySimulationContext {
+  /** Starting positions; claimable rewards on them count as starting value */
+  positions: readonly StakePosition[];
+  tiers: readonly TierConfig[];
+  /** Unix timestamp in seconds the simulation starts at */
+  timestamp: bigint;
+  /** Founders never earn rewards */
+  isFounder?: boolean;
+}
+
+export interface StrategySimulationOptions {
+  /** Seconds to simulate (default: one reward year) */
+  horizon?: bigint;
+  /** Seconds between claim checks (default: one day) */
+  step?: bigint;
+  /** Transaction costs (default: free) */
+  gasCost?: GasCostModel;
+}
+
+export interface StrategySimulationResult {
+  name: string;
+  strategy: ClaimStrategy;
+  /** Principal plus claimable rewards at the start */
+  initialValue: bigint;
+  /** Principal staked at the end, including restaked rewards */
+  staked: bigint;
+  /** Rewards claimable at the end */
+  unclaimed: bigint;
+  /**
+   * Claimed rewards kept in the wallet, including restakes skipped because
+   * they were below `MIN_STAKE_AMOUNT` or the position limit was reached
+   */
+  held: bigint;
+  /** Total transaction cost */
+  gasCost: bigint;
+  /** `staked + unclaimed + held - gasCost` */
+  finalValue: bigint;
+  /**
+   * Annualized growth of `finalValue` over `initialValue`, compounded over
+   * the contract's 360-day year (0.08 is 8%)
+   */
+  effectiveApy: number;
+  claimCount: number;
+  stakeCount: number;
+  transactionCount: number;
+  positionCount: number;
+}
+
+function strategyName(strategy: ClaimStrategy): string {
+  if (strategy.name) return strategy.name;
+  if (strategy.claim === "never") return "never claim";
+
+  const triggers: string[] = [];
+  if (strategy.interval !== undefined) {
+    triggers.push(`every ${Number(strategy.interval) / Number(DAY)} days`);
+  }
+  if (strategy.threshold !== undefined) {
+    triggers.push(`at ${strategy.threshold} wei`);
+  }
+  const name = `claim and ${strategy.claim}`;
+  return triggers.length ? `${name} ${triggers.join(" or ")}` : name;
+}
+
+function totalRewards(
+  positions: readonly StakePosition[],
+  tiers: readonly TierConfig[],
+  timestamp: bigint,
+  isFounder?: boolean
+): bigint {
+  return positions.reduce(
+    (sum, position) =>
+      sum + calculatePositionRewards(position, tiers, timestamp, { isFounder }),
+    0n
+  );
+}
+
+/**
+ * Simulate one strategy from `context` over `options.horizon`.
+ *
+ * Claims are checked every `options.step` and use `claimAllRewards`, which
+ * moves the claim time of every position with rewards. A restake is one
+ * `stake` of the whole claim; the token allowance is assumed to be granted
+ * up front.
+ *
+ * @throws Error if a claiming strategy has neither `interval` nor `threshold`
+ */
+export function simulateClaimStrategy(
+  strategy: ClaimStrategy,
+  context: StrategySimulationContext,
+  options: StrategySimulationOptions = {}
+): StrategySimulationResult {
+  const horizon = options.horizon ?? YEAR_DURATION;
+  const step = options.step ?? DAY;
+  const gasCost = options.gasCost ?? (() => 0n);
+  const { tiers, isFounder } = context;
+
+  if (step <= 0n) throw new Error("Simulation step must be positive");
+  if (strategy.claim !== "never") {
+    if (strategy.interval === undefined && strategy.threshold === undefined) {
+      throw new Error(
+        `Strategy "${strategyName(strategy)}" needs an interval or a threshold`
+      );
+    }
+    if (strategy.interval !== undefined && strategy.interval <= 0n) {
+      throw new Error("Claim interval must be positive");
+    }
+  }
+
+  const positions = context.positions.map((position) => ({ ...position }));
+  const start = context.timestamp;
+  const end = start + horizon;
+  const initialValue =
+    positions.reduce((sum, position) => sum + position.amount, 0n) +
+    totalRewards(positions, tiers, start, isFounder);
+
+  let nextStakeId =
+    positions.reduce((id, p) => (p.stakeId > id ? p.stakeId : id), 0n) + 1n;
+  let lastClaim = start;
+  let held = 0n;
+  let gasSpent = 0n;
+  let claimCount = 0;
+  let stakeCount = 0;
+
+  for (let t = start + step; strategy.claim !== "never"; t += step) {
+    const timestamp = t < end ? t : end;
+    const rewards = positions.map((position) =>
+      calculatePositionRewards(position, tiers, timestamp, { isFounder })
+    );
+    const claimable = rewards.reduce((sum, r) => sum + r, 0n);
+
+    const due =
+      (strategy.interval !== undefined &&
+        timestamp - lastClaim >= strategy.interval) ||
+      (strategy.threshold !== undefined && claimable >= strategy.threshold);
+
+    // claimAllRewards reverts with NoRewardsToClaim on nothing to claim
+    if (due && claimable > 0n) {
+      gasSpent += gasCost("claim", {
+        timestamp,
+        positionCount: positions.length,
+      });
+      claimCount++;
+      lastClaim = timestamp;
+      positions.forEach((position, i) => {
+        if (rewards[i] > 0n) position.lastClaimTime = timestamp;
+      });
+
+      if (
+        strategy.claim === "restake" &&
+        claimable >= MIN_STAKE_AMOUNT &&
+        positions.length < MAX_STAKES_PER_ADDRESS - MAX_PENDING_WITHDRAWALS - 1
+      ) {
+        gasSpent += gasCost("stake", {
+          timestamp,
+          positionCount: positions.length,
+        });
+        stakeCount++;
+        positions.push({
+          stakeId: nextStakeId++,
+          amount: claimable,
+          startTime: timestamp,
+          lastClaimTime: timestamp,
+        });
+      } else {
+        held += claimable;
+      }
+    }
+
+    if (timestamp === end) break;
+  }
+
+  const staked = positions.reduce((sum, position) => sum + position.amount, 0n);
+  const unclaimed = totalRewards(positions, tiers, end, isFounder);
+  const finalValue = staked + unclaimed + held - gasSpent;
+
+  let effectiveApy = 0;
+  if (initialValue > 0n && horizon > 0n) {
+    const years = Number(horizon) / Number(DAY) / YEAR_DAYS;
+    // Gas can exceed everything earned; a total loss is -100%
+    const growth = Math.max(Number(finalValue), 0) / Number(initialValue);
+    effectiveApy = growth ** (1 / years) - 1;
+  }
+
+  return {
+    name: strategyName(strategy),
+    strategy,
+    initialValue,
+    staked,
+    unclaimed,
+    held,
+    gasCost: gasSpent,
+    finalValue,
+    effectiveApy,
+    claimCount,
+    stakeCount,
+    transactionCount: claimCount + stakeCount,
+    positionCount: positions.length,
+  };
+}
+
+/**
+ * Simulate several strategies from the same starting point, best
+ * `finalValue` first
+ */
+export function compareClaimStrategies(
+  strategies: readonly ClaimStrategy[],
+  context: StrategySimulationContext,
+  options: StrategySimulationOptions = {}
+): StrategySimulationResult[] {
+  return strategies
+    .map((strategy) => simulateClaimStrategy(strategy, context, options))
+    .sort((a, b) =>
+      a.finalValue === b.finalValue ? 0 : a.finalValue > b.finalValue ? -1 : 1
+    );
+}
@@ -0,0 +1,232 @@
+import { formatUnits, type Address } from "viem";
+import { TOKEN_DECIMALS, TOKEN_SYMBOL } from "./config";
+import { calculateTierRewards, getTierForDuration } from "./rewards";
+import type { StakePosition, TierConfig, WithdrawRequest } from "./types";
+import { MAX_TIERS, RATE_PRECISION } from "./types";
+
+/**
+ * Tier timeline of a position: when it enters each tier of the live tier
+ * table, what each tier pays, and the dates worth a calendar reminder.
+ */
+
+export interface TierPeriod {
+  /** 1-indexed tier number */
+  tier: number;
+  /** Annual rate in basis points */
+  rate: bigint;
+  startsAt: Date;
+  /** Null for the last tier, which never ends */
+  endsAt: Date | null;
+  status: "past" | "current" | "upcoming";
+  /** Unclaimed rewards accrued in this tier since the last claim */
+  accruedRewards: bigint;
+}
+
+export interface TierUpgrade {
+  tier: number;
+  rate: bigint;
+  at: Date;
+}
+
+export interface PositionTimeline {
+  stakeId: bigint;
+  amount: bigint;
+  startTime: Date;
+  currentTier: number;
+  tiers: TierPeriod[];
+  /** Next tier the position reaches, or null in the last tier */
+  nextUpgrade: TierUpgrade | null;
+  /** Active withdrawal request on the position */
+  withdrawal: WithdrawRequest | null;
+  /** Accrual is frozen by a withdrawal request, so `accruedRewards` stay 0 */
+  frozen: boolean;
+}
+
+export interface TimelineOptions {
+  isFounder?: boolean;
+  /** Active withdrawal request on the position */
+  withdrawal?: WithdrawRequest;
+  /** Accrual is frozen by a withdrawal request (see `isRewardFrozen`) */
+  frozen?: boolean;
+}
+
+export interface CalendarOptions {
+  /** Owner of the positions, used in event UIDs */
+  user: Address;
+  /** Calendar name shown by clients (default: "<symbol> staking") */
+  name?: string;
+  /** Token decimals used in descriptions (default: TOKEN_DECIMALS) */
+  decimals?: number;
+  /** Token symbol used in descriptions (default: TOKEN_SYMBOL) */
+  symbol?: string;
+  /** Generation time written as DTSTAMP (default: now) */
+  createdAt?: Date;
+}
+
+function toDate(seconds: bigint): Date {
+  return new Date(Number(seconds) * 1000);
+}
+
+function formatRate(rate: bigint): string {
+  return `${(Number(rate) * 100) / Number(RATE_PRECISION)}%`;
+}
+
+/**
+ * Timeline of one position at `timestamp` (Unix seconds), against the tier
+ * table from `getTierConfigs`
+ */
+export function buildPositionTimeline(
+  position: StakePosition,
+  tiers: readonly TierConfig[],
+  timestamp: bigint,
+  options: TimelineOptions = {}
+): PositionTimeline {
+  const frozen = options.frozen ?? false;
+  const breakdown = calculateTierRewards(position, tiers, timestamp, {
+    isFounder: options.isFounder,
+    // Freezing sets lastClaimTime to the request time, so nothing accrues
+    freezeTime: frozen ? position.lastClaimTime : undefined,
+  });
+  const age =
+    timestamp > position.startTime ? timestamp - position.startTime : 0n;
+  const currentTier = getTierForDuration(age, tiers);
+
+  const periods = tiers.slice(0, MAX_TIERS).map((config, i): TierPeriod => {
+    const tier = i + 1;
+    const lastTier = i === Math.min(tiers.length, MAX_TIERS) - 1;
+    return {
+      tier,
+      rate: config.rate,
+      startsAt: toDate(position.startTime + config.startTime),
+      endsAt: lastTier ? null : toDate(position.startTime + config.endTime),
+      status:
+        tier === currentTier
+          ? "current"
+          : tier < currentTier
+            ? "past"
+            : "upcoming",
+      accruedRewards:
+        breakdown.find((entry) => entry.tier === tier)?.rewards ?? 0n,
+    };
+  });
+
+  const next = periods.find((period) => period.status === "upcoming");
+  return {
+    stakeId: position.stakeId,
+    amount: position.amount,
+    startTime: toDate(position.startTime),
+    currentTier,
+    tiers: periods,
+    nextUpgrade: next
+      ? { tier: next.tier, rate: next.rate, at: next.startsAt }
+      : null,
+    withdrawal: options.withdrawal ?? null,
+    frozen,
+  };
+}
+
+// ============ iCalendar ============
+
+function icsDate(date: Date): string {
+  return date.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+}
+
+function icsText(text: string): string {
+  return text.replace(/[\\;,]/g, (c) => `\\${c}`).replace(/\r?\n/g, "\\n");
+}
+
+// Lines longer than 75 octets are folded with CRLF plus a space (RFC 5545 3.1)
+function foldLine(line: string): string {
+  const bytes = new TextEncoder().encode(line);
+  if (bytes.length <= 75) return line;
+
+  const parts: string[] = [];
+  let current = "";
+  let size = 0;
+  for (const char of line) {
+    const charSize = new TextEncoder().encode(char).length;
+    const limit = parts.length === 0 ? 75 : 74;
+    if (size + charSize > limit) {
+      parts.push(current);
+      current = "";
+      size = 0;
+    }
+    current += char;
+    size += charSize;
+  }
+  parts.push(current);
+  return parts.join("\r\n ");
+}
+
+/**
+ * iCalendar feed of upcoming tier upgrades and withdrawal `availableAt`
+ * dates. Event UIDs are stable, so re-importing an updated feed replaces
+ * events instead of duplicating them.
+ */
+export function timelineToIcs(
+  timelines: readonly PositionTimeline[],
+  options: CalendarOptions
+): string {
+  const decimals = options.decimals ?? TOKEN_DECIMALS;
+  const symbol = options.symbol ?? TOKEN_SYMBOL;
+  const stamp = icsDate(options.createdAt ?? new Date());
+  const user = options.user.toLowerCase();
+
+  const events: string[][] = [];
+  const addEvent = (
+    uid: string,
+    at: Date,
+    summary: string,
+    description: string
+  ) => {
+    events.push([
+      "BEGIN:VEVENT",
+      `UID:${uid}-${user}@maitme-staking`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART:${icsDate(at)}`,
+      `SUMMARY:${icsText(summary)}`,
+      `DESCRIPTION:${icsText(description)}`,
+      "END:VEVENT",
+    ]);
+  };
+
+  for (const timeline of timelines) {
+    const amount = `${formatUnits(timeline.amount, decimals)} ${symbol}`;
+    for (const period of timeline.tiers) {
+      if (period.status !== "upcoming") continue;
+      const rate = formatRate(period.rate);
+      addEvent(
+        `tier-${period.tier}-stake-${timeline.stakeId}`,
+        period.startsAt,
+        `Stake #${timeline.stakeId} reaches tier ${period.tier} (${rate})`,
+        `Your ${amount} position starts earning ${rate} a year.`
+      );
+    }
+
+    const request = timeline.withdrawal;
+    if (request) {
+      const withdrawn = formatUnits(request.amount, decimals);
+      addEvent(
+        `withdraw-${request.stakeId}-${request.requestTime}`,
+        toDate(request.availableAt),
+        `Withdrawal from stake #${request.stakeId} is ready`,
+        `The notice period has ended; ${withdrawn} ${symbol} can now be ` +
+          "withdrawn with executeWithdraw."
+      );
+    }
+  }
+
+  return [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//MAIT//Progressive Staking SDK//EN",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${icsText(options.name ?? `${symbol} staking`)}`,
+    ...events.flat(),
+    "END:VCALENDAR",
+  ]
+    .map(foldLine)
+    .join("\r\n")
+    .concat("\r\n");
+}
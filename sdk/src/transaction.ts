@@ -0,0 +1,277 @@
+import {
+  encodeFunctionData,
+  getContractError,
+  isAddressEqual,
+  parseEventLogs,
+  type Address,
+  type BaseError,
+  type Hash,
+  type PublicClient,
+  type TransactionReceipt,
+} from "viem";
+import { PROGRESSIVE_STAKING_ABI } from "./abi";
+import type { StakingWriteCall, StakingWriteFunction } from "./types";
+import {
+  ContractRevertError,
+  StakingError,
+  TransactionReplacedError,
+  TransactionRevertedError,
+  parseStakingError,
+} from "./errors";
+import type { StakingEventLog, StakingEventName } from "./events";
+
+/**
+ * Values decoded from the receipt logs, per write function
+ */
+export interface StakingTransactionResults {
+  stake: { stakeId: bigint; amount: bigint };
+  claimRewards: { stakeId: bigint; amount: bigint };
+  claimAllRewards: { amount: bigint };
+  /** `stakeId` is the new position id when the request split a position */
+  requestWithdraw: { stakeId: bigint; amount: bigint; availableAt: Date };
+  /** `rewards` are the frozen rewards paid out with the principal */
+  executeWithdraw: { stakeId: bigint; amount: bigint; rewards: bigint };
+  cancelWithdrawRequest: { stakeId: bigint; amount: bigint; rewards: bigint };
+  emergencyWithdraw: { principal: bigint; rewards: bigint };
+  adminTransferStake: { fromUser: Address; toUser: Address; stakeId: bigint };
+  depositTreasury: { amount: bigint };
+  withdrawTreasury: { amount: bigint };
+}
+
+export type StakingTransactionResult<
+  F extends StakingWriteFunction = StakingWriteFunction,
+> = {
+  /** Hash of the mined transaction (differs from the submitted one after a speed-up) */
+  hash: Hash;
+  receipt: TransactionReceipt;
+  /** Every staking contract event emitted by the transaction */
+  events: StakingEventLog[];
+} & (F extends keyof StakingTransactionResults
+  ? StakingTransactionResults[F]
+  : Record<never, never>);
+
+export type TransactionStatus =
+  | { status: "submitted"; hash: Hash }
+  /** `repriced` (sped up) transactions are followed; other replacements fail */
+  | {
+      status: "replaced";
+      hash: Hash;
+      replacementHash: Hash;
+      reason: "repriced" | "replaced" | "cancelled";
+    }
+  | { status: "mined"; hash: Hash; receipt: TransactionReceipt }
+  | {
+      status: "confirmed";
+      hash: Hash;
+      receipt: TransactionReceipt;
+      confirmations: number;
+    }
+  | { status: "failed"; hash: Hash; error: StakingError };
+
+export interface TransactionWaitOptions {
+  /** Blocks to wait for, including the one the transaction was mined in (default: 1) */
+  confirmations?: number;
+  /** Called with `submitted` first, then on every status change */
+  onStatus?: (status: TransactionStatus) => void;
+  /** Milliseconds to wait for the receipt before failing */
+  timeout?: number;
+  pollingInterval?: number;
+}
+
+function findEvent<N extends StakingEventName>(
+  events: readonly StakingEventLog[],
+  eventName: N
+): StakingEventLog<N> {
+  const event = events.find((e) => e.eventName === eventName);
+  if (!event) {
+    throw new StakingError("UNKNOWN", {
+      message: `Expected ${eventName} event not found in transaction receipt.`,
+    });
+  }
+  return event as StakingEventLog<N>;
+}
+
+function claimedRewards(events: readonly StakingEventLog[], stakeId: bigint): bigint {
+  const claim = events.find(
+    (e) => e.eventName === "RewardsClaimed" && e.args.stakeId === stakeId
+  ) as StakingEventLog<"RewardsClaimed"> | undefined;
+  return claim?.args.amount ?? 0n;
+}
+
+function decodeResult(
+  functionName: StakingWriteFunction,
+  events: readonly StakingEventLog[]
+): Record<string, unknown> {
+  switch (functionName) {
+    case "stake": {
+      const { stakeId, amount } = findEvent(events, "Staked").args;
+      return { stakeId, amount };
+    }
+    case "claimRewards": {
+      const { stakeId, amount } = findEvent(events, "RewardsClaimed").args;
+      return { stakeId, amount };
+    }
+    case "claimAllRewards":
+      return { amount: findEvent(events, "AllRewardsClaimed").args.totalAmount };
+    case "requestWithdraw": {
+      const { stakeId, amount, availableAt } = findEvent(events, "WithdrawRequested").args;
+      return { stakeId, amount, availableAt: new Date(Number(availableAt) * 1000) };
+    }
+    case "executeWithdraw": {
+      const { stakeId, amount } = findEvent(events, "WithdrawExecuted").args;
+      return { stakeId, amount, rewards: claimedRewards(events, stakeId) };
+    }
+    case "cancelWithdrawRequest": {
+      const { stakeId, amount } = findEvent(events, "WithdrawCancelled").args;
+      return { stakeId, amount, rewards: claimedRewards(events, stakeId) };
+    }
+    case "emergencyWithdraw": {
+      const { principal, rewards } = findEvent(events, "EmergencyWithdrawn").args;
+      return { principal, rewards };
+    }
+    case "adminTransferStake": {
+      const { fromUser, toUser, stakeId } = findEvent(events, "StakeTransferred").args;
+      return { fromUser, toUser, stakeId };
+    }
+    case "depositTreasury":
+      return { amount: findEvent(events, "TreasuryDeposited").args.amount };
+    case "withdrawTreasury":
+      return { amount: findEvent(events, "TreasuryWithdrawn").args.amount };
+    default:
+      return {};
+  }
+}
+
+/**
+ * A submitted staking contract transaction.
+ *
+ * Returned by the client's write methods. `wait()` follows the transaction
+ * until it is mined and confirmed, then decodes the outcome from its logs.
+ */
+export class StakingTransaction<
+  F extends StakingWriteFunction = StakingWriteFunction,
+> {
+  readonly hash: Hash;
+  readonly call: StakingWriteCall<F>;
+  private publicClient: PublicClient;
+  private contractAddress: Address;
+
+  constructor(
+    publicClient: PublicClient,
+    contractAddress: Address,
+    call: StakingWriteCall<F>,
+    hash: Hash
+  ) {
+    this.publicClient = publicClient;
+    this.contractAddress = contractAddress;
+    this.call = call;
+    this.hash = hash;
+  }
+
+  /**
+   * Wait for the transaction to be mined and confirmed.
+   * Failures (revert, replacement, timeout) throw a StakingError.
+   */
+  async wait(
+    options: TransactionWaitOptions = {}
+  ): Promise<StakingTransactionResult<F>> {
+    const confirmations = Math.max(options.confirmations ?? 1, 1);
+    const notify = (status: TransactionStatus) => options.onStatus?.(status);
+    let replacedReason: "repriced" | "replaced" | "cancelled" | undefined;
+
+    notify({ status: "submitted", hash: this.hash });
+
+    try {
+      const receipt = await this.publicClient.waitForTransactionReceipt({
+        hash: this.hash,
+        timeout: options.timeout,
+        pollingInterval: options.pollingInterval,
+        onReplaced: (replacement) => {
+          replacedReason = replacement.reason;
+          notify({
+            status: "replaced",
+            hash: this.hash,
+            replacementHash: replacement.transaction.hash,
+            reason: replacement.reason,
+          });
+        },
+      });
+      const hash = receipt.transactionHash;
+
+      if (replacedReason === "replaced" || replacedReason === "cancelled") {
+        throw new TransactionReplacedError(replacedReason, this.hash, hash);
+      }
+
+      notify({ status: "mined", hash, receipt });
+      if (receipt.status === "reverted") {
+        throw await this.revertError(receipt);
+      }
+
+      notify({ status: "confirmed", hash, receipt, confirmations: 1 });
+      for (let n = 2; n <= confirmations; n++) {
+        await this.publicClient.waitForTransactionReceipt({
+          hash,
+          confirmations: n,
+          timeout: options.timeout,
+          pollingInterval: options.pollingInterval,
+        });
+        notify({ status: "confirmed", hash, receipt, confirmations: n });
+      }
+
+      const events = this.decodeEvents(receipt);
+      return {
+        ...decodeResult(this.call.functionName, events),
+        hash,
+        receipt,
+        events,
+      } as StakingTransactionResult<F>;
+    } catch (error) {
+      const stakingError = parseStakingError(error);
+      notify({ status: "failed", hash: this.hash, error: stakingError });
+      throw stakingError;
+    }
+  }
+
+  private decodeEvents(receipt: TransactionReceipt): StakingEventLog[] {
+    const logs = receipt.logs.filter((log) =>
+      isAddressEqual(log.address, this.contractAddress)
+    );
+
+    return parseEventLogs({ abi: PROGRESSIVE_STAKING_ABI, logs }).map(
+      (log) =>
+        ({
+          eventName: log.eventName,
+          args: log.args,
+          blockNumber: log.blockNumber,
+          blockHash: log.blockHash,
+          transactionHash: log.transactionHash,
+          logIndex: log.logIndex,
+        }) as StakingEventLog
+    );
+  }
+
+  /**
+   * Recover the revert reason by replaying the call on the parent block
+   */
+  private async revertError(receipt: TransactionReceipt): Promise<StakingError> {
+    const call = this.call as StakingWriteCall;
+    try {
+      await this.publicClient.call({
+        account: receipt.from,
+        to: this.contractAddress,
+        data: encodeFunctionData({ abi: PROGRESSIVE_STAKING_ABI, ...call }),
+        blockNumber: receipt.blockNumber - 1n,
+      });
+    } catch (error) {
+      const parsed = parseStakingError(
+        getContractError(error as BaseError, {
+          abi: PROGRESSIVE_STAKING_ABI,
+          address: this.contractAddress,
+          ...call,
+        })
+      );
+      if (parsed instanceof ContractRevertError) return parsed;
+    }
+    return new TransactionRevertedError(receipt);
+  }
+}
@@ -1,4 +1,11 @@
-import type { Address } from "viem";
+import type {
+  Address,
+  ContractFunctionArgs,
+  ContractFunctionName,
+  ContractFunctionReturnType,
+} from "viem";
+import type { PROGRESSIVE_STAKING_ABI } from "./abi";
+import type { StakingCacheConfig } from "./cache";
 
 export interface StakePosition {
   readonly stakeId: bigint;
@@ -63,9 +70,116 @@ export interface UserStats {
   isFounder: boolean;
 }
 
+/**
+ * Raw on-chain state of one staker
+ */
+export interface StakerState {
+  user: Address;
+  positions: readonly StakePosition[];
+  activeWithdrawals: readonly WithdrawRequest[];
+  /** `calculateTotalRewards`, including rewards frozen by withdrawal requests */
+  totalRewards: bigint;
+  isFounder: boolean;
+}
+
+export interface StakingConstants {
+  adminRole: `0x${string}`;
+  defaultAdminRole: `0x${string}`;
+  noticePeriod: bigint;
+  yearDuration: bigint;
+  ratePrecision: bigint;
+  maxTiers: number;
+  maxPendingWithdrawals: bigint;
+  maxStakesPerAddress: bigint;
+  minStakeAmount: bigint;
+}
+
+/** Tier rates in basis points, one per tier (50 = 0.5%) */
+export type TierRates = readonly [bigint, bigint, bigint, bigint, bigint, bigint];
+
+export interface MulticallConfig {
+  /** Calls per multicall request (default: DEFAULT_MULTICALL_BATCH_SIZE) */
+  batchSize?: number;
+  /** Multicall3 address, if the chain definition does not include one */
+  multicallAddress?: Address;
+  /** Use deployless multicall (default: when no Multicall3 address is known) */
+  deployless?: boolean;
+}
+
 export interface StakingClientConfig {
   contractAddress: Address;
   tokenAddress?: Address;
+  /** Block the contract was deployed in; event scans start there by default */
+  deploymentBlock?: bigint;
+  multicall?: MulticallConfig;
+  /** How formatted amounts in stats are written (default: `formatUnits`) */
+  amountFormat?: AmountFormatOptions;
+  /** Cache reads, e.g. for dashboards that poll (default: no cache) */
+  cache?: StakingCacheConfig;
+}
+
+/** ERC-20 metadata of the staking token */
+export interface TokenMetadata {
+  address: Address;
+  decimals: number;
+  symbol: string;
+}
+
+export interface AmountFormatOptions {
+  /** BCP 47 locale for digit grouping and the decimal separator, e.g. "de-DE" */
+  locale?: string | string[];
+  /** Round to this many fraction digits at most (default: the token decimals) */
+  maximumFractionDigits?: number;
+  /** Pad with zeros to this many fraction digits (default: 0) */
+  minimumFractionDigits?: number;
+  /** Append the token symbol, e.g. "1,000.5 MAIT" */
+  withSymbol?: boolean;
+}
+
+/** EIP-712 domain the staking token's ERC-2612 permits are signed for */
+export interface PermitDomain {
+  name: string;
+  version: string;
+  chainId: number;
+  verifyingContract: Address;
+}
+
+type StakingAbi = typeof PROGRESSIVE_STAKING_ABI;
+
+/** Name of a state-changing staking contract function */
+export type StakingWriteFunction = ContractFunctionName<StakingAbi, "nonpayable">;
+
+/** A staking contract call: function name plus its typed arguments */
+export type StakingWriteCall<F extends StakingWriteFunction = StakingWriteFunction> = {
+  [K in F]: {
+    functionName: K;
+    args: ContractFunctionArgs<StakingAbi, "nonpayable", K>;
+  };
+}[F];
+
+/** Options for write methods that accept them */
+export interface WriteOptions {
+  /** Nonce to send with, for callers managing nonces themselves */
+  nonce?: number;
+}
+
+/** Outcome of a successful pre-flight simulation */
+export type SimulationResult<F extends StakingWriteFunction = StakingWriteFunction> =
+  StakingWriteCall<F> & {
+    /** Decoded return value of the call */
+    result: ContractFunctionReturnType<StakingAbi, "nonpayable", F>;
+    /** Estimated gas units */
+    gas: bigint;
+  };
+
+/** Estimated fee of a staking contract call, in native coin wei */
+export interface TransactionCostEstimate {
+  /** Estimated gas units */
+  gas: bigint;
+  /** Current gas price */
+  gasPrice: bigint;
+  /** `gas * gasPrice` */
+  cost: bigint;
 }
 
 export const TIER_INFO = [
@@ -78,4 +192,24 @@ export const TIER_INFO = [
 ] as const;
 
 export const NOTICE_PERIOD_DAYS = 90;
+export const DEFAULT_MULTICALL_BATCH_SIZE = 200;
 export const YEAR_DAYS = 360;
+
+/** Seconds in a reward year (contract `YEAR_DURATION`, 360 days) */
+export const YEAR_DURATION = 360n * 24n * 60n * 60n;
+/** Basis-point denominator for tier rates (contract `RATE_PRECISION`) */
+export const RATE_PRECISION = 10000n;
+/** Number of reward tiers (contract `MAX_TIERS`) */
+export const MAX_TIERS = 6;
+/** Minimum stake and remaining-position amount in token wei (contract `MIN_STAKE_AMOUNT`) */
+export const MIN_STAKE_AMOUNT = 10n ** 15n;
+/** Maximum positions per address (contract `MAX_STAKES_PER_ADDRESS`) */
+export const MAX_STAKES_PER_ADDRESS = 1000;
+/** Maximum concurrent withdrawal requests per address (contract `MAX_PENDING_WITHDRAWALS`) */
+export const MAX_PENDING_WITHDRAWALS = 10;
+/** `keccak256("ADMIN_ROLE")` - pause/unpause and stake transfers */
+export const ADMIN_ROLE =
+  "0xa49807205ce4d355092ef5a8a18f56e8913cf4a201fbe287825b095693c21775" as const;
+/** AccessControl `DEFAULT_ADMIN_ROLE` - treasury, tier rates, emergency shutdown and role management */
+export const DEFAULT_ADMIN_ROLE =
+  "0x0000000000000000000000000000000000000000000000000000000000000000" as const;
@@ -0,0 +1,254 @@
+import { isAddressEqual, zeroAddress, type Address } from "viem";
+import type { StakePosition, WithdrawRequest } from "./types";
+import {
+  MIN_STAKE_AMOUNT,
+  MAX_STAKES_PER_ADDRESS,
+  MAX_PENDING_WITHDRAWALS,
+} from "./types";
+import { STAKING_ERROR_MESSAGES, type StakingErrorCode } from "./errors";
+
+/**
+ * Client-side checks mirroring the contract's preconditions.
+ *
+ * Each validator is a pure function over a snapshot of on-chain state and
+ * returns every issue that would make the call revert, in the order the
+ * contract checks them, so the first is the error the call reverts with.
+ * Issue codes are the same as the `StakingError` codes the call would throw,
+ * so one mapping to localized text covers both.
+ */
+
+export interface ValidationIssue {
+  code: StakingErrorCode;
+  message: string;
+}
+
+export interface ValidationResult {
+  valid: boolean;
+  issues: ValidationIssue[];
+}
+
+export interface ContractStatus {
+  isPaused: boolean;
+  isEmergencyMode: boolean;
+}
+
+export interface StakeValidationContext extends ContractStatus {
+  /** Number of positions the staker currently holds */
+  stakeCount: number;
+  /** Staker's token balance, if known */
+  tokenBalance?: bigint;
+}
+
+export interface ClaimValidationContext extends ContractStatus {
+  /** Position being claimed; undefined if the stakeId does not exist */
+  position?: StakePosition;
+  rewards: bigint;
+  treasuryBalance: bigint;
+}
+
+export interface ClaimAllValidationContext extends ContractStatus {
+  totalRewards: bigint;
+  treasuryBalance: bigint;
+}
+
+export interface RequestWithdrawValidationContext extends ContractStatus {
+  positions: readonly StakePosition[];
+  activeWithdrawals: readonly WithdrawRequest[];
+}
+
+export interface WithdrawRequestValidationContext {
+  positions: readonly StakePosition[];
+  activeWithdrawals: readonly WithdrawRequest[];
+  /** Unix timestamp in seconds to check `availableAt` against */
+  now: bigint;
+}
+
+export interface EmergencyWithdrawValidationContext {
+  isEmergencyMode: boolean;
+  stakeCount: number;
+}
+
+export interface AdminTransferValidationContext {
+  /** Positions of `fromUser` */
+  positions: readonly StakePosition[];
+  /** Active withdrawal requests of `fromUser` */
+  activeWithdrawals: readonly WithdrawRequest[];
+  /** Number of positions `toUser` currently holds */
+  toStakeCount: number;
+}
+
+function issue(code: StakingErrorCode): ValidationIssue {
+  return { code, message: STAKING_ERROR_MESSAGES[code] };
+}
+
+function result(issues: ValidationIssue[]): ValidationResult {
+  return { valid: issues.length === 0, issues };
+}
+
+function notPausedIssues(status: ContractStatus): ValidationIssue[] {
+  return status.isPaused ? [issue("EnforcedPause")] : [];
+}
+
+export function validateStake(
+  amount: bigint,
+  context: StakeValidationContext
+): ValidationResult {
+  const issues = notPausedIssues(context);
+
+  if (amount === 0n) issues.push(issue("ZeroAmount"));
+  else if (amount < MIN_STAKE_AMOUNT) issues.push(issue("StakeAmountTooLow"));
+  if (context.stakeCount >= MAX_STAKES_PER_ADDRESS - MAX_PENDING_WITHDRAWALS - 1) {
+    issues.push(issue("TooManyStakes"));
+  }
+  if (context.isEmergencyMode) issues.push(issue("EmergencyModeActive"));
+  if (context.tokenBalance !== undefined && context.tokenBalance < amount) {
+    issues.push(issue("ERC20InsufficientBalance"));
+  }
+
+  return result(issues);
+}
+
+export function validateClaimRewards(
+  context: ClaimValidationContext
+): ValidationResult {
+  const issues = notPausedIssues(context);
+
+  if (!context.position) {
+    issues.push(issue("InvalidStakeId"));
+  } else if (context.rewards === 0n) {
+    issues.push(issue("NoRewardsToClaim"));
+  } else if (context.treasuryBalance < context.rewards) {
+    issues.push(issue("InsufficientTreasury"));
+  }
+
+  return result(issues);
+}
+
+export function validateClaimAllRewards(
+  context: ClaimAllValidationContext
+): ValidationResult {
+  const issues = notPausedIssues(context);
+
+  if (context.totalRewards === 0n) {
+    issues.push(issue("NoRewardsToClaim"));
+  } else if (context.treasuryBalance < context.totalRewards) {
+    issues.push(issue("InsufficientTreasury"));
+  }
+
+  return result(issues);
+}
+
+export function validateRequestWithdraw(
+  stakeId: bigint,
+  amount: bigint,
+  context: RequestWithdrawValidationContext
+): ValidationResult {
+  const issues = notPausedIssues(context);
+  const position = context.positions.find((p) => p.stakeId === stakeId);
+
+  if (!position) {
+    issues.push(issue("InvalidStakeId"));
+    return result(issues);
+  }
+  if (amount === 0n) {
+    issues.push(issue("ZeroAmount"));
+  } else if (amount > position.amount) {
+    issues.push(issue("InsufficientStakeBalance"));
+  } else if (
+    amount !== position.amount &&
+    position.amount - amount < MIN_STAKE_AMOUNT
+  ) {
+    issues.push(issue("StakeAmountTooLow"));
+  }
+  if (context.activeWithdrawals.some((r) => r.stakeId === stakeId)) {
+    issues.push(issue("PositionHasPendingWithdraw"));
+  }
+  if (context.activeWithdrawals.length >= MAX_PENDING_WITHDRAWALS) {
+    issues.push(issue("TooManyPendingWithdrawals"));
+  }
+  // A partial request splits off a new position
+  if (
+    amount < position.amount &&
+    context.positions.length >= MAX_STAKES_PER_ADDRESS
+  ) {
+    issues.push(issue("TooManyStakes"));
+  }
+
+  return result(issues);
+}
+
+/**
+ * `executeWithdraw` is allowed while paused; only the request state matters
+ */
+export function validateExecuteWithdraw(
+  stakeId: bigint,
+  context: WithdrawRequestValidationContext
+): ValidationResult {
+  const issues: ValidationIssue[] = [];
+  const request = context.activeWithdrawals.find((r) => r.stakeId === stakeId);
+
+  if (!context.positions.some((p) => p.stakeId === stakeId)) {
+    issues.push(issue("InvalidStakeId"));
+  } else if (!request) {
+    issues.push(issue("NoWithdrawRequest"));
+  } else if (context.now < request.availableAt) {
+    issues.push(issue("WithdrawNotReady"));
+  }
+
+  return result(issues);
+}
+
+export function validateCancelWithdrawRequest(
+  stakeId: bigint,
+  context: Omit<WithdrawRequestValidationContext, "now">
+): ValidationResult {
+  const issues: ValidationIssue[] = [];
+
+  if (!context.positions.some((p) => p.stakeId === stakeId)) {
+    issues.push(issue("InvalidStakeId"));
+  } else if (!context.activeWithdrawals.some((r) => r.stakeId === stakeId)) {
+    issues.push(issue("NoWithdrawRequest"));
+  }
+
+  return result(issues);
+}
+
+export function validateEmergencyWithdraw(
+  context: EmergencyWithdrawValidationContext
+): ValidationResult {
+  const issues: ValidationIssue[] = [];
+
+  if (!context.isEmergencyMode) issues.push(issue("EmergencyModeNotActive"));
+  else if (context.stakeCount === 0) issues.push(issue("NoStakesToWithdraw"));
+
+  return result(issues);
+}
+
+/**
+ * `adminTransferStake` is allowed while paused. The caller's ADMIN_ROLE is
+ * not checked here.
+ */
+export function validateAdminTransferStake(
+  fromUser: Address,
+  stakeId: bigint,
+  toUser: Address,
+  context: AdminTransferValidationContext
+): ValidationResult {
+  const issues: ValidationIssue[] = [];
+
+  if (fromUser === zeroAddress || toUser === zeroAddress) {
+    issues.push(issue("ZeroAddress"));
+  } else if (isAddressEqual(fromUser, toUser)) {
+    issues.push(issue("TransferToSelf"));
+  }
+  if (!context.positions.some((p) => p.stakeId === stakeId)) {
+    issues.push(issue("InvalidStakeId"));
+  } else if (context.activeWithdrawals.some((r) => r.stakeId === stakeId)) {
+    issues.push(issue("PositionHasPendingWithdraw"));
+  }
+  if (context.toStakeCount >= MAX_STAKES_PER_ADDRESS - MAX_PENDING_WITHDRAWALS - 1) {
+    issues.push(issue("TooManyStakes"));
+  }
+
+  return result(issues);
+}
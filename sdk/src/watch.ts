@@ -0,0 +1,198 @@
+import type { Address, PublicClient } from "viem";
+import { PROGRESSIVE_STAKING_ABI } from "./abi";
+import type { StakingEventLog, StakingEventName } from "./events";
+import type { WithdrawRequest } from "./types";
+
+export interface WatchOptions {
+  /** Only events involving this address (as `user`, `fromUser`/`toUser` or `admin`) */
+  user?: Address;
+  /** Only events for this stake position */
+  stakeId?: bigint;
+  /** Only these events (default: all staking events) */
+  events?: readonly StakingEventName[];
+  /**
+   * Force polling even on a WebSocket transport. HTTP transports always poll,
+   * which is what a local node test setup uses.
+   */
+  poll?: boolean;
+  /** Polling interval in milliseconds */
+  pollingInterval?: number;
+  onError?: (error: Error) => void;
+}
+
+export type WatchUpdate =
+  /** A new event was mined */
+  | { type: "event"; event: StakingEventLog }
+  /** A previously reported event was dropped by a chain reorganization */
+  | { type: "removed"; event: StakingEventLog }
+  /** A pending withdrawal's notice period ended; `executeWithdraw` can be called */
+  | { type: "withdrawReady"; user: Address; stakeId: bigint; availableAt: Date };
+
+export type WatchHandler = (update: WatchUpdate) => void;
+
+// setTimeout delays are capped at 2^31 - 1 ms (~24.8 days)
+export const MAX_TIMEOUT = 2 ** 31 - 1;
+
+const USER_ARGS = ["user", "fromUser", "toUser", "admin"] as const;
+
+/**
+ * Addresses an event involves, as `user`, `fromUser`/`toUser` or `admin`
+ */
+export function eventUsers(event: StakingEventLog): Address[] {
+  const args = event.args as Record<string, unknown>;
+  return USER_ARGS.map((key) => args[key]).filter(
+    (value): value is Address => typeof value === "string"
+  );
+}
+
+function involvesUser(event: StakingEventLog, user: Address): boolean {
+  return eventUsers(event).some(
+    (address) => address.toLowerCase() === user.toLowerCase()
+  );
+}
+
+function matchesFilter(event: StakingEventLog, options: WatchOptions): boolean {
+  if (options.events && !options.events.includes(event.eventName)) return false;
+  if (options.user && !involvesUser(event, options.user)) return false;
+  if (options.stakeId !== undefined) {
+    const args = event.args as Record<string, unknown>;
+    if (args.stakeId !== options.stakeId) return false;
+  }
+  return true;
+}
+
+/**
+ * Topic filter for the node when a single event is watched: its indexed
+ * `stakeId`, and the user when the event has exactly one address argument.
+ * Anything else (several events, `StakeTransferred`'s from/to pair) is
+ * filtered after decoding.
+ */
+function nodeFilter(
+  options: WatchOptions
+): { eventName?: StakingEventName; args?: Record<string, unknown> } {
+  if (options.events?.length !== 1) return {};
+  const eventName = options.events[0];
+  const item = PROGRESSIVE_STAKING_ABI.find(
+    (entry) => entry.type === "event" && entry.name === eventName
+  );
+  if (!item || item.type !== "event") return { eventName };
+
+  const args: Record<string, unknown> = {};
+  const userInputs = item.inputs.filter((input) =>
+    (USER_ARGS as readonly string[]).includes(input.name)
+  );
+  if (options.user && userInputs.length === 1 && userInputs[0].indexed) {
+    args[userInputs[0].name] = options.user;
+  }
+  const stakeId = item.inputs.find((input) => input.name === "stakeId");
+  if (options.stakeId !== undefined && stakeId?.indexed) {
+    args.stakeId = options.stakeId;
+  }
+  return Object.keys(args).length > 0 ? { eventName, args } : { eventName };
+}
+
+/**
+ * Subscribe to staking contract events.
+ *
+ * Also reports when a pending withdrawal becomes executable, using timers
+ * seeded from `getActiveWithdrawals` for `options.user` and from
+ * `WithdrawRequested` events seen while watching.
+ *
+ * @returns Function that stops watching and clears all timers
+ */
+export function watchStakingEvents(
+  publicClient: PublicClient,
+  contractAddress: Address,
+  options: WatchOptions,
+  handler: WatchHandler,
+  getActiveWithdrawals?: (user: Address) => Promise<readonly WithdrawRequest[]>
+): () => void {
+  const timers = new Map<string, ReturnType<typeof setTimeout>>();
+  let stopped = false;
+
+  const clearReadyTimer = (user: Address, stakeId: bigint) => {
+    const key = `${user.toLowerCase()}:${stakeId}`;
+    const timer = timers.get(key);
+    if (timer) clearTimeout(timer);
+    timers.delete(key);
+  };
+
+  const scheduleReady = (user: Address, stakeId: bigint, availableAt: bigint) => {
+    if (options.stakeId !== undefined && options.stakeId !== stakeId) return;
+    clearReadyTimer(user, stakeId);
+
+    const key = `${user.toLowerCase()}:${stakeId}`;
+    const at = new Date(Number(availableAt) * 1000);
+    const arm = () => {
+      if (stopped) return;
+      const delay = at.getTime() - Date.now();
+      if (delay <= 0) {
+        timers.delete(key);
+        handler({ type: "withdrawReady", user, stakeId, availableAt: at });
+        return;
+      }
+      timers.set(key, setTimeout(arm, Math.min(delay, MAX_TIMEOUT)));
+    };
+    arm();
+  };
+
+  const trackWithdrawals = (event: StakingEventLog, removed: boolean) => {
+    if (event.eventName === "WithdrawRequested") {
+      const { user, stakeId, availableAt } = event.args;
+      if (removed) clearReadyTimer(user, stakeId);
+      else scheduleReady(user, stakeId, availableAt);
+    } else if (
+      !removed &&
+      (event.eventName === "WithdrawExecuted" ||
+        event.eventName === "WithdrawCancelled")
+    ) {
+      clearReadyTimer(event.args.user, event.args.stakeId);
+    }
+  };
+
+  const unwatch = publicClient.watchContractEvent({
+    address: contractAddress,
+    abi: PROGRESSIVE_STAKING_ABI,
+    strict: true,
+    ...nodeFilter(options),
+    ...(options.poll ? { poll: true as const } : {}),
+    pollingInterval: options.pollingInterval,
+    onError: options.onError,
+    onLogs: (logs) => {
+      for (const log of logs) {
+        const event = {
+          eventName: log.eventName,
+          args: log.args,
+          blockNumber: log.blockNumber,
+          blockHash: log.blockHash,
+          transactionHash: log.transactionHash,
+          logIndex: log.logIndex,
+        } as StakingEventLog;
+
+        if (!matchesFilter(event, options)) continue;
+
+        handler({ type: log.removed ? "removed" : "event", event });
+        trackWithdrawals(event, log.removed);
+      }
+    },
+  });
+
+  if (options.user && getActiveWithdrawals) {
+    const user = options.user;
+    getActiveWithdrawals(user)
+      .then((requests) => {
+        if (stopped) return;
+        for (const request of requests) {
+          scheduleReady(user, request.stakeId, request.availableAt);
+        }
+      })
+      .catch((error: Error) => options.onError?.(error));
+  }
+
+  return () => {
+    stopped = true;
+    unwatch();
+    for (const timer of timers.values()) clearTimeout(timer);
+    timers.clear();
+  };
+}
@@ -0,0 +1,25 @@
+import { parseEther } from "viem";
+import { describe, expect, it } from "vitest";
+import { accounts, deployStaking } from "./chain";
+
+describe("amount helpers", () => {
+  it("refuse to guess the decimals before the metadata is loaded", async () => {
+    const deployment = await deployStaking({ treasury: 0n });
+    const client = deployment.clientFor(accounts[1]);
+
+    expect(() => client.parseAmount("1000")).toThrow(/init\(\)/);
+    expect(() => client.formatAmount(1n)).toThrow(/init\(\)/);
+
+    expect(await client.init()).toMatchObject({ decimals: 18, symbol: "MAIT" });
+    expect(client.parseAmount("1000")).toBe(parseEther("1000"));
+    expect(client.formatAmount(parseEther("1.5"))).toBe("1.5");
+  });
+
+  it("load the metadata with any formatted read", async () => {
+    const deployment = await deployStaking({ treasury: 0n });
+    const client = deployment.clientFor(accounts[1]);
+
+    await client.getStakingStats();
+    expect(client.parseAmount("2")).toBe(parseEther("2"));
+  });
+});
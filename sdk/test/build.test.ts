@@ -0,0 +1,91 @@
+import { execFileSync } from "node:child_process";
+import { mkdtempSync, readFileSync, rmSync } from "node:fs";
+import { createRequire } from "node:module";
+import { join } from "node:path";
+import { fileURLToPath } from "node:url";
+import { afterAll, beforeAll, describe, expect, inject, it } from "vitest";
+import { parseStakingError } from "../src";
+import { accounts, deployStaking } from "./chain";
+
+type Main = typeof import("../src");
+type React = typeof import("../src/react");
+type Viem = typeof import("viem");
+type Chains = typeof import("viem/chains");
+
+const SDK = fileURLToPath(new URL("..", import.meta.url));
+
+// The package's own build script, without declarations, into `outDir`
+function build(outDir: string): void {
+  const { scripts } = JSON.parse(
+    readFileSync(join(SDK, "package.json"), "utf8")
+  );
+  const [command, ...args] = (scripts.build as string).split(" ");
+  execFileSync(
+    join(SDK, "node_modules/.bin", command),
+    [...args.filter((arg) => arg !== "--dts"), "--out-dir", outDir, "--silent"],
+    { cwd: SDK, stdio: "inherit" }
+  );
+}
+
+describe("CommonJS build", () => {
+  let outDir: string;
+  let main: Main;
+  let react: React;
+  // The CommonJS viem the bundles use, which only knows its own errors
+  let viem: Viem;
+  let chains: Chains;
+
+  beforeAll(() => {
+    // Inside the package, so the bundles resolve its dependencies
+    outDir = mkdtempSync(join(SDK, "node_modules", ".build-"));
+    build(outDir);
+    const require = createRequire(join(outDir, "index.js"));
+    main = require("./index.js");
+    react = require("./react/index.js");
+    viem = require("viem");
+    chains = require("viem/chains");
+  });
+
+  afterAll(() => {
+    rmSync(outDir, { recursive: true, force: true });
+  });
+
+  it("shares one copy of the error classes between entries", () => {
+    for (const entry of ["index.js", "react/index.js", "cli/index.js"]) {
+      const code = readFileSync(join(outDir, entry), "utf8");
+      expect(code).not.toMatch(/StakingError = class/);
+    }
+  });
+
+  it("hands contract reverts to the hooks as typed errors", async () => {
+    const { staking, token } = await deployStaking();
+    const transport = viem.http(inject("rpcUrl"));
+    const client = main.ProgressiveStakingClient.createWithWallet(
+      { contractAddress: staking, tokenAddress: token },
+      viem.createPublicClient({ chain: chains.foundry, transport }),
+      viem.createWalletClient({
+        chain: chains.foundry,
+        transport,
+        account: accounts[1],
+      })
+    );
+
+    const cache = new react.StakingQueryCache();
+    await cache.fetch("claim", () => client.claimRewards(99n));
+
+    const { error } = cache.getState("claim");
+    expect(error).toBeInstanceOf(main.ContractRevertError);
+    expect(error).toMatchObject({
+      name: "ContractRevertError",
+      code: "InvalidStakeId",
+    });
+  });
+
+  it("keeps errors of another SDK copy typed", () => {
+    const error = new main.ContractRevertError("InvalidStakeId", [7n]);
+    const lookalike = Object.assign(new Error("x"), { code: "InvalidStakeId" });
+
+    expect(parseStakingError(error)).toBe(error);
+    expect(parseStakingError(lookalike).name).toBe("UnknownStakingError");
+  });
+});
@@ -0,0 +1,210 @@
+import { createPublicClient, parseEther, type Account } from "viem";
+import { foundry } from "viem/chains";
+import { describe, expect, it, vi } from "vitest";
+import {
+  ProgressiveStakingClient,
+  deriveRewards,
+  isRewardFrozen,
+  type RewardSnapshot,
+} from "../src";
+import {
+  DAY,
+  accounts,
+  advance,
+  deployStaking,
+  interceptTransport,
+  mineAt,
+  now,
+  stake,
+  type Deployment,
+} from "./chain";
+
+const user = accounts[7];
+const other = accounts[8];
+
+/** Reader with a cache, counting the `eth_call`s that reach the node */
+function cachedReader(deployment: Deployment, ttl?: number) {
+  let calls = 0;
+  let filterCreated!: () => void;
+  const watching = new Promise<void>((resolve) => (filterCreated = resolve));
+  const transport = interceptTransport(async (request, next) => {
+    if (request.method === "eth_call") calls++;
+    const result = await next(request);
+    if (request.method === "eth_newFilter") filterCreated();
+    return result;
+  });
+  const reader = new ProgressiveStakingClient(
+    {
+      contractAddress: deployment.staking,
+      tokenAddress: deployment.token,
+      cache: { ttl },
+    },
+    createPublicClient({ chain: foundry, transport, pollingInterval: 50 })
+  );
+  return { reader, calls: () => calls, watching };
+}
+
+/** On-chain state of `account`'s positions at the head, as a snapshot */
+async function snapshot(
+  client: ProgressiveStakingClient,
+  account: Account
+): Promise<RewardSnapshot> {
+  const positions = await client.getStakeInfo(account.address);
+  const requests = await client.getPendingWithdrawals(account.address);
+  return {
+    timestamp: await now(),
+    positions,
+    rewards: await Promise.all(
+      positions.map((p) => client.calculateRewards(account.address, p.stakeId))
+    ),
+    frozen: positions.map((p) => isRewardFrozen(p, requests)),
+  };
+}
+
+describe("StakingCache invalidation", () => {
+  it("drops only the entries an event can have changed", async () => {
+    const deployment = await deployStaking({ treasury: 0n });
+    const client = deployment.clientFor(user);
+    await deployment.mint(user, parseEther("300"));
+    await deployment.mint(other, parseEther("300"));
+    await stake(client, parseEther("100"));
+
+    const { reader, calls, watching } = cachedReader(deployment);
+    const stop = reader.watchCacheInvalidation({ pollingInterval: 50 });
+    try {
+      await watching;
+      expect(await reader.getStakeInfo(user.address)).toHaveLength(1);
+      expect(await reader.getTotalStaked()).toBe(parseEther("100"));
+
+      const cachedReads = calls();
+      await reader.getStakeInfo(user.address);
+      await reader.getTotalStaked();
+      expect(calls()).toBe(cachedReads);
+
+      // Another user's stake changes the contract totals, not this user
+      await stake(deployment.clientFor(other), parseEther("50"));
+      await vi.waitFor(
+        async () =>
+          expect(await reader.getTotalStaked()).toBe(parseEther("150")),
+        { timeout: 5000, interval: 50 }
+      );
+      const userReads = calls();
+      expect(await reader.getStakeInfo(user.address)).toHaveLength(1);
+      expect(calls()).toBe(userReads);
+
+      await stake(client, parseEther("100"));
+      await vi.waitFor(
+        async () =>
+          expect(await reader.getStakeInfo(user.address)).toHaveLength(2),
+        { timeout: 5000, interval: 50 }
+      );
+    } finally {
+      stop();
+    }
+  });
+
+  it("drops everything when invalidated without a user", async () => {
+    const deployment = await deployStaking({ treasury: 0n });
+    const client = deployment.clientFor(user);
+    await deployment.mint(user, parseEther("100"));
+    const { reader } = cachedReader(deployment);
+
+    expect(await reader.getStakeInfo(user.address)).toEqual([]);
+    expect(await reader.getTotalStaked()).toBe(0n);
+    await stake(client, parseEther("100"));
+    expect(await reader.getStakeInfo(user.address)).toEqual([]);
+
+    await reader.invalidateCache();
+    expect(await reader.getStakeInfo(user.address)).toHaveLength(1);
+    expect(await reader.getTotalStaked()).toBe(parseEther("100"));
+  });
+});
+
+describe("frozen rewards", () => {
+  // Derived rewards 10 days after a snapshot must equal the contract's
+  async function expectDerivedToMatchChain(
+    deployment: Deployment
+  ): Promise<RewardSnapshot> {
+    const before = await snapshot(deployment.admin, user);
+    const tiers = await deployment.admin.getTierConfigs();
+    await advance(10n * DAY);
+    const after = await snapshot(deployment.admin, user);
+    expect(deriveRewards(before, tiers, after.timestamp)).toEqual(after.rewards);
+    return before;
+  }
+
+  it("freeze only while a request is open", async () => {
+    const deployment = await deployStaking();
+    const client = deployment.clientFor(user);
+    await deployment.mint(user, parseEther("200"));
+    const kept = await stake(client, parseEther("200"));
+    await advance(30n * DAY);
+
+    // A partial request moves the requested amount to a new, frozen position
+    await (await client.requestWithdraw(kept, parseEther("100"))).wait();
+    const [{ stakeId: requested }] =
+      await client.getActivePendingWithdrawals(user.address);
+    let state = await expectDerivedToMatchChain(deployment);
+    expect(state.frozen).toEqual([false, true]);
+
+    // Cancelling lifts the freeze
+    await (await client.cancelWithdrawRequest(requested)).wait();
+    state = await expectDerivedToMatchChain(deployment);
+    expect(state.frozen).toEqual([false, false]);
+
+    // A new request freezes again despite the cancelled one
+    await (await client.requestWithdraw(requested, parseEther("100"))).wait();
+    state = await expectDerivedToMatchChain(deployment);
+    expect(state.frozen).toEqual([false, true]);
+
+    // Executing removes the position; the other keeps accruing
+    await advance(91n * DAY);
+    await (await client.executeWithdraw(requested)).wait();
+    state = await expectDerivedToMatchChain(deployment);
+    expect(state.positions.map((p) => p.stakeId)).toEqual([kept]);
+    expect(state.frozen).toEqual([false]);
+  });
+
+  it("are carried over by a cached client at the wall clock time", async () => {
+    const deployment = await deployStaking();
+    const client = deployment.clientFor(user);
+    await deployment.mint(user, parseEther("200"));
+    const kept = await stake(client, parseEther("200"));
+    await advance(30n * DAY);
+    await (await client.requestWithdraw(kept, parseEther("100"))).wait();
+    const [{ stakeId: requested }] =
+      await client.getActivePendingWithdrawals(user.address);
+
+    // Long enough for the entries to survive the clock jump below
+    const { reader, calls } = cachedReader(deployment, 365 * 86_400_000);
+    const later = (await now()) + 20n * DAY;
+
+    // The chain's clock runs ahead of the wall clock in these tests, by more
+    // than the TTL once earlier files have moved it years on
+    vi.useFakeTimers({ toFake: ["Date"] });
+    let derived: bigint[];
+    let cachedReads: number;
+    try {
+      vi.setSystemTime(Number(await now()) * 1000);
+      await reader.calculateTotalRewards(user.address);
+      cachedReads = calls();
+      vi.setSystemTime(Number(later) * 1000);
+      derived = [
+        await reader.calculateRewards(user.address, kept),
+        await reader.calculateRewards(user.address, requested),
+        await reader.calculateTotalRewards(user.address),
+      ];
+    } finally {
+      vi.useRealTimers();
+    }
+    expect(calls()).toBe(cachedReads);
+
+    await mineAt(later);
+    const onChain = [
+      await deployment.admin.calculateRewards(user.address, kept),
+      await deployment.admin.calculateRewards(user.address, requested),
+      await deployment.admin.calculateTotalRewards(user.address),
+    ];
+    expect(derived).toEqual(onChain);
+  });
+});
@@ -0,0 +1,278 @@
+import {
+  createPublicClient,
+  createTestClient,
+  createWalletClient,
+  encodeFunctionData,
+  http,
+  maxUint256,
+  parseEther,
+  type Account,
+  type Address,
+  type Chain,
+  type EIP1193Parameters,
+  type Hash,
+  type Transport,
+  type WalletClient,
+} from "viem";
+import { mnemonicToAccount } from "viem/accounts";
+import { foundry } from "viem/chains";
+import { inject } from "vitest";
+import {
+  MIN_STAKE_AMOUNT,
+  PROGRESSIVE_STAKING_ABI,
+  ProgressiveStakingClient,
+  type TierConfig,
+} from "../src";
+
+/**
+ * Helpers for tests against the anvil node of the test run. Each test
+ * deploys its own token and staking contract, so tests only share the
+ * node's clock, which only moves forward.
+ */
+
+/** Tier rates of script/DeployTestnet.s.sol, in basis points */
+export const TIER_RATES = [50n, 70n, 200n, 400n, 500n, 600n] as const;
+
+export const DAY = 86_400n;
+
+/** The contract's tier table with the given rates */
+export function tierTable(rates: readonly bigint[] = TIER_RATES): TierConfig[] {
+  const starts = [0n, 180n, 360n, 720n, 1080n, 1440n].map((d) => d * DAY);
+  return rates.map((rate, i) => ({
+    startTime: starts[i],
+    endTime: starts[i + 1] ?? maxUint256,
+    rate,
+  }));
+}
+
+const MNEMONIC = "test test test test test test test test test test test junk";
+
+/** Anvil's default accounts; 0 deploys and administers */
+export const accounts: Account[] = Array.from({ length: 10 }, (_, i) =>
+  mnemonicToAccount(MNEMONIC, { addressIndex: i })
+);
+
+const rpc = http(inject("rpcUrl"));
+
+/**
+ * Transport to the node whose sends return once anvil has automined the
+ * transaction. Anvil mines after answering the send, and a receipt wait
+ * that first sees the transaction pending can miss the block that includes
+ * it, with no later block coming on an idle chain.
+ */
+const transport: Transport = (params) => {
+  const base = rpc(params);
+  const request = async (args: EIP1193Parameters) => {
+    const result = await base.request(args);
+    if (
+      (args.method === "eth_sendRawTransaction" ||
+        args.method === "eth_sendTransaction") &&
+      (await base.request({ method: "anvil_getAutomine" }))
+    ) {
+      while (
+        !(await base.request({
+          method: "eth_getTransactionReceipt",
+          params: [result],
+        }))
+      ) {
+        await new Promise((resolve) => setTimeout(resolve, 10));
+      }
+    }
+    return result;
+  };
+  return { ...base, request } as ReturnType<Transport>;
+};
+
+/**
+ * Transport to the node that passes every request through `intercept`,
+ * which forwards it with `next`
+ */
+export function interceptTransport(
+  intercept: (
+    request: EIP1193Parameters,
+    next: (request: EIP1193Parameters) => Promise<unknown>
+  ) => Promise<unknown>
+): Transport {
+  return (params) => {
+    const base = transport(params);
+    return {
+      ...base,
+      request: (request: EIP1193Parameters) =>
+        intercept(request, (args) => base.request(args)),
+    } as ReturnType<Transport>;
+  };
+}
+
+export const publicClient = createPublicClient({
+  chain: foundry,
+  transport,
+  pollingInterval: 50,
+});
+
+export const testClient = createTestClient({
+  chain: foundry,
+  mode: "anvil",
+  transport,
+});
+
+export interface Deployment {
+  staking: Address;
+  token: Address;
+  /** Client of the deployer, which holds every admin role */
+  admin: ProgressiveStakingClient;
+  /** Staking client signing as `account` */
+  clientFor(account: Account): ProgressiveStakingClient;
+  /** Mint `amount` tokens to `account` */
+  mint(account: Account, amount: bigint): Promise<void>;
+}
+
+async function mined(hash: Hash): Promise<void> {
+  const receipt = await publicClient.waitForTransactionReceipt({ hash });
+  if (receipt.status !== "success") {
+    throw new Error(`Transaction ${hash} reverted`);
+  }
+}
+
+/**
+ * Deploy the mock token and the staking contract the way
+ * script/DeployTestnet.s.sol does, funding the treasury with `treasury`.
+ * `permit` deploys a token with EIP-2612 permits instead.
+ */
+export async function deployStaking(
+  options: { founders?: Address[]; treasury?: bigint; permit?: boolean } = {}
+): Promise<Deployment> {
+  const { ProgressiveStaking, ERC20Mock, ERC20PermitMock } = inject("artifacts");
+  const deployer = walletFor(accounts[0]);
+
+  const deploy = async (
+    artifact: typeof ERC20Mock,
+    args: readonly unknown[]
+  ): Promise<Address> => {
+    const hash = await deployer.deployContract({
+      abi: artifact.abi,
+      bytecode: artifact.bytecode,
+      args,
+    });
+    const { contractAddress } = await publicClient.waitForTransactionReceipt({
+      hash,
+    });
+    return contractAddress!;
+  };
+
+  const token = await deploy(options.permit ? ERC20PermitMock : ERC20Mock, [
+    "MAIT Token",
+    "MAIT",
+  ]);
+  const staking = await deploy(ProgressiveStaking, [
+    accounts[0].address,
+    token,
+    options.founders ?? [],
+    TIER_RATES,
+  ]);
+
+  const mint = async (account: Account, amount: bigint) => {
+    await mined(
+      await deployer.writeContract({
+        address: token,
+        abi: ERC20Mock.abi,
+        functionName: "mint",
+        args: [account.address, amount],
+      })
+    );
+  };
+  const clientFor = (account: Account) =>
+    ProgressiveStakingClient.createWithWallet(
+      { contractAddress: staking, tokenAddress: token },
+      publicClient,
+      walletFor(account)
+    );
+
+  const admin = clientFor(accounts[0]);
+  const treasury = options.treasury ?? parseEther("10000000");
+  if (treasury > 0n) {
+    await mint(accounts[0], treasury);
+    await admin.approve(treasury).then(mined);
+    await (await admin.depositTreasury(treasury)).wait();
+  }
+
+  return { staking, token, admin, clientFor, mint };
+}
+
+export function walletFor(
+  account: Account
+): WalletClient<Transport, Chain, Account> {
+  return createWalletClient({ chain: foundry, transport, account });
+}
+
+/** Timestamp of the latest block */
+export async function now(): Promise<bigint> {
+  return (await publicClient.getBlock()).timestamp;
+}
+
+/** Mine a block at `timestamp` */
+export async function mineAt(timestamp: bigint): Promise<void> {
+  await testClient.setNextBlockTimestamp({ timestamp });
+  await testClient.mine({ blocks: 1 });
+}
+
+/** Mine a block `seconds` after the latest one */
+export async function advance(seconds: bigint): Promise<void> {
+  await mineAt((await now()) + seconds);
+}
+
+/** Stake `amount` as the client's wallet, approving first */
+export async function stake(
+  client: ProgressiveStakingClient,
+  amount: bigint
+): Promise<bigint> {
+  const { stakeTransaction } = await client.stakeWithApproval(amount);
+  return (await stakeTransaction.wait()).stakeId;
+}
+
+/**
+ * Open `count` minimum positions for `account`, many per block, without a
+ * round trip for each
+ */
+export async function fillPositions(
+  deployment: Deployment,
+  account: Account,
+  count: number
+): Promise<void> {
+  const amount = BigInt(count) * MIN_STAKE_AMOUNT;
+  await deployment.mint(account, amount);
+  const client = deployment.clientFor(account);
+  const allowance = await client.getAllowance(account.address);
+  const hash = await client.approve(allowance + amount);
+  await publicClient.waitForTransactionReceipt({ hash });
+
+  const wallet = walletFor(account);
+  const fees = await publicClient.estimateFeesPerGas();
+  let nonce = await publicClient.getTransactionCount({
+    address: account.address,
+  });
+  const data = encodeFunctionData({
+    abi: PROGRESSIVE_STAKING_ABI,
+    functionName: "stake",
+    args: [MIN_STAKE_AMOUNT],
+  });
+  await testClient.setAutomine(false);
+  try {
+    for (let i = 0; i < count; i++) {
+      await wallet.sendTransaction({
+        to: deployment.staking,
+        data,
+        nonce: nonce++,
+        gas: 300_000n,
+        ...fees,
+      });
+    }
+    while (
+      (await publicClient.getTransactionCount({ address: account.address })) <
+      nonce
+    ) {
+      await testClient.mine({ blocks: 1 });
+    }
+  } finally {
+    await testClient.setAutomine(true);
+  }
+}
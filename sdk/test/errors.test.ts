@@ -0,0 +1,164 @@
+import {
+  BaseError,
+  ContractFunctionExecutionError,
+  ContractFunctionRevertedError,
+  UserRejectedRequestError,
+  encodeErrorResult,
+  getAddress,
+  parseEther,
+  type Abi,
+} from "viem";
+import { describe, expect, inject, it } from "vitest";
+import {
+  ADMIN_ROLE,
+  ContractRevertError,
+  PROGRESSIVE_STAKING_ABI,
+  STAKING_ERROR_MESSAGES,
+  StakingError,
+  UnknownStakingError,
+  UserRejectedError,
+  parseStakingError,
+  type ContractErrorName,
+} from "../src";
+import { accounts, deployStaking, stake } from "./chain";
+
+const user = accounts[3];
+
+function errorSignatures(abi: Abi): string[] {
+  return abi.flatMap((item) =>
+    item.type === "error"
+      ? [`${item.name}(${item.inputs.map((input) => input.type).join(",")})`]
+      : []
+  );
+}
+
+/** The error a failed `simulateContract` or `writeContract` call carries */
+function reverted(errorName: string, args: readonly unknown[] = []) {
+  const revert = new ContractFunctionRevertedError({
+    abi: PROGRESSIVE_STAKING_ABI,
+    functionName: "stake",
+    data: encodeErrorResult({
+      abi: PROGRESSIVE_STAKING_ABI,
+      errorName: errorName as ContractErrorName,
+      args,
+    } as Parameters<typeof encodeErrorResult>[0]),
+  });
+  return new ContractFunctionExecutionError(revert, {
+    abi: PROGRESSIVE_STAKING_ABI,
+    functionName: "stake",
+    args: [1n],
+    contractAddress: user.address,
+  });
+}
+
+async function rejection(write: Promise<unknown>): Promise<StakingError> {
+  return write.then(
+    () => {
+      throw new Error("Expected the call to revert");
+    },
+    (error: StakingError) => error
+  );
+}
+
+describe("PROGRESSIVE_STAKING_ABI", () => {
+  it("declares every custom error the contract can revert with", () => {
+    const declared = errorSignatures(PROGRESSIVE_STAKING_ABI);
+    const compiled = errorSignatures(inject("artifacts").ProgressiveStaking.abi);
+
+    expect(declared).toEqual(expect.arrayContaining(compiled));
+    for (const name of compiled.map((s) => s.slice(0, s.indexOf("(")))) {
+      expect(STAKING_ERROR_MESSAGES).toHaveProperty(name);
+    }
+  });
+});
+
+describe("parseStakingError", () => {
+  it("decodes a custom error and its arguments", () => {
+    const error = parseStakingError(
+      reverted("AccessControlUnauthorizedAccount", [user.address, ADMIN_ROLE])
+    );
+
+    expect(error).toBeInstanceOf(ContractRevertError);
+    expect(error).toMatchObject({
+      code: "AccessControlUnauthorizedAccount",
+      message: STAKING_ERROR_MESSAGES.AccessControlUnauthorizedAccount,
+      args: [user.address, ADMIN_ROLE],
+    });
+    expect(error.cause).toBeInstanceOf(ContractFunctionExecutionError);
+  });
+
+  it("maps a wallet rejection anywhere in the cause chain", () => {
+    const rejected = new BaseError("Request failed", {
+      cause: new UserRejectedRequestError(new Error("User denied")),
+    });
+
+    expect(parseStakingError(rejected)).toBeInstanceOf(UserRejectedError);
+    expect(parseStakingError(rejected).code).toBe("USER_REJECTED");
+  });
+
+  it("falls back to UNKNOWN with viem's short message", () => {
+    const revert = new ContractFunctionRevertedError({
+      abi: PROGRESSIVE_STAKING_ABI,
+      functionName: "stake",
+      message: "execution reverted: custom reason",
+    });
+
+    for (const error of [revert, new Error("offline"), "offline"]) {
+      expect(parseStakingError(error)).toBeInstanceOf(UnknownStakingError);
+    }
+    expect(parseStakingError(revert).message).toBe(revert.shortMessage);
+  });
+
+  it("passes StakingErrors through", () => {
+    const error = new ContractRevertError("ZeroAmount");
+    expect(parseStakingError(error)).toBe(error);
+
+    // One thrown by another copy of the SDK
+    const foreign = Object.assign(new Error("Amount must be greater than zero."), {
+      name: "ContractRevertError",
+      code: "ZeroAmount",
+    });
+    expect(parseStakingError(foreign)).toBe(foreign);
+
+    // Same name, but not one of ours
+    const other = Object.assign(new Error("nope"), {
+      name: "ContractRevertError",
+      code: "NotAnErrorCode",
+    });
+    expect(parseStakingError(other)).toBeInstanceOf(UnknownStakingError);
+  });
+});
+
+describe("write methods", () => {
+  it("throw reverts from the node as typed errors", async () => {
+    const deployment = await deployStaking({ treasury: 0n });
+    const client = deployment.clientFor(user);
+    await deployment.mint(user, parseEther("100"));
+
+    expect(await rejection(client.stake(0n))).toMatchObject({
+      code: "ZeroAmount",
+      args: [],
+    });
+    // Raised by the token, inside the staking contract's call
+    expect(await rejection(client.stake(parseEther("1")))).toMatchObject({
+      code: "ERC20InsufficientAllowance",
+      args: [getAddress(deployment.staking), 0n, parseEther("1")],
+    });
+
+    const stakeId = await stake(client, parseEther("1"));
+    expect(
+      await rejection(client.requestWithdraw(stakeId + 1n, parseEther("1")))
+    ).toMatchObject({ code: "InvalidStakeId" });
+    await (await client.requestWithdraw(stakeId, parseEther("1"))).wait();
+    expect(await rejection(client.executeWithdraw(stakeId))).toMatchObject({
+      code: "WithdrawNotReady",
+    });
+
+    const error = await rejection(client.pause());
+    expect(error).toBeInstanceOf(ContractRevertError);
+    expect(error).toMatchObject({
+      code: "AccessControlUnauthorizedAccount",
+      args: [user.address, ADMIN_ROLE],
+    });
+  });
+});
@@ -0,0 +1,81 @@
+import { createPublicClient, parseEther } from "viem";
+import { foundry } from "viem/chains";
+import { describe, expect, it } from "vitest";
+import { StakingEventIndexer } from "../src";
+import {
+  accounts,
+  deployStaking,
+  interceptTransport,
+  publicClient,
+  stake,
+  testClient,
+} from "./chain";
+
+const user = accounts[5];
+
+describe("StakingEventIndexer", () => {
+  it("fetches block timestamps a bounded batch at a time", async () => {
+    const deployment = await deployStaking({ treasury: 0n });
+    const client = deployment.clientFor(user);
+    const fromBlock = await publicClient.getBlockNumber();
+    await deployment.mint(user, parseEther("100"));
+    for (let i = 0; i < 12; i++) {
+      await stake(client, parseEther("1"));
+      await testClient.mine({ blocks: 1 });
+    }
+
+    let inFlight = 0;
+    let maxInFlight = 0;
+    const transport = interceptTransport(async (request, next) => {
+      if (request.method !== "eth_getBlockByNumber") return next(request);
+      maxInFlight = Math.max(maxInFlight, ++inFlight);
+      try {
+        return await next(request);
+      } finally {
+        inFlight--;
+      }
+    });
+    const indexer = new StakingEventIndexer(
+      createPublicClient({ chain: foundry, transport }),
+      deployment.staking,
+      { blockBatchSize: 5 }
+    );
+
+    const { events } = await indexer.getEvents({
+      fromBlock,
+      events: ["Staked"],
+    });
+
+    expect(events).toHaveLength(12);
+    expect(maxInFlight).toBe(5);
+    for (const event of events) {
+      const block = await publicClient.getBlock({
+        blockNumber: event.blockNumber,
+      });
+      expect(event.timestamp.getTime()).toBe(Number(block.timestamp) * 1000);
+    }
+  });
+
+  it("reads up to the block just mined", async () => {
+    const deployment = await deployStaking({ treasury: 0n });
+    const client = deployment.clientFor(user);
+    await deployment.mint(user, parseEther("1"));
+    const hash = await client.approve(parseEther("1"));
+    await publicClient.waitForTransactionReceipt({ hash });
+    const reader = createPublicClient({
+      chain: foundry,
+      transport: interceptTransport((request, next) => next(request)),
+      cacheTime: 60_000,
+    });
+    // Cache the block number, then mine past it
+    const fromBlock = await reader.getBlockNumber();
+    await stake(client, parseEther("1"));
+
+    const { events } = await new StakingEventIndexer(
+      reader,
+      deployment.staking
+    ).getEvents({ fromBlock, events: ["Staked"] });
+
+    expect(events).toHaveLength(1);
+  });
+});
@@ -0,0 +1,166 @@
+import { spawn } from "node:child_process";
+import { readFileSync } from "node:fs";
+import { createRequire } from "node:module";
+import { resolve } from "node:path";
+import { fileURLToPath } from "node:url";
+import type { Abi, Hex } from "viem";
+import type { TestProject } from "vitest/node";
+
+/**
+ * Compiles the staking contract and the mock tokens with the solc version and
+ * optimizer settings of foundry.toml, and starts an anvil node for the run.
+ */
+
+export interface ContractArtifact {
+  abi: Abi;
+  bytecode: Hex;
+}
+
+export interface Artifacts {
+  ProgressiveStaking: ContractArtifact;
+  ERC20Mock: ContractArtifact;
+  ERC20PermitMock: ContractArtifact;
+}
+
+declare module "vitest" {
+  export interface ProvidedContext {
+    rpcUrl: string;
+    artifacts: Artifacts;
+  }
+}
+
+const require = createRequire(import.meta.url);
+const solc = require("solc") as {
+  compile(input: string, callbacks: object): string;
+};
+
+const ROOT = fileURLToPath(new URL("../..", import.meta.url));
+const SOURCES = {
+  "src/ProgressiveStaking.sol": "ProgressiveStaking",
+  "test/mocks/ERC20Mock.sol": "ERC20Mock",
+  "test/mocks/ERC20PermitMock.sol": "ERC20PermitMock",
+} as const;
+
+// Foundry resolves these through lib/ submodules; the npm package has the
+// same layout under contracts/
+function findImport(path: string): { contents: string } | { error: string } {
+  try {
+    const file = path.startsWith("@openzeppelin/")
+      ? require.resolve(path)
+      : resolve(ROOT, path);
+    return { contents: readFileSync(file, "utf8") };
+  } catch {
+    return { error: `Not found: ${path}` };
+  }
+}
+
+function compile(): Artifacts {
+  const input = {
+    language: "Solidity",
+    sources: Object.fromEntries(
+      Object.keys(SOURCES).map((path) => [
+        path,
+        { content: readFileSync(resolve(ROOT, path), "utf8") },
+      ])
+    ),
+    settings: {
+      optimizer: { enabled: true, runs: 200 },
+      // OpenZeppelin's EIP-712 helpers use `mcopy`, which solc 0.8.24 only
+      // targets from Cancun on; anvil runs a later hardfork
+      evmVersion: "cancun",
+      outputSelection: { "*": { "*": ["abi", "evm.bytecode.object"] } },
+    },
+  };
+  const output = JSON.parse(
+    solc.compile(JSON.stringify(input), { import: findImport })
+  );
+  const errors = (output.errors ?? []).filter(
+    (error: { severity: string }) => error.severity === "error"
+  );
+  if (errors.length > 0) {
+    throw new Error(
+      errors
+        .map((error: { formattedMessage: string }) => error.formattedMessage)
+        .join("\n")
+    );
+  }
+
+  const artifact = (path: keyof typeof SOURCES): ContractArtifact => {
+    const contract = output.contracts[path][SOURCES[path]];
+    return { abi: contract.abi, bytecode: `0x${contract.evm.bytecode.object}` };
+  };
+  return {
+    ProgressiveStaking: artifact("src/ProgressiveStaking.sol"),
+    ERC20Mock: artifact("test/mocks/ERC20Mock.sol"),
+    ERC20PermitMock: artifact("test/mocks/ERC20PermitMock.sol"),
+  };
+}
+
+function startAnvil(): Promise<{ rpcUrl: string; stop: () => void }> {
+  // From @foundry-rs/anvil under `npm test`, or a Foundry install. The
+  // foundry chain has no Multicall3, so reads use deployless multicall, which
+  // returns its results as contract code: lift the size and gas limits for
+  // users with hundreds of positions.
+  const args = [
+    "--port",
+    "0",
+    "--disable-code-size-limit",
+    "--disable-block-gas-limit",
+  ];
+  const anvil = spawn(process.env.ANVIL_BIN ?? "anvil", args, {
+    stdio: ["ignore", "pipe", "inherit"],
+  });
+  return new Promise((resolvePromise, reject) => {
+    let output = "";
+    anvil.once("error", reject);
+    anvil.once("exit", (code) =>
+      reject(new Error(`anvil exited with code ${code}\n${output}`))
+    );
+    anvil.stdout.on("data", (chunk: Buffer) => {
+      output += chunk.toString();
+      const match = /Listening on ([\d.]+:\d+)/.exec(output);
+      if (!match) return;
+      anvil.stdout.removeAllListeners("data");
+      anvil.stdout.resume();
+      anvil.removeAllListeners("exit");
+      resolvePromise({
+        rpcUrl: `http://${match[1]}`,
+        stop: () => anvil.kill("SIGTERM"),
+      });
+    });
+  });
+}
+
+/**
+ * Give each block a timestamp one second after the last instead of the wall
+ * clock's. Gas is estimated against a block at the wall clock's second, and
+ * a transaction mined in the next second can need more, e.g. a withdrawal
+ * request right after staking that then has rewards to freeze.
+ */
+async function fixBlockTimestamps(rpcUrl: string): Promise<void> {
+  const response = await fetch(rpcUrl, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({
+      jsonrpc: "2.0",
+      id: 1,
+      method: "anvil_setBlockTimestampInterval",
+      params: [1],
+    }),
+  });
+  const { error } = await response.json();
+  if (error) throw new Error(`anvil_setBlockTimestampInterval: ${error.message}`);
+}
+
+export default async function setup(project: TestProject) {
+  project.provide("artifacts", compile());
+  const { rpcUrl, stop } = await startAnvil();
+  try {
+    await fixBlockTimestamps(rpcUrl);
+  } catch (error) {
+    stop();
+    throw error;
+  }
+  project.provide("rpcUrl", rpcUrl);
+  return stop;
+}
@@ -0,0 +1,224 @@
+import { mkdtemp, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { parseEther } from "viem";
+import { afterEach, beforeEach, describe, expect, it } from "vitest";
+import {
+  StakingKeeper,
+  type KeeperLogEntry,
+  type KeeperOptions,
+  type ProgressiveStakingClient,
+} from "../src";
+import { fileKeeperStore } from "../src/cli/journal";
+import {
+  DAY,
+  accounts,
+  advance,
+  deployStaking,
+  publicClient,
+  stake,
+  testClient,
+  type Deployment,
+} from "./chain";
+
+const user = accounts[3];
+const STAKE = parseEther("1000000");
+
+// Anvil's gas fees are a fraction of a token at one token per native coin
+const atPar: KeeperOptions["gasCostInToken"] = (cost) => cost;
+const priceless: KeeperOptions["gasCostInToken"] = () => parseEther("1000000");
+
+const sleep = (ms: number) => new Promise((resolve) => setTimeout(resolve, ms));
+
+describe("StakingKeeper", () => {
+  let deployment: Deployment;
+  let client: ProgressiveStakingClient;
+  let logs: KeeperLogEntry[];
+
+  async function setup(treasury?: bigint): Promise<void> {
+    deployment = await deployStaking({ treasury });
+    client = deployment.clientFor(user);
+    await deployment.mint(user, STAKE);
+    await stake(client, STAKE);
+    // About 833 tokens of rewards in tier 1
+    await advance(60n * DAY);
+  }
+
+  function keeper(
+    options: Partial<KeeperOptions> & { restake?: boolean } = {}
+  ): StakingKeeper {
+    const { restake, ...rest } = options;
+    return new StakingKeeper({
+      wallets: [{ client, restake }],
+      gasCostInToken: atPar,
+      logger: (entry) => logs.push(entry),
+      ...rest,
+    });
+  }
+
+  const events = () => logs.map((entry) => entry.event);
+
+  beforeEach(() => {
+    logs = [];
+  });
+
+  it("claims rewards worth more than the gas", async () => {
+    await setup();
+    const before = await client.getTokenBalance(user.address);
+
+    const [result] = await keeper().runOnce();
+
+    expect(result.outcome).toBe("claimed");
+    expect(result.claimed).toBeGreaterThan(parseEther("800"));
+    expect(await client.getTokenBalance(user.address)).toBe(
+      before + result.claimed
+    );
+    expect(events()).toEqual(["transaction.submitted", "claim.confirmed"]);
+  });
+
+  it("leaves rewards worth less than the gas", async () => {
+    await setup();
+    const rewards = await client.calculateTotalRewards(user.address);
+
+    const runner = keeper({ gasCostInToken: priceless });
+    const [result] = await runner.runOnce();
+
+    expect(result.outcome).toBe("idle");
+    expect(await client.calculateTotalRewards(user.address)).toBeGreaterThanOrEqual(
+      rewards
+    );
+    expect(logs).toMatchObject([
+      { level: "debug", event: "claim.skipped", reason: "gas" },
+    ]);
+    const state = await runner.getState();
+    expect(state.wallets[user.address.toLowerCase()].totalClaimed).toBe(0n);
+  });
+
+  it("restakes what it claimed as a new position", async () => {
+    await setup();
+
+    const runner = keeper({ restake: true });
+    const [result] = await runner.runOnce();
+
+    expect(result.outcome).toBe("claimed");
+    expect(result.restaked).toBe(result.claimed);
+    const positions = await client.getStakeInfo(user.address);
+    expect(positions.map((p) => p.amount)).toEqual([STAKE, result.claimed]);
+
+    const wallet = (await runner.getState()).wallets[user.address.toLowerCase()];
+    expect(wallet.totalRestaked).toBe(wallet.totalClaimed);
+    expect(wallet.restakeDue).toBe(0n);
+    expect(events()).toContain("restake.confirmed");
+  });
+
+  it("backs off while the contract is paused", async () => {
+    await setup();
+    await (await deployment.admin.pause()).wait();
+    const runner = keeper({ backoff: { initial: 300 } });
+
+    expect((await runner.runOnce())[0].outcome).toBe("paused");
+    const { contract } = await runner.getState();
+    expect(contract.failures).toBe(1);
+    expect(contract.retryAt).toBeGreaterThan(Date.now());
+    expect((await runner.runOnce())[0].outcome).toBe("waiting");
+
+    await (await deployment.admin.unpause()).wait();
+    await sleep(350);
+    expect((await runner.runOnce())[0].outcome).toBe("claimed");
+    expect((await runner.getState()).contract).toEqual({ failures: 0 });
+    expect(events()).toEqual([
+      "contract.paused",
+      "contract.unpaused",
+      "transaction.submitted",
+      "claim.confirmed",
+    ]);
+  });
+
+  it("backs off a wallet while the treasury cannot pay", async () => {
+    await setup(0n);
+    const runner = keeper({ backoff: { initial: 200 } });
+    const wallet = async () =>
+      (await runner.getState()).wallets[user.address.toLowerCase()];
+
+    const [first] = await runner.runOnce();
+    expect(first.outcome).toBe("failed");
+    expect(first.error?.code).toBe("InsufficientTreasury");
+    expect((await wallet()).failures).toBe(1);
+    expect((await runner.runOnce())[0].outcome).toBe("waiting");
+
+    await sleep(250);
+    expect((await runner.runOnce())[0].outcome).toBe("failed");
+    expect((await wallet()).failures).toBe(2);
+    expect(
+      logs.map(({ level, event, retryInMs }) => ({ level, event, retryInMs }))
+    ).toEqual([
+      { level: "warn", event: "wallet.failed", retryInMs: 200 },
+      { level: "warn", event: "wallet.failed", retryInMs: 400 },
+    ]);
+
+    const treasury = parseEther("10000");
+    await deployment.mint(accounts[0], treasury);
+    await publicClient.waitForTransactionReceipt({
+      hash: await deployment.admin.approve(treasury),
+    });
+    await (await deployment.admin.depositTreasury(treasury)).wait();
+    await sleep(450);
+    expect((await runner.runOnce())[0].outcome).toBe("claimed");
+    expect(await wallet()).toMatchObject({ failures: 0, retryAt: undefined });
+  });
+
+  describe("with a state file", () => {
+    let dir: string;
+
+    beforeEach(async () => {
+      dir = await mkdtemp(join(tmpdir(), "keeper-"));
+    });
+
+    afterEach(async () => {
+      await testClient.setAutomine(true);
+      await rm(dir, { recursive: true, force: true });
+    });
+
+    it("follows a pending claim after a restart instead of claiming again", async () => {
+      await setup();
+      const path = join(dir, "state.json");
+
+      // The process that sent the claim stops before its receipt
+      await testClient.setAutomine(false);
+      const transaction = await client.claimAllRewards();
+      await fileKeeperStore(path).save({
+        version: 1,
+        contract: { failures: 0 },
+        wallets: {
+          [user.address.toLowerCase()]: {
+            address: user.address,
+            totalClaimed: 0n,
+            totalRestaked: 0n,
+            restakeDue: 0n,
+            failures: 0,
+            pending: {
+              hash: transaction.hash,
+              call: transaction.call,
+              at: Date.now(),
+            },
+          },
+        },
+      });
+      await testClient.mine({ blocks: 1 });
+      await testClient.setAutomine(true);
+
+      const [result] = await keeper({ store: fileKeeperStore(path) }).runOnce();
+
+      const { amount } = await transaction.wait();
+      expect(result.claimed).toBe(amount);
+      expect(logs).toMatchObject([
+        { event: "claim.confirmed", hash: transaction.hash },
+        { event: "claim.skipped" },
+      ]);
+      const saved = await fileKeeperStore(path).load();
+      const wallet = saved?.wallets[user.address.toLowerCase()];
+      expect(wallet?.totalClaimed).toBe(amount);
+      expect(wallet).not.toHaveProperty("pending");
+    });
+  });
+});
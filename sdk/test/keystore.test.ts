@@ -0,0 +1,96 @@
+import { createCipheriv, randomBytes, scryptSync } from "node:crypto";
+import { concat, keccak256, toHex } from "viem";
+import { describe, expect, it } from "vitest";
+import { decryptKeystore } from "../src/cli/keystore";
+
+// Test vectors of the Web3 Secret Storage Definition
+const PASSWORD = "testpassword";
+const PRIVATE_KEY =
+  "0x7a28b5ba57c53603b0b07b56bba752f7784bf506fa95edc395f5cf6c7514fe9d";
+
+const PBKDF2 = {
+  crypto: {
+    cipher: "aes-128-ctr",
+    cipherparams: { iv: "6087dab2f9fdbbfaddc31a909735c1e6" },
+    ciphertext:
+      "5318b4d5bcd28de64ee5559e671353e16f075ecae9f99c7a79a38af5f869aa46",
+    kdf: "pbkdf2",
+    kdfparams: {
+      c: 262144,
+      dklen: 32,
+      prf: "hmac-sha256",
+      salt: "ae3cd4e7013836a3df6bd7241b12db061dbe2c6785853cce422d148a624ce0bd",
+    },
+    mac: "517ead924a9d0dc3124507e3393d175ce3ff7c1e96529c6c555ce9e51205e9b2",
+  },
+  id: "3198bc9c-6672-5ab3-d995-4942343ae5b6",
+  version: 3,
+};
+
+const SCRYPT = {
+  crypto: {
+    cipher: "aes-128-ctr",
+    cipherparams: { iv: "83dbcc02d8ccb40e466191a123791e0e" },
+    ciphertext:
+      "d172bf743a674da9cdad04534d56926ef8358534d458fffccd4e6ad2fbde479c",
+    kdf: "scrypt",
+    kdfparams: {
+      dklen: 32,
+      n: 262144,
+      p: 8,
+      r: 1,
+      salt: "ab0c7876052600dd703518d6fc3fe8984592145b591fc8fb5c6d43190334ba19",
+    },
+    mac: "2103ac29920d71da29f15d75b4a16dbe95cfd7ff8faea1056c33131d846e3097",
+  },
+  id: "3198bc9c-6672-5ab3-d995-4942343ae5b6",
+  version: 3,
+};
+
+// Native scrypt parameters whose memory use is dominated by `p`
+function nativeScryptKeystore(): string {
+  const salt = randomBytes(32);
+  const iv = randomBytes(16);
+  const kdfparams = { dklen: 32, n: 16, r: 8, p: 32 };
+  const key = scryptSync(PASSWORD, salt, 32, { N: 16, r: 8, p: 32 });
+  const cipher = createCipheriv("aes-128-ctr", key.subarray(0, 16), iv);
+  const ciphertext = cipher.update(Buffer.from(PRIVATE_KEY.slice(2), "hex"));
+  return JSON.stringify({
+    crypto: {
+      cipher: "aes-128-ctr",
+      cipherparams: { iv: iv.toString("hex") },
+      ciphertext: ciphertext.toString("hex"),
+      kdf: "scrypt",
+      kdfparams: { ...kdfparams, salt: salt.toString("hex") },
+      mac: keccak256(concat([toHex(key.subarray(16, 32)), toHex(ciphertext)])),
+    },
+    version: 3,
+  });
+}
+
+describe("decryptKeystore", () => {
+  it("decrypts the PBKDF2 test vector", () => {
+    expect(decryptKeystore(JSON.stringify(PBKDF2), PASSWORD)).toBe(PRIVATE_KEY);
+  });
+
+  it("decrypts the scrypt test vector", () => {
+    expect(decryptKeystore(JSON.stringify(SCRYPT), PASSWORD)).toBe(PRIVATE_KEY);
+  });
+
+  it("decrypts scrypt parameters within OpenSSL's limits", () => {
+    expect(decryptKeystore(nativeScryptKeystore(), PASSWORD)).toBe(PRIVATE_KEY);
+  });
+
+  it("rejects a wrong password", () => {
+    expect(() => decryptKeystore(JSON.stringify(PBKDF2), "wrong")).toThrow(
+      "Wrong keystore password"
+    );
+  });
+
+  it("rejects other keystore versions", () => {
+    const v1 = JSON.stringify({ ...PBKDF2, version: 1 });
+    expect(() => decryptKeystore(v1, PASSWORD)).toThrow(
+      "Unsupported keystore format"
+    );
+  });
+});
@@ -0,0 +1,241 @@
+import { pad, parseEther, toHex, type Address } from "viem";
+import { describe, expect, it } from "vitest";
+import {
+  buildIncomeLedger,
+  createDailyPriceSource,
+  ledgerToCsv,
+  ledgerToKoinlyCsv,
+  type PriceSource,
+  type StakingEvent,
+} from "../src";
+import { DAY, accounts, advance, deployStaking, stake } from "./chain";
+
+const USER: Address = accounts[1].address;
+const OTHER: Address = accounts[2].address;
+const UK_TAX_YEAR = { month: 4, day: 6 };
+
+let logIndex = 0;
+
+/** A decoded event as `getUserActivity` returns it */
+function event(
+  eventName: string,
+  args: Record<string, unknown>,
+  at: string
+): StakingEvent {
+  const index = logIndex++;
+  return {
+    eventName,
+    args: { user: USER, ...args },
+    timestamp: new Date(at),
+    blockNumber: BigInt(100 + index),
+    transactionHash: pad(toHex(index)),
+    logIndex: index,
+  } as unknown as StakingEvent;
+}
+
+const EVENTS = [
+  event("Staked", { stakeId: 1n, amount: parseEther("1000") }, "2023-06-01T00:00:00Z"),
+  event(
+    "RewardsClaimed",
+    { stakeId: 1n, amount: parseEther("10") },
+    "2024-04-05T23:59:59Z"
+  ),
+  event(
+    "AllRewardsClaimed",
+    { totalAmount: parseEther("2.5") },
+    "2024-04-06T00:00:00Z"
+  ),
+  event(
+    "RewardsClaimed",
+    { user: OTHER, stakeId: 2n, amount: parseEther("99") },
+    "2024-05-01T00:00:00Z"
+  ),
+  event(
+    "WithdrawExecuted",
+    { stakeId: 1n, amount: parseEther("400") },
+    "2025-01-10T12:00:00Z"
+  ),
+  event(
+    "EmergencyWithdrawn",
+    { principal: parseEther("600"), rewards: parseEther("1.25") },
+    "2025-04-06T08:30:00Z"
+  ),
+  event(
+    "EmergencyWithdrawn",
+    { principal: parseEther("5"), rewards: 0n },
+    "2025-04-07T08:30:00Z"
+  ),
+];
+
+describe("buildIncomeLedger", () => {
+  it("classifies the user's payouts as income or principal", async () => {
+    const ledger = await buildIncomeLedger(USER, EVENTS);
+
+    expect(
+      ledger.entries.map((e) => [e.event, e.category, e.stakeId, e.amount])
+    ).toEqual([
+      ["RewardsClaimed", "income", 1n, parseEther("10")],
+      ["AllRewardsClaimed", "income", null, parseEther("2.5")],
+      ["WithdrawExecuted", "principal", 1n, parseEther("400")],
+      // One emergency withdrawal pays both
+      ["EmergencyWithdrawn", "principal", null, parseEther("600")],
+      ["EmergencyWithdrawn", "income", null, parseEther("1.25")],
+      ["EmergencyWithdrawn", "principal", null, parseEther("5")],
+    ]);
+    expect(ledger.entries[0]).toMatchObject({ price: null, value: null });
+    expect(ledger.currency).toBeNull();
+  });
+
+  it("buckets entries by fiscal year", async () => {
+    const calendar = await buildIncomeLedger(USER, EVENTS);
+    const uk = await buildIncomeLedger(USER, EVENTS, {
+      fiscalYearStart: UK_TAX_YEAR,
+    });
+
+    expect(
+      calendar.years.map((y) => [y.label, y.income, y.principal, y.entryCount])
+    ).toEqual([
+      ["2024", parseEther("12.5"), 0n, 2],
+      ["2025", parseEther("1.25"), parseEther("1005"), 4],
+    ]);
+    // The UK year ends on April 5
+    expect(
+      uk.years.map((y) => [y.label, y.income, y.principal, y.entryCount])
+    ).toEqual([
+      ["2023/24", parseEther("10"), 0n, 1],
+      ["2024/25", parseEther("2.5"), parseEther("400"), 2],
+      ["2025/26", parseEther("1.25"), parseEther("605"), 3],
+    ]);
+    expect(uk.years[1]).toMatchObject({
+      year: 2024,
+      startsAt: new Date("2024-04-06T00:00:00Z"),
+      endsAt: new Date("2025-04-06T00:00:00Z"),
+      incomeValue: null,
+    });
+  });
+
+  it("values income once per block time at the source's price", async () => {
+    const lookups: Date[] = [];
+    const daily = createDailyPriceSource(
+      "EUR",
+      { "2024-04-05": 0.5, "2025-04-05": 0.8 },
+      { maxAgeDays: 1 }
+    );
+    const priceSource: PriceSource = {
+      currency: daily.currency,
+      getPrice: (timestamp) => {
+        lookups.push(timestamp);
+        return daily.getPrice(timestamp);
+      },
+    };
+
+    const ledger = await buildIncomeLedger(USER, EVENTS, {
+      priceSource,
+      fiscalYearStart: UK_TAX_YEAR,
+    });
+
+    // The emergency withdrawal's two entries share one lookup
+    expect(lookups).toHaveLength(5);
+    expect(ledger.entries.map((e) => e.price)).toEqual([
+      0.5, 0.5, null, 0.8, 0.8, null,
+    ]);
+    expect(ledger.entries[0].value).toBe(5);
+    expect(
+      ledger.years.map((y) => [y.incomeValue, y.unpricedIncome])
+    ).toEqual([
+      [5, 0],
+      [1.25, 0],
+      [1, 0],
+    ]);
+
+    const stale = await buildIncomeLedger(USER, EVENTS, {
+      priceSource: createDailyPriceSource("EUR", { "2024-04-04": 0.5 }),
+    });
+    expect(stale.years[0]).toMatchObject({ incomeValue: 0, unpricedIncome: 2 });
+  });
+});
+
+describe("ledger CSV", () => {
+  it("writes every entry of a fiscal year", async () => {
+    const ledger = await buildIncomeLedger(USER, EVENTS, {
+      fiscalYearStart: UK_TAX_YEAR,
+      priceSource: createDailyPriceSource("EUR", { "2024-04-06": 0.333 }),
+    });
+
+    const lines = ledgerToCsv(ledger, { year: 2024 }).split("\r\n");
+    expect(lines).toEqual([
+      "date,fiscal_year,event,category,stake_id,amount,symbol,price,value," +
+        "currency,block_number,transaction_hash,log_index",
+      `2024-04-06T00:00:00.000Z,2024/25,AllRewardsClaimed,income,,2.5,MAIT,` +
+        `0.333,0.83,EUR,102,${pad(toHex(2))},2`,
+      `2025-01-10T12:00:00.000Z,2024/25,WithdrawExecuted,principal,1,400,MAIT,` +
+        `,,,104,${pad(toHex(4))},4`,
+      "",
+    ]);
+  });
+
+  it("imports only income into Koinly", async () => {
+    const ledger = await buildIncomeLedger(USER, EVENTS, {
+      priceSource: createDailyPriceSource("USD", { "2025-04-06": 2 }),
+    });
+
+    expect(ledgerToKoinlyCsv(ledger).split("\r\n")).toEqual([
+      "Date,Sent Amount,Sent Currency,Received Amount,Received Currency," +
+        "Fee Amount,Fee Currency,Net Worth Amount,Net Worth Currency,Label," +
+        "Description,TxHash",
+      `2024-04-05 23:59:59 UTC,,,10,MAIT,,,,,reward,` +
+        `"Staking rewards, stake #1",${pad(toHex(1))}`,
+      `2024-04-06 00:00:00 UTC,,,2.5,MAIT,,,,,reward,` +
+        `Staking rewards (AllRewardsClaimed),${pad(toHex(2))}`,
+      `2025-04-06 08:30:00 UTC,,,1.25,MAIT,,,2.50,USD,reward,` +
+        `Staking rewards (EmergencyWithdrawn),${pad(toHex(5))}`,
+      "",
+    ]);
+    expect(ledgerToKoinlyCsv(ledger, { year: 2023 })).toBe(
+      ledgerToKoinlyCsv(ledger).split("\r\n")[0] + "\r\n"
+    );
+  });
+});
+
+describe("getIncomeLedger", () => {
+  it("reads claims and withdrawals from the chain", async () => {
+    const deployment = await deployStaking();
+    const user = accounts[7];
+    const client = deployment.clientFor(user);
+    await deployment.mint(user, parseEther("200"));
+    const first = await stake(client, parseEther("100"));
+    const second = await stake(client, parseEther("100"));
+    await advance(30n * DAY);
+
+    const claim = await (await client.claimRewards(first)).wait();
+    await advance(30n * DAY);
+    const claimAll = await (await client.claimAllRewards()).wait();
+    await advance(10n * DAY);
+    await (await client.requestWithdraw(second, parseEther("100"))).wait();
+    await advance(90n * DAY);
+    await (await client.executeWithdraw(second)).wait();
+
+    const ledger = await deployment.admin.getIncomeLedger(user.address);
+
+    expect(
+      ledger.entries.map((e) => [e.event, e.category, e.stakeId])
+    ).toEqual([
+      ["RewardsClaimed", "income", first],
+      ["AllRewardsClaimed", "income", null],
+      // Execution pays the rewards the request froze
+      ["RewardsClaimed", "income", second],
+      ["WithdrawExecuted", "principal", second],
+    ]);
+    expect(ledger.entries[0].transactionHash).toBe(claim.hash);
+    expect(ledger.entries[1].transactionHash).toBe(claimAll.hash);
+    for (const entry of ledger.entries.slice(0, 3)) {
+      expect(entry.amount).toBeGreaterThan(0n);
+    }
+    expect(ledger.entries[3].amount).toBe(parseEther("100"));
+    const income = ledger.years.reduce((sum, year) => sum + year.income, 0n);
+    expect(income).toBe(
+      ledger.entries[0].amount + ledger.entries[1].amount + ledger.entries[2].amount
+    );
+    expect(ledger.symbol).toBe("MAIT");
+  });
+});
@@ -0,0 +1,201 @@
+import { parseEther, zeroHash, type Account } from "viem";
+import { describe, expect, it } from "vitest";
+import {
+  MAX_PENDING_WITHDRAWALS,
+  MAX_STAKES_PER_ADDRESS,
+  ProgressiveStakingClient,
+  createMemoryJournal,
+  migrationRowKey,
+  type MigrationJournalEntry,
+  type MigrationRow,
+} from "../src";
+import {
+  accounts,
+  deployStaking,
+  fillPositions,
+  publicClient,
+  stake,
+  type Deployment,
+} from "./chain";
+
+const [a, b, c, d] = [accounts[5], accounts[6], accounts[7], accounts[8]];
+const AMOUNT = parseEther("100");
+const FAST = { rateLimit: 50 };
+
+async function setup(
+  stakes: number
+): Promise<{ deployment: Deployment; stakeIds: bigint[] }> {
+  const deployment = await deployStaking({ treasury: 0n });
+  const client = deployment.clientFor(a);
+  await deployment.mint(a, BigInt(stakes) * AMOUNT);
+  const stakeIds: bigint[] = [];
+  for (let i = 0; i < stakes; i++) stakeIds.push(await stake(client, AMOUNT));
+  return { deployment, stakeIds };
+}
+
+function row(
+  line: number,
+  from: Account,
+  stakeId: bigint,
+  to: Account
+): MigrationRow {
+  return { line, fromUser: from.address, stakeId, toUser: to.address };
+}
+
+async function stakeIdsOf(
+  deployment: Deployment,
+  account: Account
+): Promise<bigint[]> {
+  const positions = await deployment.admin.getStakeInfo(account.address);
+  return positions.map((p) => p.stakeId);
+}
+
+const adminNonce = () =>
+  publicClient.getTransactionCount({ address: accounts[0].address });
+
+describe("migrateStakes", () => {
+  it("moves a stake along a chain of rows", async () => {
+    const { deployment, stakeIds } = await setup(1);
+    const [stakeId] = stakeIds;
+
+    const report = await deployment.admin.migrateStakes(
+      [row(1, a, stakeId, b), row(2, b, stakeId, c)],
+      FAST
+    );
+
+    expect(report.rows).toMatchObject([
+      { line: 1, status: "transferred", reconciled: true },
+      { line: 2, status: "transferred", reconciled: true },
+    ]);
+    expect(report).toMatchObject({ transferred: 2, discrepancies: [] });
+    expect(await stakeIdsOf(deployment, c)).toEqual([stakeId]);
+  });
+
+  it("skips rows once the destination is full", async () => {
+    const { deployment, stakeIds } = await setup(3);
+    const limit = MAX_STAKES_PER_ADDRESS - MAX_PENDING_WITHDRAWALS - 1;
+    await fillPositions(deployment, d, limit - 2);
+    const before = await adminNonce();
+
+    const report = await deployment.admin.migrateStakes(
+      stakeIds.map((stakeId, i) => row(i + 1, a, stakeId, d)),
+      FAST
+    );
+
+    expect(report.rows.map((r) => r.status)).toEqual([
+      "transferred",
+      "transferred",
+      "skipped",
+    ]);
+    expect(report.rows[2].issues.map((i) => i.code)).toEqual(["TooManyStakes"]);
+    expect(await adminNonce()).toBe(before + 2);
+    expect(await stakeIdsOf(deployment, a)).toEqual([stakeIds[2]]);
+  }, 120_000);
+
+  it("validates without sending in a dry run", async () => {
+    const { deployment, stakeIds } = await setup(1);
+    const [stakeId] = stakeIds;
+    const entries: MigrationJournalEntry[] = [];
+    // No wallet needed to check a CSV
+    const reader = new ProgressiveStakingClient(
+      { contractAddress: deployment.staking, tokenAddress: deployment.token },
+      publicClient
+    );
+
+    const report = await reader.migrateStakes(
+      [row(1, a, stakeId, b), row(2, a, stakeId + 100n, b)],
+      { dryRun: true, journal: createMemoryJournal(entries) }
+    );
+
+    expect(report.rows).toMatchObject([
+      { status: "valid", issues: [] },
+      { status: "skipped", issues: [{ code: "InvalidStakeId" }] },
+    ]);
+    expect(entries.map((e) => e.status)).toEqual(["skipped"]);
+    expect(await stakeIdsOf(deployment, a)).toEqual([stakeId]);
+  });
+
+  it("resumes from transfers an interrupted run submitted", async () => {
+    const { deployment, stakeIds } = await setup(2);
+    const [mined, dropped] = [row(1, a, stakeIds[0], b), row(2, a, stakeIds[1], b)];
+    const sent = await deployment.admin.adminTransferStake(
+      a.address,
+      mined.stakeId,
+      b.address
+    );
+    await sent.wait();
+    const entries: MigrationJournalEntry[] = [
+      {
+        key: migrationRowKey(mined),
+        at: 0,
+        status: "submitted",
+        hash: sent.hash,
+        nonce: 0,
+      },
+      // Never reached the node
+      {
+        key: migrationRowKey(dropped),
+        at: 0,
+        status: "submitted",
+        hash: zeroHash,
+        nonce: 0,
+      },
+    ];
+    const before = await adminNonce();
+
+    const report = await deployment.admin.migrateStakes([mined, dropped], {
+      ...FAST,
+      journal: createMemoryJournal(entries),
+    });
+
+    expect(report.rows).toMatchObject([
+      { status: "transferred", hash: sent.hash, reconciled: true },
+      { status: "transferred", reconciled: true },
+    ]);
+    // Only the dropped transfer is sent again
+    expect(await adminNonce()).toBe(before + 1);
+    expect(entries.slice(2).map((e) => [e.key, e.status])).toEqual([
+      [migrationRowKey(mined), "confirmed"],
+      [migrationRowKey(dropped), "submitted"],
+      [migrationRowKey(dropped), "confirmed"],
+    ]);
+  });
+
+  it("reconciles the journal against transfer events", async () => {
+    const { deployment, stakeIds } = await setup(3);
+    const rows = stakeIds.map((stakeId, i) => row(i + 1, a, stakeId, b));
+    const entries: MigrationJournalEntry[] = [];
+    const journal = createMemoryJournal(entries);
+    await deployment.admin.migrateStakes([rows[0]], { ...FAST, journal });
+
+    // Sent, but the process stopped before journaling it
+    await (
+      await deployment.admin.adminTransferStake(
+        a.address,
+        rows[1].stakeId,
+        b.address
+      )
+    ).wait();
+    // Journaled as confirmed, but never sent
+    await journal.append({
+      key: migrationRowKey(rows[2]),
+      at: 0,
+      status: "confirmed",
+      hash: zeroHash,
+    });
+    const before = await adminNonce();
+
+    const report = await deployment.admin.migrateStakes(rows, {
+      ...FAST,
+      journal,
+    });
+
+    expect(report.rows).toMatchObject([
+      { status: "transferred", reconciled: true },
+      { status: "transferred", reconciled: true, issues: [] },
+      { status: "transferred", reconciled: false },
+    ]);
+    expect(report.discrepancies.map((r) => r.line)).toEqual([3]);
+    expect(await adminNonce()).toBe(before);
+  });
+});
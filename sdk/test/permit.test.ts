@@ -0,0 +1,161 @@
+import {
+  createWalletClient,
+  getAddress,
+  parseEther,
+  parseTransaction,
+  type Hex,
+} from "viem";
+import { foundry } from "viem/chains";
+import { describe, expect, it } from "vitest";
+import {
+  ERC20_ABI,
+  ProgressiveStakingClient,
+  TransactionRevertedError,
+  type StakingError,
+} from "../src";
+import {
+  accounts,
+  deployStaking,
+  interceptTransport,
+  now,
+  publicClient,
+  walletFor,
+} from "./chain";
+
+const user = accounts[8];
+const AMOUNT = parseEther("100");
+
+async function rejection(write: Promise<unknown>): Promise<StakingError> {
+  return write.then(
+    () => {
+      throw new Error("Expected the call to fail");
+    },
+    (error: StakingError) => error
+  );
+}
+
+async function nonceOf(token: Hex): Promise<bigint> {
+  return publicClient.readContract({
+    address: token,
+    abi: ERC20_ABI,
+    functionName: "nonces",
+    args: [user.address],
+  });
+}
+
+describe("stakeWithPermit", () => {
+  it("stakes behind a signed permit instead of an approval", async () => {
+    const deployment = await deployStaking({ treasury: 0n, permit: true });
+    const client = deployment.clientFor(user);
+    await deployment.mint(user, AMOUNT);
+
+    expect(await client.supportsPermit()).toBe(true);
+    expect(await client.getPermitDomain()).toMatchObject({
+      name: "MAIT Token",
+      version: "1",
+      chainId: foundry.id,
+      verifyingContract: getAddress(deployment.token),
+    });
+
+    const result = await client.stakeWithPermit(AMOUNT, (await now()) + 3600n);
+    const { stakeId } = await result.stakeTransaction.wait();
+
+    expect(result.approvalHash).toBeUndefined();
+    const permit = await publicClient.getTransaction({ hash: result.permitHash! });
+    expect(permit.to).toBe(deployment.token.toLowerCase());
+    expect(permit.input.slice(0, 10)).toBe("0xd505accf");
+    expect(await nonceOf(deployment.token)).toBe(1n);
+    // The stake spent exactly what the permit allowed
+    expect(await client.getAllowance(user.address)).toBe(0n);
+    const [position] = await client.getStakeInfo(user.address);
+    expect(position).toMatchObject({ stakeId, amount: AMOUNT });
+  });
+
+  it("skips the permit when the allowance already covers the amount", async () => {
+    const deployment = await deployStaking({ treasury: 0n, permit: true });
+    const client = deployment.clientFor(user);
+    await deployment.mint(user, AMOUNT);
+    const hash = await client.approve(AMOUNT);
+    await publicClient.waitForTransactionReceipt({ hash });
+
+    const result = await client.stakeWithPermit(AMOUNT, (await now()) + 3600n);
+    await result.stakeTransaction.wait();
+
+    expect(result.permitHash).toBeUndefined();
+    expect(result.approvalHash).toBeUndefined();
+    expect(await nonceOf(deployment.token)).toBe(0n);
+  });
+
+  it("falls back to an approval when the token has no permit", async () => {
+    const deployment = await deployStaking({ treasury: 0n });
+    const client = deployment.clientFor(user);
+    await deployment.mint(user, AMOUNT);
+
+    expect(await client.supportsPermit()).toBe(false);
+    const result = await client.stakeWithPermit(AMOUNT, (await now()) + 3600n);
+    await result.stakeTransaction.wait();
+
+    expect(result.permitHash).toBeUndefined();
+    const approval = await publicClient.getTransactionReceipt({
+      hash: result.approvalHash!,
+    });
+    expect(approval.status).toBe("success");
+    expect(await client.getTokenBalance(user.address)).toBe(0n);
+  });
+
+  it("surfaces an expired deadline before sending the permit", async () => {
+    const deployment = await deployStaking({ treasury: 0n, permit: true });
+    const client = deployment.clientFor(user);
+    await deployment.mint(user, AMOUNT);
+    const sent = await publicClient.getTransactionCount({
+      address: user.address,
+    });
+
+    const deadline = (await now()) - 1n;
+    expect(
+      await rejection(client.stakeWithPermit(AMOUNT, deadline))
+    ).toMatchObject({ code: "ERC2612ExpiredSignature", args: [deadline] });
+    expect(
+      await publicClient.getTransactionCount({ address: user.address })
+    ).toBe(sent);
+  });
+
+  it("throws when the permit reverts on chain", async () => {
+    const deployment = await deployStaking({ treasury: 0n, permit: true });
+    await deployment.mint(user, AMOUNT);
+    // Someone relays the signed permit from the mempool first, using its nonce
+    const relayer = walletFor(accounts[9]);
+    const wallet = createWalletClient({
+      chain: foundry,
+      account: user,
+      transport: interceptTransport(async (request, next) => {
+        if (request.method === "eth_sendRawTransaction") {
+          const [raw] = request.params as [Hex];
+          const { to, data } = parseTransaction(raw);
+          if (to === deployment.token.toLowerCase()) {
+            const hash = await relayer.sendTransaction({ to, data });
+            await publicClient.waitForTransactionReceipt({ hash });
+          }
+        }
+        return next(request);
+      }),
+    });
+    const client = ProgressiveStakingClient.createWithWallet(
+      { contractAddress: deployment.staking, tokenAddress: deployment.token },
+      publicClient,
+      wallet
+    );
+
+    const error = await rejection(
+      client.stakeWithPermit(AMOUNT, (await now()) + 3600n)
+    );
+
+    expect(error).toBeInstanceOf(TransactionRevertedError);
+    expect((error as TransactionRevertedError).receipt.to).toBe(
+      deployment.token.toLowerCase()
+    );
+    // The relayed permit still granted the allowance, but nothing was staked
+    expect(await client.getAllowance(user.address)).toBe(AMOUNT);
+    expect(await client.getUserStakeCount(user.address)).toBe(0n);
+  });
+});
@@ -0,0 +1,240 @@
+import { parseEther, parseEventLogs, type Hash } from "viem";
+import { describe, expect, it } from "vitest";
+import {
+  MAX_PENDING_WITHDRAWALS,
+  MAX_STAKES_PER_ADDRESS,
+  MIN_STAKE_AMOUNT,
+  PROGRESSIVE_STAKING_ABI,
+  calculatePositionRewards,
+  planWithdrawal,
+  type StakePosition,
+  type WithdrawalPlanContext,
+  type WithdrawalStrategy,
+  type WithdrawRequest,
+} from "../src";
+import {
+  DAY,
+  accounts,
+  advance,
+  deployStaking,
+  now,
+  publicClient,
+  stake,
+  testClient,
+  tierTable,
+} from "./chain";
+
+const STRATEGIES: WithdrawalStrategy[] = [
+  "youngest-first",
+  "minimize-forfeited-yield",
+  "fewest-requests",
+];
+const NOW = 1_800_000_000n;
+
+function position(stakeId: bigint, tokens: string, ageDays: bigint): StakePosition {
+  const startTime = NOW - ageDays * DAY;
+  return { stakeId, amount: parseEther(tokens), startTime, lastClaimTime: startTime };
+}
+
+function request(stakeId: bigint): WithdrawRequest {
+  return {
+    stakeId,
+    amount: 1n,
+    requestTime: NOW,
+    availableAt: NOW + 90n * DAY,
+    executed: false,
+    cancelled: false,
+  };
+}
+
+function context(
+  positions: StakePosition[],
+  overrides: Partial<WithdrawalPlanContext> = {}
+): WithdrawalPlanContext {
+  return {
+    positions,
+    activeWithdrawals: [],
+    tiers: tierTable(),
+    timestamp: NOW,
+    ...overrides,
+  };
+}
+
+const planned = (plan: ReturnType<typeof planWithdrawal>) =>
+  plan.withdrawals.map((w) => [w.stakeId, w.amount, w.partial]);
+
+describe("planWithdrawal", () => {
+  // Old and mid-sized, young and small, middle-aged and large
+  const positions = [
+    position(1n, "200", 800n),
+    position(2n, "100", 10n),
+    position(3n, "300", 400n),
+  ];
+
+  it("orders positions by strategy", () => {
+    const target = parseEther("250");
+    const youngest = planWithdrawal(target, context(positions));
+    const fewest = planWithdrawal(target, context(positions), {
+      strategy: "fewest-requests",
+    });
+    // Rates falling with age make the oldest positions the cheapest to give up
+    const falling = context(positions, {
+      tiers: tierTable([600n, 500n, 400n, 200n, 70n, 50n]),
+    });
+    const cheapest = planWithdrawal(target, falling, {
+      strategy: "minimize-forfeited-yield",
+    });
+
+    expect(planned(youngest)).toEqual([
+      [2n, parseEther("100"), false],
+      [3n, parseEther("150"), true],
+    ]);
+    expect(planned(fewest)).toEqual([[3n, parseEther("250"), true]]);
+    expect(planned(cheapest)).toEqual([
+      [1n, parseEther("200"), false],
+      [3n, parseEther("50"), true],
+    ]);
+    for (const plan of [youngest, fewest, cheapest]) {
+      expect(plan).toMatchObject({ target, total: target, shortfall: 0n });
+    }
+  });
+
+  it("reports the frozen share of accrued rewards and the forfeited yield", () => {
+    const ctx = context(positions);
+    const plan = planWithdrawal(parseEther("250"), ctx);
+    const [whole, part] = plan.withdrawals;
+
+    const accrued = (p: StakePosition) =>
+      calculatePositionRewards(p, ctx.tiers, NOW);
+    expect(whole.frozenRewards).toBe(accrued(positions[1]));
+    expect(part.frozenRewards).toBe(
+      (accrued(positions[2]) * parseEther("150")) / parseEther("300")
+    );
+    expect(plan.frozenRewards).toBe(whole.frozenRewards + part.frozenRewards);
+    expect(part.tier).toBe(3);
+    expect(part.forfeitedYield).toBeGreaterThan(0n);
+
+    const founder = planWithdrawal(parseEther("250"), { ...ctx, isFounder: true });
+    expect(founder).toMatchObject({ frozenRewards: 0n, forfeitedYield: 0n });
+  });
+
+  it.each(STRATEGIES)("%s uses only free withdrawal slots", (strategy) => {
+    const many = Array.from({ length: 12 }, (_, i) =>
+      position(BigInt(i + 1), "100", BigInt(10 * i))
+    );
+    // Eight slots are taken, by positions that cannot be requested again
+    const active = many
+      .slice(0, MAX_PENDING_WITHDRAWALS - 2)
+      .map((p) => request(p.stakeId));
+    const plan = planWithdrawal(
+      parseEther("1000"),
+      context(many, { activeWithdrawals: active }),
+      { strategy }
+    );
+
+    expect(plan.withdrawals).toHaveLength(2);
+    for (const { stakeId } of plan.withdrawals) {
+      expect(active.map((r) => r.stakeId)).not.toContain(stakeId);
+    }
+    expect(plan).toMatchObject({
+      total: parseEther("200"),
+      shortfall: parseEther("800"),
+    });
+  });
+
+  it.each(STRATEGIES)("%s never leaves less than MIN_STAKE_AMOUNT", (strategy) => {
+    const single = [position(1n, "100", 30n)];
+    const all = parseEther("100");
+
+    const dust = planWithdrawal(all - MIN_STAKE_AMOUNT + 1n, context(single), {
+      strategy,
+    });
+    expect(planned(dust)).toEqual([[1n, all, false]]);
+    expect(dust.total - dust.target).toBeLessThan(MIN_STAKE_AMOUNT);
+    expect(dust.shortfall).toBe(0n);
+
+    const minimum = planWithdrawal(all - MIN_STAKE_AMOUNT, context(single), {
+      strategy,
+    });
+    expect(planned(minimum)).toEqual([[1n, all - MIN_STAKE_AMOUNT, true]]);
+  });
+
+  it.each(STRATEGIES)(
+    "%s only splits positions below MAX_STAKES_PER_ADDRESS",
+    (strategy) => {
+      const make = (count: number) =>
+        Array.from({ length: count }, (_, i) =>
+          position(BigInt(i + 1), "10", BigInt(i))
+        );
+      const target = parseEther("25");
+
+      const belowLimit = planWithdrawal(
+        target,
+        context(make(MAX_STAKES_PER_ADDRESS - 1)),
+        { strategy }
+      );
+      expect(belowLimit.withdrawals.map((w) => w.partial)).toEqual([
+        false,
+        false,
+        true,
+      ]);
+      expect(belowLimit.shortfall).toBe(0n);
+
+      // A split would add a position; every candidate needs one, so stop short
+      const atLimit = planWithdrawal(
+        target,
+        context(make(MAX_STAKES_PER_ADDRESS)),
+        { strategy }
+      );
+      expect(atLimit.withdrawals.map((w) => w.partial)).toEqual([false, false]);
+      expect(atLimit.shortfall).toBe(parseEther("5"));
+    }
+  );
+});
+
+describe("planned withdrawals on chain", () => {
+  it("freeze the projected rewards", async () => {
+    const user = accounts[4];
+    const deployment = await deployStaking();
+    const client = deployment.clientFor(user);
+    await deployment.mint(user, parseEther("600"));
+    await stake(client, parseEther("200"));
+    await advance(200n * DAY);
+    await stake(client, parseEther("400"));
+    await advance(30n * DAY);
+
+    const timestamp = (await now()) + 100n;
+    const plan = planWithdrawal(parseEther("500"), {
+      positions: await client.getStakeInfo(user.address),
+      activeWithdrawals: [],
+      tiers: await client.getTierConfigs(),
+      timestamp,
+    });
+    expect(plan.withdrawals.map((w) => w.partial)).toEqual([false, true]);
+
+    // Mine every request in one block at the planned timestamp
+    await testClient.setAutomine(false);
+    const hashes: Hash[] = [];
+    try {
+      for (const { call } of plan.withdrawals) {
+        hashes.push((await client.requestWithdraw(...call.args)).hash);
+      }
+      await testClient.setNextBlockTimestamp({ timestamp });
+      await testClient.mine({ blocks: 1 });
+    } finally {
+      await testClient.setAutomine(true);
+    }
+
+    for (const [i, hash] of hashes.entries()) {
+      const receipt = await publicClient.getTransactionReceipt({ hash });
+      const [requested] = parseEventLogs({
+        abi: PROGRESSIVE_STAKING_ABI,
+        eventName: "WithdrawRequested",
+        logs: receipt.logs,
+      });
+      expect(
+        await client.calculateRewards(user.address, requested.args.stakeId)
+      ).toBe(plan.withdrawals[i].frozenRewards);
+    }
+  });
+});
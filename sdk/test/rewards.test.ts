@@ -0,0 +1,150 @@
+import { parseEther } from "viem";
+import { describe, expect, it } from "vitest";
+import {
+  MIN_STAKE_AMOUNT,
+  calculatePositionRewards,
+  projectPositionRewards,
+  type StakePosition,
+  type TierConfig,
+} from "../src";
+import {
+  DAY,
+  accounts,
+  advance,
+  deployStaking,
+  mineAt,
+  now,
+  publicClient,
+  stake,
+  testClient,
+  type Deployment,
+} from "./chain";
+
+const user = accounts[1];
+const founder = accounts[2];
+
+// Odd amounts exercise the rounding of the contract's integer division
+const AMOUNTS = [
+  MIN_STAKE_AMOUNT,
+  parseEther("1234.567891234567891234"),
+  parseEther("9876543.21"),
+];
+
+async function setup(): Promise<{
+  deployment: Deployment;
+  tiers: TierConfig[];
+  positions: readonly StakePosition[];
+}> {
+  const deployment = await deployStaking({ founders: [founder.address] });
+  const client = deployment.clientFor(user);
+  await deployment.mint(user, parseEther("10000000"));
+  const hash = await client.approve(
+    AMOUNTS.reduce((sum, amount) => sum + amount, 0n)
+  );
+  await publicClient.waitForTransactionReceipt({ hash });
+
+  // In one block, so every position starts at the same time
+  await testClient.setAutomine(false);
+  try {
+    const stakes = [];
+    for (const amount of AMOUNTS) stakes.push(await client.stake(amount));
+    await testClient.mine({ blocks: 1 });
+    for (const transaction of stakes) await transaction.wait();
+  } finally {
+    await testClient.setAutomine(true);
+  }
+  return {
+    deployment,
+    tiers: await client.getTierConfigs(),
+    positions: await client.getStakeInfo(user.address),
+  };
+}
+
+describe("offline reward engine", () => {
+  it("matches calculateRewards to the wei at tier boundaries", async () => {
+    const { deployment, tiers, positions } = await setup();
+    const start = positions[0].startTime;
+    const ages = [
+      1n,
+      DAY,
+      180n * DAY - 1n,
+      180n * DAY,
+      180n * DAY + 1n,
+      360n * DAY,
+      720n * DAY - 1n,
+      720n * DAY,
+      1080n * DAY + 1n,
+      1440n * DAY - 1n,
+      1440n * DAY,
+      2000n * DAY + 12_345n,
+    ];
+    const timestamps = ages.map((age) => start + age);
+    const projections = positions.map((position) =>
+      projectPositionRewards(position, tiers, timestamps)
+    );
+
+    for (const [i, timestamp] of timestamps.entries()) {
+      await mineAt(timestamp);
+      for (const [j, position] of positions.entries()) {
+        const onChain = await deployment.admin.calculateRewards(
+          user.address,
+          position.stakeId
+        );
+        expect(calculatePositionRewards(position, tiers, timestamp)).toBe(
+          onChain
+        );
+        expect(projections[j][i]).toEqual({
+          timestamp,
+          rewards: onChain,
+          value: position.amount + onChain,
+        });
+      }
+    }
+  });
+
+  it("matches after a claim moved lastClaimTime", async () => {
+    const { deployment, tiers, positions } = await setup();
+    const client = deployment.clientFor(user);
+    const { stakeId, startTime } = positions[1];
+
+    // Mid tier 2, then mid tier 4, so accrual restarts inside a tier
+    for (const [claimAge, checkAges] of [
+      [200n * DAY + 17n, [360n * DAY - 1n, 360n * DAY, 500n * DAY]],
+      [1000n * DAY, [1080n * DAY, 1440n * DAY + 1n, 1600n * DAY]],
+    ] as const) {
+      await mineAt(startTime + claimAge - 1n);
+      await (await client.claimRewards(stakeId)).wait();
+      const [position] = (await client.getStakeInfo(user.address)).filter(
+        (p) => p.stakeId === stakeId
+      );
+      expect(position.lastClaimTime).toBeGreaterThan(position.startTime);
+      expect(position.lastClaimTime).toBe(await now());
+
+      for (const age of checkAges) {
+        await mineAt(startTime + age);
+        expect(
+          calculatePositionRewards(position, tiers, startTime + age)
+        ).toBe(await client.calculateRewards(user.address, stakeId));
+      }
+    }
+  });
+
+  it("gives founders nothing, like the contract", async () => {
+    const { deployment, tiers } = await setup();
+    const client = deployment.clientFor(founder);
+    await deployment.mint(founder, parseEther("1000"));
+    const stakeId = await stake(client, parseEther("1000"));
+    await advance(800n * DAY);
+
+    const [position] = await client.getStakeInfo(founder.address);
+    const timestamp = await now();
+    expect(await client.isFounder(founder.address)).toBe(true);
+    expect(await client.calculateRewards(founder.address, stakeId)).toBe(0n);
+    expect(
+      calculatePositionRewards(position, tiers, timestamp, { isFounder: true })
+    ).toBe(0n);
+    expect(calculatePositionRewards(position, tiers, timestamp)).toBeGreaterThan(
+      0n
+    );
+  });
+});
@@ -0,0 +1,212 @@
+import {
+  encodeFunctionData,
+  parseEther,
+  type Abi,
+  type Address,
+  type Hex,
+} from "viem";
+import { describe, expect, it } from "vitest";
+import {
+  ADMIN_ROLE,
+  PROGRESSIVE_STAKING_ABI,
+  decodeSafeTransaction,
+  describeStakingCall,
+  encodeSafeApproval,
+  previewSafeTransactions,
+  toSafeBatchFile,
+  type SafeBatchFile,
+  type SafeBatchTargets,
+  type SafeTransaction,
+  type StakingWriteCall,
+} from "../src";
+import {
+  accounts,
+  deployStaking,
+  publicClient,
+  stake,
+  walletFor,
+} from "./chain";
+
+const SAFE = accounts[0].address;
+const [from, to] = [accounts[1].address, accounts[2].address];
+const targets: SafeBatchTargets = {
+  contractAddress: "0x00000000000000000000000000000000000000A1",
+  tokenAddress: "0x00000000000000000000000000000000000000B2",
+};
+
+const CALLS: StakingWriteCall[] = [
+  { functionName: "depositTreasury", args: [parseEther("1000")] },
+  { functionName: "withdrawTreasury", args: [parseEther("2.5")] },
+  { functionName: "pause", args: [] },
+  { functionName: "unpause", args: [] },
+  { functionName: "emergencyShutdown", args: [] },
+  { functionName: "adminTransferStake", args: [from, 7n, to] },
+  { functionName: "updateTierRates", args: [[50n, 70n, 200n, 400n, 500n, 650n]] },
+  { functionName: "grantRole", args: [ADMIN_ROLE, to] },
+];
+
+function encode(call: StakingWriteCall): SafeTransaction {
+  return {
+    to: targets.contractAddress,
+    value: 0n,
+    data: encodeFunctionData({ abi: PROGRESSIVE_STAKING_ABI, ...call }),
+    description: describeStakingCall(call),
+  };
+}
+
+/**
+ * Calldata the Transaction Builder rebuilds from a file's decoded method and
+ * string inputs, the way it does for signers who import the file
+ */
+function reencode(transaction: SafeBatchFile["transactions"][number]): Hex {
+  const { name, inputs } = transaction.contractMethod;
+  const abi: Abi = [
+    { type: "function", name, inputs, outputs: [], stateMutability: "nonpayable" },
+  ];
+  const args = inputs.map(({ name, type }) => {
+    const value = transaction.contractInputsValues[name];
+    if (type.endsWith("]")) {
+      return value.slice(1, -1).split(",").map(BigInt);
+    }
+    return type.startsWith("uint") ? BigInt(value) : value;
+  });
+  return encodeFunctionData({ abi, functionName: name, args });
+}
+
+describe("Safe batches", () => {
+  it("decode back to the encoded calls", () => {
+    for (const call of CALLS) {
+      const decoded = decodeSafeTransaction(encode(call), targets);
+      expect(decoded.target).toBe("staking");
+      expect(decoded.functionName).toBe(call.functionName);
+      expect(decoded.args.map((arg) => arg.value)).toEqual(call.args);
+    }
+
+    const approval = encodeSafeApproval(
+      targets.tokenAddress,
+      targets.contractAddress,
+      parseEther("1000")
+    );
+    expect(decodeSafeTransaction(approval, targets)).toMatchObject({
+      target: "token",
+      functionName: "approve",
+      args: [
+        { name: "spender", value: targets.contractAddress },
+        { name: "amount", value: parseEther("1000") },
+      ],
+    });
+  });
+
+  it("survive a JSON round trip through the batch file", () => {
+    const transactions = CALLS.map(encode);
+    const file = toSafeBatchFile(transactions, 1, targets, {
+      safeAddress: SAFE,
+      createdAt: 0,
+    });
+    const imported: SafeBatchFile = JSON.parse(JSON.stringify(file));
+
+    expect(imported).toEqual(file);
+    expect(imported.transactions.map(reencode)).toEqual(
+      transactions.map((t) => t.data)
+    );
+    // A signer previewing the file sees what the builder saw
+    expect(
+      previewSafeTransactions(
+        imported.transactions.map((t, i) => ({
+          ...t,
+          description: transactions[i].description,
+        })),
+        targets
+      )
+    ).toBe(previewSafeTransactions(transactions, targets));
+  });
+
+  it("preview the calldata, not the description", () => {
+    const misleading = {
+      ...encode({ functionName: "withdrawTreasury", args: [parseEther("5000")] }),
+      description: "Unpause the staking contract",
+    };
+
+    expect(previewSafeTransactions([misleading], targets)).toBe(
+      [
+        "1. Unpause the staking contract",
+        `   to:    ${targets.contractAddress} (staking contract)`,
+        "   value: 0",
+        "   call:  withdrawTreasury(amount: 5000000000000000000000 (5000 MAIT))",
+      ].join("\n")
+    );
+    expect(
+      previewSafeTransactions(
+        [encode({ functionName: "grantRole", args: [ADMIN_ROLE, to] })],
+        targets
+      )
+    ).toContain(`grantRole(role: ADMIN_ROLE, account: ${to})`);
+  });
+
+  it("reject calls to other contracts", () => {
+    const stray = { ...encode(CALLS[2]), to: SAFE as Address };
+    expect(() => decodeSafeTransaction(stray, targets)).toThrow(
+      `Unexpected transaction target ${SAFE}`
+    );
+  });
+});
+
+describe("buildSafeBatch", () => {
+  it("executes as built", async () => {
+    const deployment = await deployStaking({ treasury: 0n });
+    const user = accounts[1];
+    await deployment.mint(user, parseEther("10"));
+    const stakeId = await stake(deployment.clientFor(user), parseEther("10"));
+    await deployment.mint(accounts[0], parseEther("1000"));
+
+    const batch = await deployment.admin.buildSafeBatch(
+      [
+        { functionName: "depositTreasury", args: [parseEther("1000")] },
+        {
+          functionName: "adminTransferStake",
+          args: [user.address, stakeId, to],
+        },
+        { functionName: "pause", args: [] },
+      ],
+      { safeAddress: SAFE }
+    );
+
+    // The deposit needs an approval first
+    expect(batch.transactions.map((t) => t.description)).toEqual([
+      "Allow the staking contract to pull 1000 MAIT from the Safe",
+      "Deposit 1000 MAIT from the Safe into the treasury",
+      `Transfer stake #${stakeId} from ${user.address} to ${to}`,
+      "Pause staking, claiming and withdrawal requests",
+    ]);
+    expect(batch.file.transactions.map((t) => t.contractMethod.name)).toEqual([
+      "approve",
+      "depositTreasury",
+      "adminTransferStake",
+      "pause",
+    ]);
+    expect(batch.file.chainId).toBe(String(await publicClient.getChainId()));
+
+    // Executed by an admin account standing in for the Safe
+    const safe = walletFor(accounts[0]);
+    for (const { to, value, data } of batch.transactions) {
+      const hash = await safe.sendTransaction({ to, value, data });
+      const receipt = await publicClient.waitForTransactionReceipt({ hash });
+      expect(receipt.status).toBe("success");
+    }
+    expect(await deployment.admin.getTreasuryBalance()).toBe(parseEther("1000"));
+    expect(await deployment.admin.isPaused()).toBe(true);
+    const [moved] = await deployment.admin.getStakeInfo(to);
+    expect(moved.stakeId).toBe(stakeId);
+
+    // With allowance to spare, no approval
+    const hash = await deployment.admin.approve(parseEther("5"));
+    await publicClient.waitForTransactionReceipt({ hash });
+    const again = await deployment.admin.buildSafeBatch(
+      [{ functionName: "depositTreasury", args: [parseEther("1")] }],
+      { safeAddress: SAFE }
+    );
+    expect(again.file.transactions.map((t) => t.contractMethod.name)).toEqual([
+      "depositTreasury",
+    ]);
+  });
+});
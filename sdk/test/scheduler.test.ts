@@ -0,0 +1,180 @@
+import { createWalletClient, parseEther } from "viem";
+import { foundry } from "viem/chains";
+import { describe, expect, it } from "vitest";
+import {
+  ProgressiveStakingClient,
+  WithdrawalScheduler,
+  type KeeperLogEntry,
+} from "../src";
+import { sleep } from "../src/keeper";
+import {
+  DAY,
+  accounts,
+  advance,
+  deployStaking,
+  interceptTransport,
+  publicClient,
+  stake,
+  type Deployment,
+} from "./chain";
+
+const user = accounts[6];
+const AMOUNT = parseEther("100");
+
+async function setup(): Promise<{
+  deployment: Deployment;
+  client: ProgressiveStakingClient;
+}> {
+  const deployment = await deployStaking();
+  const client = deployment.clientFor(user);
+  await deployment.mint(user, 3n * AMOUNT);
+  return { deployment, client };
+}
+
+/** Stake `AMOUNT` and request all of it back */
+async function request(client: ProgressiveStakingClient): Promise<bigint> {
+  const stakeId = await stake(client, AMOUNT);
+  await (await client.requestWithdraw(stakeId, AMOUNT)).wait();
+  return stakeId;
+}
+
+describe("executeAllReadyWithdrawals", () => {
+  it("executes only the requests past their notice period", async () => {
+    const { client } = await setup();
+    const due = await request(client);
+    await advance(30n * DAY);
+    const waiting = await request(client);
+    const kept = await stake(client, AMOUNT);
+    await advance(61n * DAY);
+
+    const results = await client.executeAllReadyWithdrawals();
+
+    expect(results).toMatchObject([
+      { stakeId: due, amount: AMOUNT, status: "executed" },
+    ]);
+    const positions = await client.getStakeInfo(user.address);
+    expect(positions.map((p) => p.stakeId).sort()).toEqual(
+      [kept, waiting].sort()
+    );
+  });
+
+  it("reads the nonce again after a send that may have used it", async () => {
+    const { deployment, client } = await setup();
+    const first = await request(client);
+    const second = await request(client);
+    await advance(91n * DAY);
+
+    // The node takes the first transaction, but the wallet reports an error
+    let failNextSend = true;
+    const transport = interceptTransport(async (request, next) => {
+      const result = await next(request);
+      if (request.method === "eth_sendRawTransaction" && failNextSend) {
+        failNextSend = false;
+        throw new Error("connection reset");
+      }
+      return result;
+    });
+    const flaky = ProgressiveStakingClient.createWithWallet(
+      { contractAddress: deployment.staking, tokenAddress: deployment.token },
+      publicClient,
+      createWalletClient({ chain: foundry, transport, account: user })
+    );
+
+    const results = await flaky.executeAllReadyWithdrawals();
+
+    expect(results).toMatchObject([
+      { stakeId: first, status: "failed" },
+      { stakeId: second, status: "executed" },
+    ]);
+    // Both went through: the second did not reuse the first's nonce
+    expect(await client.getStakeInfo(user.address)).toEqual([]);
+  });
+});
+
+describe("WithdrawalScheduler", () => {
+  it("executes due requests and reports the next one", async () => {
+    const { client } = await setup();
+    const due = await request(client);
+    await advance(30n * DAY);
+    const waiting = await request(client);
+    await advance(61n * DAY);
+    const pending = (
+      await client.getActivePendingWithdrawals(user.address)
+    ).find((r) => r.stakeId === waiting)!;
+
+    const logs: KeeperLogEntry[] = [];
+    const scheduler = new WithdrawalScheduler({
+      wallets: [client],
+      logger: (entry) => logs.push(entry),
+    });
+    const [result] = await scheduler.runOnce();
+
+    expect(result.wallet).toBe(user.address);
+    expect(result.withdrawals).toMatchObject([
+      { stakeId: due, status: "executed" },
+    ]);
+    expect(result.nextAvailableAt).toBe(pending.availableAt);
+    expect(logs.map((entry) => entry.event)).toEqual([
+      "withdrawal.submitted",
+      "withdrawal.executed",
+    ]);
+  });
+
+  it("sleeps until the next request comes due", async () => {
+    const { client } = await setup();
+    await request(client);
+    const [{ availableAt }] = await client.getActivePendingWithdrawals(
+      user.address
+    );
+
+    // The chain's clock runs ahead of the wall clock in these tests
+    const controller = new AbortController();
+    const logs: KeeperLogEntry[] = [];
+    const scheduler = new WithdrawalScheduler({
+      wallets: [client],
+      pollInterval: 100 * 365 * 86_400_000,
+      logger: (entry) => {
+        logs.push(entry);
+        if (entry.event === "scheduler.sleeping") controller.abort();
+      },
+    });
+    await scheduler.run({ signal: controller.signal });
+
+    expect(logs.map((entry) => entry.event)).toEqual([
+      "scheduler.started",
+      "scheduler.sleeping",
+      "scheduler.stopped",
+    ]);
+    expect(logs[1].until).toBe(
+      new Date(Number(availableAt) * 1000).toISOString()
+    );
+  });
+});
+
+describe("sleep", () => {
+  it("returns at once for an aborted signal", async () => {
+    const started = Date.now();
+    await sleep(60_000, AbortSignal.abort());
+    expect(Date.now() - started).toBeLessThan(1000);
+  });
+
+  it("does not fire early for delays past the setTimeout limit", async () => {
+    const warnings: string[] = [];
+    const onWarning = (warning: Error) => warnings.push(warning.name);
+    process.on("warning", onWarning);
+    try {
+      let settled = false;
+      const controller = new AbortController();
+      const slept = sleep(2 ** 40, controller.signal).then(() => {
+        settled = true;
+      });
+      await new Promise((resolve) => setTimeout(resolve, 50));
+      expect(settled).toBe(false);
+      controller.abort();
+      await slept;
+    } finally {
+      process.off("warning", onWarning);
+    }
+    expect(warnings).not.toContain("TimeoutOverflowWarning");
+  });
+});
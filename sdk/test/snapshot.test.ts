@@ -0,0 +1,104 @@
+import { StandardMerkleTree } from "@openzeppelin/merkle-tree";
+import {
+  getAddress,
+  keccak256,
+  parseEther,
+  slice,
+  toHex,
+  type Address,
+} from "viem";
+import { describe, expect, it } from "vitest";
+import { balanceMerkleTree, type BalanceLeaf } from "../src";
+import { accounts, advance, deployStaking, publicClient, stake } from "./chain";
+
+const ENCODING = ["address", "uint256"];
+
+/** `count` leaves with distinct, deterministic addresses and balances */
+function leaves(count: number): BalanceLeaf[] {
+  return Array.from({ length: count }, (_, i) => ({
+    user: getAddress(slice(keccak256(toHex(i)), 0, 20)),
+    balance: parseEther(String(1 + (i % 3))),
+  }));
+}
+
+function reference(leaves: readonly BalanceLeaf[]) {
+  return StandardMerkleTree.of(
+    leaves.map(({ user, balance }) => [user, balance.toString()]),
+    ENCODING
+  );
+}
+
+describe("balanceMerkleTree", () => {
+  it.each([1, 2, 3, 4, 5, 7, 8, 13])(
+    "matches StandardMerkleTree with %i leaves",
+    (count) => {
+      const input = leaves(count);
+      const tree = balanceMerkleTree(input);
+      const expected = reference(input);
+
+      expect(tree.root).toBe(expected.root);
+      for (const [i, leaf] of input.entries()) {
+        const proof = tree.getProof(leaf.user);
+        expect(proof).toEqual(expected.getProof(i));
+        expect(
+          StandardMerkleTree.verify(
+            tree.root,
+            ENCODING,
+            [leaf.user, leaf.balance.toString()],
+            proof!
+          )
+        ).toBe(true);
+      }
+    }
+  );
+
+  it("finds proofs regardless of address case", () => {
+    const input = leaves(3);
+    const tree = balanceMerkleTree(input);
+    const { user } = input[1];
+
+    expect(tree.getProof(user.toLowerCase() as Address)).toEqual(
+      tree.getProof(user)
+    );
+    expect(tree.getProof(accounts[0].address)).toBeUndefined();
+  });
+
+  it("has the hash of no data as the root of an empty tree", () => {
+    const tree = balanceMerkleTree([]);
+    expect(tree.root).toBe(keccak256("0x"));
+    expect(tree.getProof(accounts[0].address)).toBeUndefined();
+  });
+});
+
+describe("snapshot", () => {
+  it("commits to each staker's balance at the block", async () => {
+    const deployment = await deployStaking({ treasury: 0n });
+    const stakers = [accounts[4], accounts[5], accounts[6]];
+    const fromBlock = await publicClient.getBlockNumber({ cacheTime: 0 });
+    for (const [i, account] of stakers.entries()) {
+      await deployment.mint(account, parseEther("100"));
+      await stake(deployment.clientFor(account), parseEther(String(10 * (i + 1))));
+    }
+    await advance(86_400n);
+    const blockNumber = await publicClient.getBlockNumber({ cacheTime: 0 });
+    // After the snapshot block
+    await stake(deployment.clientFor(stakers[0]), parseEther("5"));
+
+    const snapshot = await deployment.admin.snapshot(blockNumber, { fromBlock });
+
+    const balances = snapshot.accounts.map(({ user, balance }) => ({
+      user,
+      balance,
+    }));
+    expect(balances).toHaveLength(3);
+    expect(balances).toEqual(
+      expect.arrayContaining(
+        stakers.map((account, i) => ({
+          user: account.address,
+          balance: parseEther(String(10 * (i + 1))),
+        }))
+      )
+    );
+    expect(snapshot.merkleRoot).toBe(reference(balances).root);
+  });
+});
@@ -0,0 +1,58 @@
+import { createPublicClient, parseEther, toFunctionSelector } from "viem";
+import { foundry } from "viem/chains";
+import { describe, expect, it } from "vitest";
+import { ProgressiveStakingClient } from "../src";
+import {
+  DAY,
+  accounts,
+  advance,
+  deployStaking,
+  interceptTransport,
+  stake,
+} from "./chain";
+
+const user = accounts[4];
+const TIER_SELECTOR = toFunctionSelector(
+  "getCurrentTier(address,uint256)"
+).slice(2);
+
+describe("getUsersStats", () => {
+  it("reads positions and tiers at the same block", async () => {
+    const deployment = await deployStaking();
+    const client = deployment.clientFor(user);
+    await deployment.mint(user, parseEther("300"));
+    const withdrawn = await stake(client, parseEther("100"));
+    const kept = await stake(client, parseEther("200"));
+    await (await client.requestWithdraw(withdrawn, parseEther("100"))).wait();
+    await advance(91n * DAY);
+
+    // Remove the position between the position and tier reads
+    let beforeTiers: (() => Promise<void>) | undefined = async () => {
+      await (await client.executeWithdraw(withdrawn)).wait();
+    };
+    const transport = interceptTransport(async (request, next) => {
+      const run = beforeTiers;
+      const data = JSON.stringify(request.params ?? []);
+      if (run && data.includes(TIER_SELECTOR)) {
+        beforeTiers = undefined;
+        await run();
+      }
+      return next(request);
+    });
+    const reader = new ProgressiveStakingClient(
+      { contractAddress: deployment.staking, tokenAddress: deployment.token },
+      createPublicClient({ chain: foundry, transport })
+    );
+
+    const before = await reader.getUserStats(user.address);
+    expect(beforeTiers).toBeUndefined();
+    expect(before.positions.map((p) => BigInt(p.stakeId))).toEqual([
+      withdrawn,
+      kept,
+    ]);
+
+    // And the next read sees the withdrawal right away
+    const after = await reader.getUserStats(user.address);
+    expect(after.positions.map((p) => BigInt(p.stakeId))).toEqual([kept]);
+  });
+});
@@ -0,0 +1,164 @@
+import { parseEther } from "viem";
+import { describe, expect, it } from "vitest";
+import {
+  compareClaimStrategies,
+  simulateClaimStrategy,
+  type GasCostModel,
+  type StrategySimulationContext,
+} from "../src";
+import { DAY, tierTable } from "./chain";
+
+const NOW = 1_800_000_000n;
+const PRINCIPAL = parseEther("3600");
+
+/**
+ * A fresh position over one reward year: 180 days at 0.5% then 180 days at
+ * 0.7%, which makes every expected value below a round number
+ */
+const context: StrategySimulationContext = {
+  positions: [
+    { stakeId: 1n, amount: PRINCIPAL, startTime: NOW, lastClaimTime: NOW },
+  ],
+  tiers: tierTable(),
+  timestamp: NOW,
+};
+
+describe("simulateClaimStrategy", () => {
+  it("never claiming compounds at the tier boundary", () => {
+    const result = simulateClaimStrategy({ claim: "never" }, context);
+
+    // 9 tokens in tier 1, then 0.7% of 3609 for half a year
+    expect(result).toMatchObject({
+      name: "never claim",
+      initialValue: PRINCIPAL,
+      staked: PRINCIPAL,
+      unclaimed: parseEther("21.6315"),
+      held: 0n,
+      finalValue: parseEther("3621.6315"),
+      claimCount: 0,
+      transactionCount: 0,
+    });
+    expect(result.effectiveApy).toBeCloseTo(21.6315 / 3600, 12);
+  });
+
+  it("claiming and holding forgoes the compounding", () => {
+    const result = simulateClaimStrategy(
+      { claim: "hold", interval: 30n * DAY },
+      context
+    );
+
+    // 1.5 tokens a month in tier 1, 2.1 in tier 2
+    expect(result).toMatchObject({
+      name: "claim and hold every 30 days",
+      held: parseEther("21.6"),
+      unclaimed: 0n,
+      finalValue: parseEther("3621.6"),
+      claimCount: 12,
+      stakeCount: 0,
+      positionCount: 1,
+    });
+  });
+
+  it("claims at a threshold as soon as it is reached", () => {
+    const result = simulateClaimStrategy(
+      { claim: "hold", threshold: parseEther("1.5") },
+      context
+    );
+
+    // Every 30 days in tier 1, then every 22 days (1.54 tokens) in tier 2,
+    // leaving 4 days unclaimed
+    expect(result).toMatchObject({
+      claimCount: 6 + 8,
+      held: parseEther("9") + 8n * parseEther("1.54"),
+      unclaimed: parseEther("0.28"),
+      finalValue: parseEther("3621.6"),
+    });
+  });
+
+  it("restaking opens a new position per claim", () => {
+    const result = simulateClaimStrategy(
+      { claim: "restake", interval: 90n * DAY },
+      context
+    );
+
+    expect(result).toMatchObject({
+      claimCount: 4,
+      stakeCount: 4,
+      transactionCount: 8,
+      positionCount: 5,
+      held: 0n,
+      unclaimed: 0n,
+      // Worked out independently with the contract's integer math
+      staked: 3621638278133789062500n,
+      finalValue: 3621638278133789062500n,
+    });
+  });
+
+  it("holds claims too small to restake", () => {
+    const small: StrategySimulationContext = {
+      ...context,
+      positions: [{ ...context.positions[0], amount: parseEther("1") }],
+    };
+    const result = simulateClaimStrategy(
+      { claim: "restake", interval: DAY },
+      small
+    );
+
+    expect(result.claimCount).toBe(360);
+    expect(result.stakeCount).toBe(0);
+    expect(result.staked).toBe(parseEther("1"));
+    expect(result.held).toBeGreaterThan(0n);
+  });
+
+  it("charges the gas model per transaction", () => {
+    const calls: Parameters<GasCostModel>[] = [];
+    const gasCost: GasCostModel = (transaction, details) => {
+      calls.push([transaction, details]);
+      return parseEther("0.1");
+    };
+    const result = simulateClaimStrategy(
+      { claim: "restake", interval: 180n * DAY },
+      context,
+      { gasCost }
+    );
+
+    expect(calls).toEqual([
+      ["claim", { timestamp: NOW + 180n * DAY, positionCount: 1 }],
+      ["stake", { timestamp: NOW + 180n * DAY, positionCount: 1 }],
+      ["claim", { timestamp: NOW + 360n * DAY, positionCount: 2 }],
+      ["stake", { timestamp: NOW + 360n * DAY, positionCount: 2 }],
+    ]);
+    expect(result.gasCost).toBe(parseEther("0.4"));
+    expect(result.finalValue).toBe(
+      result.staked + result.unclaimed + result.held - parseEther("0.4")
+    );
+  });
+
+  it("rejects claiming strategies without a trigger", () => {
+    expect(() => simulateClaimStrategy({ claim: "hold" }, context)).toThrow(
+      "needs an interval or a threshold"
+    );
+    expect(() =>
+      simulateClaimStrategy({ claim: "never" }, context, { step: 0n })
+    ).toThrow("step must be positive");
+  });
+});
+
+describe("compareClaimStrategies", () => {
+  it("ranks strategies by final value", () => {
+    const results = compareClaimStrategies(
+      [
+        { claim: "hold", interval: 30n * DAY },
+        { claim: "never" },
+        { name: "quarterly", claim: "restake", interval: 90n * DAY },
+      ],
+      context
+    );
+
+    expect(results.map((r) => r.name)).toEqual([
+      "quarterly",
+      "never claim",
+      "claim and hold every 30 days",
+    ]);
+  });
+});
@@ -0,0 +1,181 @@
+import { parseEther, type Address } from "viem";
+import { describe, expect, it } from "vitest";
+import {
+  buildPositionTimeline,
+  calculatePositionRewards,
+  timelineToIcs,
+  type PositionTimeline,
+  type StakePosition,
+} from "../src";
+import { DAY, accounts, tierTable } from "./chain";
+
+const NOW = 1_800_000_000n;
+const USER: Address = accounts[1].address;
+const CREATED_AT = new Date("2027-01-15T12:00:00Z");
+
+const position: StakePosition = {
+  stakeId: 42n,
+  amount: parseEther("1234.5"),
+  startTime: NOW - 400n * DAY,
+  lastClaimTime: NOW - 100n * DAY,
+};
+
+function timeline(): PositionTimeline {
+  return buildPositionTimeline(position, tierTable(), NOW);
+}
+
+/** Physical lines of a feed, without the final CRLF */
+function physicalLines(ics: string): string[] {
+  expect(ics.endsWith("\r\n")).toBe(true);
+  const lines = ics.slice(0, -2).split("\r\n");
+  for (const line of lines) expect(line).not.toMatch(/[\r\n]/);
+  return lines;
+}
+
+/** Content lines with folding undone, as a client reads them */
+function unfold(ics: string): string[] {
+  return ics.slice(0, -2).replace(/\r\n /g, "").split("\r\n");
+}
+
+function unescapeText(value: string): string {
+  return value.replace(/\\([\\;,nN])/g, (_, c: string) =>
+    c === "n" || c === "N" ? "\n" : c
+  );
+}
+
+function property(ics: string, name: string): string[] {
+  return unfold(ics)
+    .filter((line) => line.startsWith(`${name}:`))
+    .map((line) => line.slice(name.length + 1));
+}
+
+describe("buildPositionTimeline", () => {
+  it("dates every tier and splits accrued rewards between them", () => {
+    const result = timeline();
+
+    expect(result.currentTier).toBe(3);
+    expect(result.tiers.map((t) => t.status)).toEqual([
+      "past",
+      "past",
+      "current",
+      "upcoming",
+      "upcoming",
+      "upcoming",
+    ]);
+    expect(result.tiers[3].startsAt).toEqual(
+      new Date(Number(position.startTime + 720n * DAY) * 1000)
+    );
+    expect(result.tiers[5].endsAt).toBeNull();
+    expect(result.nextUpgrade).toEqual({
+      tier: 4,
+      rate: 400n,
+      at: result.tiers[3].startsAt,
+    });
+    // Claimed in tier 2, so tier 1 has nothing left
+    expect(result.tiers.map((t) => t.accruedRewards > 0n)).toEqual([
+      false,
+      true,
+      true,
+      false,
+      false,
+      false,
+    ]);
+    expect(result.tiers.reduce((sum, t) => sum + t.accruedRewards, 0n)).toBe(
+      calculatePositionRewards(position, tierTable(), NOW)
+    );
+  });
+});
+
+describe("timelineToIcs", () => {
+  it("lists upcoming upgrades and ready withdrawals with stable UIDs", () => {
+    const withWithdrawal: PositionTimeline = {
+      ...timeline(),
+      withdrawal: {
+        stakeId: 42n,
+        amount: parseEther("100"),
+        requestTime: NOW,
+        availableAt: NOW + 90n * DAY,
+        executed: false,
+        cancelled: false,
+      },
+    };
+    const ics = timelineToIcs([withWithdrawal], {
+      user: USER,
+      createdAt: CREATED_AT,
+    });
+
+    expect(unfold(ics).slice(0, 6)).toEqual([
+      "BEGIN:VCALENDAR",
+      "VERSION:2.0",
+      "PRODID:-//MAIT//Progressive Staking SDK//EN",
+      "CALSCALE:GREGORIAN",
+      "METHOD:PUBLISH",
+      "X-WR-CALNAME:MAIT staking",
+    ]);
+    const user = USER.toLowerCase();
+    expect(property(ics, "UID")).toEqual([
+      `tier-4-stake-42-${user}@maitme-staking`,
+      `tier-5-stake-42-${user}@maitme-staking`,
+      `tier-6-stake-42-${user}@maitme-staking`,
+      `withdraw-42-${NOW}-${user}@maitme-staking`,
+    ]);
+    expect(property(ics, "DTSTAMP")[0]).toBe("20270115T120000Z");
+    expect(property(ics, "DTSTART")[3]).toBe(
+      new Date(Number(NOW + 90n * DAY) * 1000)
+        .toISOString()
+        .replace(/[-:]/g, "")
+        .replace(".000", "")
+    );
+    expect(property(ics, "SUMMARY").map(unescapeText)).toEqual([
+      "Stake #42 reaches tier 4 (4%)",
+      "Stake #42 reaches tier 5 (5%)",
+      "Stake #42 reaches tier 6 (6%)",
+      "Withdrawal from stake #42 is ready",
+    ]);
+    // Same positions, same UIDs
+    expect(
+      property(timelineToIcs([withWithdrawal], { user: USER }), "UID")
+    ).toEqual(property(ics, "UID"));
+  });
+
+  it("escapes text values", () => {
+    const name = "Back\\slash; comma, and\nnew line";
+    const ics = timelineToIcs([], { user: USER, name, createdAt: CREATED_AT });
+
+    const [escaped] = property(ics, "X-WR-CALNAME");
+    expect(escaped).toBe("Back\\\\slash\\; comma\\, and\\nnew line");
+    expect(unescapeText(escaped)).toBe(name);
+  });
+
+  it("folds lines at 75 octets without splitting characters", () => {
+    // Multi-byte characters straddle the fold points
+    const name = "Ставка ✨🪙 ".repeat(20) + "é".repeat(80);
+    const ics = timelineToIcs([timeline()], {
+      user: USER,
+      name,
+      symbol: "MAIT, wrapped on the long-named test chain",
+      createdAt: CREATED_AT,
+    });
+
+    const encoder = new TextEncoder();
+    const decoder = new TextDecoder();
+    const lines = physicalLines(ics);
+    for (const line of lines) {
+      const bytes = encoder.encode(line);
+      expect(bytes.length).toBeLessThanOrEqual(75);
+      // A split surrogate pair would not survive UTF-8
+      expect(decoder.decode(bytes)).toBe(line);
+    }
+    // Folded, and the fold points filled up to the limit
+    const folded = lines.filter((line) => line.startsWith(" "));
+    expect(folded.length).toBeGreaterThan(4);
+    expect(
+      lines.some((line) => encoder.encode(line).length >= 73)
+    ).toBe(true);
+    expect(property(ics, "X-WR-CALNAME").map(unescapeText)).toEqual([name]);
+    expect(property(ics, "DESCRIPTION").map(unescapeText)[0]).toBe(
+      "Your 1234.5 MAIT, wrapped on the long-named test chain position " +
+        "starts earning 4% a year."
+    );
+  });
+});
@@ -0,0 +1,213 @@
+import {
+  createPublicClient,
+  encodeFunctionData,
+  parseEther,
+  type Hash,
+} from "viem";
+import { foundry } from "viem/chains";
+import { afterEach, describe, expect, it } from "vitest";
+import {
+  ContractRevertError,
+  PROGRESSIVE_STAKING_ABI,
+  ProgressiveStakingClient,
+  TransactionReplacedError,
+  type StakingError,
+  type TransactionStatus,
+} from "../src";
+import {
+  DAY,
+  accounts,
+  advance,
+  deployStaking,
+  interceptTransport,
+  publicClient,
+  stake,
+  testClient,
+  walletFor,
+  type Deployment,
+} from "./chain";
+
+const user = accounts[9];
+const AMOUNT = parseEther("200");
+
+async function setup(): Promise<{
+  deployment: Deployment;
+  client: ProgressiveStakingClient;
+  stakeId: bigint;
+}> {
+  const deployment = await deployStaking();
+  const client = deployment.clientFor(user);
+  await deployment.mint(user, AMOUNT);
+  const stakeId = await stake(client, AMOUNT);
+  await advance(30n * DAY);
+  return { deployment, client, stakeId };
+}
+
+/**
+ * Client of `user` that reports when the node has returned a pending
+ * transaction, i.e. when `wait()` has started following it
+ */
+function followingClient(deployment: Deployment) {
+  let followed!: () => void;
+  const following = new Promise<void>((resolve) => (followed = resolve));
+  const transport = interceptTransport(async (request, next) => {
+    const result = await next(request);
+    if (request.method === "eth_getTransactionByHash" && result) followed();
+    return result;
+  });
+  const client = ProgressiveStakingClient.createWithWallet(
+    { contractAddress: deployment.staking, tokenAddress: deployment.token },
+    createPublicClient({ chain: foundry, transport, pollingInterval: 50 }),
+    walletFor(user)
+  );
+  return { client, following };
+}
+
+function unexpected(): never {
+  throw new Error("Expected the transaction to fail");
+}
+
+/** Send a transaction with the same nonce and doubled fees */
+async function replace(
+  hash: Hash,
+  request: { to: `0x${string}`; data?: `0x${string}` }
+): Promise<Hash> {
+  const original = await publicClient.getTransaction({ hash });
+  return walletFor(user).sendTransaction({
+    ...request,
+    nonce: original.nonce,
+    gas: original.gas,
+    maxFeePerGas: original.maxFeePerGas! * 2n,
+    maxPriorityFeePerGas: original.maxPriorityFeePerGas! * 2n,
+  });
+}
+
+describe("StakingTransaction.wait", () => {
+  afterEach(async () => {
+    await testClient.setAutomine(true);
+  });
+
+  it("reports each status up to the requested confirmations", async () => {
+    const { client, stakeId } = await setup();
+    const tx = await client.claimRewards(stakeId);
+
+    const statuses: TransactionStatus[] = [];
+    const waiting = tx.wait({
+      confirmations: 2,
+      pollingInterval: 50,
+      onStatus: (status) => statuses.push(status),
+    });
+    await testClient.mine({ blocks: 1 });
+    const result = await waiting;
+
+    expect(result).toMatchObject({ hash: tx.hash, stakeId });
+    expect(result.amount).toBeGreaterThan(0n);
+    expect(statuses).toMatchObject([
+      { status: "submitted", hash: tx.hash },
+      { status: "mined", hash: tx.hash },
+      { status: "confirmed", confirmations: 1 },
+      { status: "confirmed", confirmations: 2 },
+    ]);
+  });
+
+  it("recovers the reason of a mined revert from the parent block", async () => {
+    const { deployment, client, stakeId } = await setup();
+    await (await client.requestWithdraw(stakeId, AMOUNT)).wait();
+
+    // Sent with a fixed gas limit, so nothing simulates it first
+    const call = {
+      functionName: "requestWithdraw",
+      args: [stakeId, AMOUNT],
+    } as const;
+    const hash = await walletFor(user).sendTransaction({
+      to: deployment.staking,
+      data: encodeFunctionData({ abi: PROGRESSIVE_STAKING_ABI, ...call }),
+      gas: 500_000n,
+    });
+    // The same call succeeds at the head once the request is cancelled
+    await (await client.cancelWithdrawRequest(stakeId)).wait();
+
+    const statuses: TransactionStatus[] = [];
+    const error = await client
+      .resumeTransaction(call, hash)
+      .wait({ onStatus: (status) => statuses.push(status) })
+      .then(unexpected, (e: StakingError) => e);
+
+    expect(error).toBeInstanceOf(ContractRevertError);
+    expect(error.code).toBe("PositionHasPendingWithdraw");
+    expect(statuses.map((s) => s.status)).toEqual([
+      "submitted",
+      "mined",
+      "failed",
+    ]);
+    expect(statuses[2]).toMatchObject({ hash, error });
+  });
+
+  it("follows a sped-up transaction to its replacement", async () => {
+    const { deployment, stakeId } = await setup();
+    const { client, following } = followingClient(deployment);
+    await testClient.setAutomine(false);
+    const tx = await client.claimRewards(stakeId);
+
+    const statuses: TransactionStatus[] = [];
+    const waiting = tx.wait({
+      pollingInterval: 50,
+      onStatus: (status) => statuses.push(status),
+    });
+    await following;
+    const replacementHash = await replace(tx.hash, {
+      to: deployment.staking,
+      data: encodeFunctionData({
+        abi: PROGRESSIVE_STAKING_ABI,
+        ...tx.call,
+      }),
+    });
+    await testClient.mine({ blocks: 1 });
+    const result = await waiting;
+
+    expect(result).toMatchObject({ hash: replacementHash, stakeId });
+    expect(statuses).toMatchObject([
+      { status: "submitted", hash: tx.hash },
+      {
+        status: "replaced",
+        hash: tx.hash,
+        replacementHash,
+        reason: "repriced",
+      },
+      { status: "mined", hash: replacementHash },
+      { status: "confirmed", hash: replacementHash, confirmations: 1 },
+    ]);
+  });
+
+  it("fails when the transaction is cancelled by another", async () => {
+    const { deployment, stakeId } = await setup();
+    const { client, following } = followingClient(deployment);
+    await testClient.setAutomine(false);
+    const tx = await client.claimRewards(stakeId);
+
+    const statuses: TransactionStatus[] = [];
+    const waiting = tx
+      .wait({
+        pollingInterval: 50,
+        onStatus: (status) => statuses.push(status),
+      })
+      .then(unexpected, (e: StakingError) => e);
+    await following;
+    // A zero-value transfer to oneself is how wallets cancel
+    const replacementHash = await replace(tx.hash, { to: user.address });
+    await testClient.mine({ blocks: 1 });
+    const error = await waiting;
+
+    expect(error).toBeInstanceOf(TransactionReplacedError);
+    expect(error).toMatchObject({
+      code: "TRANSACTION_CANCELLED",
+      hash: tx.hash,
+      replacementHash,
+    });
+    expect(statuses.map((s) => s.status)).toEqual([
+      "submitted",
+      "replaced",
+      "failed",
+    ]);
+  });
+});
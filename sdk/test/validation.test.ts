@@ -0,0 +1,272 @@
+import { parseEther, zeroAddress } from "viem";
+import { afterEach, describe, expect, it, vi } from "vitest";
+import {
+  MAX_PENDING_WITHDRAWALS,
+  MAX_STAKES_PER_ADDRESS,
+  MIN_STAKE_AMOUNT,
+  type ProgressiveStakingClient,
+  type StakingError,
+  type ValidationResult,
+} from "../src";
+import {
+  DAY,
+  accounts,
+  advance,
+  deployStaking,
+  fillPositions,
+  now,
+  publicClient,
+  stake,
+  testClient,
+  type Deployment,
+} from "./chain";
+
+const user = accounts[1];
+const founder = accounts[2];
+const other = accounts[3];
+const AMOUNT = parseEther("100");
+
+/**
+ * The validator's first issue must be the error the contract reverts the
+ * same call with, and there must be none when the call goes through
+ */
+async function expectAgreement(
+  validation: Promise<ValidationResult>,
+  simulation: Promise<unknown>
+): Promise<void> {
+  const [{ valid, issues }, revert] = await Promise.all([
+    validation,
+    simulation.then(
+      () => undefined,
+      (error: StakingError) => error.code
+    ),
+  ]);
+  expect(valid).toBe(revert === undefined);
+  expect(issues[0]?.code).toBe(revert);
+}
+
+async function setup(
+  options: { treasury?: bigint } = {}
+): Promise<{ deployment: Deployment; client: ProgressiveStakingClient }> {
+  const deployment = await deployStaking({
+    founders: [founder.address],
+    ...options,
+  });
+  const client = deployment.clientFor(user);
+  await deployment.mint(user, 20n * AMOUNT);
+  // More than the balance, so staking too much fails on the balance
+  const hash = await client.approve(100n * AMOUNT);
+  await publicClient.waitForTransactionReceipt({ hash });
+  return { deployment, client };
+}
+
+describe("validators agree with the contract", () => {
+  afterEach(async () => {
+    vi.useRealTimers();
+    await testClient.setAutomine(true);
+  });
+
+  it("stake", async () => {
+    const { deployment, client } = await setup();
+    const check = (amount: bigint) =>
+      expectAgreement(
+        client.validateStake(amount),
+        client.simulate({ functionName: "stake", args: [amount] })
+      );
+
+    await check(AMOUNT);
+    await check(0n);
+    await check(MIN_STAKE_AMOUNT - 1n);
+    await check(21n * AMOUNT);
+
+    await (await deployment.admin.pause()).wait();
+    await check(AMOUNT);
+    await (await deployment.admin.unpause()).wait();
+
+    await (await deployment.admin.emergencyShutdown()).wait();
+    await check(AMOUNT);
+  });
+
+  it("stake and transfer at the position limit", async () => {
+    const { deployment, client } = await setup();
+    const limit = MAX_STAKES_PER_ADDRESS - MAX_PENDING_WITHDRAWALS - 1;
+    const stakeId = await stake(client, AMOUNT);
+    const full = deployment.clientFor(other);
+    const checkStake = () =>
+      expectAgreement(
+        full.validateStake(MIN_STAKE_AMOUNT),
+        full.simulate({ functionName: "stake", args: [MIN_STAKE_AMOUNT] })
+      );
+    const checkTransfer = () =>
+      expectAgreement(
+        deployment.admin.validateAdminTransferStake(
+          user.address,
+          stakeId,
+          other.address
+        ),
+        deployment.admin.simulate({
+          functionName: "adminTransferStake",
+          args: [user.address, stakeId, other.address],
+        })
+      );
+
+    await fillPositions(deployment, other, limit - 1);
+    await deployment.mint(other, MIN_STAKE_AMOUNT);
+    const hash = await full.approve(MIN_STAKE_AMOUNT);
+    await publicClient.waitForTransactionReceipt({ hash });
+    await checkStake();
+    await checkTransfer();
+
+    await fillPositions(deployment, other, 1);
+    expect(await full.getUserStakeCount(other.address)).toBe(BigInt(limit));
+    await checkStake();
+    await checkTransfer();
+  }, 120_000);
+
+  it("claimRewards and claimAllRewards", async () => {
+    const { deployment, client } = await setup({ treasury: 0n });
+    const stakeId = await stake(client, AMOUNT);
+    const check = async (claimer: ProgressiveStakingClient, id: bigint) => {
+      await expectAgreement(
+        claimer.validateClaimRewards(id),
+        claimer.simulate({ functionName: "claimRewards", args: [id] })
+      );
+      await expectAgreement(
+        claimer.validateClaimAllRewards(),
+        claimer.simulate({ functionName: "claimAllRewards", args: [] })
+      );
+    };
+    await advance(30n * DAY);
+
+    // Rewards but an empty treasury
+    await check(client, stakeId);
+    await check(client, stakeId + 100n);
+
+    // Founders earn nothing
+    const founderClient = deployment.clientFor(founder);
+    await deployment.mint(founder, AMOUNT);
+    const founderStake = await stake(founderClient, AMOUNT);
+    await advance(30n * DAY);
+    await check(founderClient, founderStake);
+
+    await deployment.mint(accounts[0], AMOUNT);
+    await deployment.admin
+      .approve(AMOUNT)
+      .then((hash) => publicClient.waitForTransactionReceipt({ hash }));
+    await (await deployment.admin.depositTreasury(AMOUNT)).wait();
+    await check(client, stakeId);
+
+    await (await deployment.admin.pause()).wait();
+    await check(client, stakeId);
+  });
+
+  it("requestWithdraw", async () => {
+    const { deployment, client } = await setup();
+    const stakeId = await stake(client, AMOUNT);
+    const check = (id: bigint, amount: bigint) =>
+      expectAgreement(
+        client.validateRequestWithdraw(id, amount),
+        client.simulate({ functionName: "requestWithdraw", args: [id, amount] })
+      );
+
+    await check(stakeId, AMOUNT);
+    await check(stakeId, AMOUNT / 2n);
+    await check(stakeId + 100n, AMOUNT);
+    await check(stakeId, 0n);
+    await check(stakeId, AMOUNT + 1n);
+    await check(stakeId, AMOUNT - MIN_STAKE_AMOUNT + 1n);
+
+    await (await deployment.admin.pause()).wait();
+    await check(stakeId, AMOUNT);
+    await (await deployment.admin.unpause()).wait();
+
+    await (await client.requestWithdraw(stakeId, AMOUNT)).wait();
+    await check(stakeId, AMOUNT);
+
+    // Fill the remaining request slots
+    const stakeIds: bigint[] = [];
+    for (let i = 1; i <= MAX_PENDING_WITHDRAWALS; i++) {
+      stakeIds.push(await stake(client, AMOUNT));
+    }
+    const last = stakeIds.pop()!;
+    for (const id of stakeIds) {
+      await (await client.requestWithdraw(id, AMOUNT)).wait();
+    }
+    await check(last, AMOUNT);
+  });
+
+  it("executeWithdraw and cancelWithdrawRequest", async () => {
+    const { client } = await setup();
+    const requested = await stake(client, AMOUNT);
+    const idle = await stake(client, AMOUNT);
+    await (await client.requestWithdraw(requested, AMOUNT)).wait();
+
+    // The validator compares against the wall clock, which the chain's
+    // clock runs ahead of in these tests
+    vi.useFakeTimers({ toFake: ["Date"] });
+    const check = async (id: bigint) => {
+      vi.setSystemTime(Number(await now()) * 1000);
+      await expectAgreement(
+        client.validateExecuteWithdraw(id),
+        client.simulate({ functionName: "executeWithdraw", args: [id] })
+      );
+      await expectAgreement(
+        client.validateCancelWithdrawRequest(id),
+        client.simulate({ functionName: "cancelWithdrawRequest", args: [id] })
+      );
+    };
+
+    await check(requested);
+    await check(idle);
+    await check(requested + 100n);
+    await advance(90n * DAY);
+    await check(requested);
+  });
+
+  it("emergencyWithdraw", async () => {
+    const { deployment, client } = await setup();
+    const empty = deployment.clientFor(other);
+    const check = (withdrawer: ProgressiveStakingClient) =>
+      expectAgreement(
+        withdrawer.validateEmergencyWithdraw(),
+        withdrawer.simulate({ functionName: "emergencyWithdraw", args: [] })
+      );
+    await stake(client, AMOUNT);
+
+    await check(client);
+    await (await deployment.admin.emergencyShutdown()).wait();
+    await check(client);
+    await check(empty);
+  });
+
+  it("adminTransferStake", async () => {
+    const { deployment, client } = await setup();
+    const stakeId = await stake(client, AMOUNT);
+    const check = (
+      from: `0x${string}`,
+      id: bigint,
+      to: `0x${string}`
+    ) =>
+      expectAgreement(
+        deployment.admin.validateAdminTransferStake(from, id, to),
+        deployment.admin.simulate({
+          functionName: "adminTransferStake",
+          args: [from, id, to],
+        })
+      );
+
+    await check(user.address, stakeId, other.address);
+    await check(zeroAddress, stakeId, other.address);
+    await check(user.address, stakeId, zeroAddress);
+    await check(user.address, stakeId, user.address);
+    await check(user.address, stakeId + 100n, other.address);
+
+    // Allowed while paused
+    await (await deployment.admin.pause()).wait();
+    await check(user.address, stakeId, other.address);
+    await (await deployment.admin.unpause()).wait();
+
+    await (await client.requestWithdraw(stakeId, AMOUNT)).wait();
+    await check(user.address, stakeId, other.address);
+  });
+});